@@ -0,0 +1,157 @@
+/**
+ * Who may use the bot. Roles: admin (everything, plus /allow /revoke /users /refresh), orderer
+ * (search, cart and orders) and browse (search and menus only — no cart or order tools).
+ * BOT_ADMINS (comma-separated user IDs or @usernames) are always admins; everyone else must be
+ * on the allowlist, stored under acl:users and managed at runtime with /allow and /revoke.
+ * ACCESS_CONTROL=off lets everyone in as an admin (the old open behaviour), except that
+ * spending limits stay with BOT_ADMINS (see isBotAdmin).
+ */
+
+import { getStore } from './storage.js';
+import { isOrderTool, isCartTool } from './tool-kinds.js';
+
+export const ROLES = ['admin', 'orderer', 'browse'];
+const RANK = { browse: 1, orderer: 2, admin: 3 };
+
+// Usernames seen per user ID, so roleOf({ id }) still finds a BOT_ADMINS entry given as @username
+const seenUsernames = new Map();
+
+const log = {
+  acl: (msg, ...args) => console.log(`  \x1b[90m[Access]\x1b[0m ${msg}`, ...args),
+};
+
+export function isAccessControlOn() {
+  return (process.env.ACCESS_CONTROL || 'on').toLowerCase() !== 'off';
+}
+
+/** "123" → { id: 123 }, "@Name" / "Name" → { username: 'name' }, else null. */
+export function parseUserRef(text) {
+  const ref = String(text || '').trim();
+  if (/^-?\d+$/.test(ref)) return { id: Number(ref) };
+  const m = /^@?([A-Za-z][A-Za-z0-9_]{3,31})$/.exec(ref);
+  return m ? { username: m[1].toLowerCase() } : null;
+}
+
+function envAdmins() {
+  return (process.env.BOT_ADMINS || '').split(',').map(parseUserRef).filter(Boolean);
+}
+
+function sameUser(ref, user) {
+  if (ref.id != null) return ref.id === user.id;
+  return !!user.username && ref.username === user.username.toLowerCase();
+}
+
+async function loadUsers() {
+  return (await (await getStore()).get('acl:users')) || [];
+}
+
+async function saveUsers(users) {
+  await (await getStore()).set('acl:users', users);
+}
+
+/**
+ * Role of a Telegram user ({ id, username }), or null when they are not allowed in.
+ * An entry added by @username is tied to the user's ID the first time they show up.
+ */
+export async function roleOf(user) {
+  if (!isAccessControlOn()) return 'admin';
+  if (!user || user.id == null) return null;
+  if (user.username) seenUsernames.set(user.id, user.username);
+  else if (seenUsernames.has(user.id)) user = { ...user, username: seenUsernames.get(user.id) };
+  if (envAdmins().some((ref) => sameUser(ref, user))) return 'admin';
+  const users = await loadUsers();
+  const entry = users.find((u) => u.id === user.id) || users.find((u) => u.id == null && sameUser(u, user));
+  if (!entry) return null;
+  if (entry.id == null) {
+    entry.id = user.id;
+    await saveUsers(users);
+    log.acl(`@${entry.username} is user ${user.id}`);
+  }
+  return entry.role;
+}
+
+/** Whether anyone can administer the bot: someone in BOT_ADMINS or an admin on the allowlist. */
+export async function hasAdmin() {
+  if (envAdmins().length) return true;
+  return (await loadUsers()).some((u) => u.role === 'admin');
+}
+
+/** True when role is at least `needed` (admin > orderer > browse). */
+export function hasRole(role, needed) {
+  return !!role && RANK[role] >= RANK[needed];
+}
+
+/**
+ * Whether a user may administer settings that guard spending (/budget, /cancel for others).
+ * With ACCESS_CONTROL=off everyone gets in as an admin, so only BOT_ADMINS count then.
+ */
+export async function isBotAdmin(user) {
+  if (!isAccessControlOn()) return !!user && user.id != null && envAdmins().some((ref) => sameUser(ref, user));
+  return hasRole(await roleOf(user), 'admin');
+}
+
+/** Whether a role may call a Claude tool: browse-only users get no cart or order tools. */
+export function canUseTool(role, toolName) {
+  return hasRole(role, 'orderer') || !(isOrderTool(toolName) || isCartTool(toolName));
+}
+
+/**
+ * Add or update someone on the allowlist. ref from parseUserRef (plus optional name).
+ * Returns the entry. Env admins are fixed and cannot be changed here.
+ */
+export async function allowUser(ref, role, by) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  if (envAdmins().some((a) => (ref.id != null ? a.id === ref.id : a.username === ref.username))) {
+    throw new Error('That user is an admin through BOT_ADMINS; change it in .env.');
+  }
+  const users = await loadUsers();
+  let entry = users.find((u) => (ref.id != null ? u.id === ref.id : u.username === ref.username));
+  if (!entry) {
+    entry = { id: ref.id ?? null, username: ref.username ?? null, name: null, role, addedBy: by ?? null, addedAt: Date.now() };
+    users.push(entry);
+  }
+  entry.role = role;
+  if (ref.username) entry.username = ref.username;
+  if (ref.name) entry.name = ref.name;
+  await saveUsers(users);
+  log.acl(`${describeUser(entry)} is now ${role} (by ${by})`);
+  return entry;
+}
+
+/** Remove someone from the allowlist. Returns the removed entry or null. */
+export async function revokeUser(ref) {
+  const users = await loadUsers();
+  const index = users.findIndex((u) => (ref.id != null ? u.id === ref.id : u.username === ref.username));
+  if (index === -1) return null;
+  const [removed] = users.splice(index, 1);
+  await saveUsers(users);
+  log.acl(`${describeUser(removed)} revoked`);
+  return removed;
+}
+
+export function describeUser(entry) {
+  const name = entry.name || (entry.username ? `@${entry.username}` : null);
+  if (name && entry.id != null) return `${name} (${entry.id})`;
+  return name || String(entry.id);
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Telegram HTML for /users: env admins, then the allowlist grouped by role.
+ */
+export async function formatUsers() {
+  const lines = ['<b>Who can use this bot</b>', ''];
+  const admins = envAdmins();
+  if (admins.length) lines.push(`<b>BOT_ADMINS</b>: ${admins.map((a) => escapeHtml(a.id ?? `@${a.username}`)).join(', ')}`);
+  const users = await loadUsers();
+  for (const role of ROLES) {
+    const list = users.filter((u) => u.role === role);
+    if (list.length) lines.push(`<b>${role}</b>: ${list.map((u) => escapeHtml(describeUser(u)) + (u.id == null ? ' <i>(not seen yet)</i>' : '')).join(', ')}`);
+  }
+  if (!admins.length && !users.length) lines.push('<i>Nobody yet. Set BOT_ADMINS in .env.</i>');
+  lines.push('', '<i>/allow &lt;id or @username&gt; [admin|orderer|browse] · /revoke &lt;id or @username&gt; — or reply to someone\'s message.</i>');
+  return lines.join('\n');
+}
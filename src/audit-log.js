@@ -0,0 +1,187 @@
+/**
+ * Structured audit trail: one JSON object per line in AUDIT_LOG_FILE (default data/audit.jsonl).
+ * Every record has ts, event, requestId and chatId, so one request can be followed from the
+ * Telegram message through each Claude round and tool call to the order verdict. Tool arguments
+ * are redacted (tokens, phone numbers, emails, address lines) and results are cut to a preview.
+ * AUDIT_LOG=off turns it off; the file is rotated to <file>.1 past AUDIT_LOG_MAX_MB (default 20).
+ *
+ * Events: request, claude_round, tool_call, order_refused, order_confirmation, order_verdict,
+ * reply (with overrideFired when a claimed order success was replaced), request_done.
+ */
+
+import { randomBytes } from 'crypto';
+import { mkdir, appendFile, stat, rename, open } from 'fs/promises';
+import { dirname, join } from 'path';
+
+const PREVIEW_CHARS = 300;
+// /audit reads this much of the end of the file
+const TAIL_BYTES = 512 * 1024;
+const SECRET_KEY = /token|secret|password|passcode|auth|otp|cvv|card|upi|phone|mobile|email|^(address|address_?line|contact)$/i;
+
+const log = {
+  auditErr: (msg, ...args) => console.error(`  \x1b[31m[Audit]\x1b[0m ${msg}`, ...args),
+};
+
+// Appends run one after another so lines never interleave
+let writing = Promise.resolve();
+let fileSize = null;
+
+export function isAuditOn() {
+  return (process.env.AUDIT_LOG || 'on').toLowerCase() !== 'off';
+}
+
+export function auditFile() {
+  return process.env.AUDIT_LOG_FILE || join(process.env.DATA_DIR || 'data', 'audit.jsonl');
+}
+
+export function newRequestId() {
+  return randomBytes(4).toString('hex');
+}
+
+/** Phone numbers and emails in free text. */
+function maskText(text) {
+  return text.replace(/[\w.+-]+@[\w-]+\.[\w.]+/g, '[email]').replace(/(?<!\d)(\+?91[- ]?)?[6-9]\d{9}(?!\d)/g, '[phone]');
+}
+
+/** Copy of tool arguments safe to keep: secret-looking keys blanked, long strings cut. */
+export function redactArgs(value, depth = 0) {
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return maskText(value.length > 200 ? `${value.slice(0, 200)}…` : value);
+  if (depth > 5) return '[…]';
+  if (Array.isArray(value)) return value.slice(0, 50).map((v) => redactArgs(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = SECRET_KEY.test(k) ? '[redacted]' : redactArgs(v, depth + 1);
+  return out;
+}
+
+/** First PREVIEW_CHARS of a tool result, with phone numbers and emails masked. */
+export function previewResult(content) {
+  const text = typeof content === 'string' ? content : JSON.stringify(content ?? null);
+  return maskText(text.length > PREVIEW_CHARS ? `${text.slice(0, PREVIEW_CHARS)}…` : text);
+}
+
+async function write(line) {
+  const file = auditFile();
+  const maxBytes = (Number(process.env.AUDIT_LOG_MAX_MB) || 20) * 1024 * 1024;
+  if (fileSize == null) {
+    await mkdir(dirname(file), { recursive: true });
+    fileSize = await stat(file).then((s) => s.size, () => 0);
+  }
+  if (fileSize + line.length > maxBytes) {
+    await rename(file, `${file}.1`).catch(() => {});
+    fileSize = 0;
+  }
+  await appendFile(file, line);
+  fileSize += Buffer.byteLength(line);
+}
+
+/**
+ * Append one record. Never throws: a failing audit write is logged and the bot carries on.
+ * Returns a promise for tests that want to read the file straight after.
+ */
+export function audit(event, fields = {}) {
+  if (!isAuditOn()) return writing;
+  const line = `${JSON.stringify({ ts: new Date().toISOString(), event, ...fields })}\n`;
+  writing = writing.then(() => write(line)).catch((err) => {
+    fileSize = null;
+    log.auditErr('write failed', err?.message || String(err));
+  });
+  return writing;
+}
+
+/** Wait for pending writes. */
+export function flushAudit() {
+  return writing;
+}
+
+async function readTail() {
+  await flushAudit();
+  let handle;
+  try {
+    handle = await open(auditFile(), 'r');
+    const { size } = await handle.stat();
+    const length = Math.min(size, TAIL_BYTES);
+    const { buffer } = await handle.read(Buffer.alloc(length), 0, length, size - length);
+    const lines = buffer.toString('utf8').split('\n');
+    // The first line is probably cut in half unless the whole file was read
+    if (length < size) lines.shift();
+    return lines.filter(Boolean).flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  } catch (err) {
+    if (err?.code === 'ENOENT') return [];
+    throw err;
+  } finally {
+    await handle?.close();
+  }
+}
+
+/** Records of the most recent request in a chat (empty when there is none in the file's tail). */
+export async function lastRequestTrace(chatId) {
+  const records = (await readTail()).filter((r) => String(r.chatId) === String(chatId));
+  const last = records.findLast((r) => r.event === 'request');
+  return last ? records.filter((r) => r.requestId === last.requestId) : [];
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function ms(n) {
+  return n >= 1000 ? `${(n / 1000).toFixed(1)} s` : `${n} ms`;
+}
+
+function traceLine(r) {
+  switch (r.event) {
+    case 'request':
+      return `From ${escapeHtml(r.userId ?? '?')} (${escapeHtml(r.source)}): <i>${escapeHtml(r.text ?? '')}</i>`;
+    case 'claude_round': {
+      const tokens = (r.inputTokens || 0) + (r.outputTokens || 0);
+      const tools = r.tools?.length ? ` → ${r.tools.map(escapeHtml).join(', ')}` : '';
+      return `Claude round ${r.round + 1}: ${escapeHtml(r.stopReason)}${tools} · ${ms(r.latencyMs)} · ${tokens} tokens`;
+    }
+    case 'tool_call': {
+      const mark = r.denied ? '⛔ denied' : r.ok ? '✅' : '❌';
+      return `  🔧 ${escapeHtml(r.tool)} ${mark}${r.latencyMs != null ? ` · ${ms(r.latencyMs)}` : ''}${r.ok ? '' : `\n      <i>${escapeHtml(r.result ?? '')}</i>`}`;
+    }
+    case 'order_refused':
+      return `🚫 Refused before ${escapeHtml(r.tool)}: ${escapeHtml(r.reason)}`;
+    case 'order_confirmation':
+      return `🧾 Confirmation for ${escapeHtml(r.tool)}: <b>${r.confirmed ? 'confirmed' : r.timedOut ? 'timed out' : 'cancelled'}</b>${r.total != null ? ` (₹${r.total})` : ''}`;
+    case 'order_verdict':
+      return r.success
+        ? `✅ Order verdict: placed${r.orderId ? `, ${escapeHtml(r.orderId)}` : ''}`
+        : `❌ Order verdict: not placed${r.error ? ` — ${escapeHtml(r.error)}` : ''}`;
+    case 'reply':
+      return r.overrideFired
+        ? `⚠️ <b>Success override fired</b> — Claude claimed an order ${r.orderToolCalled ? 'that failed' : 'without calling the order tool'}; the reply was replaced`
+        : `Reply: ${escapeHtml(r.stopReason)} (${r.chars} chars)`;
+    case 'request_done':
+      return `Done in ${ms(r.latencyMs)}${r.error ? ` — error: ${escapeHtml(r.error)}` : ''}`;
+    default:
+      return escapeHtml(r.event);
+  }
+}
+
+/** Telegram HTML summary of one request's trace for /audit last. */
+export function formatTrace(records) {
+  if (!records.length) return 'No requests from this chat in the audit log yet.';
+  const start = records[0];
+  const lines = [`<b>Last request</b> · <code>${escapeHtml(start.requestId)}</code> · ${escapeHtml(start.ts.replace('T', ' ').slice(0, 19))} UTC`, ''];
+  let length = lines.join('\n').length;
+  for (const [i, r] of records.entries()) {
+    const line = traceLine(r);
+    // Stay under Telegram's 4096-character message limit
+    if (length + line.length > 3800) {
+      lines.push(`<i>… ${records.length - i} more records in ${escapeHtml(auditFile())}</i>`);
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,1450 @@
+/**
+ * Telegram handlers: commands, Claude turns, order confirmation and selection buttons.
+ * index.js wires them to a TelegramBot (polling or webhook); tests wire them to a fake bot.
+ */
+
+import { randomBytes } from 'crypto';
+import dotenv from 'dotenv';
+import { chatWithClaudeMcp, clearCaches, clearCachesForToken, getClaudeTools, CLAUDE_MODEL } from './claude-mcp.js';
+import { getSwiggyTokenFromCursorMcp } from './cursor-mcp-token.js';
+import { isSwiggyAuthError } from './swiggy-mcp-client.js';
+import { getEnabledServers } from './mcp-registry.js';
+import { startLogin, completeLogin, getChatAccessToken, isChatLoggedIn, logout } from './swiggy-oauth.js';
+import { deleteChatData } from './storage.js';
+import { formatOrderSummary } from './order-confirmation.js';
+import { transcribeAudio } from './speech-to-text.js';
+import { checkQuota, recordUsage, formatUsage, setDailyQuota } from './usage.js';
+import { createLiveMessage } from './live-message.js';
+import { enqueueTurn, cancelChat, runningTurn } from './chat-queue.js';
+import { formatForTelegram, stripHtml } from './telegram-html.js';
+import { clearToolResults } from './tool-results.js';
+import { audit, newRequestId, lastRequestTrace, formatTrace } from './audit-log.js';
+import { roleOf, hasRole, isBotAdmin, canUseTool, isAccessControlOn, parseUserRef, allowUser, revokeUser, describeUser, formatUsers, ROLES } from './access-control.js';
+import { checkOrderAllowed, formatBudget, parseLimitValue, setLimit, LIMIT_FIELDS } from './budgets.js';
+import {
+  MAX_IMAGE_BYTES,
+  GROCERY_LIST_TOOL,
+  IMAGE_TYPES,
+  groceryListTool,
+  groceryPhotoPrompt,
+  matchGroceryList,
+  getGroceryReview,
+  saveGroceryReview,
+  clearGroceryReview,
+  skipGroceryItem,
+  itemsToAdd,
+  formatGroceryReview,
+  groceryCartPrompt,
+} from './grocery-photo.js';
+import { recordOrder, refreshChatOrders, startOrderPoller, formatOrderStatus, getOrders } from './order-tracking.js';
+import {
+  getGroupOrder,
+  openGroupOrder,
+  parseAddCommand,
+  findMenuItems,
+  addMemberItem,
+  removeMemberItem,
+  cancelGroupOrder,
+  reopenGroupOrder,
+  placeGroupOrder,
+  formatBreakdown,
+  formatSplitBill,
+  memberName,
+} from './group-order.js';
+import {
+  scheduleTool,
+  listSchedules,
+  setSchedulePaused,
+  deleteSchedule,
+  formatSchedules,
+  startScheduler,
+} from './scheduler.js';
+import { formatHistory, historyList, orderKey, canReorder, checkReorder, formatReorderCheck, reorderPrompt } from './order-history.js';
+import { LIST_KINDS, buildSelectionKeyboard, findSelection, listKindForTools } from './selection-keyboards.js';
+import {
+  getSessionState,
+  getHistory,
+  pushHistory,
+  saveSession,
+  clearSessionState,
+  evictSession,
+} from './sessions.js';
+
+// Set by registerBotHandlers
+let bot = null;
+let anthropicClient;
+
+/**
+ * Get the Swiggy token for a chat: its own /login token first, then the shared
+ * .env / Cursor token (reads .env at call time for /refresh support).
+ */
+async function getSwiggyAuth(chatId) {
+  return (await getChatAccessToken(chatId)) || process.env.SWIGGY_AUTH_TOKEN || getSwiggyTokenFromCursorMcp() || undefined;
+}
+
+const SEP = '─'.repeat(50);
+const log = {
+  tg: (msg, ...args) => console.log(`\x1b[36m[TG]\x1b[0m ${msg}`, ...args),
+  tgErr: (msg, ...args) => console.error(`\x1b[31m[TG]\x1b[0m ${msg}`, ...args),
+  header: (text) => console.log(`\n\x1b[1m\x1b[35m${SEP}\n  📱 ${text}\n${SEP}\x1b[0m`),
+  done: (text) => console.log(`\x1b[32m  ✓ ${text}\x1b[0m\n`),
+};
+
+// /forget must not reset the guardrails: spending limits, the order ledger spend is counted from, and token usage
+const KEPT_ON_FORGET = ['budget', 'orders', 'usage'];
+
+const BROWSE_ONLY = 'Your access is browse-only: you can search and view menus, but not change carts or order. Ask an admin for ordering access.';
+
+// Order confirmations waiting for a button press: id -> { chatId, userId, messageId, resolve, timer }
+const pendingConfirmations = new Map();
+const CONFIRM_TIMEOUT_MS = 5 * 60 * 1000;
+
+function settleConfirmation(id, confirmed) {
+  const pending = pendingConfirmations.get(id);
+  if (!pending) return null;
+  pendingConfirmations.delete(id);
+  clearTimeout(pending.timer);
+  pending.resolve(confirmed);
+  return pending;
+}
+
+/**
+ * Send the order summary with ✅ Confirm / ❌ Cancel buttons and wait for the requester to press one.
+ * Resolves true on Confirm, false on Cancel and 'timeout' when nobody answers within timeoutMs
+ * (CONFIRM_TIMEOUT_MS by default); the caller sends the one reply that says so.
+ */
+async function askOrderConfirmation(chatId, userId, summary, timeoutMs = CONFIRM_TIMEOUT_MS) {
+  const id = randomBytes(6).toString('hex');
+  // Register before sending so a very fast tap can never miss the pending entry
+  const answered = new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      const pending = settleConfirmation(id, 'timeout');
+      if (pending?.messageId) {
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: pending.messageId }).catch(() => {});
+      }
+    }, timeoutMs);
+    pendingConfirmations.set(id, { chatId, userId, messageId: null, resolve, timer });
+  });
+  try {
+    const sent = await bot.sendMessage(chatId, formatOrderSummary(summary), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Confirm', callback_data: `ord:${id}:yes` },
+          { text: '❌ Cancel', callback_data: `ord:${id}:no` },
+        ]],
+      },
+    });
+    const pending = pendingConfirmations.get(id);
+    if (pending) pending.messageId = sent.message_id;
+  } catch (err) {
+    settleConfirmation(id, false);
+    throw err;
+  }
+  return answered;
+}
+
+// Handler runs (messages, button presses, scheduled jobs) not finished yet; drainBot waits for them
+const inFlight = new Set();
+let draining = false;
+const RESTARTING = 'The bot is restarting — please send that again in a minute.';
+
+function track(promise) {
+  inFlight.add(promise);
+  promise.finally(() => inFlight.delete(promise)).catch((err) => log.tgErr('handler failed', err?.stack || err?.message || String(err)));
+  return promise;
+}
+
+function waitForInFlight(ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms);
+  });
+  const loop = async () => {
+    while (inFlight.size > 0) await Promise.allSettled([...inFlight]);
+  };
+  return Promise.race([loop(), timeout]).finally(() => clearTimeout(timer));
+}
+
+/** True once drainBot has been called. */
+export function isDraining() {
+  return draining;
+}
+
+/**
+ * Shutdown: stop starting new turns and let running ones (orders included) finish. Confirm / Cancel
+ * presses still work while draining. Confirmations nobody has answered after timeoutMs are cancelled
+ * (nothing is placed) and the rest get graceMs to wrap up. Resolves with how many runs were cut off.
+ */
+export async function drainBot({ timeoutMs = 25000, graceMs = 5000 } = {}) {
+  draining = true;
+  log.tg(`draining: ${inFlight.size} request(s) in flight, ${pendingConfirmations.size} awaiting confirmation`);
+  await waitForInFlight(timeoutMs);
+  for (const [id, pending] of [...pendingConfirmations]) {
+    settleConfirmation(id, false);
+    if (pending.messageId) {
+      bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: pending.chatId, message_id: pending.messageId }).catch(() => {});
+    }
+    await bot.sendMessage(pending.chatId, 'The bot is restarting, so this order was cancelled — nothing was placed. Please ask again in a minute.').catch(() => {});
+  }
+  if (inFlight.size > 0) await waitForInFlight(graceMs);
+  if (inFlight.size > 0) log.tgErr(`shutting down with ${inFlight.size} request(s) unfinished`);
+  return inFlight.size;
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function isHtmlParseError(err) {
+  const errMsg = err?.message || err?.response?.body?.description || '';
+  return errMsg.includes("Can't parse") || errMsg.includes('parse entities');
+}
+
+/** Send one chunk of sanitised HTML; plain text if Telegram still rejects it. */
+async function sendHtmlChunk(chatId, html) {
+  try {
+    await bot.sendMessage(chatId, html, { parse_mode: 'HTML', disable_web_page_preview: true });
+  } catch (err) {
+    if (!isHtmlParseError(err)) throw err;
+    log.tg('HTML parse failed, sending as plain text');
+    await bot.sendMessage(chatId, stripHtml(html), { disable_web_page_preview: true });
+  }
+}
+
+/** Edit a message to one chunk of sanitised HTML. Returns false when the message can't be edited. */
+async function editHtmlChunk(chatId, messageId, html) {
+  const options = { chat_id: chatId, message_id: messageId, disable_web_page_preview: true };
+  for (const [text, parseMode] of [[html, 'HTML'], [stripHtml(html), undefined]]) {
+    try {
+      await bot.editMessageText(text, { ...options, parse_mode: parseMode });
+      return true;
+    } catch (err) {
+      // The streamed text already matches the reply
+      if (/not modified/i.test(err?.message || '')) return true;
+      if (!isHtmlParseError(err)) return false;
+      log.tg('HTML parse failed, sending as plain text');
+    }
+  }
+  return false;
+}
+
+/** Claude's HTML as one or more Telegram messages (sanitised, split at 4096 characters). */
+async function sendHtml(chatId, html) {
+  for (const chunk of formatForTelegram(html)) await sendHtmlChunk(chatId, chunk);
+}
+
+/**
+ * Show Claude's final reply: the first part is edited into the placeholder, or (edit: false, or
+ * when the edit fails) the placeholder is deleted and sent as a new message. Long replies continue
+ * in further messages.
+ */
+async function deliverReply(chatId, placeholderId, html, { edit = true } = {}) {
+  const [first = 'Done.', ...rest] = formatForTelegram(html);
+  if (!edit || !(await editHtmlChunk(chatId, placeholderId, first))) {
+    await bot.deleteMessage(chatId, placeholderId).catch(() => {});
+    await sendHtmlChunk(chatId, first);
+  }
+  for (const chunk of rest) await sendHtmlChunk(chatId, chunk);
+}
+
+/** How long a scheduled order's Confirm / Cancel buttons stay open (the user may not be looking). */
+function scheduledConfirmTimeoutMs() {
+  const minutes = Number(process.env.SCHEDULE_CONFIRM_MINUTES) || 30;
+  return minutes * 60 * 1000;
+}
+
+/** Tell the sender their request is waiting (state from enqueueTurn). */
+async function tellQueued(chatId, state) {
+  if (state === 'started') return;
+  const text =
+    state === 'waiting'
+      ? '⏳ Lots of requests right now — yours will start in a moment.'
+      : `⏳ Still working on your previous request — ${state === 'merged' ? "I've added this to the next one" : 'this one is next'}. Send /cancel to stop.`;
+  await bot.sendMessage(chatId, text).catch(() => {});
+}
+
+/**
+ * Queue run({ text, signal }) behind whatever the chat is already running (see chat-queue.js).
+ * options: text and mergeKey to fold quick follow-ups into one turn, quiet to skip the "still working" notice.
+ */
+async function inChatQueue(chatId, userId, run, { text, mergeKey, quiet = false } = {}) {
+  const { state, done } = enqueueTurn(chatId, { userId, text, mergeKey, run });
+  if (!quiet) await tellQueued(chatId, state);
+  return done;
+}
+
+/**
+ * One request: send text to Claude with the chat's history and session state, reply in Telegram.
+ * Used for typed messages, button taps that continue the conversation and scheduled jobs
+ * (scheduled: true — longer confirmation window, and no scheduling from inside a scheduled run).
+ * source says where the request came from in the audit log: message, voice, button, reorder, schedule.
+ * Turns in a chat run one at a time; messages typed or spoken while one runs are merged into the next.
+ */
+async function runTurn(turn) {
+  const source = turn.source ?? (turn.scheduled ? 'schedule' : 'message');
+  const typed = source === 'message' || source === 'voice';
+  return inChatQueue(turn.chatId, turn.userId, ({ text, signal }) => runClaudeTurn({ ...turn, source, text, signal }), {
+    text: turn.text,
+    mergeKey: typed ? `typed:${turn.userId}` : null,
+    quiet: source === 'schedule',
+  });
+}
+
+async function runClaudeTurn({ chatId, userId, text, scheduled = false, source, signal }) {
+  log.header(`NEW REQUEST — "${text.slice(0, 60)}${text.length > 60 ? '...' : ''}"`);
+  const trace = { requestId: newRequestId(), chatId };
+  const started = Date.now();
+  audit('request', { ...trace, userId: userId ?? null, source, text: text.slice(0, 200) });
+
+  const overQuota = await checkQuota(chatId);
+  if (overQuota) {
+    audit('request_done', { ...trace, latencyMs: Date.now() - started, error: 'daily token quota used up' });
+    await bot.sendMessage(chatId, overQuota);
+    return;
+  }
+
+  const loadingMsg = await bot.sendMessage(chatId, 'Checking Swiggy…');
+  // The placeholder shows the current step, then the answer as it streams in
+  const live = createLiveMessage(bot, { chatId, messageId: loadingMsg.message_id });
+  // Once a Confirm / Cancel prompt is sent below the placeholder, the reply goes in a new message instead
+  let placeholderBuried = false;
+  const role = await roleOf({ id: userId });
+  // Decides the re-login prompt: a failing /login token vs the shared .env token
+  const usingChatLogin = await isChatLoggedIn(chatId);
+
+  try {
+    const previousMessages = (await getHistory(chatId)).map((m) => ({
+      role: m.role,
+      content: m.content,
+    }));
+
+    log.tg('Sending to Claude...');
+    const state = await getSessionState(chatId);
+    const { text: reply, usage, toolsCalled = [], placedOrder } = await chatWithClaudeMcp({
+      anthropic: anthropicClient,
+      userMessage: text,
+      swiggyAuthToken: await getSwiggyAuth(chatId),
+      previousMessages,
+      sessionState: state,
+      confirmOrder: (summary) => {
+        placeholderBuried = true;
+        return askOrderConfirmation(chatId, userId, summary, scheduled ? scheduledConfirmTimeoutMs() : CONFIRM_TIMEOUT_MS);
+      },
+      onProgress: (step) => live.update(`⏳ ${step}`),
+      onText: (textSoFar) => live.update(stripHtml(textSoFar)),
+      allowTool: (name) => canUseTool(role, name),
+      checkOrder: (summary, { vertical }) => checkOrderAllowed(chatId, { userId, vertical, amount: summary.total }),
+      localTools: scheduled ? [] : [scheduleTool({ chatId, userId })],
+      trace,
+      chatId,
+      signal,
+    }).finally(async () => {
+      await live.stop();
+      await saveSession(chatId);
+    });
+    await recordUsage(chatId, { userId, usage, model: CLAUDE_MODEL }).catch((err) => log.tgErr('recording usage failed', err?.message));
+
+    await deliverReply(chatId, loadingMsg.message_id, reply || 'Done.', { edit: !placeholderBuried });
+
+    if (placedOrder) {
+      try {
+        const order = await recordOrder(chatId, { ...placedOrder, userId });
+        if (order.active) {
+          await bot.sendMessage(chatId, "I'll message you here as your order moves along. Send /track to check on it anytime.");
+        }
+      } catch (err) {
+        log.tgErr('recording order failed', err?.message);
+      }
+    }
+
+    // Offer the restaurant / menu / address list Claude just fetched as buttons
+    const kind = listKindForTools(toolsCalled, state);
+    if (kind) {
+      await bot
+        .sendMessage(chatId, LIST_KINDS[kind].prompt, { reply_markup: buildSelectionKeyboard(kind, state) })
+        .catch((err) => log.tgErr('selection keyboard failed', err?.message));
+    }
+
+    log.done(`Response sent (${(reply || '').length} chars)`);
+    if (usage) log.tg(`Tokens: ${usage.input_tokens + usage.output_tokens + usage.cache_creation_input_tokens + usage.cache_read_input_tokens} total (${usage.cache_read_input_tokens} from cache)`);
+    // Store only plain text in history (user message + assistant reply)
+    await pushHistory(chatId, 'user', text);
+    await pushHistory(chatId, 'assistant', reply || 'Done.');
+    audit('request_done', { ...trace, latencyMs: Date.now() - started, orderId: placedOrder?.orderId ?? null });
+  } catch (err) {
+    audit('request_done', { ...trace, latencyMs: Date.now() - started, error: err?.message || String(err) });
+    await live.stop();
+    await bot.deleteMessage(chatId, loadingMsg.message_id).catch(() => {});
+    if (isSwiggyAuthError(err)) {
+      log.tgErr('swiggy auth failed', { chatId, error: err.message });
+      await bot.sendMessage(
+        chatId,
+        usingChatLogin || !process.env.SWIGGY_AUTH_TOKEN
+          ? '<b>Your Swiggy login has expired.</b> Send /login to connect your account again, then repeat your request.'
+          : '<b>The shared Swiggy token was rejected.</b> Send /login to use your own account, or ask the bot owner to update SWIGGY_AUTH_TOKEN and send /refresh.',
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+    const message =
+      err?.message || err?.toString?.() || 'Something went wrong.';
+    log.tgErr('request failed', { chatId, error: message });
+    console.error('[TG] Claude/MCP error:', err);
+    await bot.sendMessage(
+      chatId,
+      `Error: ${message}. Check ANTHROPIC_API_KEY and that Swiggy MCP is reachable.`
+    );
+  }
+}
+
+/** Push a status change of a tracked order to its chat. */
+async function notifyOrderStatus(order) {
+  await bot.sendMessage(order.chatId, formatOrderStatus(order), { parse_mode: 'HTML' }).catch((err) => log.tgErr('status push failed', err?.message));
+}
+
+async function handleTrack(chatId) {
+  try {
+    // Changes found here are shown in the reply, so they are not pushed separately
+    const active = await refreshChatOrders(chatId, { token: await getSwiggyAuth(chatId), getTools: getClaudeTools });
+    if (active.length) {
+      await bot.sendMessage(chatId, active.map(formatOrderStatus).join('\n\n'), { parse_mode: 'HTML' });
+      return;
+    }
+    const last = (await getOrders(chatId)).at(-1);
+    await bot.sendMessage(
+      chatId,
+      last ? `No active orders. Your last one:\n\n${formatOrderStatus(last)}` : 'No orders from this chat yet.',
+      { parse_mode: 'HTML' }
+    );
+  } catch (err) {
+    if (isSwiggyAuthError(err)) {
+      await bot.sendMessage(chatId, '<b>Your Swiggy login has expired.</b> Send /login, then /track again.', { parse_mode: 'HTML' });
+      return;
+    }
+    log.tgErr('track failed', { chatId, error: err?.message });
+    await bot.sendMessage(chatId, `Could not check your orders: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Check a past order against today's menu, say what changed, then let Claude rebuild the cart
+ * and place it — the order still stops at the Confirm / Cancel step.
+ */
+async function reorder(chatId, userId, order) {
+  if (!canReorder(order)) {
+    await bot.sendMessage(chatId, order.vertical === 'dineout' ? 'Table bookings cannot be reordered — just ask for a new one.' : "I didn't keep the items of that order, so it can't be reordered.");
+    return;
+  }
+  let check;
+  try {
+    const token = await getSwiggyAuth(chatId);
+    check = await checkReorder(order, { tools: await getClaudeTools(token), token });
+  } catch (err) {
+    if (isSwiggyAuthError(err)) {
+      await bot.sendMessage(chatId, '<b>Your Swiggy login has expired.</b> Send /login, then try the reorder again.', { parse_mode: 'HTML' });
+      return;
+    }
+    log.tgErr('reorder check failed', { chatId, error: err?.message });
+    await bot.sendMessage(chatId, `Could not load the menu: ${err?.message || err}`);
+    return;
+  }
+  await bot.sendMessage(chatId, formatReorderCheck(order, check), { parse_mode: 'HTML' });
+  if (!check.available.length) {
+    await bot.sendMessage(chatId, 'Nothing from that order is available right now, so there is nothing to reorder.');
+    return;
+  }
+  // Same restaurant and address as last time; the old cart ID is no use for a new cart
+  const state = await getSessionState(chatId);
+  if (order.restaurantId) state.restaurantId = order.restaurantId;
+  if (order.addressId) state.addressId = order.addressId;
+  state.cartId = null;
+  await saveSession(chatId);
+  await runTurn({ chatId, userId, text: reorderPrompt(order, check), source: 'reorder' });
+}
+
+const GROUP_MENU_BUTTONS = 30;
+
+/** Item buttons for a group order (tap = add 1 for whoever tapped). */
+function groupMenuKeyboard(items) {
+  const rows = [];
+  const buttons = items.slice(0, GROUP_MENU_BUTTONS).map((i) => ({
+    text: `${i.name}${i.price != null ? ` ₹${i.price}` : ''}`.slice(0, 60),
+    callback_data: `go:a:${i.id}`.slice(0, 64),
+  }));
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  return { inline_keyboard: rows };
+}
+
+function groupHostKeyboard() {
+  return { inline_keyboard: [[{ text: '✅ Close & order', callback_data: 'go:close' }, { text: '🗑 Cancel group order', callback_data: 'go:cancel' }]] };
+}
+
+function groupUnknownKeyboard() {
+  return { inline_keyboard: [[{ text: '🔁 Not placed — reopen', callback_data: 'go:reopen' }, { text: '🗑 Cancel group order', callback_data: 'go:cancel' }]] };
+}
+
+async function sendGroupStatus(chatId, order) {
+  await bot.sendMessage(chatId, formatBreakdown(order), { parse_mode: 'HTML', reply_markup: groupHostKeyboard() });
+}
+
+/**
+ * Host closes the group order: combined cart, Confirm / Cancel for the host, then the split bill.
+ */
+async function closeGroupOrder(chatId, user) {
+  const order = await getGroupOrder(chatId);
+  if (!order) {
+    await bot.sendMessage(chatId, 'There is no open group order in this chat.');
+    return;
+  }
+  if (order.hostId !== user?.id) {
+    await bot.sendMessage(chatId, `Only ${order.hostName} (the host) can close this group order.`);
+    return;
+  }
+  const loadingMsg = await bot.sendMessage(chatId, 'Building the group cart…');
+  const trace = { requestId: newRequestId(), chatId };
+  const started = Date.now();
+  audit('request', { ...trace, userId: user.id, source: 'group order', text: `/closeorder ${order.restaurant}` });
+  try {
+    const token = await getSwiggyAuth(chatId);
+    const result = await placeGroupOrder(chatId, {
+      tools: await getClaudeTools(token),
+      token,
+      confirm: async (summary) => {
+        const answer = await askOrderConfirmation(chatId, user.id, summary);
+        const confirmed = answer === true;
+        audit('order_confirmation', { ...trace, tool: 'group order', confirmed, timedOut: answer === 'timeout', total: summary.total ?? null });
+        return confirmed;
+      },
+      check: async (summary) => {
+        const refusal = await checkOrderAllowed(chatId, { userId: user.id, vertical: 'food', amount: summary.total });
+        if (refusal) audit('order_refused', { ...trace, tool: 'group order', reason: refusal, total: summary.total ?? null });
+        return refusal;
+      },
+    });
+    if (result.placed || result.error) {
+      audit('order_verdict', { ...trace, tool: result.toolName ?? 'group order', success: !!result.placed, orderId: result.orderId ?? null, error: result.unknown ? `placement unknown: ${result.error}` : result.error ?? null });
+    }
+    audit('request_done', { ...trace, latencyMs: Date.now() - started, orderId: result.orderId ?? null });
+    await bot.deleteMessage(chatId, loadingMsg.message_id).catch(() => {});
+    if (result.refusal) {
+      await bot.sendMessage(chatId, `${result.refusal}\n\nThe group order is still open.`);
+      return;
+    }
+    if (result.cancelled) {
+      await bot.sendMessage(chatId, 'Group order not placed — it is still open. Members can keep adding; the host can close it again.');
+      return;
+    }
+    if (result.unknown) {
+      log.tgErr('group order placement unknown', { chatId, error: result.error });
+      await bot.sendMessage(
+        chatId,
+        `<b>I don't know whether the group order went through</b> — Swiggy stopped answering after I sent it (${escapeHtml(result.error)}).\n\n` +
+          `${escapeHtml(order.hostName)}, check /track or /history (or the Swiggy app) before ordering again. If it was not placed, reopen the group order.`,
+        { parse_mode: 'HTML', reply_markup: groupUnknownKeyboard() }
+      );
+      return;
+    }
+    if (!result.placed) {
+      await bot.sendMessage(chatId, `I couldn't place the group order. ${result.error}\n\nThe group order is still open.`);
+      return;
+    }
+    await bot.sendMessage(chatId, formatSplitBill(result.order, result.total, result.orderId), { parse_mode: 'HTML' });
+    const tracked = await recordOrder(chatId, {
+      orderId: result.orderId,
+      toolName: result.toolName,
+      vertical: 'food',
+      restaurantId: result.order.restaurantId,
+      restaurant: result.order.restaurant,
+      addressId: result.order.addressId,
+      address: result.summary.address,
+      items: result.items.map((i) => ({ id: i.id, name: i.name, quantity: i.quantity, unitPrice: i.price })),
+      total: result.total,
+      userId: user.id,
+    }).catch((err) => log.tgErr('recording group order failed', err?.message));
+    if (tracked?.active) await bot.sendMessage(chatId, "I'll post status updates here. Send /track to check on it anytime.");
+  } catch (err) {
+    audit('request_done', { ...trace, latencyMs: Date.now() - started, error: err?.message || String(err) });
+    await bot.deleteMessage(chatId, loadingMsg.message_id).catch(() => {});
+    if (isSwiggyAuthError(err)) {
+      await bot.sendMessage(chatId, '<b>The Swiggy login for this chat has expired.</b> Send /login, then close the order again.', { parse_mode: 'HTML' });
+      return;
+    }
+    log.tgErr('group order failed', { chatId, error: err?.message });
+    await bot.sendMessage(chatId, `Group order failed: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Group-order commands and "+2 item" messages. Returns true when the message was handled.
+ */
+async function handleGroupOrderMessage(msg, text, role) {
+  const chatId = msg.chat.id;
+  const command = text.split(/\s+/, 1)[0];
+  const arg = text.slice(command.length).trim();
+
+  // /grouporder <restaurant> — open a shared cart, the sender is the host
+  if (command === '/grouporder') {
+    if (!hasRole(role, 'orderer')) {
+      await bot.sendMessage(chatId, BROWSE_ONLY);
+      return true;
+    }
+    const existing = await getGroupOrder(chatId);
+    if (existing || !arg) {
+      if (existing) await sendGroupStatus(chatId, existing);
+      else await bot.sendMessage(chatId, 'Start a shared cart with /grouporder <restaurant>, e.g. /grouporder Meghana Foods');
+      return true;
+    }
+    const loadingMsg = await bot.sendMessage(chatId, `Finding ${arg}…`);
+    try {
+      const token = await getSwiggyAuth(chatId);
+      const state = await getSessionState(chatId);
+      const order = await openGroupOrder(chatId, { host: msg.from, query: arg, addressId: state.addressId, tools: await getClaudeTools(token), token });
+      await bot.deleteMessage(chatId, loadingMsg.message_id).catch(() => {});
+      await bot.sendMessage(
+        chatId,
+        `🍱 <b>Group order from ${escapeHtml(order.restaurant)}</b> — host: ${escapeHtml(order.hostName)}\n\n` +
+          'Everyone: tap an item below or send e.g. <code>+2 Chicken Biryani</code>. /remove &lt;item&gt; takes one of yours out, /groupstatus shows who ordered what.\n' +
+          'The host closes the order with /closeorder.',
+        { parse_mode: 'HTML', reply_markup: groupMenuKeyboard(order.menu) }
+      );
+    } catch (err) {
+      await bot.deleteMessage(chatId, loadingMsg.message_id).catch(() => {});
+      if (isSwiggyAuthError(err)) {
+        await bot.sendMessage(chatId, '<b>This chat needs a Swiggy login.</b> Send /login first.', { parse_mode: 'HTML' });
+      } else {
+        await bot.sendMessage(chatId, `Couldn't start the group order: ${err?.message || err}`);
+      }
+    }
+    return true;
+  }
+
+  const groupCommands = ['/add', '/remove', '/groupstatus', '/closeorder', '/cancelgroup'];
+  if (!groupCommands.includes(command) && !text.startsWith('+')) return false;
+  const order = await getGroupOrder(chatId);
+  if (!order) {
+    // "+1 for that idea" in a chat without a group order is just a message
+    if (text.startsWith('+')) return false;
+    await bot.sendMessage(chatId, 'There is no open group order in this chat. Start one with /grouporder <restaurant>.');
+    return true;
+  }
+
+  if (command === '/groupstatus') {
+    await sendGroupStatus(chatId, order);
+    return true;
+  }
+  if (!hasRole(role, 'orderer')) {
+    await bot.sendMessage(chatId, BROWSE_ONLY);
+    return true;
+  }
+  if (command === '/closeorder') {
+    await inChatQueue(chatId, msg.from?.id, () => closeGroupOrder(chatId, msg.from));
+    return true;
+  }
+  if (command === '/cancelgroup') {
+    if (order.hostId !== msg.from?.id) {
+      await bot.sendMessage(chatId, `Only ${order.hostName} (the host) can cancel this group order.`);
+      return true;
+    }
+    await cancelGroupOrder(chatId);
+    await bot.sendMessage(chatId, order.status === 'unknown' ? 'Group order cancelled.' : 'Group order cancelled — nothing was ordered.');
+    return true;
+  }
+  if (command === '/remove') {
+    const removed = arg ? await removeMemberItem(chatId, msg.from, arg) : null;
+    await bot.sendMessage(chatId, removed ? `Removed ${removed.quantity} × ${removed.name} for ${memberName(msg.from)}.` : 'Send /remove <item> with the name of one of your items.');
+    return true;
+  }
+
+  // /add 2 biryani, +2 biryani
+  const parsed = parseAddCommand(text);
+  if (!parsed) {
+    await bot.sendMessage(chatId, 'Send e.g. +2 Chicken Biryani to add to the group order.');
+    return true;
+  }
+  const matches = findMenuItems(order, parsed.query);
+  if (matches.length === 1) {
+    try {
+      const items = await addMemberItem(chatId, msg.from, matches[0], parsed.quantity);
+      const mine = items.map((i) => `${i.quantity} × ${escapeHtml(i.name)}`).join(', ');
+      await bot.sendMessage(chatId, `✅ ${escapeHtml(memberName(msg.from))}: ${mine}`, { parse_mode: 'HTML' });
+    } catch (err) {
+      await bot.sendMessage(chatId, err?.message || String(err));
+    }
+  } else if (matches.length > 1) {
+    await bot.sendMessage(chatId, `Which one did you mean? Tap to add 1:`, { reply_markup: groupMenuKeyboard(matches) });
+  } else {
+    await bot.sendMessage(chatId, `"${parsed.query}" isn't on the ${order.restaurant} menu. Tap an item from the menu message instead.`);
+  }
+  return true;
+}
+
+/**
+ * Start polling active orders and pushing status changes (call once, after registerBotHandlers).
+ */
+export function startOrderTracking() {
+  startOrderPoller({ getToken: getSwiggyAuth, getTools: getClaudeTools, notify: notifyOrderStatus });
+}
+
+/**
+ * A schedule came due: reminders are just sent; orders run their instructions as a Claude turn,
+ * which rebuilds the cart and stops at the Confirm / Cancel buttons like any other order.
+ */
+async function fireScheduledJob(job) {
+  if (job.action === 'reminder') {
+    await bot.sendMessage(job.chatId, `⏰ <b>Reminder:</b> ${escapeHtml(job.instructions)}`, { parse_mode: 'HTML' });
+    return;
+  }
+  if (!hasRole(await roleOf({ id: job.userId }), 'orderer')) {
+    log.tg('skipping scheduled order, user can no longer order', { chatId: job.chatId, userId: job.userId, jobId: job.id });
+    await bot.sendMessage(
+      job.chatId,
+      `⏰ Skipped the scheduled order "${escapeHtml(job.description)}" — whoever set it up can no longer place orders.`,
+      { parse_mode: 'HTML' }
+    );
+    return;
+  }
+  await bot.sendMessage(
+    job.chatId,
+    `⏰ <b>Scheduled order:</b> ${escapeHtml(job.description)}\nBuilding your cart — nothing is placed until you confirm.`,
+    { parse_mode: 'HTML' }
+  );
+  await runTurn({ chatId: job.chatId, userId: job.userId, text: job.instructions, scheduled: true });
+}
+
+/**
+ * Start firing due schedules (call once, after registerBotHandlers).
+ */
+export function startScheduling() {
+  startScheduler({ onFire: (job) => track(fireScheduledJob(job)) });
+}
+
+async function sendSchedules(chatId, messageId) {
+  const { text, replyMarkup } = formatSchedules(await listSchedules(chatId));
+  if (messageId) {
+    await bot
+      .editMessageText(text, { chat_id: chatId, message_id: messageId, parse_mode: 'HTML', reply_markup: replyMarkup })
+      .catch(() => {});
+    return;
+  }
+  await bot.sendMessage(chatId, text, { parse_mode: 'HTML', reply_markup: replyMarkup });
+}
+
+/** Download a file the user sent (voice note, photo) into a Buffer. */
+async function downloadTelegramFile(fileId) {
+  const chunks = [];
+  for await (const chunk of bot.getFileStream(fileId)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Voice note: transcribe it, echo "I heard: …" so a mishearing is obvious, then handle the
+ * words exactly like a typed request.
+ */
+async function handleVoice(msg) {
+  const chatId = msg.chat.id;
+  const voice = msg.voice || msg.audio;
+  const maxSeconds = Number(process.env.VOICE_MAX_SECONDS) || 120;
+  if (voice.duration > maxSeconds) {
+    await bot.sendMessage(chatId, `That voice message is too long — keep it under ${maxSeconds} seconds, or type your request.`);
+    return;
+  }
+
+  const listening = await bot.sendMessage(chatId, '🎙 Listening…');
+  let transcript;
+  try {
+    transcript = await transcribeAudio(await downloadTelegramFile(voice.file_id), { mimeType: voice.mime_type });
+  } catch (err) {
+    if (err?.code === 'STT_UNAVAILABLE') {
+      log.tgErr('voice input unavailable', err.message);
+      await bot.sendMessage(chatId, "Voice messages aren't set up on this bot — please type your request instead.");
+    } else {
+      log.tgErr('transcription failed', { chatId, error: err?.message });
+      await bot.sendMessage(chatId, "Sorry, I couldn't transcribe that voice message. Please try again or type your request.");
+    }
+    return;
+  } finally {
+    await bot.deleteMessage(chatId, listening.message_id).catch(() => {});
+  }
+
+  if (!transcript) {
+    await bot.sendMessage(chatId, "I couldn't make out any words — please try again or type your request.");
+    return;
+  }
+  await bot.sendMessage(chatId, `🎙 I heard: <i>${escapeHtml(transcript)}</i>`, { parse_mode: 'HTML' });
+  await runTurn({ chatId, userId: msg.from?.id, text: transcript, source: 'voice' });
+}
+
+/** Bot admins anywhere; in groups also the chat's Telegram admins. A private chat grants nothing by itself. */
+async function isChatAdmin(msg) {
+  if (await isBotAdmin(msg.from)) return true;
+  if (msg.chat.type === 'private') return false;
+  try {
+    const member = await bot.getChatMember(msg.chat.id, msg.from?.id);
+    return member.status === 'creator' || member.status === 'administrator';
+  } catch (err) {
+    log.tgErr('admin check failed', err?.message);
+    return false;
+  }
+}
+
+/**
+ * /cancel: abort the chat's running Claude/MCP loop (it replies "Stopped." in its own message),
+ * answer a waiting Confirm prompt with Cancel, and drop queued requests. In groups only the person
+ * who asked, or a chat admin, can cancel. An order tool that has already started is not interrupted.
+ */
+async function handleCancel(msg) {
+  const chatId = msg.chat.id;
+  const running = runningTurn(chatId);
+  if (running && running.userId !== msg.from?.id && !(await isChatAdmin(msg))) {
+    await bot.sendMessage(chatId, 'Only the person who asked (or a group admin) can cancel this request.');
+    return;
+  }
+  const { running: aborted, dropped } = cancelChat(chatId);
+  for (const [id, pending] of [...pendingConfirmations]) {
+    if (pending.chatId !== chatId) continue;
+    settleConfirmation(id, false);
+    if (pending.messageId) {
+      bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: pending.messageId }).catch(() => {});
+    }
+  }
+  if (!aborted && !dropped) {
+    await bot.sendMessage(chatId, 'Nothing to cancel.');
+  } else if (dropped) {
+    await bot.sendMessage(chatId, `Dropped ${dropped} waiting request${dropped === 1 ? '' : 's'}.`);
+  }
+}
+
+/**
+ * /budget shows the limits and what is left; /budget <field> <value|off> sets one for the chat,
+ * or for one person when sent as a reply to their message. A personal limit applies in every chat,
+ * so only bot admins set those; group admins can set their group's own limits.
+ */
+async function handleBudget(msg, args) {
+  const chatId = msg.chat.id;
+  if (!args) {
+    await bot.sendMessage(chatId, await formatBudget(chatId, msg.from?.id), { parse_mode: 'HTML' });
+    return;
+  }
+  if (!(await isChatAdmin(msg))) {
+    await bot.sendMessage(chatId, 'Only bot admins (or group admins, in a group) can change spending limits.');
+    return;
+  }
+  const [field, ...rest] = args.split(/\s+/);
+  const target = msg.reply_to_message?.from;
+  if (target && !target.is_bot && !(await isBotAdmin(msg.from))) {
+    await bot.sendMessage(chatId, "Only bot admins can set someone's personal limits — they apply in every chat.");
+    return;
+  }
+  try {
+    const value = parseLimitValue(field.toLowerCase(), rest.join(' '));
+    await setLimit(chatId, {
+      userId: target && !target.is_bot ? target.id : null,
+      name: target ? memberName(target) : null,
+      field: field.toLowerCase(),
+      value,
+    });
+    const who = target && !target.is_bot ? ` for ${memberName(target)}` : '';
+    await bot.sendMessage(
+      chatId,
+      `${value == null ? 'Removed' : 'Set'} the ${LIMIT_FIELDS[field.toLowerCase()]} limit${who}.\n\n${await formatBudget(chatId, msg.from?.id)}`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (err) {
+    await bot.sendMessage(chatId, err?.message || String(err));
+  }
+}
+
+/**
+ * /allow <id|@username> [admin|orderer|browse] (default orderer), /revoke <id|@username> and /users.
+ * Sent as a reply, /allow and /revoke target the author of the replied-to message.
+ */
+async function handleAccessCommand(msg, text, role) {
+  const chatId = msg.chat.id;
+  if (!isAccessControlOn()) {
+    await bot.sendMessage(chatId, 'Access control is off (ACCESS_CONTROL=off), so everyone can use this bot.');
+    return;
+  }
+  if (!hasRole(role, 'admin')) {
+    await bot.sendMessage(chatId, 'Only bot admins can manage users.');
+    return;
+  }
+  const [command, ...args] = text.split(/\s+/);
+  if (command === '/users') {
+    await bot.sendMessage(chatId, await formatUsers(), { parse_mode: 'HTML' });
+    return;
+  }
+
+  const replied = msg.reply_to_message?.from;
+  let ref;
+  if (replied && !replied.is_bot && (!args[0] || ROLES.includes(args[0].toLowerCase()))) {
+    ref = { id: replied.id, username: replied.username?.toLowerCase(), name: memberName(replied) };
+  } else {
+    ref = parseUserRef(args.shift());
+  }
+  if (!ref) {
+    await bot.sendMessage(chatId, `Usage: ${command} &lt;user ID or @username&gt;${command === '/allow' ? ' [admin|orderer|browse]' : ''} — or send it as a reply to their message.`, { parse_mode: 'HTML' });
+    return;
+  }
+
+  if (command === '/revoke') {
+    const removed = await revokeUser(ref);
+    await bot.sendMessage(
+      chatId,
+      removed ? `Removed ${escapeHtml(describeUser(removed))}.` : `${escapeHtml(describeUser(ref))} is not on the allowlist.`,
+      { parse_mode: 'HTML' }
+    );
+    return;
+  }
+  try {
+    const entry = await allowUser(ref, (args[0] || 'orderer').toLowerCase(), msg.from?.id);
+    await bot.sendMessage(chatId, `✅ ${escapeHtml(describeUser(entry))} can now use the bot as <b>${entry.role}</b>.`, { parse_mode: 'HTML' });
+  } catch (err) {
+    await bot.sendMessage(chatId, escapeHtml(err?.message || String(err)), { parse_mode: 'HTML' });
+  }
+}
+
+/**
+ * /usage shows this chat's and the caller's token use; admins change the daily cap with
+ * /usage limit <tokens> (off: no cap, default: back to USAGE_DAILY_TOKENS).
+ */
+async function handleUsage(msg, args, role) {
+  const chatId = msg.chat.id;
+  if (!args) {
+    await bot.sendMessage(chatId, await formatUsage(chatId, msg.from?.id), { parse_mode: 'HTML' });
+    return;
+  }
+  const [sub, value = ''] = args.split(/\s+/);
+  if (sub !== 'limit') {
+    await bot.sendMessage(chatId, 'Usage: /usage, or /usage limit <tokens|off|default>');
+    return;
+  }
+  if (!hasRole(role, 'admin')) {
+    await bot.sendMessage(chatId, 'Only bot admins can change the daily token limit.');
+    return;
+  }
+  const tokens = Number(value.replace(/[,_]/g, ''));
+  if (value !== 'off' && value !== 'default' && !(Number.isInteger(tokens) && tokens > 0)) {
+    await bot.sendMessage(chatId, 'Give the limit as a number of tokens, e.g. /usage limit 200000, or off / default.');
+    return;
+  }
+  await setDailyQuota(chatId, value === 'off' ? null : value === 'default' ? undefined : tokens);
+  await bot.sendMessage(chatId, await formatUsage(chatId, msg.from?.id), { parse_mode: 'HTML' });
+}
+
+/** The image in a message: the largest size of a photo, or an image sent as a file. */
+function imageOf(msg) {
+  if (msg.photo?.length) return { ...msg.photo.at(-1), mime_type: 'image/jpeg' };
+  if (msg.document && IMAGE_TYPES.includes(msg.document.mime_type)) return msg.document;
+  return null;
+}
+
+/**
+ * Photo of a grocery list or shelf: Claude reads the items, Instamart search matches them and the
+ * chat gets a review with substitutions marked. Nothing is added until 🛒 Add to cart.
+ */
+async function handlePhoto(msg, image, signal) {
+  const chatId = msg.chat.id;
+  if (image.file_size > MAX_IMAGE_BYTES) {
+    await bot.sendMessage(chatId, 'That image is too large (over 5 MB). Send it as a photo instead of a file.');
+    return;
+  }
+  const reading = await bot.sendMessage(chatId, '📷 Reading your list…');
+  const usingChatLogin = await isChatLoggedIn(chatId);
+  const trace = { requestId: newRequestId(), chatId };
+  const started = Date.now();
+  audit('request', { ...trace, userId: msg.from?.id ?? null, source: 'photo', text: (msg.caption || '').slice(0, 200) });
+  const overQuota = await checkQuota(chatId);
+  if (overQuota) {
+    audit('request_done', { ...trace, latencyMs: Date.now() - started, error: 'daily token quota used up' });
+    await bot.deleteMessage(chatId, reading.message_id).catch(() => {});
+    await bot.sendMessage(chatId, overQuota);
+    return;
+  }
+  try {
+    const token = await getSwiggyAuth(chatId);
+    const state = await getSessionState(chatId);
+    const data = (await downloadTelegramFile(image.file_id)).toString('base64');
+    let list = null;
+    const { text: reply, usage, stopReason } = await chatWithClaudeMcp({
+      anthropic: anthropicClient,
+      userMessage: groceryPhotoPrompt(msg.caption),
+      images: [{ mediaType: image.mime_type, data }],
+      swiggyAuthToken: token,
+      sessionState: state,
+      localTools: [groceryListTool((items) => { list = items; })],
+      // No Swiggy tools at all, so the turn cannot touch the cart or place an order
+      allowTool: (name) => name === GROCERY_LIST_TOOL,
+      trace,
+      chatId,
+      signal,
+    });
+    await recordUsage(chatId, { userId: msg.from?.id, usage, model: CLAUDE_MODEL }).catch((err) => log.tgErr('recording usage failed', err?.message));
+    if (!list || stopReason === 'aborted') {
+      await sendHtml(chatId, reply || "I couldn't find a grocery list in that photo.").catch(() => {});
+      return;
+    }
+    const items = await matchGroceryList(list, { tools: await getClaudeTools(token), token, addressId: state.addressId });
+    const review = { userId: msg.from?.id ?? null, addressId: state.addressId ?? null, items, createdAt: Date.now() };
+    await saveGroceryReview(chatId, review);
+    const { text, replyMarkup } = formatGroceryReview(review);
+    await bot.sendMessage(chatId, text, { parse_mode: 'HTML', reply_markup: replyMarkup });
+    audit('request_done', { ...trace, latencyMs: Date.now() - started, listItems: items.length });
+  } catch (err) {
+    audit('request_done', { ...trace, latencyMs: Date.now() - started, error: err?.message || String(err) });
+    if (isSwiggyAuthError(err)) {
+      await bot.sendMessage(
+        chatId,
+        usingChatLogin || !process.env.SWIGGY_AUTH_TOKEN
+          ? '<b>Your Swiggy login has expired.</b> Send /login, then send the photo again.'
+          : '<b>The shared Swiggy token was rejected.</b> Send /login to use your own account.',
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+    log.tgErr('photo list failed', { chatId, error: err?.message });
+    await bot.sendMessage(chatId, `Could not read that photo: ${err?.message || err}`);
+  } finally {
+    await bot.deleteMessage(chatId, reading.message_id).catch(() => {});
+  }
+}
+
+/**
+ * Text messages: commands first, anything else is a Claude turn. Voice notes are transcribed
+ * first; photos become a grocery review.
+ */
+async function handleMessage(msg) {
+  const chatId = msg.chat.id;
+  // In groups Telegram sends commands as /command@BotName
+  const text = msg.text?.trim().replace(/^(\/\w+)@\w+/, '$1');
+
+  const role = await roleOf(msg.from);
+  if (!role) {
+    // In groups only answer commands, so strangers chatting there don't get a reply each time
+    if (msg.chat.type === 'private' || text?.startsWith('/')) {
+      await bot.sendMessage(
+        chatId,
+        `This bot is private. Your Telegram ID is <code>${msg.from?.id}</code> — ask an admin to /allow you.`,
+        { parse_mode: 'HTML' }
+      );
+    }
+    return;
+  }
+
+  if (draining) {
+    if (msg.chat.type === 'private' || text?.startsWith('/')) await bot.sendMessage(chatId, RESTARTING);
+    return;
+  }
+
+  if (!text && (msg.voice || msg.audio)) {
+    await handleVoice(msg);
+    return;
+  }
+  const image = !text && imageOf(msg);
+  if (image) {
+    if (!hasRole(role, 'orderer')) await bot.sendMessage(chatId, BROWSE_ONLY);
+    else await inChatQueue(chatId, msg.from?.id, ({ signal }) => handlePhoto(msg, image, signal));
+    return;
+  }
+  if (!text) return;
+
+  if (await handleGroupOrderMessage(msg, text, role)) return;
+
+  // /start
+  if (text === '/start') {
+    await bot.sendMessage(
+      chatId,
+      `<b>Hi! I'm your Swiggy assistant.</b> You can:\n\n` +
+        `• <b>Order food</b> — e.g. "Find biryani near me and add one to cart"\n` +
+        `• <b>Order groceries</b> — e.g. "Add milk and bread to my Instamart cart for home delivery"\n` +
+        `• <b>Book tables</b> — e.g. "Book a table for 2 at an Italian place in Koramangala tomorrow at 8 PM"\n` +
+        `• <b>Send a photo</b> of your shopping list to fill your Instamart cart, or a voice note instead of typing\n\n` +
+        `Send /login to connect your own Swiggy account, /track to follow your orders, /history to reorder a past one, /schedules for recurring orders. In a group, /grouporder &lt;restaurant&gt; starts a shared cart. /forget deletes this chat's history, session and login.\n\n` +
+        `<i>Tip:</i> Say your delivery address (e.g. "use my home address") for faster ordering. Use /clear to start fresh. COD only; orders can't be cancelled once placed.`,
+      { parse_mode: 'HTML' }
+    );
+    return;
+  }
+
+  // /help
+  if (text === '/help') {
+    await bot.sendMessage(
+      chatId,
+      'Just type (or send a voice note saying) what you want in plain language, e.g.:\n\n' +
+        '• "Order chicken biryani from a good restaurant"\n' +
+        '• "Add Maggi and eggs to my Instamart cart"\n' +
+        '• "Book a table for 4 at a North Indian restaurant this Saturday 7 PM"\n' +
+        '• "Order my usual breakfast from Instamart every weekday at 8am"',
+      { parse_mode: 'HTML' }
+    );
+    return;
+  }
+
+  // /track — live status of this chat's active orders
+  if (text === '/track') {
+    await handleTrack(chatId);
+    return;
+  }
+
+  // /budget — spending limits and what is left
+  if (text === '/budget' || text.startsWith('/budget ')) {
+    await handleBudget(msg, text.slice('/budget'.length).trim());
+    return;
+  }
+
+  // /usage — tokens and estimated cost; /usage limit <tokens|off|default> sets the chat's daily cap
+  if (text === '/usage' || text.startsWith('/usage ')) {
+    await handleUsage(msg, text.slice('/usage'.length).trim(), role);
+    return;
+  }
+
+  // /history — past orders with 🔁 buttons
+  if (text === '/history') {
+    const { text: html, replyMarkup } = formatHistory(await getOrders(chatId));
+    await bot.sendMessage(chatId, html, { parse_mode: 'HTML', reply_markup: replyMarkup });
+    return;
+  }
+
+  // /reorder <n> — n as numbered in /history (1 = most recent)
+  if (text === '/reorder' || text.startsWith('/reorder ')) {
+    const n = Number(text.slice('/reorder'.length).trim() || 1);
+    const order = historyList(await getOrders(chatId))[n - 1];
+    if (!hasRole(role, 'orderer')) {
+      await bot.sendMessage(chatId, BROWSE_ONLY);
+      return;
+    }
+    if (!Number.isInteger(n) || !order) {
+      await bot.sendMessage(chatId, 'Send /history to see your past orders, then /reorder <n> with the number of the one you want.');
+      return;
+    }
+    await reorder(chatId, msg.from?.id, order);
+    return;
+  }
+
+  // /schedules — scheduled and recurring orders with pause / delete buttons
+  if (text === '/schedules') {
+    await sendSchedules(chatId);
+    return;
+  }
+
+  // /refresh — reload .env, the MCP server registry and clear caches (use after updating SWIGGY_AUTH_TOKEN)
+  if (text === '/refresh') {
+    if (!hasRole(role, 'admin')) {
+      await bot.sendMessage(chatId, 'Only bot admins can use /refresh.');
+      return;
+    }
+    dotenv.config();
+    clearCaches();
+    const servers = getEnabledServers().map((s) => s.label).join(', ') || 'none';
+    await bot.sendMessage(chatId, `<b>Caches cleared.</b> New token loaded from .env. MCP servers: ${servers}. Try your request again.`, { parse_mode: 'HTML' });
+    return;
+  }
+
+  // /audit last — the most recent request's trace from the audit log (admins only)
+  if (text === '/audit' || text.startsWith('/audit ')) {
+    if (!hasRole(role, 'admin')) {
+      await bot.sendMessage(chatId, 'Only bot admins can read the audit log.');
+      return;
+    }
+    if (!['', 'last'].includes(text.slice('/audit'.length).trim())) {
+      await bot.sendMessage(chatId, 'Usage: /audit last');
+      return;
+    }
+    await bot.sendMessage(chatId, formatTrace(await lastRequestTrace(chatId)), { parse_mode: 'HTML' });
+    return;
+  }
+
+  // /allow, /revoke, /users — manage who may use the bot (admins only)
+  if (/^\/(allow|revoke|users)(\s|$)/.test(text)) {
+    await handleAccessCommand(msg, text, role);
+    return;
+  }
+
+  // /login — per-chat Swiggy OAuth. "/login <redirected URL>" finishes the login by hand
+  // when the browser cannot reach the bot's callback endpoint (e.g. on a phone).
+  if (text === '/login' || text.startsWith('/login ')) {
+    const pasted = text.slice('/login'.length).trim();
+    try {
+      if (pasted) {
+        const callback = new URL(pasted);
+        const loggedInChat = await completeLogin({
+          code: callback.searchParams.get('code'),
+          state: callback.searchParams.get('state'),
+        });
+        await bot.sendMessage(loggedInChat, '<b>Swiggy account connected.</b> Your orders from this chat now use your own account.', { parse_mode: 'HTML' });
+        return;
+      }
+      const url = await startLogin(chatId);
+      await bot.sendMessage(
+        chatId,
+        '<b>Connect your Swiggy account</b>\n\nOpen the link below and sign in. The link is valid for 10 minutes.\n\n' +
+          '<i>If the page fails to load after signing in, copy its address and send it here as</i> <code>/login &lt;address&gt;</code>.',
+        {
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: [[{ text: 'Log in to Swiggy', url }]] },
+        }
+      );
+    } catch (err) {
+      log.tgErr('login failed', { chatId, error: err?.message });
+      await bot.sendMessage(chatId, `Login failed: ${err?.message || 'unknown error'}`);
+    }
+    return;
+  }
+
+  // /logout, /clear and /forget undo what the chat has set up: orderers, bot admins or group admins only
+  if (['/logout', '/clear', '/forget'].includes(text) && !hasRole(role, 'orderer') && !(await isChatAdmin(msg))) {
+    await bot.sendMessage(chatId, BROWSE_ONLY);
+    return;
+  }
+
+  // /logout — revoke and forget this chat's Swiggy tokens
+  if (text === '/logout') {
+    const removed = await logout(chatId);
+    if (removed) clearCachesForToken(removed);
+    clearToolResults(chatId);
+    await clearSessionState(chatId);
+    await bot.sendMessage(
+      chatId,
+      removed ? '<b>Logged out of Swiggy.</b> Send /login to connect again.' : 'This chat is not logged in to Swiggy.',
+      { parse_mode: 'HTML' }
+    );
+    return;
+  }
+
+  // /cancel — stop the running request and drop queued ones
+  if (text === '/cancel') {
+    await handleCancel(msg);
+    return;
+  }
+
+  // /clear — reset session state (new search, new address, fresh start)
+  if (text === '/clear') {
+    clearToolResults(chatId);
+    await clearSessionState(chatId);
+    await bot.sendMessage(chatId, '<b>Session cleared.</b> Starting fresh—you can search again.', { parse_mode: 'HTML' });
+    return;
+  }
+
+  // /forget — delete what is stored for this chat (history, session, Swiggy login); KEPT_ON_FORGET stays
+  if (text === '/forget') {
+    const removedToken = await logout(chatId);
+    if (removedToken) clearCachesForToken(removedToken);
+    clearToolResults(chatId);
+    evictSession(chatId);
+    await deleteChatData(chatId, { keep: KEPT_ON_FORGET });
+    await bot.sendMessage(
+      chatId,
+      '<b>Forgotten.</b> Your history, session and Swiggy login for this chat have been deleted. Spending limits, the orders they count and token usage are kept.',
+      { parse_mode: 'HTML' }
+    );
+    return;
+  }
+
+  await runTurn({ chatId, userId: msg.from?.id, text });
+}
+
+/**
+ * Inline button presses: order confirmation, selection lists and paging.
+ */
+async function handleCallbackQuery(query) {
+  const [kind, id, answer] = String(query.data || '').split(':');
+
+  const role = await roleOf(query.from);
+  if (!role) {
+    await bot.answerCallbackQuery(query.id, { text: 'This bot is private — ask an admin to /allow you.' }).catch(() => {});
+    return;
+  }
+  // While draining only Confirm / Cancel of orders already in flight is handled
+  if (draining && kind !== 'ord') {
+    await bot.answerCallbackQuery(query.id, { text: RESTARTING }).catch(() => {});
+    return;
+  }
+  // Reorders, grocery carts, group orders, schedules and adding menu items all need ordering access
+  if (!hasRole(role, 'orderer') && (['ro', 'gl', 'go', 'sch'].includes(kind) || (kind === 'sel' && id === 'm'))) {
+    await bot.answerCallbackQuery(query.id, { text: BROWSE_ONLY }).catch(() => {});
+    return;
+  }
+
+  // 🔁 on /history
+  if (kind === 'ro') {
+    const chatId = query.message?.chat?.id;
+    const order = (await getOrders(chatId)).find((o) => orderKey(o) === id);
+    await bot.answerCallbackQuery(query.id, order ? {} : { text: 'That order is no longer in your history.' }).catch(() => {});
+    if (order) await reorder(chatId, query.from?.id, order);
+    return;
+  }
+
+  // Grocery review from a photo: ✖ n skips an item, 🛒 adds the rest to the cart, ❌ discards it
+  if (kind === 'gl') {
+    const chatId = query.message?.chat?.id;
+    const review = await getGroceryReview(chatId);
+    if (!review) {
+      await bot.answerCallbackQuery(query.id, { text: 'This list has expired — send the photo again.' }).catch(() => {});
+      return;
+    }
+    if (review.userId && query.from?.id !== review.userId) {
+      await bot.answerCallbackQuery(query.id, { text: 'Only the person who sent the photo can change this list.' }).catch(() => {});
+      return;
+    }
+    const messageOptions = { chat_id: chatId, message_id: query.message.message_id };
+    if (id === 'skip') {
+      const updated = await skipGroceryItem(chatId, Number(answer));
+      await bot.answerCallbackQuery(query.id, { text: updated ? 'Skipped' : 'Nothing to skip' }).catch(() => {});
+      if (updated) {
+        const { text, replyMarkup } = formatGroceryReview(updated);
+        await bot.editMessageText(text, { ...messageOptions, parse_mode: 'HTML', reply_markup: replyMarkup }).catch(() => {});
+      }
+      return;
+    }
+    await clearGroceryReview(chatId);
+    await bot.answerCallbackQuery(query.id, { text: id === 'add' ? 'Adding to cart…' : 'Discarded' }).catch(() => {});
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, messageOptions).catch(() => {});
+    if (id === 'add' && itemsToAdd(review).length) {
+      if (review.addressId) {
+        const state = await getSessionState(chatId);
+        state.addressId = review.addressId;
+        await saveSession(chatId);
+      }
+      await runTurn({ chatId, userId: query.from?.id, text: groceryCartPrompt(review), source: 'button' });
+    }
+    return;
+  }
+
+  // ⏸ / ▶ / 🗑 on /schedules (sch:p|r|d:<jobId>)
+  if (kind === 'sch') {
+    const chatId = query.message?.chat?.id;
+    const job = id === 'd' ? await deleteSchedule(chatId, answer) : await setSchedulePaused(chatId, answer, id === 'p');
+    const done = { p: 'Paused', r: 'Resumed', d: 'Deleted' }[id];
+    await bot.answerCallbackQuery(query.id, { text: job ? done : 'That schedule no longer exists.' }).catch(() => {});
+    await sendSchedules(chatId, query.message.message_id);
+    return;
+  }
+
+  // Group order: tap an item (go:a:<itemId>), host closes (go:close), cancels (go:cancel) or reopens after an unknown placement (go:reopen)
+  if (kind === 'go') {
+    const chatId = query.message?.chat?.id;
+    const order = await getGroupOrder(chatId);
+    if (!order) {
+      await bot.answerCallbackQuery(query.id, { text: 'This group order is closed.' }).catch(() => {});
+      return;
+    }
+    if (id === 'a') {
+      try {
+        const items = await addMemberItem(chatId, query.from, String(query.data).slice('go:a:'.length));
+        const added = items.find((i) => String(query.data).endsWith(`:${i.id}`));
+        await bot.answerCallbackQuery(query.id, { text: `Added 1 × ${added?.name ?? 'item'} for you` }).catch(() => {});
+        await bot.sendMessage(chatId, `✅ ${memberName(query.from)}: ${items.map((i) => `${i.quantity} × ${i.name}`).join(', ')}`);
+      } catch (err) {
+        await bot.answerCallbackQuery(query.id, { text: (err?.message || String(err)).slice(0, 190) }).catch(() => {});
+      }
+      return;
+    }
+    if (order.hostId !== query.from?.id) {
+      await bot.answerCallbackQuery(query.id, { text: `Only ${order.hostName} (the host) can do that.` }).catch(() => {});
+      return;
+    }
+    await bot.answerCallbackQuery(query.id).catch(() => {});
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id }).catch(() => {});
+    if (id === 'close') {
+      await inChatQueue(chatId, query.from?.id, () => closeGroupOrder(chatId, query.from));
+    } else if (id === 'cancel') {
+      await cancelGroupOrder(chatId);
+      await bot.sendMessage(chatId, order.status === 'unknown' ? 'Group order cancelled.' : 'Group order cancelled — nothing was ordered.');
+    } else if (id === 'reopen') {
+      if (await reopenGroupOrder(chatId)) {
+        await bot.sendMessage(chatId, 'Group order reopened. Members can keep adding; the host can close it again.', { reply_markup: groupHostKeyboard() });
+      }
+    }
+    return;
+  }
+
+  // ✅ Confirm / ❌ Cancel on an order summary
+  if (kind === 'ord') {
+    const pending = pendingConfirmations.get(id);
+    if (!pending) {
+      await bot.answerCallbackQuery(query.id, { text: 'This confirmation has expired.' }).catch(() => {});
+      return;
+    }
+    if (pending.userId && query.from?.id !== pending.userId) {
+      await bot.answerCallbackQuery(query.id, { text: 'Only the person who started this order can confirm it.' }).catch(() => {});
+      return;
+    }
+    const confirmed = answer === 'yes';
+    settleConfirmation(id, confirmed);
+    log.tg(`order ${confirmed ? 'confirmed' : 'cancelled'} by button`, { chatId: pending.chatId });
+    await bot.answerCallbackQuery(query.id, { text: confirmed ? 'Placing order…' : 'Cancelled' }).catch(() => {});
+    await bot
+      .editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: pending.chatId, message_id: pending.messageId ?? query.message?.message_id })
+      .catch(() => {});
+    return;
+  }
+
+  const chatId = query.message?.chat?.id;
+  if (chatId == null || !LIST_KINDS[id]) {
+    await bot.answerCallbackQuery(query.id).catch(() => {});
+    return;
+  }
+  const state = await getSessionState(chatId);
+
+  // ◀ / ▶ on a selection list
+  if (kind === 'pg') {
+    await bot.answerCallbackQuery(query.id).catch(() => {});
+    await bot
+      .editMessageReplyMarkup(buildSelectionKeyboard(id, state, Number(answer) || 0), {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+      })
+      .catch(() => {}); // "message is not modified" when tapping the page counter
+    return;
+  }
+
+  // Tap on a restaurant / menu item / address — the ID goes straight into session state
+  if (kind === 'sel') {
+    const listKind = id;
+    const selected = findSelection(listKind, state, answer);
+    if (!selected) {
+      await bot.answerCallbackQuery(query.id, { text: 'That list is out of date. Ask again to get a fresh one.' }).catch(() => {});
+      return;
+    }
+    await bot.answerCallbackQuery(query.id, { text: `Selected: ${LIST_KINDS[listKind].label(selected)}`.slice(0, 190) }).catch(() => {});
+
+    if (listKind === 'a') {
+      // Address needs no Claude round trip
+      state.addressId = String(selected.id);
+      await saveSession(chatId);
+      await bot.sendMessage(chatId, `📍 Delivering to: ${selected.addressLine || selected.id}`);
+      return;
+    }
+    if (listKind === 'r') {
+      state.restaurantId = String(selected.id);
+      await saveSession(chatId);
+      await runTurn({
+        chatId,
+        userId: query.from?.id,
+        text: `Show me the menu of ${selected.name} (restaurantId: ${selected.id}).`,
+        source: 'button',
+      });
+      return;
+    }
+    await runTurn({
+      chatId,
+      userId: query.from?.id,
+      text: `Add 1 × ${selected.name} (item ID: ${selected.id}) from restaurantId ${state.restaurantId} to my cart.`,
+      source: 'button',
+    });
+    return;
+  }
+
+  await bot.answerCallbackQuery(query.id).catch(() => {});
+}
+
+/**
+ * Attach all handlers to a TelegramBot (or anything with the same methods and on()).
+ * options.anthropic replaces the Anthropic client (tests pass a scripted fake).
+ */
+export function registerBotHandlers(telegramBot, { anthropic } = {}) {
+  bot = telegramBot;
+  anthropicClient = anthropic;
+  bot.on('message', (msg) => track(handleMessage(msg)));
+  bot.on('callback_query', (query) => track(handleCallbackQuery(query)));
+}
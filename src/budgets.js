@@ -0,0 +1,209 @@
+/**
+ * Spending guardrails, per chat and per user: max order value, daily and monthly spend caps,
+ * allowed verticals and quiet hours. Chat limits live under chat:<id>:budget and count the chat's
+ * recorded orders. A person's own limits live under user:<id>:budget and count their orders from
+ * every chat, so they follow them into DMs and other groups (cancelled orders don't count).
+ * Days and months follow BUDGET_TIMEZONE (default SCHEDULE_TIMEZONE, then Asia/Kolkata).
+ */
+
+import { getStore, chatKey, userKey } from './storage.js';
+import { getOrders, getUserOrders } from './order-tracking.js';
+import { zonedParts, zonedTimeToUtc, isValidTimeZone } from './cron.js';
+
+export const VERTICAL_LABELS = { food: 'Swiggy Food', instamart: 'Instamart', dineout: 'Dineout' };
+
+// /budget <field> <value>
+export const LIMIT_FIELDS = {
+  order: 'max order value',
+  daily: 'daily spend',
+  monthly: 'monthly spend',
+  verticals: 'allowed services',
+  quiet: 'quiet hours',
+};
+
+const log = {
+  budget: (msg, ...args) => console.log(`  \x1b[90m[Budget]\x1b[0m ${msg}`, ...args),
+};
+
+export function budgetTimeZone() {
+  const tz = process.env.BUDGET_TIMEZONE || process.env.SCHEDULE_TIMEZONE || 'Asia/Kolkata';
+  return isValidTimeZone(tz) ? tz : 'UTC';
+}
+
+function rupees(amount) {
+  return `₹${Math.round(amount).toLocaleString('en-IN')}`;
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Parse the value of /budget <field> <value>. "off" clears the limit (returns null).
+ * Throws an Error with a message fit to show when the value is invalid.
+ */
+export function parseLimitValue(field, text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (!LIMIT_FIELDS[field]) throw new Error(`Unknown setting "${field}". Use one of: ${Object.keys(LIMIT_FIELDS).join(', ')}.`);
+  if (!value) throw new Error(`Give a value for ${field}, or "off".`);
+  if (value === 'off' || value === 'none' || (field === 'verticals' && value === 'all')) return null;
+
+  if (field === 'verticals') {
+    const names = value.split(/[\s,]+/).filter(Boolean);
+    const unknown = names.filter((n) => !VERTICAL_LABELS[n]);
+    if (unknown.length) throw new Error(`Unknown service "${unknown[0]}". Use food, instamart and/or dineout.`);
+    return [...new Set(names)];
+  }
+  if (field === 'quiet') {
+    const m = /^([01]?\d|2[0-3])[:.]([0-5]\d)\s*-\s*([01]?\d|2[0-3])[:.]([0-5]\d)$/.exec(value);
+    if (!m) throw new Error('Quiet hours look like 23:00-07:00.');
+    const start = `${m[1].padStart(2, '0')}:${m[2]}`;
+    const end = `${m[3].padStart(2, '0')}:${m[4]}`;
+    if (start === end) throw new Error('Quiet hours need different start and end times.');
+    return { start, end };
+  }
+  const amount = Number(value.replace(/^₹|,/g, ''));
+  if (!Number.isFinite(amount) || amount <= 0) throw new Error(`${LIMIT_FIELDS[field]} must be an amount in rupees, e.g. 1500.`);
+  return Math.round(amount);
+}
+
+function hasLimits(limits) {
+  return Object.keys(limits).some((k) => k !== 'name');
+}
+
+/** Limits set for the whole chat. */
+export async function getChatLimits(chatId) {
+  return (await (await getStore()).get(chatKey(chatId, 'budget'))) || {};
+}
+
+/** One person's own limits, the same in every chat: { name, ...limits }. */
+export async function getUserLimits(userId) {
+  if (userId == null) return {};
+  return (await (await getStore()).get(userKey(userId, 'budget'))) || {};
+}
+
+/**
+ * Set one limit for the whole chat (userId null) or for one person everywhere. value null removes it.
+ */
+export async function setLimit(chatId, { userId = null, name, field, value }) {
+  const store = await getStore();
+  const key = userId == null ? chatKey(chatId, 'budget') : userKey(userId, 'budget');
+  const limits = userId == null ? await getChatLimits(chatId) : { ...(await getUserLimits(userId)), name: name || String(userId) };
+  if (value == null) delete limits[field];
+  else limits[field] = value;
+  if (!hasLimits(limits)) await store.delete(key);
+  else await store.set(key, limits);
+  log.budget(`${userId != null ? `user ${userId}` : `chat ${chatId}`}: ${field} = ${JSON.stringify(value)}`);
+  return limits;
+}
+
+/** Start of the current day and month in the budget time zone. */
+function periodStarts(now, timeZone) {
+  const p = zonedParts(now, timeZone);
+  const day = zonedTimeToUtc({ year: p.year, month: p.month, day: p.day }, timeZone) ?? now;
+  const month = zonedTimeToUtc({ year: p.year, month: p.month, day: 1 }, timeZone) ?? day;
+  return { day: day.getTime(), month: month.getTime() };
+}
+
+function inQuietHours(quiet, now, timeZone) {
+  const p = zonedParts(now, timeZone);
+  const t = p.hour * 60 + p.minute;
+  const start = minutesOf(quiet.start);
+  const end = minutesOf(quiet.end);
+  return start < end ? t >= start && t < end : t >= start || t < end;
+}
+
+/**
+ * Spent today / this month by the whole chat and by one user across all chats:
+ * { chat: { day, month }, user: { day, month } }.
+ */
+export async function spendSummary(chatId, userId, now = new Date()) {
+  const starts = periodStarts(now, budgetTimeZone());
+  const counted = (orders) => orders.filter((o) => o.stage !== 'cancelled' && o.total);
+  const sum = (list, since) => list.filter((o) => o.placedAt >= since).reduce((total, o) => total + Number(o.total), 0);
+  const chat = counted(await getOrders(chatId));
+  const mine = userId == null ? [] : counted(await getUserOrders(userId));
+  return {
+    chat: { day: sum(chat, starts.day), month: sum(chat, starts.month) },
+    user: { day: sum(mine, starts.day), month: sum(mine, starts.month) },
+  };
+}
+
+/** First limit the order breaks, as a sentence, or null. scope: 'chat' | 'user'. */
+function breach(limits, scope, { vertical, amount, spent, now, timeZone }) {
+  const whose = scope === 'chat' ? 'this chat' : 'you';
+  if (limits.verticals && !limits.verticals.includes(vertical)) {
+    const allowed = limits.verticals.map((v) => VERTICAL_LABELS[v]).join(', ');
+    return `${VERTICAL_LABELS[vertical] || vertical} orders are not allowed for ${whose} (allowed: ${allowed}).`;
+  }
+  if (limits.quiet && inQuietHours(limits.quiet, now, timeZone)) {
+    return `Ordering is paused for ${whose} during quiet hours (${limits.quiet.start}–${limits.quiet.end}).`;
+  }
+  const moneyLimits = limits.order || limits.daily || limits.monthly;
+  if (!moneyLimits || vertical === 'dineout') return null;
+  if (amount == null) return `I couldn't work out this order's total, so the spending limits for ${whose} can't be checked.`;
+  if (limits.order && amount > limits.order) {
+    return `This order (${rupees(amount)}) is over the ${rupees(limits.order)} per-order limit for ${whose}.`;
+  }
+  if (limits.daily && spent.day + amount > limits.daily) {
+    const left = Math.max(limits.daily - spent.day, 0);
+    return `This order (${rupees(amount)}) would go over the daily limit of ${rupees(limits.daily)} for ${whose} — ${rupees(left)} left today.`;
+  }
+  if (limits.monthly && spent.month + amount > limits.monthly) {
+    const left = Math.max(limits.monthly - spent.month, 0);
+    return `This order (${rupees(amount)}) would go over the monthly limit of ${rupees(limits.monthly)} for ${whose} — ${rupees(left)} left this month.`;
+  }
+  return null;
+}
+
+/**
+ * Check an order before it is placed. Returns null when it is within every chat and user limit,
+ * otherwise the refusal to show. amount is the order total (null when unknown).
+ */
+export async function checkOrderAllowed(chatId, { userId, vertical, amount, now = new Date() }) {
+  const chatLimits = await getChatLimits(chatId);
+  const userLimits = await getUserLimits(userId);
+  if (!hasLimits(chatLimits) && !hasLimits(userLimits)) return null;
+
+  const timeZone = budgetTimeZone();
+  const spent = await spendSummary(chatId, userId, now);
+  const reason =
+    breach(chatLimits, 'chat', { vertical, amount, spent: spent.chat, now, timeZone }) ||
+    breach(userLimits, 'user', { vertical, amount, spent: spent.user, now, timeZone });
+  if (!reason) return null;
+  log.budget(`refused ${vertical} order in chat ${chatId}: ${reason}`);
+  return `🚫 ${reason} Nothing was placed. Send /budget to see the limits.`;
+}
+
+function limitLines(limits, spent) {
+  const lines = [];
+  if (limits.order) lines.push(`• Max per order: ${rupees(limits.order)}`);
+  if (limits.daily) lines.push(`• Today: ${rupees(spent.day)} of ${rupees(limits.daily)} — <b>${rupees(Math.max(limits.daily - spent.day, 0))} left</b>`);
+  if (limits.monthly) lines.push(`• This month: ${rupees(spent.month)} of ${rupees(limits.monthly)} — <b>${rupees(Math.max(limits.monthly - spent.month, 0))} left</b>`);
+  if (limits.verticals) lines.push(`• Allowed: ${limits.verticals.map((v) => VERTICAL_LABELS[v]).join(', ')}`);
+  if (limits.quiet) lines.push(`• Quiet hours: ${limits.quiet.start}–${limits.quiet.end}`);
+  return lines;
+}
+
+/**
+ * Telegram HTML for /budget: the chat's limits, the caller's own limits and what is left.
+ */
+export async function formatBudget(chatId, userId, now = new Date()) {
+  const chatLimits = await getChatLimits(chatId);
+  const mine = await getUserLimits(userId);
+  const spent = await spendSummary(chatId, userId, now);
+  const lines = ['<b>Spending limits</b>', ''];
+  const chatLines = limitLines(chatLimits, spent.chat);
+  lines.push('<b>This chat</b>', ...(chatLines.length ? chatLines : ['• No limits']));
+  lines.push(`• Spent today ${rupees(spent.chat.day)}, this month ${rupees(spent.chat.month)}`);
+  const myLines = limitLines(mine, spent.user);
+  if (myLines.length) lines.push('', '<b>You</b> <i>(in every chat)</i>', ...myLines);
+  lines.push(
+    '',
+    `<i>Change with</i> <code>/budget order|daily|monthly &lt;₹&gt;</code>, <code>/budget verticals food,instamart</code>, ` +
+      '<code>/budget quiet 23:00-07:00</code> <i>or</i> <code>off</code>. <i>A bot admin can reply to someone\'s message to set their own limit.</i>',
+    `<i>Days and months run in ${budgetTimeZone()}.</i>`
+  );
+  return lines.join('\n');
+}
@@ -0,0 +1,105 @@
+/**
+ * One Claude turn at a time per chat, and at most MAX_CONCURRENT_TURNS (default 4) across all
+ * chats. Turns share a chat's session state and history, so two running side by side could race
+ * cart updates or fire an order tool twice. Jobs in a chat run in order; a job with a mergeKey
+ * is folded into a still-queued job with the same key (quick follow-up messages become one turn).
+ * cancelChat aborts the running job's AbortSignal and drops the queued ones.
+ */
+
+const log = {
+  queue: (msg, ...args) => console.log(`  \x1b[90m[Queue]\x1b[0m ${msg}`, ...args),
+};
+
+// chatId -> { running: { job, controller } | null, queue: [job] }
+const chats = new Map();
+// Chats with a job ready to start, waiting for a free slot (FIFO)
+const waitingChats = [];
+let active = 0;
+
+export function maxConcurrentTurns() {
+  const n = Number(process.env.MAX_CONCURRENT_TURNS);
+  return Number.isInteger(n) && n > 0 ? n : 4;
+}
+
+function chatOf(chatId) {
+  if (!chats.has(chatId)) chats.set(chatId, { running: null, queue: [] });
+  return chats.get(chatId);
+}
+
+function start(chatId) {
+  const chat = chats.get(chatId);
+  if (!chat || chat.running || chat.queue.length === 0) return;
+  if (active >= maxConcurrentTurns()) {
+    if (!waitingChats.includes(chatId)) waitingChats.push(chatId);
+    return;
+  }
+  const job = chat.queue.shift();
+  const controller = new AbortController();
+  chat.running = { job, controller };
+  active += 1;
+  Promise.resolve()
+    .then(() => job.run({ text: job.text, signal: controller.signal }))
+    .then(job.resolve, job.reject)
+    .finally(() => {
+      active -= 1;
+      chat.running = null;
+      if (chat.queue.length === 0) chats.delete(chatId);
+      else start(chatId);
+      while (waitingChats.length > 0 && active < maxConcurrentTurns()) start(waitingChats.shift());
+    });
+}
+
+/**
+ * Queue job = { run({ text, signal }) → Promise, text?, userId?, mergeKey? } for a chat.
+ * Returns { state, done }: state is 'started', 'queued' (behind this chat's running turn),
+ * 'merged' (text appended to a queued job) or 'waiting' (for a free slot); done settles with the
+ * job's result, or undefined if it was cancelled before it started.
+ */
+export function enqueueTurn(chatId, job) {
+  const chat = chatOf(chatId);
+  const last = chat.queue.at(-1);
+  if (job.mergeKey && last?.mergeKey === job.mergeKey) {
+    last.text = `${last.text}\n${job.text}`;
+    log.queue(`merged a follow-up into the queued turn for chat ${chatId}`);
+    return { state: 'merged', done: last.done };
+  }
+  const queued = { ...job };
+  queued.done = new Promise((resolve, reject) => {
+    queued.resolve = resolve;
+    queued.reject = reject;
+  });
+  const busy = !!chat.running || chat.queue.length > 0;
+  chat.queue.push(queued);
+  start(chatId);
+  if (chat.running?.job === queued) return { state: 'started', done: queued.done };
+  log.queue(`turn for chat ${chatId} ${busy ? 'queued behind the running one' : 'waiting for a free slot'}`);
+  return { state: busy ? 'queued' : 'waiting', done: queued.done };
+}
+
+/** The running job for a chat ({ userId, text, … }), or null. */
+export function runningTurn(chatId) {
+  return chats.get(chatId)?.running?.job ?? null;
+}
+
+/**
+ * Abort the chat's running turn and drop what is queued behind it.
+ * Returns { running: whether a turn was aborted, dropped: how many queued jobs were dropped }.
+ */
+export function cancelChat(chatId) {
+  const chat = chats.get(chatId);
+  if (!chat) return { running: false, dropped: 0 };
+  const dropped = chat.queue.splice(0);
+  for (const job of dropped) job.resolve(undefined);
+  const index = waitingChats.indexOf(chatId);
+  if (index !== -1) waitingChats.splice(index, 1);
+  const running = !!chat.running && !chat.running.controller.signal.aborted;
+  if (running) chat.running.controller.abort();
+  if (!chat.running) chats.delete(chatId);
+  if (running || dropped.length) log.queue(`cancelled chat ${chatId}: ${running ? 'running turn aborted, ' : ''}${dropped.length} queued dropped`);
+  return { running, dropped: dropped.length };
+}
+
+/** For logs and tests: turns running now and chats waiting for a slot. */
+export function queueStats() {
+  return { active, waiting: waitingChats.length, max: maxConcurrentTurns() };
+}
@@ -0,0 +1,56 @@
+/**
+ * Circuit breaker per MCP server (one per Swiggy vertical). After MCP_BREAKER_FAILURES (default 5)
+ * transient failures in a row — timeouts, connection errors, 5xx, 429 — the server is "open" for
+ * MCP_BREAKER_COOLDOWN_SECONDS (default 60): calls fail fast and its tools are left out. After the
+ * cooldown calls are let through again; one success closes it, one more failure reopens it.
+ */
+
+const log = {
+  breaker: (msg, ...args) => console.log(`  \x1b[33m[Breaker]\x1b[0m ${msg}`, ...args),
+};
+
+// serverKey -> { failures, openUntil }
+const breakers = new Map();
+
+function threshold() {
+  const n = Number(process.env.MCP_BREAKER_FAILURES);
+  return Number.isInteger(n) && n > 0 ? n : 5;
+}
+
+function cooldownMs() {
+  const seconds = Number(process.env.MCP_BREAKER_COOLDOWN_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 60) * 1000;
+}
+
+/** True while the server's breaker is open (calls should not be attempted). */
+export function isCircuitOpen(key, now = Date.now()) {
+  const b = breakers.get(key);
+  return !!b && b.failures >= threshold() && now < b.openUntil;
+}
+
+/** Seconds until an open breaker lets calls through again (0 when closed). */
+export function secondsUntilRetry(key, now = Date.now()) {
+  return isCircuitOpen(key, now) ? Math.ceil((breakers.get(key).openUntil - now) / 1000) : 0;
+}
+
+export function recordSuccess(key) {
+  const b = breakers.get(key);
+  if (!b) return;
+  if (b.failures >= threshold()) log.breaker(`${key} is answering again — closed`);
+  breakers.delete(key);
+}
+
+export function recordFailure(key, now = Date.now()) {
+  const b = breakers.get(key) || { failures: 0, openUntil: 0 };
+  b.failures += 1;
+  if (b.failures >= threshold()) {
+    b.openUntil = now + cooldownMs();
+    log.breaker(`${key} failed ${b.failures} times in a row — open for ${cooldownMs() / 1000}s`);
+  }
+  breakers.set(key, b);
+}
+
+/** Forget all breaker state (tests, /refresh). */
+export function resetBreakers() {
+  breakers.clear();
+}
@@ -4,13 +4,32 @@
  */
 
 import Anthropic from '@anthropic-ai/sdk';
-import { listAllTools, callTool, clearConnectionCache } from './swiggy-mcp-client.js';
+import { audit, redactArgs, previewResult } from './audit-log.js';
+import {
+  listAllTools,
+  callTool,
+  clearConnectionCache,
+  clearConnectionsForToken,
+  isSwiggyAuthError,
+  onToolsListChanged,
+  unavailableServers,
+} from './swiggy-mcp-client.js';
+import { reloadRegistry, serverForTool, stripToolPrefix } from './mcp-registry.js';
+import { resetBreakers } from './circuit-breaker.js';
+import { buildOrderSummary, verticalOf } from './order-confirmation.js';
+import { isOrderTool } from './tool-kinds.js';
+import { extractOrderId } from './order-tracking.js';
+import { extractMenuItems } from './selection-keyboards.js';
+import { readThroughCache, forClaude, resultDetailsTool, clearToolResults } from './tool-results.js';
+import { classifyIntent, routeTools, intentForTool, describeRoute, routingNote, loadToolsTool, isToolRoutingOn } from './tool-routing.js';
+
+export const CLAUDE_MODEL = 'claude-haiku-4-5';
 
 const log = {
   claude: (msg, ...args) => console.log(`\x1b[33m[Claude]\x1b[0m ${msg}`, ...args),
   claudeErr: (msg, ...args) => console.error(`\x1b[31m[Claude]\x1b[0m ${msg}`, ...args),
   tool: (name, status = 'ok') => {
-    const short = name.replace(/^swiggy_(food|im|dineout)__/, '');
+    const short = stripToolPrefix(name);
     const icon = status === 'ok' ? '🔧' : '❌';
     console.log(`  \x1b[90m→\x1b[0m ${icon} \x1b[1m${short}\x1b[0m`);
   },
@@ -33,7 +52,8 @@ Guidelines:
   For menu items: <b>Item name</b> — ₹price. Escape & as &amp; and < as &lt; in regular text. Never use unclosed HTML tags.
 - When the user wants to order or search, call the appropriate tools.
 - If the user hasn't set a delivery/booking address, ask for it (e.g. "Use my home address").
-- Before placing any order, summarize cart/order and confirm. Remind that COD orders cannot be cancelled once placed.
+- Before any order/checkout/book_table tool runs, the bot shows the user a cart summary with Confirm/Cancel buttons. So when the user asks to place the order, call the order tool directly—do not ask for a separate text "yes" first.
+- When the user wants something later or on a repeat ("every weekday at 8am", "next Friday 8 PM", "remind me the day before"), call bot__create_schedule instead of ordering now. Put everything needed to rebuild the cart in its instructions (item names, quantities, IDs, addressId). Scheduled orders still end at the Confirm/Cancel buttons.
 - After tool results, summarize in a short user-readable message.
 - Keep responses suitable for chat: short paragraphs and bullet points when useful.
 
@@ -50,14 +70,61 @@ CRITICAL - Order placement and tool usage:
 - If the user confirms and you don't call the order tool, your response will be rejected. Always call the tool first.
 - When the tool fails, report the error to the user—do NOT say it succeeded.`;
 
-let cachedTools = null;
-let cachedToolsToken = null;
+// Claude's reply claims an order or booking went through
+const CLAIMS_SUCCESS = /\b(order|booking).*(placed|confirmed|successful)|successfully.*(placed|ordered|booked)|order\s+placed|booking\s+confirmed|order\s+id|order\s+#|orderid/i;
+
+// What the user sees while a tool runs, first match wins (order tools are told apart by isOrderTool)
+const PROGRESS_STEPS = [
+  [/get_addresses/i, 'Getting your addresses…'],
+  [/search_restaurants/i, 'Searching restaurants…'],
+  [/menu/i, 'Loading menu…'],
+  [/get_.*cart/i, 'Checking your cart…'],
+  [/cart/i, 'Updating cart…'],
+  [/track|order_status|get_order/i, 'Checking your order…'],
+  [/search/i, 'Searching products…'],
+  [/slot|availab/i, 'Checking availability…'],
+  [/^bot__create_schedule$/, 'Saving your schedule…'],
+  [/^bot__grocery_list$/, 'Reading your list…'],
+];
+
+/** Progress line for a tool, e.g. swiggy_food__search_restaurants → "Searching restaurants…". */
+export function progressLabel(toolName) {
+  if (isOrderTool(toolName)) return verticalOf(toolName) === 'dineout' ? 'Booking your table…' : 'Placing your order…';
+  const step = PROGRESS_STEPS.find(([pattern]) => pattern.test(toolName));
+  return step ? step[1] : `Working on it (${stripToolPrefix(toolName).replace(/_/g, ' ')})…`;
+}
+
+/**
+ * One Claude round. With onText (and a client that can stream) the text is streamed and
+ * onText(snapshot) gets the round's text so far; the resolved message is the same either way.
+ */
+async function createMessage(anthropic, params, onText, signal) {
+  const options = signal ? { signal } : undefined;
+  if (!onText || typeof anthropic.messages.stream !== 'function') return anthropic.messages.create(params, options);
+  const stream = anthropic.messages.stream(params, options);
+  stream.on('text', (_delta, snapshot) => onText(snapshot));
+  return stream.finalMessage();
+}
 
-/** Clear tools and connection cache (call when token changes). */
+// Tool lists per Swiggy token — each logged-in chat has its own token
+const cachedTools = new Map();
+
+// A server announced new or removed tools: list again on the next turn
+onToolsListChanged((token) => cachedTools.delete(token));
+
+/** Clear tools and connection cache and re-read the MCP registry (call when token or config changes). */
 export function clearCaches() {
-  cachedTools = null;
-  cachedToolsToken = null;
+  cachedTools.clear();
   clearConnectionCache();
+  resetBreakers();
+  clearToolResults();
+  reloadRegistry();
+}
+
+/** Forget cached tools and connections for one token (e.g. after /logout). */
+export function clearCachesForToken(token) {
+  cachedTools.delete(token);
+  clearConnectionsForToken(token);
 }
 
 function mcpToolToClaudeTool(t) {
@@ -69,22 +136,86 @@ function mcpToolToClaudeTool(t) {
   };
 }
 
-async function getClaudeTools(swiggyAuthToken) {
-  if (cachedTools && cachedToolsToken === swiggyAuthToken) return cachedTools;
+/**
+ * Claude tool definitions for a token (cached per token until clearCaches). A list made while a
+ * server's circuit breaker is open is not cached, so its tools come back once it recovers.
+ */
+export async function getClaudeTools(swiggyAuthToken) {
+  if (cachedTools.has(swiggyAuthToken)) return cachedTools.get(swiggyAuthToken);
   try {
     const raw = await listAllTools(swiggyAuthToken);
     const tools = raw.map(mcpToolToClaudeTool);
-    cachedTools = tools;
-    cachedToolsToken = swiggyAuthToken;
+    if (unavailableServers().length === 0) cachedTools.set(swiggyAuthToken, tools);
     log.claude(`Loaded ${tools.length} Swiggy tools`);
     return tools;
   } catch (err) {
     log.claudeErr('tools load failed', err?.message || String(err));
+    // Auth failures surface as-is so the bot can ask the chat to log in again
+    if (isSwiggyAuthError(err)) throw err;
     const msg = err?.message || String(err);
     throw new Error(`Swiggy tools could not be loaded. ${msg}`);
   }
 }
 
+/** Recursively search object for order/booking IDs and success indicators.
+ * CRITICAL: Swiggy MCP may return root success:true + message:"Order placed!" while data.successful:false.
+ * We MUST prioritize data.successful and data.statusMessage over root-level fields. */
+export function parseOrderSuccess(parsed) {
+  if (!parsed || typeof parsed !== 'object') return false;
+
+  // Prioritize granular data.successful—definitive indicator of actual order placement
+  const dataSuccessful = parsed?.data?.successful;
+  if (dataSuccessful === false) return false;
+  const statusMsg = String(parsed?.data?.statusMessage ?? '');
+  if (statusMsg && /error|fail|unable|couldn't|invalid|not accepting/i.test(statusMsg)) return false;
+
+  const hasError = parsed?.error || /fail|error|unable|couldn't|invalid/i.test(String(parsed?.message ?? parsed?.error_message ?? parsed?.error ?? ''));
+  if (hasError) return false;
+
+  const idFields = ['order_id', 'orderId', 'booking_id', 'bookingId', 'order_number', 'tracking_id', 'id'];
+  const check = (obj, depth = 0) => {
+    if (!obj || depth > 5) return false;
+    for (const k of idFields) {
+      const v = obj[k];
+      if (v != null && (typeof v === 'string' ? v.length > 0 : true)) return true;
+    }
+    if (/placed|confirmed|success|complete/i.test(String(obj?.status ?? obj?.state ?? ''))) return true;
+    for (const v of Object.values(obj)) {
+      if (v && typeof v === 'object' && check(v, depth + 1)) return true;
+    }
+    return false;
+  };
+  return check(parsed);
+}
+
+/** Check plain text result for success indicators (when JSON parse fails) */
+export function parseOrderSuccessFromText(str) {
+  if (!str || typeof str !== 'string') return false;
+  if (/Error:|error|failed|unable|couldn't|invalid/i.test(str.slice(0, 200))) return false;
+  return /order.?id|order.?placed|placed|success|confirmed|order.?confirmed|booking.?confirmed/i.test(str);
+}
+
+/**
+ * What order history keeps from a confirmed order: where from, where to and what, so it can be reordered.
+ */
+function orderDetails(summary, input) {
+  if (!summary) return {};
+  return {
+    restaurantId: input.restaurantId ?? input.restaurant_id ?? null,
+    restaurant: summary.restaurant,
+    addressId: input.addressId ?? input.address_id ?? null,
+    address: summary.address,
+    items: summary.items.map((i) => ({
+      id: i.id,
+      name: i.name,
+      quantity: i.quantity,
+      // Cart prices are line totals; history compares unit prices against today's menu
+      unitPrice: i.price ? Math.round((i.price / i.quantity) * 100) / 100 : null,
+    })),
+    total: summary.total ?? null,
+  };
+}
+
 /**
  * Build messages array for Claude API (content can be string or array of blocks).
  */
@@ -93,26 +224,94 @@ function toClaudeMessage(role, content) {
   return { role, content };
 }
 
+/**
+ * The system prompt as a cached block (prompt caching); the unavailable and routing notes, which
+ * change from request to request, go after the breakpoint so they never invalidate the cached prefix.
+ */
+function systemBlocks(down, route) {
+  const blocks = [{ type: 'text', text: SYSTEM_PROMPT, cache_control: { type: 'ephemeral' } }];
+  if (down.length > 0) blocks.push({ type: 'text', text: unavailableNote(down).trim() });
+  const note = route ? routingNote(route) : '';
+  if (note) blocks.push({ type: 'text', text: note });
+  return blocks;
+}
+
+/**
+ * MCP tools then local tools, with the cache breakpoint on the last MCP tool: the MCP definitions
+ * are the same from turn to turn, while local ones can change (the schedule tool states the time).
+ */
+function withCacheBreakpoint(mcpTools, localDefinitions) {
+  if (mcpTools.length === 0) return localDefinitions;
+  const last = { ...mcpTools.at(-1), cache_control: { type: 'ephemeral' } };
+  return [...mcpTools.slice(0, -1), last, ...localDefinitions];
+}
+
+/** System prompt addition while some servers are down, so Claude says so instead of guessing. */
+function unavailableNote(down) {
+  const names = down.map((s) => s.label).join(', ');
+  return `\n\nTEMPORARILY UNAVAILABLE: ${names} (not responding right now; tools left out). If the user asks for ${down.length === 1 ? 'it' : 'one of them'}, say it is temporarily down and suggest trying again in a few minutes. Do not pretend to use it.`;
+}
+
 /**
  * Send user message to Claude; on tool_use, call Swiggy MCP tools and resubmit until Claude returns text.
+ * Throws a Swiggy auth error (see isSwiggyAuthError) when the token is missing or could not be refreshed.
+ * The returned usage is summed over every round, cache reads and writes included.
+ *
+ * confirmOrder(summary) → Promise<boolean | 'timeout'> is awaited before any order/checkout/book_table
+ * tool runs (summary from buildOrderSummary); only true lets it run. Without it, order tools never run.
+ * checkOrder(summary, { toolName, vertical }) → Promise<string | null> runs first; a string is a
+ * refusal (budget, allowed services, quiet hours) and ends the turn without calling the tool.
+ * localTools: [{ name, description, input_schema, run(input) → Promise<string> }] handled by the bot itself.
+ * allowTool(name) → boolean hides tools this turn may not call: browse-only users get no cart/order tools,
+ * and a photo turn only gets the grocery list tool.
+ * images: [{ mediaType, data (base64) }] sent as image blocks before the user's text (photos from Telegram).
+ * onProgress(step) is called before each tool runs ("Searching restaurants…") and while waiting for
+ * the Confirm button; onText(textSoFar) receives Claude's text as it streams. Streamed text that
+ * claims an order succeeded is held back until an order tool really has.
+ * trace: { requestId, chatId } — when set, each round, tool call and order decision goes to the audit log.
+ * Claude only gets the tools of the service(s) the message is about (see tool-routing.js); the route is
+ * kept in sessionState.toolRoute for follow-ups.
+ * chatId scopes the read-only result cache and the full payloads behind trimmed results (see
+ * tool-results.js); without it they are kept for this turn only.
+ * signal (AbortSignal, e.g. from /cancel) stops the loop: the Claude request and tool calls in flight are
+ * aborted and the turn ends with stopReason 'aborted'. An order tool that has started is never aborted,
+ * since Swiggy may already have placed the order.
+ * anthropic defaults to a real client; tests pass a scripted fake with the same messages.create().
  */
 export async function chatWithClaudeMcp({
   userMessage,
   swiggyAuthToken,
   previousMessages = [],
   sessionState = {},
+  confirmOrder,
+  checkOrder,
+  localTools = [],
+  allowTool = () => true,
+  images = [],
+  trace = null,
+  chatId,
+  onProgress,
+  onText,
+  signal,
+  anthropic = new Anthropic(),
 }) {
-  const anthropic = new Anthropic();
   let tools;
   try {
     tools = await getClaudeTools(swiggyAuthToken);
   } catch (err) {
+    if (isSwiggyAuthError(err)) throw err;
     log.claudeErr('cannot proceed without tools', err?.message);
     return {
       text: err?.message || 'Swiggy tools could not be loaded. Check SWIGGY_AUTH_TOKEN and that MCP servers are reachable.',
       stopReason: 'end_turn',
     };
   }
+  // Servers that tripped their circuit breaker since the tools were cached
+  const down = unavailableServers();
+  if (down.length > 0) {
+    tools = tools.filter((t) => !down.some((s) => s.key === serverForTool(t.name)?.server.key));
+    log.claudeErr('temporarily unavailable:', down.map((s) => s.key).join(', '));
+  }
   if (tools.length === 0) {
     log.claudeErr('no tools returned from MCP servers');
     return {
@@ -141,63 +340,109 @@ export async function chatWithClaudeMcp({
 
   const messages = [
     ...previousMessages.map((m) => toClaudeMessage(m.role, m.content)),
-    { role: 'user', content: userContent },
+    {
+      role: 'user',
+      content: images.length
+        ? [
+            ...images.map((img) => ({ type: 'image', source: { type: 'base64', media_type: img.mediaType, data: img.data } })),
+            { type: 'text', text: userContent },
+          ]
+        : userContent,
+    },
   ];
 
+  // Only the tools of the service(s) the request is about; null = every tool
+  let route = isToolRoutingOn() ? classifyIntent(userMessage, ctx) : null;
+  if (route && routeTools(tools, route).length === 0) route = null;
+  if (route) {
+    ctx.toolRoute = route;
+    log.step(`tools for ${describeRoute(route)}`);
+  }
+  // Add services to the route; returns the names of tools that became available
+  const widenRoute = (intents) => {
+    if (!route) return [];
+    const before = new Set(routeTools(tools, route).map((t) => t.name));
+    route = [...new Set([...route, ...intents])];
+    ctx.toolRoute = route;
+    return routeTools(tools, route).map((t) => t.name).filter((name) => !before.has(name));
+  };
+
+  // Bot-side tools (e.g. scheduling) sit next to the MCP tools; they run here, not on an MCP server
+  const resultScope = chatId ?? Symbol('turn');
+  localTools = [...localTools, resultDetailsTool(resultScope), ...(route ? [loadToolsTool(widenRoute)] : [])];
+  const localDefinitions = localTools.map(({ run, ...definition }) => definition).filter((t) => allowTool(t.name));
+  const claudeTools = () => withCacheBreakpoint(routeTools(tools, route).filter((t) => allowTool(t.name)), localDefinitions);
+
   const maxRounds = 15;
   let currentMessages = [...messages];
   let lastOrderToolResult = null;
-  const ORDER_TOOL_PATTERN = /place_order|place_instamart_order|book_table|checkout|confirm_order|place_food_order/i;
-
-  /** Recursively search object for order/booking IDs and success indicators.
-   * CRITICAL: Swiggy MCP may return root success:true + message:"Order placed!" while data.successful:false.
-   * We MUST prioritize data.successful and data.statusMessage over root-level fields. */
-  function parseOrderSuccess(parsed) {
-    if (!parsed || typeof parsed !== 'object') return false;
-
-    // Prioritize granular data.successful—definitive indicator of actual order placement
-    const dataSuccessful = parsed?.data?.successful;
-    if (dataSuccessful === false) return false;
-    const statusMsg = String(parsed?.data?.statusMessage ?? '');
-    if (statusMsg && /error|fail|unable|couldn't|invalid|not accepting/i.test(statusMsg)) return false;
-
-    const hasError = parsed?.error || /fail|error|unable|couldn't|invalid/i.test(String(parsed?.message ?? parsed?.error_message ?? parsed?.error ?? ''));
-    if (hasError) return false;
-
-    const idFields = ['order_id', 'orderId', 'booking_id', 'bookingId', 'order_number', 'tracking_id', 'id'];
-    const check = (obj, depth = 0) => {
-      if (!obj || depth > 5) return false;
-      for (const k of idFields) {
-        const v = obj[k];
-        if (v != null && (typeof v === 'string' ? v.length > 0 : true)) return true;
-      }
-      if (/placed|confirmed|success|complete/i.test(String(obj?.status ?? obj?.state ?? ''))) return true;
-      for (const v of Object.values(obj)) {
-        if (v && typeof v === 'object' && check(v, depth + 1)) return true;
-      }
-      return false;
-    };
-    return check(parsed);
-  }
+  // Tool names called this turn, in order — the bot uses them to offer selection buttons
+  const toolsCalled = [];
+  // { orderId, toolName, vertical, ...details } when an order tool really succeeded this turn (tracking, history)
+  const placedOrder = () =>
+    lastOrderToolResult?.success
+      ? {
+          orderId: lastOrderToolResult.orderId ?? null,
+          toolName: lastOrderToolResult.toolName,
+          vertical: verticalOf(lastOrderToolResult.toolName),
+          ...lastOrderToolResult.details,
+        }
+      : undefined;
 
-  /** Check plain text result for success indicators (when JSON parse fails) */
-  function parseOrderSuccessFromText(str) {
-    if (!str || typeof str !== 'string') return false;
-    if (/Error:|error|failed|unable|couldn't|invalid/i.test(str.slice(0, 200))) return false;
-    return /order.?id|order.?placed|placed|success|confirmed|order.?confirmed|booking.?confirmed/i.test(str);
-  }
+  const record = (event, fields) => trace && audit(event, { requestId: trace.requestId, chatId: trace.chatId, ...fields });
+  const finish = (result, extra = {}) => {
+    record('reply', { stopReason: result.stopReason, overrideFired: false, chars: result.text.length, ...extra });
+    return result;
+  };
+
+  const stopped = () => {
+    log.step('turn cancelled');
+    const placed = placedOrder();
+    return finish({
+      text: placed
+        ? 'Stopped — but your order had already been placed before the cancel.'
+        : 'Stopped. Nothing was ordered; anything already in your cart is still there.',
+      stopReason: 'aborted',
+      usage,
+      toolsCalled,
+      placedOrder: placed,
+    });
+  };
+
+  // Summed over every round of the tool loop, not just the final response
+  const usage = { input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 };
+
+  // Never show a success claim the override below may still replace
+  const streamText = onText && ((snapshot) => {
+    if (!lastOrderToolResult?.success && CLAIMS_SUCCESS.test(snapshot)) return;
+    onText(snapshot);
+  });
 
   log.step('Claude thinking...');
 
   for (let round = 0; round < maxRounds; round++) {
-    const response = await anthropic.messages.create({
-      model: 'claude-haiku-4-5',
-      max_tokens: 4096,
-      system: SYSTEM_PROMPT,
-      messages: currentMessages,
-      tools,
-      tool_choice: { type: 'auto' },
-    });
+    if (signal?.aborted) return stopped();
+    const roundStarted = Date.now();
+    let response;
+    try {
+      response = await createMessage(
+        anthropic,
+        {
+          model: CLAUDE_MODEL,
+          max_tokens: 4096,
+          system: systemBlocks(down, route),
+          messages: currentMessages,
+          tools: claudeTools(),
+          tool_choice: { type: 'auto' },
+        },
+        streamText,
+        signal
+      );
+    } catch (err) {
+      if (signal?.aborted) return stopped();
+      throw err;
+    }
+    if (signal?.aborted) return stopped();
 
     const textParts = [];
     const toolUses = [];
@@ -208,10 +453,21 @@ export async function chatWithClaudeMcp({
     }
 
     const text = textParts.join('').trim();
+    for (const key of Object.keys(usage)) usage[key] += response.usage?.[key] || 0;
+    record('claude_round', {
+      round,
+      stopReason: response.stop_reason,
+      tools: toolUses.map((u) => u.name),
+      inputTokens: response.usage?.input_tokens ?? null,
+      outputTokens: response.usage?.output_tokens ?? null,
+      cacheReadTokens: response.usage?.cache_read_input_tokens ?? null,
+      cacheWriteTokens: response.usage?.cache_creation_input_tokens ?? null,
+      latencyMs: Date.now() - roundStarted,
+    });
 
     if (response.stop_reason === 'end_turn' && text) {
       // Override when response claims order/booking success but: order tool was never called, or was called and failed
-      const claimsSuccess = /\b(order|booking).*(placed|confirmed|successful)|successfully.*(placed|ordered|booked)|order\s+placed|booking\s+confirmed|order\s+id|order\s+#|orderid/i.test(text);
+      const claimsSuccess = CLAIMS_SUCCESS.test(text);
       const orderActuallySucceeded = lastOrderToolResult?.success;
       if (claimsSuccess && !orderActuallySucceeded) {
         log.claudeErr('Order tool failed or was not called — overriding response');
@@ -241,21 +497,22 @@ export async function chatWithClaudeMcp({
         } else {
           userMsg = "I wasn't able to complete the order. The order tool wasn't called—please add items to your cart first, then try placing the order again. Check the logs for details.";
         }
-        return {
-          text: userMsg,
-          stopReason: 'end_turn',
-          usage: response.usage,
-        };
+        return finish(
+          { text: userMsg, stopReason: 'end_turn', usage, toolsCalled },
+          { overrideFired: true, orderToolCalled: !!lastOrderToolResult }
+        );
       }
-      return { text, stopReason: 'end_turn', usage: response.usage };
+      return finish({ text, stopReason: 'end_turn', usage, toolsCalled, placedOrder: placedOrder() });
     }
 
     if (response.stop_reason !== 'tool_use' || toolUses.length === 0) {
-      return {
+      return finish({
         text: text || 'Done.',
         stopReason: response.stop_reason || 'end_turn',
-        usage: response.usage,
-      };
+        usage,
+        toolsCalled,
+        placedOrder: placedOrder(),
+      });
     }
 
     currentMessages.push({
@@ -266,47 +523,122 @@ export async function chatWithClaudeMcp({
     if (round > 0) log.step('Claude thinking...');
     const toolResults = [];
     for (const use of toolUses) {
+      if (signal?.aborted) return stopped();
+      if (!allowTool(use.name)) {
+        log.tool(use.name, 'fail');
+        toolResults.push({
+          type: 'tool_result',
+          tool_use_id: use.id,
+          content: 'Error: this tool is not available in this turn — browse-only users cannot change carts or order.',
+        });
+        record('tool_call', { round, tool: use.name, args: redactArgs(use.input || {}), ok: false, denied: true });
+        continue;
+      }
+      // Claude called a real tool outside the route (e.g. from history): widen to its service
+      const outside = route && intentForTool(use.name) && !routeTools(tools, route).some((t) => t.name === use.name);
+      if (outside && tools.some((t) => t.name === use.name)) {
+        log.step(`${stripToolPrefix(use.name)} is outside the route — adding ${intentForTool(use.name)}`);
+        widenRoute([intentForTool(use.name)]);
+      }
       let input = { ...(use.input || {}) };
+      let orderSummary = null;
       // Augment place_order / place_food_order with session state when Claude omits required params
-      if (ORDER_TOOL_PATTERN.test(use.name)) {
+      if (isOrderTool(use.name)) {
         const orig = { ...input };
         if (ctx.addressId && (input.addressId == null || input.address_id == null)) input.addressId = ctx.addressId;
         if (ctx.restaurantId && (input.restaurantId == null || input.restaurant_id == null)) input.restaurantId = ctx.restaurantId;
         if (ctx.cartId && (input.cartId == null && input.cart_id == null)) input.cartId = ctx.cartId;
+
+        // Pause the tool loop until the user presses Confirm or Cancel
+        const summary = await buildOrderSummary({ toolName: use.name, input, sessionState: ctx, tools, swiggyAuthToken });
+        orderSummary = summary;
+        const refusal = checkOrder ? await checkOrder(summary, { toolName: use.name, vertical: verticalOf(use.name) }) : null;
+        if (refusal) {
+          log.step('order refused by spending limits');
+          record('order_refused', { tool: use.name, reason: refusal, total: summary.total ?? null });
+          return finish({ text: refusal, stopReason: 'refused', usage, toolsCalled });
+        }
+        onProgress?.('Waiting for you to confirm…');
+        const answer = confirmOrder ? await confirmOrder(summary) : false;
+        if (signal?.aborted) return stopped();
+        const confirmed = answer === true;
+        const timedOut = answer === 'timeout';
+        record('order_confirmation', { tool: use.name, confirmed, timedOut, total: summary.total ?? null });
+        if (!confirmed) {
+          log.step(`order ${timedOut ? 'confirmation timed out' : 'cancelled at confirmation step'}`);
+          return finish({
+            text: `${timedOut ? 'Order confirmation timed out' : 'Order cancelled'} — nothing was placed. Your cart is still there if you change your mind.`,
+            stopReason: 'cancelled',
+            usage,
+            toolsCalled,
+          });
+        }
       }
       let content;
       let toolSucceeded = false;
+      const toolStarted = Date.now();
       try {
         log.tool(use.name);
-        const result = await callTool(use.name, input, swiggyAuthToken);
+        onProgress?.(progressLabel(use.name));
+        toolsCalled.push(use.name);
+        const local = localTools.find((t) => t.name === use.name);
+        const result = local
+          ? await local.run(input)
+          : (
+              await readThroughCache(resultScope, use.name, input, () =>
+                callTool(use.name, input, swiggyAuthToken, { signal: isOrderTool(use.name) ? undefined : signal })
+              )
+            ).content;
         content = typeof result === 'string' ? result : JSON.stringify(result);
         toolSucceeded = !content.startsWith('Error:');
         // Check if this is an order/booking tool and whether result indicates success
-        const isOrderTool = ORDER_TOOL_PATTERN.test(use.name);
-        if (isOrderTool) {
+        if (isOrderTool(use.name)) {
           lastOrderToolResult = { toolName: use.name, success: false, content };
           if (toolSucceeded) {
             const str = typeof result === 'string' ? result : JSON.stringify(result);
             try {
               const parsed = typeof result === 'string' ? JSON.parse(result) : result;
               lastOrderToolResult.success = parseOrderSuccess(parsed);
+              lastOrderToolResult.orderId = extractOrderId(parsed);
+              lastOrderToolResult.details = orderDetails(orderSummary, input);
             } catch {
               lastOrderToolResult.success = parseOrderSuccessFromText(str);
             }
           }
         }
       } catch (err) {
+        // Token expired and refresh failed — stop the turn instead of feeding it to Claude
+        if (isSwiggyAuthError(err)) throw err;
+        if (signal?.aborted) return stopped();
         content = `Error: ${err?.message || String(err)}`;
         log.tool(use.name, 'fail');
         log.claudeErr(err?.message || String(err));
-        if (ORDER_TOOL_PATTERN.test(use.name)) {
+        if (isOrderTool(use.name)) {
           lastOrderToolResult = { toolName: use.name, success: false, content };
         }
       }
+      record('tool_call', {
+        round,
+        tool: use.name,
+        args: redactArgs(input),
+        ok: toolSucceeded,
+        result: previewResult(content),
+        latencyMs: Date.now() - toolStarted,
+      });
+      // parseOrderSuccess's verdict — the success override later relies on it
+      if (isOrderTool(use.name)) {
+        record('order_verdict', {
+          tool: use.name,
+          success: !!lastOrderToolResult.success,
+          orderId: lastOrderToolResult.orderId ?? null,
+          error: lastOrderToolResult.success ? null : previewResult(content),
+        });
+      }
+      // Claude gets the trimmed payload; session state below still reads the full one
       toolResults.push({
         type: 'tool_result',
         tool_use_id: use.id,
-        content,
+        content: toolSucceeded ? forClaude(resultScope, use.name, content) : content,
       });
 
       // Update session state from tool results to avoid redundant calls
@@ -320,12 +652,15 @@ export async function chatWithClaudeMcp({
         }
         if (name.includes('search_restaurants') && (parsed?.restaurants || parsed?.data?.restaurants)) {
           const list = parsed.restaurants || parsed.data?.restaurants || [];
-          ctx.restaurants = list.slice(0, 20).map((r) => ({ id: String(r.id), name: r.name }));
+          ctx.restaurants = list.slice(0, 20).map((r) => ({ id: String(r.id), name: r.name, rating: r.avgRating ?? r.rating ?? null }));
         }
         if (name.includes('get_restaurant_menu') && (inp.restaurantId || inp.addressId)) {
           if (inp.restaurantId) ctx.restaurantId = String(inp.restaurantId);
           if (inp.addressId) ctx.addressId = String(inp.addressId);
         }
+        if (name.includes('get_restaurant_menu')) {
+          ctx.menuItems = extractMenuItems(parsed);
+        }
         if (name.includes('update_food_cart')) {
           if (inp.restaurantId) ctx.restaurantId = String(inp.restaurantId);
           if (inp.addressId) ctx.addressId = String(inp.addressId);
@@ -344,9 +679,10 @@ export async function chatWithClaudeMcp({
   log.claudeErr('Max rounds reached');
 
   const limitMsg = "I hit the reply limit. Please try a shorter request or ask again.";
-  return {
+  return finish({
     text: limitMsg,
     stopReason: 'end_turn',
-    usage: null,
-  };
+    usage,
+    toolsCalled,
+  });
 }
@@ -0,0 +1,195 @@
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week) evaluated in an IANA
+ * time zone, so "0 8 * * 1-5" means 8:00 on weekdays wherever the user lives, DST included.
+ * Supports *, lists, ranges, steps, month/day names and @hourly/@daily/@weekly/@monthly/@yearly.
+ * Day-of-month and day-of-week follow cron: when both are restricted, either may match.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+// Five years of days covers every valid expression (Feb 29 on a given weekday included)
+const MAX_DAYS = 366 * 5;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/** True for a time zone Intl knows (e.g. "Asia/Kolkata"). */
+export function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock time of an instant in a time zone: { year, month, day, hour, minute, second, weekday }.
+ */
+export function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const p of formatterFor(timeZone).formatToParts(date)) parts[p.type] = p.value;
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+function offsetMs(utcMs, timeZone) {
+  const p = zonedParts(new Date(utcMs), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time happens in a time zone, or null if it doesn't exist
+ * (skipped by a DST jump). Ambiguous times (clocks going back) resolve to the first one.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  // Offsets in force a day either side cover both readings of a time around a DST change
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const candidates = [wall - DAY_MS, wall, wall + DAY_MS].map((t) => wall - offsetMs(t, timeZone));
+  const matches = candidates.filter((utc) => {
+    const p = zonedParts(new Date(utc), timeZone);
+    return p.year === year && p.month === month && p.day === day && p.hour === hour && p.minute === minute;
+  });
+  return matches.length ? new Date(Math.min(...matches)) : null;
+}
+
+function parseValue(token, field) {
+  const lower = token.toLowerCase();
+  const named = field.names?.indexOf(lower.slice(0, 3));
+  if (field.names && /^[a-z]+$/.test(lower) && named >= 0) return named + (field.name === 'month' ? 1 : 0);
+  if (!/^\d+$/.test(token)) throw new Error(`invalid ${field.name} value "${token}"`);
+  const n = Number(token);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} ${n} out of range ${field.min}-${field.max}`);
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid step in ${field.name} "${part}"`);
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      from = parseValue(a, field);
+      to = parseValue(b, field);
+      if (from > to) throw new Error(`invalid range in ${field.name} "${range}"`);
+    } else {
+      from = parseValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse an expression. Returns { minutes, hours, days, months, weekdays, domRestricted, dowRestricted }
+ * (sets of allowed values; Sunday is 0). Throws Error with a readable message when invalid.
+ */
+export function parseCron(expression) {
+  const expr = SHORTCUTS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = expr.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron needs 5 fields (minute hour day month weekday), got "${expression}"`);
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+  return { minutes, hours, days, months, weekdays, domRestricted: parts[2] !== '*', dowRestricted: parts[4] !== '*' };
+}
+
+function dayMatches(cron, { month, day, weekday }) {
+  if (!cron.months.has(month)) return false;
+  const dom = cron.days.has(day);
+  const dow = cron.weekdays.has(weekday);
+  if (cron.domRestricted && cron.dowRestricted) return dom || dow;
+  return dom && dow;
+}
+
+/**
+ * Next time after `from` that the expression fires in timeZone, or null if it never does.
+ */
+export function nextRun(expression, from = new Date(), timeZone = 'UTC') {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const start = zonedParts(new Date(from.getTime() + 60 * 1000), timeZone);
+  const hours = [...cron.hours].sort((a, b) => a - b);
+  const minutes = [...cron.minutes].sort((a, b) => a - b);
+
+  for (let i = 0; i < MAX_DAYS; i++) {
+    // Calendar arithmetic on the wall-clock date; the weekday of a date doesn't depend on the zone
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+    const wall = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+    if (!dayMatches(cron, wall)) continue;
+    for (const hour of hours) {
+      if (i === 0 && hour < start.hour) continue;
+      for (const minute of minutes) {
+        if (i === 0 && hour === start.hour && minute < start.minute) continue;
+        const at = zonedTimeToUtc({ ...wall, hour, minute }, timeZone);
+        if (at && at.getTime() > from.getTime()) return at;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * "2026-10-23T20:00" (wall clock in timeZone) or any ISO string with an offset → Date, or null.
+ */
+export function parseLocalDateTime(text, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/.exec(String(text).trim());
+  if (m) {
+    const [, year, month, day, hour, minute] = m.map(Number);
+    return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+  }
+  const d = new Date(text);
+  return /[zZ]|[+-]\d{2}:?\d{2}$/.test(String(text)) && !Number.isNaN(d.getTime()) ? d : null;
+}
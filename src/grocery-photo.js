@@ -0,0 +1,255 @@
+/**
+ * Photo → Instamart cart. Claude reads the photo (a handwritten list, a fridge shelf) and hands the
+ * bot a structured list through bot__grocery_list; each item is then matched with Instamart product
+ * search here, and the chat gets a review — exact matches, substitutions, items not found — before
+ * anything goes into the cart. The pending review is stored under chat:<id>:grocery-review.
+ */
+
+import { getStore, chatKey } from './storage.js';
+import { callTool, isSwiggyAuthError } from './swiggy-mcp-client.js';
+import { getServer } from './mcp-registry.js';
+import { extractMenuItems } from './selection-keyboards.js';
+
+const MAX_ITEMS = 25;
+// Claude accepts images up to 5 MB
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+// The only tool a photo turn gets: Claude reads the list, the bot does the searching
+export const GROCERY_LIST_TOOL = 'bot__grocery_list';
+
+// Words that say how much, not what
+const NOISE_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'and', 'some', 'pack', 'packs', 'packet', 'packets', 'bottle', 'bottles', 'box', 'dozen',
+  'kg', 'g', 'gm', 'gms', 'gram', 'grams', 'l', 'ltr', 'litre', 'liter', 'ml', 'pcs', 'pc', 'piece', 'pieces', 'x',
+]);
+
+const log = {
+  grocery: (msg, ...args) => console.log(`  \x1b[90m[Grocery]\x1b[0m ${msg}`, ...args),
+  groceryErr: (msg, ...args) => console.error(`  \x1b[31m[Grocery]\x1b[0m ${msg}`, ...args),
+};
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * The bot__grocery_list tool for a photo turn. onList(items) receives the cleaned list.
+ */
+export function groceryListTool(onList) {
+  return {
+    name: GROCERY_LIST_TOOL,
+    description:
+      'Hand over the grocery items read from the photo. The bot matches them with Instamart and shows the user a review ' +
+      'before anything is added to the cart, so do not search or touch the cart yourself.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'What to buy, as a search query, e.g. "toned milk"' },
+              quantity: { type: 'integer', description: 'How many packs / units to buy (default 1)' },
+              size: { type: 'string', description: 'Size or weight if written, e.g. "1 kg", "500 ml"' },
+              brand: { type: 'string', description: 'Brand only if the list names one' },
+            },
+            required: ['name'],
+          },
+        },
+      },
+      required: ['items'],
+    },
+    async run(input) {
+      const items = (Array.isArray(input?.items) ? input.items : [])
+        .filter((i) => i?.name && String(i.name).trim())
+        .slice(0, MAX_ITEMS)
+        .map((i) => ({
+          name: String(i.name).trim().slice(0, 80),
+          quantity: Math.min(Math.max(Math.round(Number(i.quantity) || 1), 1), 20),
+          size: i.size ? String(i.size).slice(0, 30) : null,
+          brand: i.brand ? String(i.brand).slice(0, 40) : null,
+        }));
+      if (!items.length) return 'Error: items is empty — list at least one grocery item, or tell the user no list was found.';
+      onList(items);
+      return JSON.stringify({ received: items.length, note: 'The bot now shows the user a review. Reply with one short sentence.' });
+    },
+  };
+}
+
+/** The Claude request for a photo: the caption (if any) is kept as the user's own words. */
+export function groceryPhotoPrompt(caption) {
+  const said = caption?.trim() ? `The user wrote with the photo: "${caption.trim()}"\n` : '';
+  return (
+    `${said}This photo is a grocery list or shelf to restock from Instamart. Read every item with its quantity and call ` +
+    'bot__grocery_list once with all of them. Do not search products or change the cart. If there is no grocery list in the photo, say so briefly.'
+  );
+}
+
+function words(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N} ]+/gu, ' ')
+    .split(/\s+/)
+    .filter((w) => w && !NOISE_WORDS.has(w) && !/^\d+$/.test(w));
+}
+
+// "egg" matches "eggs", "tomato" matches "tomatoes"
+function sameWord(a, b) {
+  return a === b || (a.length >= 3 && b.startsWith(a)) || (b.length >= 3 && a.startsWith(b));
+}
+
+/** Share (0–1) of the requested words found in a product name. */
+export function matchScore(wanted, productName) {
+  const want = words(wanted);
+  const have = words(productName);
+  if (!want.length) return 0;
+  return want.filter((w) => have.some((h) => sameWord(w, h))).length / want.length;
+}
+
+function searchToolFor(tools) {
+  const prefix = getServer('swiggy_im')?.prefix || 'swiggy_im__';
+  return tools.find((t) => t.name.startsWith(prefix) && /search/i.test(t.name.slice(prefix.length)));
+}
+
+/** Only pass arguments the tool's schema declares. */
+function argsFor(tool, candidates) {
+  const props = tool.input_schema?.properties || {};
+  const args = {};
+  for (const [k, v] of Object.entries(candidates)) {
+    if (k in props && v != null) args[k] = v;
+  }
+  return args;
+}
+
+/**
+ * Match one listed item against search results. Returns
+ * { ...item, status: 'match' | 'substitute' | 'missing', product: { id, name, price } | null, reason }.
+ * The best-scoring in-stock product wins (search order breaks ties); anything short of every word
+ * and the named brand is a substitution the user should look at.
+ */
+export function pickProduct(item, results) {
+  const inStock = results.filter((p) => p.available);
+  if (!inStock.length) {
+    return { ...item, status: 'missing', product: null, reason: results.length ? 'out of stock' : 'not found' };
+  }
+  const wanted = [item.brand, item.name, item.size].filter(Boolean).join(' ');
+  let best = inStock[0];
+  let bestScore = matchScore(wanted, best.name);
+  for (const p of inStock.slice(1)) {
+    const score = matchScore(wanted, p.name);
+    if (score > bestScore) {
+      best = p;
+      bestScore = score;
+    }
+  }
+  const product = { id: best.id, name: best.name, price: best.price };
+  const nameOk = matchScore(item.name, best.name) === 1;
+  const brandOk = !item.brand || matchScore(item.brand, best.name) === 1;
+  if (nameOk && brandOk) return { ...item, status: 'match', product, reason: null };
+  const reason = !nameOk ? 'closest match' : `no ${item.brand}`;
+  return { ...item, status: 'substitute', product, reason };
+}
+
+/**
+ * Search Instamart for every listed item. Search failures mark that item missing rather than
+ * failing the whole list; auth errors are thrown so the bot can ask for /login.
+ */
+export async function matchGroceryList(items, { tools, token, addressId }) {
+  const search = searchToolFor(tools);
+  if (!search) throw new Error('Instamart search is not available right now.');
+  const matched = [];
+  for (const item of items) {
+    try {
+      const raw = await callTool(search.name, argsFor(search, {
+        query: item.brand ? `${item.brand} ${item.name}` : item.name,
+        addressId,
+        address_id: addressId,
+      }), token);
+      matched.push(pickProduct(item, extractMenuItems(JSON.parse(raw), 20)));
+    } catch (err) {
+      if (isSwiggyAuthError(err)) throw err;
+      log.groceryErr(`search for "${item.name}" failed:`, err?.message || String(err));
+      matched.push({ ...item, status: 'missing', product: null, reason: 'search failed' });
+    }
+  }
+  log.grocery(`matched ${matched.filter((m) => m.status === 'match').length}/${matched.length}, ${matched.filter((m) => m.status === 'substitute').length} substitutions`);
+  return matched;
+}
+
+export async function getGroceryReview(chatId) {
+  return (await (await getStore()).get(chatKey(chatId, 'grocery-review'))) || null;
+}
+
+export async function saveGroceryReview(chatId, review) {
+  await (await getStore()).set(chatKey(chatId, 'grocery-review'), review);
+}
+
+export async function clearGroceryReview(chatId) {
+  await (await getStore()).delete(chatKey(chatId, 'grocery-review'));
+}
+
+/** Drop item n (1-based) from the pending review. Returns the updated review or null. */
+export async function skipGroceryItem(chatId, n) {
+  const review = await getGroceryReview(chatId);
+  if (!review?.items[n - 1]) return null;
+  review.items[n - 1].skipped = true;
+  await saveGroceryReview(chatId, review);
+  return review;
+}
+
+/** Items that will go into the cart. */
+export function itemsToAdd(review) {
+  return review.items.filter((i) => i.product && !i.skipped);
+}
+
+function itemLine(item, n) {
+  const qty = `${item.quantity} × `;
+  const asked = `${escapeHtml(item.brand ? `${item.brand} ` : '')}${escapeHtml(item.name)}${item.size ? ` (${escapeHtml(item.size)})` : ''}`;
+  if (item.skipped) return `${n}. <s>${qty}${asked}</s> — skipped`;
+  if (item.status === 'missing') return `${n}. ❌ ${qty}${asked} — <i>${item.reason}</i>`;
+  const price = item.product.price != null ? ` — ₹${item.product.price}` : '';
+  if (item.status === 'match') return `${n}. ✅ ${qty}${escapeHtml(item.product.name)}${price}`;
+  return `${n}. 🔄 ${qty}<b>${escapeHtml(item.product.name)}</b>${price}\n    <i>substitution (${escapeHtml(item.reason)}) — you wrote: ${asked}</i>`;
+}
+
+/**
+ * Telegram HTML for the review plus 🛒 Add / ✖ skip / ❌ Discard buttons.
+ */
+export function formatGroceryReview(review) {
+  const lines = ['<b>From your photo</b>', ''];
+  review.items.forEach((item, i) => lines.push(itemLine(item, i + 1)));
+  const adding = itemsToAdd(review);
+  const total = adding.reduce((sum, i) => sum + (i.product.price ?? 0) * i.quantity, 0);
+  const subs = adding.filter((i) => i.status === 'substitute').length;
+  lines.push('');
+  if (adding.length) {
+    lines.push(`<b>${adding.length} item${adding.length === 1 ? '' : 's'}, about ₹${Math.round(total)}</b>${subs ? ` — check the ${subs} 🔄 substitution${subs === 1 ? '' : 's'}` : ''}`);
+    lines.push('<i>Nothing is in your cart yet. Skip anything you don\'t want, then tap Add to cart.</i>');
+  } else {
+    lines.push('<i>None of these could be found on Instamart.</i>');
+  }
+
+  const skipButtons = review.items
+    .map((item, i) => (item.product && !item.skipped ? { text: `✖ ${i + 1}`, callback_data: `gl:skip:${i + 1}` } : null))
+    .filter(Boolean);
+  const rows = [];
+  for (let i = 0; i < skipButtons.length; i += 6) rows.push(skipButtons.slice(i, i + 6));
+  rows.push([
+    ...(adding.length ? [{ text: '🛒 Add to cart', callback_data: 'gl:add' }] : []),
+    { text: '❌ Discard', callback_data: 'gl:cancel' },
+  ]);
+  return { text: lines.join('\n'), replyMarkup: { inline_keyboard: rows } };
+}
+
+/**
+ * The Claude request that puts the reviewed products in the Instamart cart by exact ID (no order).
+ */
+export function groceryCartPrompt(review) {
+  const items = itemsToAdd(review).map((i) => `- ${i.quantity} × ${i.product.name} (product ID: ${i.product.id})`).join('\n');
+  const address = review.addressId ? ` for addressId ${review.addressId}` : '';
+  return (
+    `Add exactly these products to my Instamart cart${address}:\n${items}\n` +
+    'Use these product IDs; do not search or add anything else. Then show me the cart. Do not place the order.'
+  );
+}
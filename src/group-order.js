@@ -0,0 +1,364 @@
+/**
+ * Group orders: one shared Swiggy Food cart per Telegram chat, filled by several people.
+ * Each member's items are kept apart so the host can see who ordered what; closing the order
+ * puts everything in one cart, places one order and splits the bill by what each person added.
+ * Stored under chat:<id>:group-order; one open group order per chat.
+ */
+
+import { getStore, chatKey } from './storage.js';
+import { callTool, isSwiggyAuthError } from './swiggy-mcp-client.js';
+import { getServer } from './mcp-registry.js';
+import { parseOrderSuccess } from './claude-mcp.js';
+import { buildOrderSummary } from './order-confirmation.js';
+import { extractOrderId } from './order-tracking.js';
+import { extractMenuItems } from './selection-keyboards.js';
+
+const MAX_QUANTITY = 20;
+
+const log = {
+  group: (msg, ...args) => console.log(`  \x1b[90m[Group]\x1b[0m ${msg}`, ...args),
+};
+
+// Per-chat promise chain so two members adding at the same moment never overwrite each other
+const locks = new Map();
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function rupees(n) {
+  return `₹${Math.round(n * 100) / 100}`;
+}
+
+/** Display name for a Telegram user. */
+export function memberName(user = {}) {
+  return user.first_name || (user.username ? `@${user.username}` : `User ${user.id}`);
+}
+
+async function load(chatId) {
+  return (await (await getStore()).get(chatKey(chatId, 'group-order'))) || null;
+}
+
+async function save(chatId, order) {
+  const store = await getStore();
+  if (order) await store.set(chatKey(chatId, 'group-order'), order);
+  else await store.delete(chatKey(chatId, 'group-order'));
+}
+
+/**
+ * Run fn(order) with the chat's group order, one call at a time per chat. fn may mutate the
+ * order (saved afterwards) or return { remove: true } to delete it. Returns fn's result.
+ */
+async function withGroupOrder(chatId, fn) {
+  const key = String(chatId);
+  const run = (locks.get(key) || Promise.resolve()).then(async () => {
+    const order = await load(chatId);
+    const result = await fn(order);
+    if (result?.remove) await save(chatId, null);
+    else if (order) await save(chatId, order);
+    return result;
+  });
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+}
+
+export async function getGroupOrder(chatId) {
+  return load(chatId);
+}
+
+function foodTool(tools, pattern) {
+  const prefix = getServer('swiggy_food')?.prefix || 'swiggy_food__';
+  return tools.find((t) => t.name.startsWith(prefix) && pattern.test(t.name.slice(prefix.length)));
+}
+
+/** Only pass arguments the tool's schema declares (all of them if it declares none). */
+function argsFor(tool, candidates) {
+  const props = tool.input_schema?.properties || {};
+  const declared = Object.keys(props).length > 0;
+  const args = {};
+  for (const [k, v] of Object.entries(candidates)) {
+    if ((!declared || k in props) && v != null) args[k] = v;
+  }
+  return args;
+}
+
+async function callJson(tool, args, token) {
+  return JSON.parse(await callTool(tool.name, args, token));
+}
+
+/**
+ * Find the restaurant and its menu and open a group order hosted by `host` (a Telegram user).
+ * addressId: the chat's selected address, if any (else the first saved address is used).
+ * Throws with a user-readable message when the restaurant or menu cannot be found.
+ */
+export async function openGroupOrder(chatId, { host, query, addressId, tools, token }) {
+  const search = foodTool(tools, /search_restaurants|search/i);
+  const menuTool = foodTool(tools, /menu/i);
+  if (!search || !menuTool) throw new Error('Swiggy Food tools are not available right now.');
+
+  let address = null;
+  if (!addressId) {
+    const addrTool = foodTool(tools, /addresses/i);
+    const parsed = addrTool ? await callJson(addrTool, {}, token) : null;
+    const first = (parsed?.data?.addresses || parsed?.addresses || [])[0];
+    if (!first) throw new Error('No saved delivery address found. Set one up in the Swiggy app first.');
+    addressId = String(first.id);
+    address = first.addressLine || null;
+  }
+
+  const found = await callJson(search, argsFor(search, { query, addressId, address_id: addressId }), token);
+  const restaurants = found?.data?.restaurants || found?.restaurants || [];
+  const wanted = query.toLowerCase();
+  const restaurant = restaurants.find((r) => String(r.name || '').toLowerCase().includes(wanted)) || restaurants[0];
+  if (!restaurant) throw new Error(`No restaurant found for "${query}".`);
+
+  const menu = extractMenuItems(await callJson(menuTool, argsFor(menuTool, {
+    restaurantId: String(restaurant.id),
+    restaurant_id: String(restaurant.id),
+    addressId,
+    address_id: addressId,
+  }), token)).filter((i) => i.available);
+  if (!menu.length) throw new Error(`Couldn't read the menu of ${restaurant.name}.`);
+
+  return withGroupOrder(chatId, async (existing) => {
+    if (existing) throw new Error(`A group order from ${existing.restaurant} is already open. The host can close or cancel it first.`);
+    const order = {
+      hostId: host.id,
+      hostName: memberName(host),
+      restaurantId: String(restaurant.id),
+      restaurant: restaurant.name,
+      addressId,
+      address,
+      menu,
+      members: {},
+      status: 'open',
+      createdAt: Date.now(),
+    };
+    await save(chatId, order);
+    log.group(`opened in chat ${chatId}: ${restaurant.name}`);
+    return order;
+  });
+}
+
+/**
+ * "+2 chicken biryani", "/add 2 chicken biryani", "+ naan" → { quantity, query }, or null.
+ */
+export function parseAddCommand(text) {
+  const m = /^(?:\/add(?:@\w+)?\s+|\+\s*)(\d+)?\s*[x×]?\s*(.+)$/i.exec(String(text).trim());
+  if (!m) return null;
+  const quantity = Math.min(Number(m[1] || 1), MAX_QUANTITY);
+  return quantity > 0 ? { quantity, query: m[2].trim() } : null;
+}
+
+/** Menu items matching a name: an exact match wins, otherwise every item containing all the words. */
+export function findMenuItems(order, query) {
+  const q = query.toLowerCase().trim();
+  const exact = order.menu.filter((i) => i.name.toLowerCase() === q || i.id === query);
+  if (exact.length) return exact;
+  const words = q.split(/\s+/).filter(Boolean);
+  return order.menu.filter((i) => words.every((w) => i.name.toLowerCase().includes(w)));
+}
+
+/**
+ * Add quantity × item (a menu entry, or an item ID) for a member. Returns the member's items.
+ */
+export async function addMemberItem(chatId, user, item, quantity = 1) {
+  return withGroupOrder(chatId, async (order) => {
+    if (!order || order.status !== 'open') throw new Error('There is no open group order in this chat.');
+    const menuItem = typeof item === 'object' ? item : order.menu.find((i) => i.id === String(item));
+    if (!menuItem) throw new Error("That item isn't on this restaurant's menu.");
+    const key = String(user.id);
+    const member = (order.members[key] ||= { name: memberName(user), items: [] });
+    const line = member.items.find((i) => i.id === menuItem.id);
+    if (line) line.quantity = Math.min(line.quantity + quantity, MAX_QUANTITY);
+    else member.items.push({ id: menuItem.id, name: menuItem.name, price: menuItem.price, quantity });
+    return member.items;
+  });
+}
+
+/**
+ * Remove a member's item by name (all of it). Returns the removed line, or null.
+ */
+export async function removeMemberItem(chatId, user, query) {
+  return withGroupOrder(chatId, async (order) => {
+    if (!order || order.status !== 'open') throw new Error('There is no open group order in this chat.');
+    const member = order.members[String(user.id)];
+    if (!member) return null;
+    const q = query.toLowerCase().trim();
+    const index = member.items.findIndex((i) => i.name.toLowerCase().includes(q));
+    if (index === -1) return null;
+    const [removed] = member.items.splice(index, 1);
+    if (!member.items.length) delete order.members[String(user.id)];
+    return removed;
+  });
+}
+
+export async function cancelGroupOrder(chatId) {
+  return withGroupOrder(chatId, async (order) => (order ? { remove: true, order } : null));
+}
+
+/**
+ * Reopen a group order whose placement is unknown, once the host has checked it was not placed.
+ * Returns false when there is no such order.
+ */
+export async function reopenGroupOrder(chatId) {
+  return withGroupOrder(chatId, async (order) => {
+    if (order?.status !== 'unknown') return false;
+    order.status = 'open';
+    return true;
+  });
+}
+
+function memberSubtotal(member) {
+  return member.items.reduce((sum, i) => sum + (i.price || 0) * i.quantity, 0);
+}
+
+/** Everyone's items merged by item ID (quantities summed). */
+export function combinedItems(order) {
+  const byId = new Map();
+  for (const member of Object.values(order.members)) {
+    for (const item of member.items) {
+      const line = byId.get(item.id) || { ...item, quantity: 0 };
+      line.quantity += item.quantity;
+      byId.set(item.id, line);
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Telegram HTML: who added what, per-person subtotals at menu prices, and the group total.
+ */
+export function formatBreakdown(order) {
+  const lines = [`<b>Group order — ${escapeHtml(order.restaurant)}</b>`, `Host: ${escapeHtml(order.hostName)}`, ''];
+  const members = Object.values(order.members);
+  if (!members.length) lines.push('<i>Nothing added yet.</i> Send e.g. <code>+2 Chicken Biryani</code> or tap an item.');
+  let total = 0;
+  for (const member of members) {
+    const subtotal = memberSubtotal(member);
+    total += subtotal;
+    lines.push(`<b>${escapeHtml(member.name)}</b> — ${rupees(subtotal)}`);
+    for (const i of member.items) lines.push(`  • ${i.quantity} × ${escapeHtml(i.name)}${i.price != null ? ` — ${rupees(i.price * i.quantity)}` : ''}`);
+  }
+  if (members.length) lines.push('', `<b>Items total:</b> ${rupees(total)} <i>(taxes and fees are split when the order is placed)</i>`);
+  return lines.join('\n');
+}
+
+/**
+ * Split the amount actually charged in proportion to each member's menu subtotal, in whole rupees.
+ * Largest-remainder rounding, so the shares always add up to the total.
+ */
+export function splitBill(order, total) {
+  const members = Object.entries(order.members).map(([userId, m]) => ({ userId, name: m.name, items: m.items, subtotal: memberSubtotal(m) }));
+  const itemsTotal = members.reduce((sum, m) => sum + m.subtotal, 0);
+  const amount = Math.round(total ?? itemsTotal);
+  if (!members.length) return [];
+  const exact = members.map((m) => (itemsTotal > 0 ? (amount * m.subtotal) / itemsTotal : amount / members.length));
+  const shares = exact.map(Math.floor);
+  let left = amount - shares.reduce((a, b) => a + b, 0);
+  const byRemainder = exact.map((v, i) => [v - Math.floor(v), i]).sort((a, b) => b[0] - a[0]);
+  for (const [, i] of byRemainder) {
+    if (left <= 0) break;
+    shares[i] += 1;
+    left -= 1;
+  }
+  return members.map((m, i) => ({ ...m, share: shares[i] }));
+}
+
+export function formatSplitBill(order, total, orderId) {
+  const lines = [`🧾 <b>Split bill — ${escapeHtml(order.restaurant)}</b>${orderId ? ` (order ${escapeHtml(orderId)})` : ''}`, ''];
+  for (const m of splitBill(order, total)) {
+    lines.push(`• <b>${escapeHtml(m.name)}</b>: ₹${m.share} — ${m.items.map((i) => `${i.quantity} × ${escapeHtml(i.name)}`).join(', ')}`);
+  }
+  lines.push('', `<b>Total:</b> ₹${Math.round(total)}${total ? ' (incl. taxes and fees, shared in proportion to each order)' : ''}`);
+  return lines.join('\n');
+}
+
+/**
+ * Close the group order: one cart with everyone's items, host confirmation, one order.
+ * confirm(summary) → Promise<boolean> shows the usual Confirm / Cancel step to the host;
+ * check(summary) → Promise<string | null> runs before it and may refuse (spending limits).
+ * Returns { placed, cancelled, refusal, unknown, orderId, total, order, summary, error }. The group order is
+ * deleted once placed; on cancel or failure it stays open so members can fix it and retry.
+ * If the order call itself throws, Swiggy may still have placed it: the group order is marked
+ * 'unknown' (unknown: true) instead of reopened, so nobody can place it a second time by accident.
+ */
+export async function placeGroupOrder(chatId, { tools, token, confirm, check }) {
+  const order = await withGroupOrder(chatId, async (o) => {
+    if (o?.status === 'unknown') throw new Error('The last attempt to place this group order may have gone through. Check /track or /history first, then reopen or cancel it.');
+    if (!o || o.status !== 'open') throw new Error('There is no open group order in this chat.');
+    if (!Object.keys(o.members).length) throw new Error('Nobody has added anything yet.');
+    o.status = 'placing';
+    return structuredClone(o);
+  });
+  const reopen = () => withGroupOrder(chatId, async (o) => {
+    if (o) o.status = 'open';
+  });
+
+  let orderSent = false;
+  try {
+    const cartTool = foodTool(tools, /update.*cart|add.*cart/i);
+    const orderTool = foodTool(tools, /place_food_order|place_order|checkout/i);
+    if (!cartTool || !orderTool) throw new Error('Swiggy Food cart tools are not available right now.');
+
+    const items = combinedItems(order);
+    const cart = await callJson(cartTool, argsFor(cartTool, {
+      restaurantId: order.restaurantId,
+      addressId: order.addressId,
+      cartItems: items.map((i) => ({ menu_item_id: i.id, quantity: i.quantity })),
+    }), token);
+    const cartId = cart?.data?.data?.cart_id ?? cart?.data?.cart_id ?? cart?.data?.cartId ?? cart?.cart_id ?? null;
+
+    const input = argsFor(orderTool, { addressId: order.addressId, restaurantId: order.restaurantId, cartId: cartId != null ? String(cartId) : null });
+    const summary = await buildOrderSummary({
+      toolName: orderTool.name,
+      input,
+      sessionState: { restaurants: [{ id: order.restaurantId, name: order.restaurant }], addresses: order.address ? [{ id: order.addressId, addressLine: order.address }] : [] },
+      tools,
+      swiggyAuthToken: token,
+    });
+    summary.details.push(['Group', `${Object.keys(order.members).length} people`]);
+    const refusal = check ? await check(summary) : null;
+    if (refusal) {
+      await reopen();
+      return { placed: false, cancelled: false, order, refusal };
+    }
+    if (!(await confirm(summary))) {
+      await reopen();
+      return { placed: false, cancelled: true, order };
+    }
+
+    orderSent = true;
+    const raw = await callTool(orderTool.name, input, token);
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = { message: raw };
+    }
+    if (!parseOrderSuccess(parsed)) {
+      await reopen();
+      const error = parsed?.data?.statusMessage || parsed?.message || 'The order did not go through.';
+      return { placed: false, cancelled: false, order, error };
+    }
+    const total = summary.total ?? combinedItems(order).reduce((sum, i) => sum + (i.price || 0) * i.quantity, 0);
+    await withGroupOrder(chatId, async () => ({ remove: true }));
+    log.group(`placed in chat ${chatId}: ${extractOrderId(parsed) ?? '(no id)'}`);
+    return { placed: true, orderId: extractOrderId(parsed) ?? null, toolName: orderTool.name, total, order, summary, items };
+  } catch (err) {
+    // A rejected login never reaches Swiggy's order flow; anything else after the call may have placed it
+    if (orderSent && !isSwiggyAuthError(err)) {
+      await withGroupOrder(chatId, async (o) => {
+        if (o) o.status = 'unknown';
+      });
+      log.group(`placement unknown in chat ${chatId}: ${err?.message || err}`);
+      return { placed: false, cancelled: false, unknown: true, order, error: err?.message || String(err) };
+    }
+    await reopen();
+    throw err;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Liveness and readiness for /healthz and /readyz. Ready means: the Telegram and Anthropic keys are
+ * set, every enabled MCP server in the registry completes an initialize handshake, and the bot is
+ * not shutting down. MCP results are cached for READY_CACHE_SECONDS (default 15) so load-balancer
+ * probes don't open a Swiggy session every few seconds.
+ */
+
+import { getEnabledServers } from './mcp-registry.js';
+import { probeServer } from './swiggy-mcp-client.js';
+import { isCircuitOpen } from './circuit-breaker.js';
+
+const startedAt = Date.now();
+
+let cached = null;
+
+function cacheMs() {
+  const seconds = Number(process.env.READY_CACHE_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 15) * 1000;
+}
+
+/** /healthz: the process is up and serving HTTP. */
+export function liveness() {
+  return { ok: true, uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) };
+}
+
+/**
+ * Try each enabled server. Swiggy-auth servers need the shared SWIGGY_AUTH_TOKEN; without one
+ * (every chat uses its own /login) they are reported as skipped rather than failing readiness.
+ */
+async function checkMcpServers(token) {
+  const servers = getEnabledServers();
+  const results = await Promise.all(
+    servers.map(async (server) => {
+      if (isCircuitOpen(server.key)) {
+        return [server.key, { ok: false, label: server.label, error: 'circuit breaker open (too many failures in a row)' }];
+      }
+      if (server.auth === 'swiggy' && !token) {
+        return [server.key, { ok: true, label: server.label, skipped: 'no SWIGGY_AUTH_TOKEN (chats use /login)' }];
+      }
+      try {
+        await probeServer(server.key, token);
+        return [server.key, { ok: true, label: server.label }];
+      } catch (err) {
+        return [server.key, { ok: false, label: server.label, error: err?.message || String(err) }];
+      }
+    })
+  );
+  return Object.fromEntries(results);
+}
+
+/**
+ * /readyz: { ready, checks }. options.draining marks a bot that is finishing in-flight work before
+ * exit, so the load balancer stops sending it traffic.
+ */
+export async function readiness({ draining = false, token = process.env.SWIGGY_AUTH_TOKEN, now = Date.now() } = {}) {
+  if (!cached || now - cached.at >= cacheMs()) {
+    cached = { at: now, mcp: await checkMcpServers(token) };
+  }
+  const checks = {
+    telegram: process.env.TELEGRAM_BOT_TOKEN ? { ok: true } : { ok: false, error: 'TELEGRAM_BOT_TOKEN is not set' },
+    anthropic: process.env.ANTHROPIC_API_KEY ? { ok: true } : { ok: false, error: 'ANTHROPIC_API_KEY is not set' },
+    mcp: cached.mcp,
+  };
+  const mcpOk = Object.keys(checks.mcp).length > 0 && Object.values(checks.mcp).every((c) => c.ok);
+  if (!mcpOk && Object.keys(checks.mcp).length === 0) checks.mcp = { error: 'no MCP servers are enabled' };
+  return {
+    ready: !draining && checks.telegram.ok && checks.anthropic.ok && mcpOk,
+    ...(draining && { draining: true }),
+    checks,
+  };
+}
+
+/** Forget the cached MCP results (e.g. after /refresh or in tests). */
+export function clearReadinessCache() {
+  cached = null;
+}
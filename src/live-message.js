@@ -0,0 +1,79 @@
+/**
+ * A Telegram message that keeps changing while a request runs: the "Checking Swiggy…" placeholder
+ * shows the current step, then the answer as Claude streams it. Edits are throttled to one per
+ * STREAM_EDIT_INTERVAL_MS (default 1000; at least 3000 in groups, where Telegram allows ~20
+ * messages a minute) and only the latest text is sent. A 429 pauses edits for retry_after.
+ */
+
+// Telegram's message limit, less room for the "…" marker
+const MAX_PREVIEW = 4000;
+const GROUP_MIN_INTERVAL_MS = 3000;
+
+const log = {
+  liveErr: (msg, ...args) => console.error(`  \x1b[31m[Live]\x1b[0m ${msg}`, ...args),
+};
+
+function editIntervalMs(chatId) {
+  const interval = Number(process.env.STREAM_EDIT_INTERVAL_MS) || 1000;
+  return chatId < 0 ? Math.max(interval, GROUP_MIN_INTERVAL_MS) : interval;
+}
+
+function preview(text) {
+  const t = String(text).trim();
+  return t.length > MAX_PREVIEW ? `${t.slice(0, MAX_PREVIEW)}…` : t;
+}
+
+/**
+ * Wrap an already-sent message. update(text) shows plain text (no parse mode, since streamed HTML
+ * is usually half a tag); stop() cancels what is still waiting and resolves once no edit is in flight.
+ */
+export function createLiveMessage(bot, { chatId, messageId, intervalMs = editIntervalMs(chatId) }) {
+  let latest = null;
+  let shown = null;
+  let lastEditAt = 0;
+  let pausedUntil = 0;
+  let timer = null;
+  let stopped = false;
+  let editing = Promise.resolve();
+
+  function schedule() {
+    if (timer || stopped) return;
+    const wait = Math.max(lastEditAt + intervalMs, pausedUntil) - Date.now();
+    timer = setTimeout(edit, Math.max(wait, 0));
+    timer.unref?.();
+  }
+
+  function edit() {
+    timer = null;
+    if (stopped || !latest || latest === shown) return;
+    const text = latest;
+    lastEditAt = Date.now();
+    editing = editing
+      .then(() => bot.editMessageText(text, { chat_id: chatId, message_id: messageId, disable_web_page_preview: true }))
+      .then(() => {
+        shown = text;
+      })
+      .catch((err) => {
+        const retryAfter = err?.response?.body?.parameters?.retry_after;
+        if (retryAfter) {
+          pausedUntil = Date.now() + retryAfter * 1000;
+          schedule();
+        } else if (!/not modified/i.test(err?.message || '')) {
+          log.liveErr('edit failed', err?.message || String(err));
+        }
+      });
+  }
+
+  return {
+    update(text) {
+      latest = preview(text);
+      schedule();
+    },
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      await editing;
+    },
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Registry of MCP servers the bot talks to. Built-in defaults are the three Swiggy verticals;
+ * config/mcp-servers.json (or MCP_SERVERS_FILE) and env vars override or add servers.
+ *
+ * Server entry: { key, url, prefix, auth, enabled, timeoutMs, label }
+ *   auth: 'swiggy'  — Bearer token of the chat's Swiggy login / SWIGGY_AUTH_TOKEN (default)
+ *         'none'    — no Authorization header
+ *         'env:VAR' — static Bearer token read from env var VAR
+ *
+ * Env overrides (KEY = server key upper-cased, e.g. SWIGGY_FOOD):
+ *   MCP_SERVERS='{"maps":{"url":"…","auth":"none"}}'   merged like the config file
+ *   MCP_<KEY>_URL, MCP_<KEY>_ENABLED=false, MCP_<KEY>_TIMEOUT_MS
+ *   SWIGGY_MCP_ORIGIN — move every mcp.swiggy.com server to another origin (staging, test mock)
+ */
+
+import { readFileSync } from 'fs';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_CONFIG_FILE = 'config/mcp-servers.json';
+
+const DEFAULT_SERVERS = {
+  swiggy_food: { url: 'https://mcp.swiggy.com/food', label: 'Swiggy Food' },
+  swiggy_im: { url: 'https://mcp.swiggy.com/im', label: 'Instamart' },
+  swiggy_dineout: { url: 'https://mcp.swiggy.com/dineout', label: 'Dineout' },
+};
+
+const log = {
+  regErr: (msg, ...args) => console.error(`  \x1b[31m[MCP]\x1b[0m ${msg}`, ...args),
+};
+
+let servers = null;
+
+function readConfigFile() {
+  const file = process.env.MCP_SERVERS_FILE || DEFAULT_CONFIG_FILE;
+  try {
+    const json = JSON.parse(readFileSync(file, 'utf8'));
+    return json?.servers || {};
+  } catch (err) {
+    if (err?.code === 'ENOENT' && !process.env.MCP_SERVERS_FILE) return {};
+    log.regErr(`cannot read ${file}:`, err?.message || String(err));
+    return {};
+  }
+}
+
+function readEnvJson() {
+  if (!process.env.MCP_SERVERS) return {};
+  try {
+    return JSON.parse(process.env.MCP_SERVERS);
+  } catch (err) {
+    log.regErr('MCP_SERVERS is not valid JSON:', err?.message);
+    return {};
+  }
+}
+
+function envFlag(value, fallback) {
+  if (value == null || value === '') return fallback;
+  return !/^(0|false|no|off)$/i.test(String(value).trim());
+}
+
+function buildRegistry() {
+  const merged = {};
+  for (const source of [DEFAULT_SERVERS, readConfigFile(), readEnvJson()]) {
+    for (const [key, entry] of Object.entries(source)) {
+      merged[key] = { ...merged[key], ...entry };
+    }
+  }
+
+  const origin = process.env.SWIGGY_MCP_ORIGIN?.replace(/\/+$/, '');
+  const list = [];
+  for (const [key, entry] of Object.entries(merged)) {
+    const envKey = `MCP_${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    let url = process.env[`${envKey}_URL`] || entry.url;
+    if (origin && url?.startsWith('https://mcp.swiggy.com/')) {
+      url = origin + url.slice('https://mcp.swiggy.com'.length);
+    }
+    if (!url) {
+      log.regErr(`server "${key}" has no url — skipped`);
+      continue;
+    }
+    list.push({
+      key,
+      url,
+      prefix: entry.prefix || `${key}__`,
+      auth: entry.auth || 'swiggy',
+      enabled: envFlag(process.env[`${envKey}_ENABLED`], entry.enabled !== false),
+      timeoutMs: Number(process.env[`${envKey}_TIMEOUT_MS`] || entry.timeoutMs) || DEFAULT_TIMEOUT_MS,
+      label: entry.label || key,
+    });
+  }
+  // Longest prefix first so "swiggy_food__" never shadows e.g. "swiggy_food_v2__"
+  list.sort((a, b) => b.prefix.length - a.prefix.length);
+  return list;
+}
+
+/**
+ * Every configured server, enabled or not. Built on first use (after .env is loaded).
+ */
+export function getServers() {
+  if (!servers) servers = buildRegistry();
+  return servers;
+}
+
+export function getEnabledServers() {
+  return getServers().filter((s) => s.enabled);
+}
+
+export function getServer(key) {
+  return getServers().find((s) => s.key === key) || null;
+}
+
+/**
+ * Re-read config file and env (e.g. on /refresh).
+ */
+export function reloadRegistry() {
+  servers = null;
+  return getEnabledServers();
+}
+
+/**
+ * Split a prefixed Claude tool name into { server, name } (server = registry entry), or null.
+ */
+export function serverForTool(claudeToolName) {
+  for (const server of getServers()) {
+    if (claudeToolName.startsWith(server.prefix)) {
+      return { server, name: claudeToolName.slice(server.prefix.length) };
+    }
+  }
+  return null;
+}
+
+/** Tool name without its server prefix, for logs and progress text. */
+export function stripToolPrefix(claudeToolName) {
+  return serverForTool(claudeToolName)?.name ?? claudeToolName;
+}
+
+/**
+ * Bearer token to send to a server: the Swiggy token for 'swiggy' auth, an env token for 'env:VAR', none for 'none'.
+ */
+export function tokenForServer(server, swiggyToken) {
+  if (server.auth === 'none') return null;
+  if (server.auth.startsWith('env:')) return process.env[server.auth.slice(4)] || null;
+  return swiggyToken || null;
+}
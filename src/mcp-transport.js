@@ -0,0 +1,174 @@
+/**
+ * MCP Streamable HTTP transport: POST one JSON-RPC message, read the answer as plain JSON,
+ * a JSON-RPC batch or a text/event-stream, and match it to the request by id.
+ * Server notifications and requests seen on the way are handed to onServerMessage.
+ * A stream that ends before the response is resumed with GET + Last-Event-ID.
+ * @see https://modelcontextprotocol.io/specification/2025-03-26/basic/transports#streamable-http
+ */
+
+const MAX_RESUMES = 3;
+const DEFAULT_RETRY_MS = 500;
+
+const log = {
+  rpc: (msg, ...args) => console.log(`  \x1b[90m[MCP]\x1b[0m ${msg}`, ...args),
+  rpcErr: (msg, ...args) => console.error(`  \x1b[31m[MCP]\x1b[0m ${msg}`, ...args),
+};
+
+let nextId = 1;
+
+/** Process-wide unique JSON-RPC request id. */
+export function nextRequestId() {
+  return nextId++;
+}
+
+/**
+ * Parse a text/event-stream body into events { event, data, id, retry }.
+ * Follows the WHATWG rules: comments start with ':', data lines are joined with '\n',
+ * an event is dispatched on a blank line, and a trailing event without one is dropped.
+ */
+export async function* readSseEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = { event: 'message', data: [], id: undefined, retry: undefined };
+
+  function* takeLines(final) {
+    let match;
+    while ((match = /\r\n|\r|\n/.exec(buffer))) {
+      // A lone \r at the end of a chunk may be the first half of \r\n
+      if (!final && match[0] === '\r' && match.index === buffer.length - 1) break;
+      yield buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+    }
+  }
+
+  function* handle(line) {
+    if (line === '') {
+      if (event.data.length > 0 || event.id !== undefined) {
+        yield { event: event.event, data: event.data.join('\n'), id: event.id, retry: event.retry };
+      }
+      event = { event: 'message', data: [], id: undefined, retry: undefined };
+      return;
+    }
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+    if (field === 'event') event.event = value;
+    else if (field === 'data') event.data.push(value);
+    else if (field === 'id' && !value.includes('\0')) event.id = value;
+    else if (field === 'retry' && /^\d+$/.test(value)) event.retry = Number(value);
+  }
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    for (const line of takeLines(false)) yield* handle(line);
+  }
+  buffer += decoder.decode();
+  for (const line of takeLines(true)) yield* handle(line);
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Route one parsed JSON-RPC payload (a message or a batch). Returns the response for `id`, if present.
+ */
+function dispatch(payload, id, onServerMessage) {
+  const messages = Array.isArray(payload) ? payload : [payload];
+  let response;
+  for (const msg of messages) {
+    if (!msg || typeof msg !== 'object') continue;
+    if (msg.method) {
+      onServerMessage(msg);
+    } else if (id !== undefined && msg.id === id && ('result' in msg || 'error' in msg)) {
+      response = msg;
+    }
+  }
+  return response;
+}
+
+/**
+ * Read an SSE body until the response for `id` arrives. Returns { response, lastEventId, retry }.
+ */
+async function readStream(res, id, onServerMessage) {
+  let lastEventId;
+  let retry;
+  for await (const ev of readSseEvents(res.body)) {
+    if (ev.id !== undefined) lastEventId = ev.id;
+    if (ev.retry !== undefined) retry = ev.retry;
+    if (ev.event !== 'message' || !ev.data) continue;
+    const payload = parseJson(ev.data);
+    if (payload === undefined) {
+      log.rpcErr('ignoring non-JSON SSE event', ev.data.slice(0, 100));
+      continue;
+    }
+    const response = dispatch(payload, id, onServerMessage);
+    if (response) return { response, lastEventId, retry };
+  }
+  return { response: undefined, lastEventId, retry };
+}
+
+/**
+ * Send a JSON-RPC message to an MCP endpoint.
+ *
+ * options.headers        extra headers (Authorization, Mcp-Session-Id)
+ * options.timeoutMs      abort the whole exchange, including any resumed streams
+ * options.signal         caller's AbortSignal, e.g. a cancelled turn (aborts like the timeout)
+ * options.onServerMessage(msg)  notifications and server→client requests received while waiting
+ *
+ * Returns { status, headers, message }. message is the JSON-RPC response with the request's id,
+ * the parsed body of a non-2xx reply (for error inspection), or null for notifications.
+ * A 2xx reply whose body cannot be parsed has message undefined and rawText set.
+ */
+export async function sendJsonRpc(url, payload, { headers = {}, timeoutMs = 30000, signal: callerSignal, onServerMessage = () => {} } = {}) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const signal = callerSignal ? AbortSignal.any([timeout, callerSignal]) : timeout;
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: JSON.stringify(payload),
+    signal,
+  });
+  const id = payload.id;
+  const contentType = res.headers.get('content-type') || '';
+
+  if (!res.ok || !contentType.includes('text/event-stream')) {
+    const rawText = await res.text();
+    const parsed = parseJson(rawText);
+    if (!res.ok || id === undefined) return { status: res.status, headers: res.headers, message: parsed ?? null, rawText };
+    if (parsed === undefined) return { status: res.status, headers: res.headers, message: undefined, rawText };
+    const response = dispatch(parsed, id, onServerMessage);
+    return { status: res.status, headers: res.headers, message: response ?? parsed, rawText };
+  }
+
+  let { response, lastEventId, retry } = await readStream(res, id, onServerMessage);
+  // Stream closed before the answer (proxy timeout, server restart): reconnect and replay from the last event
+  for (let attempt = 1; !response && lastEventId !== undefined && attempt <= MAX_RESUMES; attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, retry ?? DEFAULT_RETRY_MS));
+    log.rpc(`resuming stream after event ${lastEventId} (attempt ${attempt})`);
+    const resumed = await fetch(url, {
+      method: 'GET',
+      headers: { Accept: 'text/event-stream', ...headers, 'Last-Event-ID': lastEventId },
+      signal,
+    });
+    if (!resumed.ok || !(resumed.headers.get('content-type') || '').includes('text/event-stream')) {
+      await resumed.text().catch(() => {});
+      break;
+    }
+    const next = await readStream(resumed, id, onServerMessage);
+    response = next.response;
+    if (next.lastEventId !== undefined) lastEventId = next.lastEventId;
+    if (next.retry !== undefined) retry = next.retry;
+  }
+  if (!response && id !== undefined) {
+    // Worth retrying: the server or a proxy dropped the stream
+    throw Object.assign(new Error(`MCP stream closed before the response to ${payload.method}`), { transient: true });
+  }
+  return { status: res.status, headers: res.headers, message: response ?? null };
+}
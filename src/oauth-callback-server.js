@@ -0,0 +1,68 @@
+/**
+ * Small local HTTP endpoint that catches the Swiggy OAuth redirect.
+ * Listens on the port/path of SWIGGY_OAUTH_REDIRECT_URI (override port with OAUTH_CALLBACK_PORT),
+ * and only when /login is configured. There is no default port: without one it does not listen.
+ */
+
+import { createServer } from 'http';
+import { completeLogin, isLoginConfigured } from './swiggy-oauth.js';
+
+const log = {
+  http: (msg, ...args) => console.log(`  \x1b[34m[OAuth]\x1b[0m ${msg}`, ...args),
+  httpErr: (msg, ...args) => console.error(`  \x1b[31m[OAuth]\x1b[0m ${msg}`, ...args),
+};
+
+function page(title, body) {
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${title}</title></head>` +
+    `<body style="font-family:sans-serif;max-width:32em;margin:4em auto"><h2>${title}</h2><p>${body}</p></body></html>`;
+}
+
+/**
+ * Start the callback server. onLogin(chatId) runs after the chat's tokens are stored.
+ * Returns null (nothing listening) when /login is not configured or no port is known.
+ */
+export function startOAuthCallbackServer({ onLogin } = {}) {
+  if (!isLoginConfigured()) return null;
+  const redirect = new URL(process.env.SWIGGY_OAUTH_REDIRECT_URI || 'http://localhost/callback');
+  const port = Number(process.env.OAUTH_CALLBACK_PORT) || Number(redirect.port);
+  const callbackPath = redirect.pathname || '/';
+  if (!port) {
+    log.httpErr(`${redirect.origin} has no port and OAUTH_CALLBACK_PORT is not set — not listening; finish logins with /login <address>`);
+    return null;
+  }
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (req.method !== 'GET' || url.pathname !== callbackPath) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    const error = url.searchParams.get('error');
+    if (error) {
+      log.httpErr('authorization denied', error);
+      res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(page('Login cancelled', 'Swiggy did not authorize the bot. You can close this tab and send /login again.'));
+      return;
+    }
+    try {
+      const chatId = await completeLogin({
+        code: url.searchParams.get('code'),
+        state: url.searchParams.get('state'),
+      });
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(page('Swiggy connected', 'You can close this tab and go back to Telegram.'));
+      await onLogin?.(chatId);
+    } catch (err) {
+      log.httpErr('callback failed', err?.message || String(err));
+      res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(page('Login failed', 'Something went wrong finishing the login. Send /login in Telegram to try again.'));
+    }
+  });
+
+  server.on('error', (err) => {
+    log.httpErr(`cannot listen on port ${port}:`, err.message);
+  });
+  server.listen(port, () => log.http(`callback listening on :${port}${callbackPath}`));
+  return server;
+}
@@ -0,0 +1,174 @@
+/**
+ * Order summary shown on the ✅ Confirm / ❌ Cancel step before any order/checkout/book_table tool runs.
+ * Cart contents come from the vertical's own cart tool when it has one; everything is best-effort
+ * because the Swiggy payloads differ per vertical.
+ */
+
+import { callTool } from './swiggy-mcp-client.js';
+
+const ITEM_NAME_KEYS = ['name', 'itemName', 'item_name', 'productName', 'product_name', 'title', 'displayName'];
+const QTY_KEYS = ['quantity', 'qty', 'count'];
+const PRICE_KEYS = ['finalPrice', 'final_price', 'total', 'totalPrice', 'total_price', 'price', 'offerPrice', 'mrp'];
+const TOTAL_KEYS = ['toPay', 'to_pay', 'grandTotal', 'grand_total', 'orderTotal', 'order_total', 'totalAmount', 'total_amount', 'billTotal', 'bill_total', 'finalAmount', 'final_amount', 'total'];
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function firstKey(obj, keys) {
+  for (const k of keys) {
+    if (obj[k] != null && obj[k] !== '') return obj[k];
+  }
+  return undefined;
+}
+
+function toAmount(v) {
+  if (v && typeof v === 'object') v = firstKey(v, ['value', 'amount', 'total']);
+  const n = typeof v === 'string' ? Number(v.replace(/[^\d.]/g, '')) : Number(v);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+/**
+ * Find the cart line items in a cart tool result: the first array whose
+ * elements look like items (have a name and a quantity).
+ */
+export function extractCartItems(parsed, depth = 0) {
+  if (!parsed || typeof parsed !== 'object' || depth > 6) return [];
+  if (Array.isArray(parsed)) {
+    const items = parsed
+      .filter((el) => el && typeof el === 'object' && firstKey(el, ITEM_NAME_KEYS) != null && firstKey(el, QTY_KEYS) != null)
+      .map((el) => ({
+        id: el.id ?? el.itemId ?? el.item_id ?? el.productId ?? el.product_id ?? el.spinId ?? null,
+        name: String(firstKey(el, ITEM_NAME_KEYS)),
+        quantity: Number(firstKey(el, QTY_KEYS)) || 1,
+        price: toAmount(firstKey(el, PRICE_KEYS)),
+      }));
+    if (items.length) return items;
+  }
+  for (const v of Object.values(parsed)) {
+    const found = extractCartItems(v, depth + 1);
+    if (found.length) return found;
+  }
+  return [];
+}
+
+/** Cart total (amount to pay), searched breadth-first so the top-level bill wins over item totals. */
+export function extractCartTotal(parsed) {
+  let level = [parsed];
+  for (let depth = 0; depth < 6 && level.length; depth++) {
+    const next = [];
+    for (const obj of level) {
+      if (!obj || typeof obj !== 'object' || Array.isArray(obj)) continue;
+      const total = toAmount(firstKey(obj, TOTAL_KEYS));
+      if (total) return total;
+      next.push(...Object.values(obj).filter((v) => v && typeof v === 'object' && !Array.isArray(v)));
+    }
+    level = next;
+  }
+  return undefined;
+}
+
+/** 'food', 'instamart' or 'dineout' for an order tool name. */
+export function verticalOf(toolName) {
+  if (toolName.includes('dineout')) return 'dineout';
+  if (toolName.startsWith('swiggy_im__')) return 'instamart';
+  return 'food';
+}
+
+/**
+ * The vertical's "view cart" tool (e.g. swiggy_food__get_food_cart), if the server exposes one.
+ */
+function findCartTool(toolName, tools) {
+  const prefix = toolName.slice(0, toolName.indexOf('__') + 2);
+  return tools.find((t) => t.name.startsWith(prefix) && /cart/i.test(t.name) && /get|view|fetch|show/i.test(t.name));
+}
+
+/** Only pass arguments the cart tool's schema declares. */
+function cartToolArgs(tool, input, ctx) {
+  const props = tool.input_schema?.properties || {};
+  const candidates = {
+    addressId: input.addressId ?? ctx.addressId,
+    address_id: input.address_id ?? ctx.addressId,
+    restaurantId: input.restaurantId ?? ctx.restaurantId,
+    restaurant_id: input.restaurant_id ?? ctx.restaurantId,
+    cartId: input.cartId ?? ctx.cartId,
+    cart_id: input.cart_id ?? ctx.cartId,
+  };
+  const args = {};
+  for (const [k, v] of Object.entries(candidates)) {
+    if (k in props && v != null) args[k] = v;
+  }
+  return args;
+}
+
+/**
+ * Build the summary for an order tool call: { vertical, toolName, items, total, address, paymentMode, restaurant, details }.
+ */
+export async function buildOrderSummary({ toolName, input, sessionState: ctx = {}, tools = [], swiggyAuthToken }) {
+  const vertical = verticalOf(toolName);
+  const addressId = input.addressId ?? input.address_id ?? ctx.addressId;
+  const address = ctx.addresses?.find((a) => String(a.id) === String(addressId))?.addressLine || (addressId ? `Address ID ${addressId}` : null);
+  const restaurantId = input.restaurantId ?? input.restaurant_id ?? ctx.restaurantId;
+  const restaurant = ctx.restaurants?.find((r) => String(r.id) === String(restaurantId))?.name || null;
+  const summary = {
+    vertical,
+    toolName,
+    items: [],
+    total: undefined,
+    address,
+    restaurant,
+    paymentMode: input.paymentMethod || input.payment_method || input.paymentMode || (vertical === 'dineout' ? null : 'Cash on delivery'),
+    details: [],
+  };
+
+  if (vertical === 'dineout') {
+    for (const [label, keys] of [
+      ['Restaurant', ['restaurantName', 'restaurant_name', 'restaurantId', 'restaurant_id']],
+      ['Date', ['date', 'bookingDate', 'booking_date']],
+      ['Time', ['time', 'slot', 'slotTime', 'slot_time']],
+      ['Guests', ['guests', 'guestCount', 'guest_count', 'partySize', 'party_size', 'people']],
+    ]) {
+      const v = firstKey(input, keys);
+      if (v != null) summary.details.push([label, String(v)]);
+    }
+    return summary;
+  }
+
+  const cartTool = findCartTool(toolName, tools);
+  if (cartTool) {
+    try {
+      const raw = await callTool(cartTool.name, cartToolArgs(cartTool, input, ctx), swiggyAuthToken);
+      const parsed = JSON.parse(raw);
+      summary.items = extractCartItems(parsed);
+      summary.total = extractCartTotal(parsed);
+    } catch {
+      // No readable cart — the summary still shows address and payment mode
+    }
+  }
+  return summary;
+}
+
+/**
+ * Telegram HTML for the confirmation message.
+ */
+export function formatOrderSummary(summary) {
+  const title = summary.vertical === 'dineout' ? 'Confirm table booking' : summary.vertical === 'instamart' ? 'Confirm Instamart order' : 'Confirm food order';
+  const lines = [`<b>${title}</b>`];
+  if (summary.restaurant) lines.push(`🍽 ${escapeHtml(summary.restaurant)}`);
+  if (summary.items.length) {
+    lines.push('');
+    for (const item of summary.items) {
+      const price = item.price ? ` — ₹${item.price}` : '';
+      lines.push(`• ${item.quantity} × ${escapeHtml(item.name)}${price}`);
+    }
+  } else if (summary.vertical !== 'dineout') {
+    lines.push('', '<i>Cart details unavailable — check the summary above.</i>');
+  }
+  for (const [label, value] of summary.details) lines.push(`<b>${label}:</b> ${escapeHtml(value)}`);
+  lines.push('');
+  if (summary.total) lines.push(`<b>Total:</b> ₹${summary.total}`);
+  if (summary.address) lines.push(`<b>Address:</b> ${escapeHtml(summary.address)}`);
+  if (summary.paymentMode) lines.push(`<b>Payment:</b> ${escapeHtml(summary.paymentMode)}`);
+  if (summary.vertical !== 'dineout') lines.push('', '<i>COD orders cannot be cancelled once placed.</i>');
+  return lines.join('\n');
+}
@@ -0,0 +1,174 @@
+/**
+ * /history and /reorder: list a chat's past orders and rebuild one. Before the cart is rebuilt,
+ * today's menu (food) or product search (Instamart) is checked so items that are gone or cost
+ * something else are flagged; the order itself then goes through the normal confirmation step.
+ */
+
+import { callTool } from './swiggy-mcp-client.js';
+import { extractMenuItems } from './selection-keyboards.js';
+
+// Instamart items are checked one search at a time
+const MAX_SEARCHES = 10;
+const PRICE_TOLERANCE = 0.5;
+const HISTORY_LENGTH = 20;
+
+const log = {
+  history: (msg, ...args) => console.log(`  \x1b[90m[History]\x1b[0m ${msg}`, ...args),
+  historyErr: (msg, ...args) => console.error(`  \x1b[31m[History]\x1b[0m ${msg}`, ...args),
+};
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/** The last 20 orders newest first — the numbering /history shows and /reorder <n> uses. */
+export function historyList(orders) {
+  return orders.slice(-HISTORY_LENGTH).reverse();
+}
+
+/** Stable button key for an order (its placement time). */
+export function orderKey(order) {
+  return order.placedAt.toString(36);
+}
+
+export function canReorder(order) {
+  return order.vertical !== 'dineout' && order.items?.length > 0;
+}
+
+function itemsLine(items) {
+  return items.map((i) => `${i.quantity} × ${escapeHtml(i.name)}`).join(', ');
+}
+
+/**
+ * Telegram HTML for /history plus one 🔁 button per reorderable order.
+ */
+export function formatHistory(orders) {
+  const list = historyList(orders);
+  if (!list.length) return { text: 'No orders from this chat yet.', replyMarkup: undefined };
+  const lines = ['<b>Your past orders</b>', ''];
+  const buttons = [];
+  list.forEach((order, i) => {
+    const n = i + 1;
+    const when = new Date(order.placedAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+    const where = order.restaurant || (order.vertical === 'instamart' ? 'Instamart' : order.vertical === 'dineout' ? 'Table booking' : 'Swiggy Food');
+    const head = `<b>${n}.</b> ${escapeHtml(where)} · ${when}${order.total ? ` · ₹${order.total}` : ''}`;
+    lines.push(order.items?.length ? `${head}\n    ${itemsLine(order.items)}` : head);
+    if (canReorder(order)) buttons.push({ text: `🔁 ${n}`, callback_data: `ro:${orderKey(order)}` });
+  });
+  lines.push('', buttons.length ? 'Tap 🔁 or send <code>/reorder &lt;n&gt;</code> to order one again.' : '<i>None of these can be reordered.</i>');
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 5) rows.push(buttons.slice(i, i + 5));
+  return { text: lines.join('\n'), replyMarkup: rows.length ? { inline_keyboard: rows } : undefined };
+}
+
+function toolWithPrefix(order, tools, pattern) {
+  const prefix = order.toolName.slice(0, order.toolName.indexOf('__') + 2);
+  return tools.find((t) => t.name.startsWith(prefix) && pattern.test(t.name.slice(prefix.length)));
+}
+
+/** Only pass arguments the tool's schema declares. */
+function argsFor(tool, candidates) {
+  const props = tool.input_schema?.properties || {};
+  const args = {};
+  for (const [k, v] of Object.entries(candidates)) {
+    if (k in props && v != null) args[k] = v;
+  }
+  return args;
+}
+
+function matchItem(item, catalogue) {
+  return (
+    (item.id != null && catalogue.find((c) => String(c.id) === String(item.id))) ||
+    catalogue.find((c) => c.name.toLowerCase() === item.name.toLowerCase()) ||
+    null
+  );
+}
+
+/** Catalogue entries ({ id, name, price, available }) the past items can be matched against. */
+async function currentCatalogue(order, tools, token) {
+  if (order.vertical === 'food') {
+    const menuTool = toolWithPrefix(order, tools, /menu/i);
+    if (!menuTool) return null;
+    const raw = await callTool(menuTool.name, argsFor(menuTool, {
+      restaurantId: order.restaurantId,
+      restaurant_id: order.restaurantId,
+      addressId: order.addressId,
+      address_id: order.addressId,
+    }), token);
+    return extractMenuItems(JSON.parse(raw));
+  }
+  const searchTool = toolWithPrefix(order, tools, /search/i);
+  if (!searchTool) return null;
+  const found = [];
+  for (const item of order.items.slice(0, MAX_SEARCHES)) {
+    const raw = await callTool(searchTool.name, argsFor(searchTool, {
+      query: item.name,
+      addressId: order.addressId,
+      address_id: order.addressId,
+    }), token);
+    found.push(...extractMenuItems(JSON.parse(raw), 30));
+  }
+  return found;
+}
+
+/**
+ * Compare a past order with what can be bought today.
+ * Returns { checked, available: [item], unavailable: [item], priceChanges: [{ item, was, now }] };
+ * available items carry today's id. checked is false when the catalogue could not be read,
+ * in which case every item is passed on unverified.
+ */
+export async function checkReorder(order, { tools, token }) {
+  let catalogue = null;
+  try {
+    catalogue = await currentCatalogue(order, tools, token);
+  } catch (err) {
+    log.historyErr('reorder check failed:', err?.message || String(err));
+  }
+  if (!catalogue) return { checked: false, available: [...order.items], unavailable: [], priceChanges: [] };
+
+  const result = { checked: true, available: [], unavailable: [], priceChanges: [] };
+  for (const item of order.items) {
+    const now = matchItem(item, catalogue);
+    if (!now || !now.available) {
+      result.unavailable.push(item);
+      continue;
+    }
+    result.available.push({ ...item, id: now.id });
+    if (item.unitPrice != null && now.price != null && Math.abs(now.price - item.unitPrice) > PRICE_TOLERANCE) {
+      result.priceChanges.push({ item, was: item.unitPrice, now: now.price });
+    }
+  }
+  log.history(`reorder check: ${result.available.length} available, ${result.unavailable.length} gone, ${result.priceChanges.length} repriced`);
+  return result;
+}
+
+/**
+ * Telegram HTML telling the user what will be reordered and what changed.
+ */
+export function formatReorderCheck(order, check) {
+  const from = order.restaurant ? ` from ${escapeHtml(order.restaurant)}` : order.vertical === 'instamart' ? ' from Instamart' : '';
+  const lines = [`<b>Reordering${from}</b>`];
+  if (check.available.length) lines.push(itemsLine(check.available));
+  if (check.unavailable.length) lines.push('', `⚠️ <b>No longer available:</b> ${itemsLine(check.unavailable)}`);
+  for (const { item, was, now } of check.priceChanges) {
+    lines.push(`💸 <b>Price changed:</b> ${escapeHtml(item.name)} ₹${was} → ₹${now}`);
+  }
+  if (!check.checked) lines.push('', "<i>Couldn't check today's menu — prices and availability will show at confirmation.</i>");
+  return lines.join('\n');
+}
+
+/**
+ * The Claude request that rebuilds the cart with exact IDs and then places the order
+ * (which stops at the usual Confirm / Cancel step).
+ */
+export function reorderPrompt(order, check) {
+  const items = check.available.map((i) => `- ${i.quantity} × ${i.name}${i.id != null ? ` (item ID: ${i.id})` : ''}`).join('\n');
+  const where = order.vertical === 'food'
+    ? `from restaurantId ${order.restaurantId}${order.restaurant ? ` (${order.restaurant})` : ''}`
+    : 'from Instamart';
+  const address = order.addressId ? ` to addressId ${order.addressId}` : '';
+  return (
+    `Reorder my past order ${where}${address}. Replace the cart with exactly these items and quantities:\n${items}\n` +
+    'Then place the order. Do not search or add anything else.'
+  );
+}
@@ -0,0 +1,324 @@
+/**
+ * Placed orders (the chat's order history) and their delivery status. Orders are stored per chat under chat:<id>:orders;
+ * a background poller asks the vertical's tracking / order-status MCP tool for each active order
+ * and reports stage changes (accepted → being prepared → out for delivery → delivered).
+ * Env: ORDER_POLL_INTERVAL_SECONDS (default 60, 0 = off), ORDER_TRACKING_HOURS (default 4).
+ */
+
+import { getStore, chatKey } from './storage.js';
+import { callTool, isSwiggyAuthError } from './swiggy-mcp-client.js';
+
+// Also the length of /history
+const MAX_ORDERS_PER_CHAT = 20;
+// Budgets add up this month's spend, so orders from the last 32 days are kept beyond that (up to a hard cap)
+const SPEND_WINDOW_MS = 32 * 24 * 60 * 60 * 1000;
+const MAX_STORED_ORDERS = 200;
+
+const STAGES = {
+  placed: '🧾 Order placed',
+  accepted: '✅ Accepted by the restaurant',
+  preparing: '👨‍🍳 Being prepared',
+  out_for_delivery: '🛵 Out for delivery',
+  delivered: '📦 Delivered',
+  cancelled: '❌ Cancelled',
+  booked: '📅 Table booked',
+};
+const FINAL_STAGES = new Set(['delivered', 'cancelled']);
+
+// Checked in order: "out for delivery" must win over "delivered", "order confirmed" is just accepted
+const STAGE_PATTERNS = [
+  ['cancelled', /cancel|reject|fail|refund/i],
+  ['out_for_delivery', /out[ _-]?for[ _-]?delivery|picked[ _-]?up|on[ _-]?the[ _-]?way|dispatch|en[ _-]?route|arriving/i],
+  ['delivered', /deliver|complete/i],
+  ['preparing', /prepar|cook|pack|process/i],
+  ['accepted', /accept|confirm/i],
+  ['placed', /placed|created|pending/i],
+];
+
+const STATUS_KEYS = ['orderStatus', 'order_status', 'status', 'currentStatus', 'current_status', 'state'];
+const MESSAGE_KEYS = ['statusMessage', 'status_message', 'statusText', 'message', 'description'];
+const ETA_KEYS = ['eta', 'etaText', 'eta_text', 'etaMinutes', 'eta_minutes', 'deliveryTime', 'estimatedDeliveryTime'];
+const ORDER_ID_KEYS = ['orderId', 'order_id', 'bookingId', 'booking_id', 'orderNumber', 'order_number'];
+
+const log = {
+  track: (msg, ...args) => console.log(`  \x1b[90m[Track]\x1b[0m ${msg}`, ...args),
+  trackErr: (msg, ...args) => console.error(`  \x1b[31m[Track]\x1b[0m ${msg}`, ...args),
+};
+
+let pollTimer = null;
+let polling = false;
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function trackingWindowMs() {
+  const hours = Number(process.env.ORDER_TRACKING_HOURS ?? 4);
+  return Number.isFinite(hours) && hours > 0 ? hours * 60 * 60 * 1000 : 4 * 60 * 60 * 1000;
+}
+
+/** Objects in a payload, breadth-first (root, data, data.order, …). */
+function* objectsOf(parsed, maxDepth = 4) {
+  let level = [parsed];
+  for (let depth = 0; depth <= maxDepth && level.length; depth++) {
+    const next = [];
+    for (const obj of level) {
+      if (!obj || typeof obj !== 'object') continue;
+      if (Array.isArray(obj)) {
+        next.push(...obj);
+        continue;
+      }
+      yield obj;
+      next.push(...Object.values(obj).filter((v) => v && typeof v === 'object'));
+    }
+    level = next;
+  }
+}
+
+function firstString(obj, keys) {
+  for (const k of keys) {
+    const v = obj[k];
+    if (typeof v === 'string' && v.trim()) return v.trim();
+    if (typeof v === 'number') return String(v);
+  }
+  return undefined;
+}
+
+/**
+ * Order or booking ID from an order tool result (data.orderId, bookingId, order_id, …).
+ */
+export function extractOrderId(parsed) {
+  for (const obj of objectsOf(parsed)) {
+    const id = firstString(obj, ORDER_ID_KEYS);
+    if (id) return id;
+  }
+  return undefined;
+}
+
+/** Normalise a raw status ("FOOD_PREPARING", "Out for delivery") to a STAGES key, or null. */
+export function stageOf(rawStatus) {
+  if (!rawStatus) return null;
+  for (const [stage, pattern] of STAGE_PATTERNS) {
+    if (pattern.test(rawStatus)) return stage;
+  }
+  return null;
+}
+
+/**
+ * Status of one order from a tracking tool result: { stage, status, message, eta }.
+ * When the result lists several orders, the one with orderId is used.
+ */
+export function extractOrderStatus(parsed, orderId) {
+  let best = null;
+  let bestScore = -1;
+  for (const obj of objectsOf(parsed)) {
+    const status = firstString(obj, STATUS_KEYS);
+    const message = firstString(obj, MESSAGE_KEYS);
+    if (!status && !message) continue;
+    const found = { stage: stageOf(status) || stageOf(message), status: status || null, message: message || null, eta: firstString(obj, ETA_KEYS) || null };
+    const id = firstString(obj, ORDER_ID_KEYS);
+    if (orderId && id === String(orderId)) return found;
+    // Root { success, message } wrappers rarely carry the real status: a recognised status field wins
+    const score = (found.stage ? 2 : 0) + (status ? 1 : 0);
+    if (score > bestScore) {
+      best = found;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * The vertical's tracking tool (e.g. swiggy_food__track_food_order), if its server exposes one.
+ */
+export function findTrackingTool(orderToolName, tools) {
+  const prefix = orderToolName.slice(0, orderToolName.indexOf('__') + 2);
+  return tools.find((t) => {
+    if (!t.name.startsWith(prefix)) return false;
+    const short = t.name.slice(prefix.length);
+    return /track/i.test(short) || /order_?(status|details)/i.test(short);
+  });
+}
+
+/** Pass the order ID under whichever name the tracking tool's schema declares. */
+function trackingToolArgs(tool, orderId) {
+  const props = tool.input_schema?.properties || {};
+  const key = [...ORDER_ID_KEYS, 'id'].find((k) => k in props);
+  return key ? { [key]: orderId } : {};
+}
+
+async function loadOrders(chatId) {
+  return (await (await getStore()).get(chatKey(chatId, 'orders'))) || [];
+}
+
+/**
+ * Read-modify-write a chat's order list. Re-reads right before writing so a poll that
+ * took a while never drops an order recorded in the meantime.
+ */
+async function updateOrders(chatId, fn) {
+  const store = await getStore();
+  const orders = (await store.get(chatKey(chatId, 'orders'))) || [];
+  const next = fn(orders) || orders;
+  const keepFrom = Date.now() - SPEND_WINDOW_MS;
+  const kept = next.filter((o, i) => i >= next.length - MAX_ORDERS_PER_CHAT || o.placedAt >= keepFrom);
+  await store.set(chatKey(chatId, 'orders'), kept.slice(-MAX_STORED_ORDERS));
+  return next;
+}
+
+/**
+ * Remember an order placed from this chat. order: { orderId, toolName, vertical, userId } plus, when the
+ * confirmation step knew them, { restaurantId, restaurant, addressId, address, items, total } for /history.
+ */
+export async function recordOrder(chatId, { orderId, toolName, vertical, ...details }) {
+  const now = Date.now();
+  const order = {
+    orderId: orderId ? String(orderId) : null,
+    chatId,
+    userId: details.userId ?? null,
+    vertical,
+    toolName,
+    restaurantId: details.restaurantId ?? null,
+    restaurant: details.restaurant ?? null,
+    addressId: details.addressId ?? null,
+    address: details.address ?? null,
+    items: details.items ?? [],
+    total: details.total ?? null,
+    placedAt: now,
+    stage: vertical === 'dineout' ? 'booked' : 'placed',
+    statusText: null,
+    eta: null,
+    updatedAt: now,
+    // Bookings have nothing to deliver, and without an ID there is nothing to look up
+    active: vertical !== 'dineout' && !!orderId,
+  };
+  await updateOrders(chatId, (orders) => [...orders.filter((o) => !order.orderId || o.orderId !== order.orderId), order]);
+  log.track(`recorded ${vertical} order ${order.orderId ?? '(no id)'} for chat ${chatId}`);
+  return order;
+}
+
+/** Every order recorded for a chat, oldest first (the last 20, plus any from the last month). */
+export async function getOrders(chatId) {
+  return loadOrders(chatId);
+}
+
+/** Every recorded order one person placed, in any chat. */
+export async function getUserOrders(userId) {
+  const store = await getStore();
+  const keys = (await store.keys('chat:')).filter((k) => k.endsWith(':orders'));
+  const orders = [];
+  for (const key of keys) orders.push(...((await store.get(key)) || []).filter((o) => o.userId != null && String(o.userId) === String(userId)));
+  return orders.sort((a, b) => a.placedAt - b.placedAt);
+}
+
+export async function getActiveOrders(chatId) {
+  return (await loadOrders(chatId)).filter((o) => o.active);
+}
+
+/**
+ * Ask the tracking tool for one order. Returns the status found, or null if there is no
+ * tracking tool or the result had no recognisable status.
+ */
+async function fetchOrderStatus(order, tools, token) {
+  const tool = findTrackingTool(order.toolName, tools);
+  if (!tool) return null;
+  const raw = await callTool(tool.name, trackingToolArgs(tool, order.orderId), token);
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    parsed = { status: raw };
+  }
+  return extractOrderStatus(parsed, order.orderId);
+}
+
+/**
+ * Refresh a chat's active orders. Calls notify(order, previousStage) for each stage change
+ * and returns the chat's active orders as they were before finished ones were retired.
+ * getTools(token) supplies the tool list (Claude format, prefixed names).
+ */
+export async function refreshChatOrders(chatId, { token, getTools, notify }) {
+  const active = await getActiveOrders(chatId);
+  if (!active.length) return [];
+  const tools = await getTools(token);
+  const updates = new Map();
+  for (const order of active) {
+    const update = { ...order };
+    try {
+      const status = await fetchOrderStatus(order, tools, token);
+      if (status) {
+        update.statusText = status.message || status.status;
+        update.eta = status.eta;
+        if (status.stage && status.stage !== order.stage) {
+          update.stage = status.stage;
+          update.updatedAt = Date.now();
+        }
+      }
+    } catch (err) {
+      if (isSwiggyAuthError(err)) throw err;
+      log.trackErr(`status of ${order.orderId} failed:`, err?.message || String(err));
+    }
+    if (FINAL_STAGES.has(update.stage) || Date.now() - order.placedAt > trackingWindowMs()) update.active = false;
+    updates.set(order.orderId, update);
+    if (update.stage !== order.stage) await notify?.(update, order.stage);
+  }
+  await updateOrders(chatId, (orders) => orders.map((o) => (updates.has(o.orderId) ? { ...o, ...updates.get(o.orderId) } : o)));
+  return [...updates.values()];
+}
+
+/**
+ * One pass over every chat with active orders. Errors in one chat never stop the others.
+ */
+export async function pollAllOrders({ getToken, getTools, notify }) {
+  if (polling) return;
+  polling = true;
+  try {
+    const store = await getStore();
+    const keys = (await store.keys('chat:')).filter((k) => k.endsWith(':orders'));
+    for (const key of keys) {
+      const chatId = key.slice('chat:'.length, -':orders'.length);
+      const orders = (await store.get(key)) || [];
+      if (!orders.some((o) => o.active)) continue;
+      try {
+        const token = await getToken(chatId);
+        await refreshChatOrders(chatId, { token, getTools, notify });
+      } catch (err) {
+        log.trackErr(`chat ${chatId}:`, err?.message || String(err));
+      }
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Poll active orders every ORDER_POLL_INTERVAL_SECONDS (default 60; 0 disables). Unref'd.
+ */
+export function startOrderPoller(options) {
+  const seconds = Number(process.env.ORDER_POLL_INTERVAL_SECONDS ?? 60);
+  if (!Number.isFinite(seconds) || seconds <= 0 || pollTimer) return;
+  pollTimer = setInterval(() => {
+    pollAllOrders(options).catch((err) => log.trackErr('poll failed:', err?.message || String(err)));
+  }, seconds * 1000);
+  pollTimer.unref?.();
+}
+
+export function stopOrderPoller() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/** One-line label for a stage (falls back to the raw status text). */
+export function stageLabel(order) {
+  return STAGES[order.stage] || escapeHtml(order.statusText || 'Status unknown');
+}
+
+/**
+ * HTML status block for /track and push messages.
+ */
+export function formatOrderStatus(order) {
+  const kind = order.vertical === 'instamart' ? 'Instamart order' : order.vertical === 'dineout' ? 'Booking' : 'Order';
+  const lines = [`<b>${kind} ${escapeHtml(order.orderId ?? '')}</b> — ${stageLabel(order)}`];
+  if (order.statusText && STAGES[order.stage]) lines.push(escapeHtml(order.statusText));
+  if (order.eta && order.stage !== 'delivered') lines.push(`ETA: ${escapeHtml(order.eta)}`);
+  return lines.join('\n');
+}
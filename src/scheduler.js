@@ -0,0 +1,271 @@
+/**
+ * Scheduled and recurring requests: "order my usual breakfast from Instamart every weekday at 8am",
+ * "remind me the day before". Jobs are stored per chat under chat:<id>:schedules and checked every
+ * SCHEDULER_TICK_SECONDS. A due order job never orders by itself — the bot runs its instructions as a
+ * normal turn, so the cart is rebuilt through the MCP tools and stops at the Confirm / Cancel buttons.
+ * Env: SCHEDULE_TIMEZONE (default Asia/Kolkata), SCHEDULE_MISSED_GRACE_MINUTES (default 60).
+ */
+
+import { randomBytes } from 'crypto';
+import { getStore, chatKey } from './storage.js';
+import { parseCron, nextRun, parseLocalDateTime, isValidTimeZone } from './cron.js';
+
+const MAX_JOBS_PER_CHAT = 20;
+const ACTIONS = ['order', 'reminder'];
+
+const log = {
+  sched: (msg, ...args) => console.log(`  \x1b[90m[Schedule]\x1b[0m ${msg}`, ...args),
+  schedErr: (msg, ...args) => console.error(`  \x1b[31m[Schedule]\x1b[0m ${msg}`, ...args),
+};
+
+let tickTimer = null;
+let ticking = false;
+// Set by startScheduler
+let fireJob = null;
+
+function escapeHtml(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function defaultTimeZone() {
+  const tz = process.env.SCHEDULE_TIMEZONE || 'Asia/Kolkata';
+  return isValidTimeZone(tz) ? tz : 'UTC';
+}
+
+function missedGraceMs() {
+  const minutes = Number(process.env.SCHEDULE_MISSED_GRACE_MINUTES ?? 60);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes * 60 * 1000 : 60 * 60 * 1000;
+}
+
+/** "Tue 20 Oct, 08:00" in the job's time zone. */
+export function formatLocal(date, timeZone) {
+  return new Date(date).toLocaleString('en-GB', {
+    timeZone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+}
+
+async function loadJobs(chatId) {
+  return (await (await getStore()).get(chatKey(chatId, 'schedules'))) || [];
+}
+
+/** Read-modify-write a chat's jobs, re-reading right before the write. */
+async function updateJobs(chatId, fn) {
+  const store = await getStore();
+  const jobs = (await store.get(chatKey(chatId, 'schedules'))) || [];
+  const result = fn(jobs);
+  if (jobs.length) await store.set(chatKey(chatId, 'schedules'), jobs);
+  else await store.delete(chatKey(chatId, 'schedules'));
+  return result;
+}
+
+function firstRun(job, now) {
+  if (job.cron) return nextRun(job.cron, now, job.timezone);
+  return new Date(job.at);
+}
+
+/**
+ * Create a job. spec: { userId, description, action: 'order' | 'reminder', instructions,
+ * cron (recurring) or at ("YYYY-MM-DDTHH:mm", one-off), timezone }.
+ * Throws an Error with a message fit to show (or hand back to Claude) when the spec is invalid.
+ */
+export async function createSchedule(chatId, spec, now = new Date()) {
+  const timezone = spec.timezone || defaultTimeZone();
+  if (!isValidTimeZone(timezone)) throw new Error(`Unknown time zone "${timezone}"`);
+  if (!ACTIONS.includes(spec.action)) throw new Error(`action must be one of: ${ACTIONS.join(', ')}`);
+  if (!spec.instructions?.trim()) throw new Error('instructions are required');
+  if (!!spec.cron === !!spec.at) throw new Error('give exactly one of cron (recurring) or at (one-off)');
+
+  const job = {
+    id: randomBytes(4).toString('hex'),
+    chatId,
+    userId: spec.userId ?? null,
+    description: String(spec.description || spec.instructions).slice(0, 100),
+    action: spec.action,
+    instructions: String(spec.instructions).slice(0, 2000),
+    cron: null,
+    at: null,
+    timezone,
+    paused: false,
+    nextRunAt: null,
+    lastRunAt: null,
+    createdAt: now.getTime(),
+  };
+  if (spec.cron) {
+    parseCron(spec.cron);
+    job.cron = String(spec.cron).trim();
+  } else {
+    const at = parseLocalDateTime(spec.at, timezone);
+    if (!at) throw new Error(`cannot read at "${spec.at}" — use YYYY-MM-DDTHH:mm`);
+    if (at.getTime() <= now.getTime()) throw new Error(`${formatLocal(at, timezone)} is in the past`);
+    job.at = at.toISOString();
+  }
+  const first = firstRun(job, now);
+  if (!first) throw new Error(`cron "${job.cron}" never fires`);
+  job.nextRunAt = first.getTime();
+
+  await updateJobs(chatId, (jobs) => {
+    if (jobs.length >= MAX_JOBS_PER_CHAT) throw new Error(`This chat already has ${MAX_JOBS_PER_CHAT} schedules — delete one in /schedules first.`);
+    jobs.push(job);
+  });
+  log.sched(`created ${job.id} in chat ${chatId}: ${job.cron || job.at} (${timezone})`);
+  return job;
+}
+
+export async function listSchedules(chatId) {
+  return loadJobs(chatId);
+}
+
+/** Pause or resume a job. Resuming a recurring job skips the runs it missed while paused. */
+export async function setSchedulePaused(chatId, id, paused, now = new Date()) {
+  return updateJobs(chatId, (jobs) => {
+    const job = jobs.find((j) => j.id === id);
+    if (!job) return null;
+    job.paused = paused;
+    if (!paused && job.cron) job.nextRunAt = nextRun(job.cron, now, job.timezone)?.getTime() ?? null;
+    return job;
+  });
+}
+
+export async function deleteSchedule(chatId, id) {
+  return updateJobs(chatId, (jobs) => {
+    const index = jobs.findIndex((j) => j.id === id);
+    return index === -1 ? null : jobs.splice(index, 1)[0];
+  });
+}
+
+/**
+ * Fire every due job once. onFire(job) is not awaited (an order job waits for a button press);
+ * the job is rescheduled or removed before it fires so a slow run can never fire twice.
+ * Jobs more than SCHEDULE_MISSED_GRACE_MINUTES late (bot was down) are skipped, not fired.
+ * onFire defaults to the handler given to startScheduler.
+ */
+export async function runDueJobs({ onFire = fireJob, now = new Date() } = {}) {
+  if (ticking) return [];
+  ticking = true;
+  const fired = [];
+  try {
+    const store = await getStore();
+    const keys = (await store.keys('chat:')).filter((k) => k.endsWith(':schedules'));
+    for (const key of keys) {
+      const chatId = key.slice('chat:'.length, -':schedules'.length);
+      const due = await updateJobs(chatId, (jobs) => {
+        const ready = [];
+        for (const job of [...jobs]) {
+          if (job.paused || job.nextRunAt == null || job.nextRunAt > now.getTime()) continue;
+          const late = now.getTime() - job.nextRunAt > missedGraceMs();
+          if (late) log.sched(`skipping missed run of ${job.id} (${new Date(job.nextRunAt).toISOString()})`);
+          else ready.push({ ...job });
+          job.lastRunAt = late ? job.lastRunAt : now.getTime();
+          if (job.cron) job.nextRunAt = nextRun(job.cron, now, job.timezone)?.getTime() ?? null;
+          else jobs.splice(jobs.indexOf(job), 1);
+        }
+        return ready;
+      });
+      for (const job of due) {
+        log.sched(`firing ${job.id} in chat ${job.chatId}`);
+        fired.push(job);
+        Promise.resolve()
+          .then(() => onFire(job))
+          .catch((err) => log.schedErr(`job ${job.id} failed:`, err?.message || String(err)));
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+  return fired;
+}
+
+/**
+ * Check for due jobs every SCHEDULER_TICK_SECONDS (default 30). Unref'd.
+ */
+export function startScheduler({ onFire }) {
+  fireJob = onFire;
+  if (tickTimer) return;
+  const seconds = Number(process.env.SCHEDULER_TICK_SECONDS) || 30;
+  tickTimer = setInterval(() => {
+    runDueJobs().catch((err) => log.schedErr('tick failed:', err?.message || String(err)));
+  }, seconds * 1000);
+  tickTimer.unref?.();
+}
+
+export function stopScheduler() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+function whenText(job) {
+  if (job.cron) return `<code>${escapeHtml(job.cron)}</code> (${escapeHtml(job.timezone)})`;
+  return `once, ${formatLocal(job.at, job.timezone)}`;
+}
+
+/**
+ * Telegram HTML for /schedules with ⏸ / ▶ and 🗑 buttons per job.
+ */
+export function formatSchedules(jobs) {
+  if (!jobs.length) {
+    return { text: 'No schedules yet. Ask e.g. "order my usual breakfast from Instamart every weekday at 8am".', replyMarkup: undefined };
+  }
+  const lines = ['<b>Your schedules</b>', ''];
+  const rows = [];
+  jobs.forEach((job, i) => {
+    const n = i + 1;
+    const icon = job.action === 'order' ? '🛒' : '⏰';
+    const next = job.paused ? '<i>paused</i>' : job.nextRunAt ? `next: ${formatLocal(job.nextRunAt, job.timezone)}` : '<i>no upcoming run</i>';
+    lines.push(`<b>${n}.</b> ${icon} ${escapeHtml(job.description)}\n    ${whenText(job)} — ${next}`);
+    rows.push([
+      job.paused ? { text: `▶ Resume ${n}`, callback_data: `sch:r:${job.id}` } : { text: `⏸ Pause ${n}`, callback_data: `sch:p:${job.id}` },
+      { text: `🗑 Delete ${n}`, callback_data: `sch:d:${job.id}` },
+    ]);
+  });
+  lines.push('', '<i>Scheduled orders are never placed on their own — you get the cart with Confirm / Cancel buttons.</i>');
+  return { text: lines.join('\n'), replyMarkup: { inline_keyboard: rows } };
+}
+
+/**
+ * The bot__create_schedule tool offered to Claude for this chat and user.
+ */
+export function scheduleTool({ chatId, userId }) {
+  const timezone = defaultTimeZone();
+  return {
+    name: 'bot__create_schedule',
+    description:
+      'Schedule something for later or on a recurring basis in this chat: an order (at that time the bot rebuilds the cart ' +
+      'and asks the user to confirm — nothing is placed automatically) or a plain reminder. Use instead of ordering now ' +
+      'whenever the user says when ("every weekday at 8am", "next Friday 8 PM", "remind me the day before"). ' +
+      `Current time: ${formatLocal(new Date(), timezone)} (${timezone}).`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        description: { type: 'string', description: 'Short label for /schedules, e.g. "Weekday breakfast from Instamart"' },
+        action: { type: 'string', enum: ACTIONS, description: 'order = rebuild cart and ask to confirm at that time; reminder = just send the text' },
+        instructions: {
+          type: 'string',
+          description: 'order: the complete request to carry out then, with item names, quantities and any IDs (restaurantId, addressId, item IDs). reminder: the message to send.',
+        },
+        cron: { type: 'string', description: 'Recurring: 5-field cron (minute hour day month weekday) in the time zone, e.g. "0 8 * * 1-5"' },
+        at: { type: 'string', description: 'One-off: local date and time, "YYYY-MM-DDTHH:mm"' },
+        timezone: { type: 'string', description: `IANA time zone, default ${timezone}` },
+      },
+      required: ['description', 'action', 'instructions'],
+    },
+    async run(input) {
+      try {
+        const job = await createSchedule(chatId, { ...input, userId });
+        return JSON.stringify({
+          created: true,
+          id: job.id,
+          nextRun: `${formatLocal(job.nextRunAt, job.timezone)} (${job.timezone})`,
+          note: 'Tell the user it is scheduled and that /schedules lists, pauses or deletes it.',
+        });
+      } catch (err) {
+        return `Error: ${err?.message || String(err)}`;
+      }
+    },
+  };
+}
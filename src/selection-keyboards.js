@@ -0,0 +1,109 @@
+/**
+ * Inline keyboards for picking a restaurant, menu item or address from the lists kept in session state.
+ * A tap sends the exact ID back (callback_data "sel:<kind>:<id>"), so Claude never has to map
+ * "the second one" to an ID. Long lists are paged ("pg:<kind>:<page>").
+ */
+
+const PAGE_SIZE = 8;
+const LABEL_MAX = 48;
+// Telegram rejects callback_data longer than 64 bytes
+const CALLBACK_DATA_MAX = 64;
+
+// kind → which session list it reads and how a button is labelled
+export const LIST_KINDS = {
+  r: {
+    listKey: 'restaurants',
+    prompt: 'Tap a restaurant to see its menu:',
+    label: (r) => (r.rating ? `${r.name} · ${r.rating}★` : r.name),
+  },
+  m: {
+    listKey: 'menuItems',
+    prompt: 'Tap an item to add it to your cart:',
+    label: (m) => (m.price ? `${m.name} — ₹${m.price}` : m.name),
+  },
+  a: {
+    listKey: 'addresses',
+    prompt: 'Tap the delivery address to use:',
+    label: (a) => a.addressLine || `Address ${a.id}`,
+  },
+};
+
+// Which list a tool call refreshed
+const TOOL_KINDS = [
+  [/search_restaurants/, 'r'],
+  [/get_restaurant_menu/, 'm'],
+  [/get_addresses/, 'a'],
+];
+
+function truncate(str, max) {
+  const s = String(str);
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+/**
+ * The list to offer after a turn: the last list-producing tool Claude called, if its list is non-empty.
+ */
+export function listKindForTools(toolNames, sessionState) {
+  for (let i = toolNames.length - 1; i >= 0; i--) {
+    const match = TOOL_KINDS.find(([re]) => re.test(toolNames[i]));
+    if (match && sessionState[LIST_KINDS[match[1]].listKey]?.length) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Inline keyboard for one page of a session list, with ◀ / ▶ when there is more than one page.
+ */
+export function buildSelectionKeyboard(kind, sessionState, page = 0) {
+  const { listKey, label } = LIST_KINDS[kind];
+  const list = (sessionState[listKey] || []).filter((el) => `sel:${kind}:${el.id}`.length <= CALLBACK_DATA_MAX);
+  const pages = Math.max(1, Math.ceil(list.length / PAGE_SIZE));
+  const current = Math.min(Math.max(0, page), pages - 1);
+  const rows = list
+    .slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE)
+    .map((el) => [{ text: truncate(label(el), LABEL_MAX), callback_data: `sel:${kind}:${el.id}` }]);
+  if (pages > 1) {
+    const nav = [];
+    if (current > 0) nav.push({ text: '◀ Prev', callback_data: `pg:${kind}:${current - 1}` });
+    nav.push({ text: `${current + 1}/${pages}`, callback_data: `pg:${kind}:${current}` });
+    if (current < pages - 1) nav.push({ text: 'Next ▶', callback_data: `pg:${kind}:${current + 1}` });
+    rows.push(nav);
+  }
+  return { inline_keyboard: rows };
+}
+
+/**
+ * Look up the tapped element in the session list (IDs compared as strings).
+ */
+export function findSelection(kind, sessionState, id) {
+  const { listKey } = LIST_KINDS[kind] || {};
+  if (!listKey) return null;
+  return (sessionState[listKey] || []).find((el) => String(el.id) === String(id)) || null;
+}
+
+/**
+ * Menu items from a get_restaurant_menu result: every object with an id, a name and a price,
+ * wherever the categories nest them. available is false when the menu marks an item out of stock.
+ * Capped so session state stays small.
+ */
+export function extractMenuItems(parsed, limit = 150) {
+  const items = [];
+  const seen = new Set();
+  const walk = (obj, depth) => {
+    if (!obj || typeof obj !== 'object' || depth > 8 || items.length >= limit) return;
+    if (!Array.isArray(obj)) {
+      const id = obj.id ?? obj.itemId ?? obj.item_id;
+      const price = obj.price ?? obj.finalPrice ?? obj.defaultPrice;
+      if (id != null && obj.name && price != null && !seen.has(String(id))) {
+        seen.add(String(id));
+        const amount = Number(price);
+        const inStock = obj.inStock ?? obj.in_stock ?? obj.isAvailable ?? obj.is_available ?? obj.available;
+        items.push({ id: String(id), name: String(obj.name).slice(0, 80), price: Number.isFinite(amount) ? amount : null, available: inStock !== false });
+        return;
+      }
+    }
+    for (const v of Object.values(obj)) walk(v, depth + 1);
+  };
+  walk(parsed, 0);
+  return items;
+}
@@ -0,0 +1,118 @@
+/**
+ * Per-chat session: Claude history + session state (addressId, restaurantId, cartId, lists).
+ * Persisted through storage.js so a restart mid-order keeps the selected address and cart.
+ * Sessions idle for longer than SESSION_TTL_HOURS (default 24, 0 = never) are dropped.
+ */
+
+import { getStore, chatKey } from './storage.js';
+
+// Keep last N turns (user + assistant pairs) for context
+const MAX_TURNS = 5;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Live session objects — chatWithClaudeMcp mutates state in place, so one object per chat
+const cache = new Map();
+
+function sessionTtlMs() {
+  const hours = Number(process.env.SESSION_TTL_HOURS ?? 24);
+  return Number.isFinite(hours) && hours > 0 ? hours * 60 * 60 * 1000 : 0;
+}
+
+function isExpired(session) {
+  const ttl = sessionTtlMs();
+  return ttl > 0 && Date.now() - (session.updatedAt || 0) > ttl;
+}
+
+export function emptySessionState() {
+  return { addressId: null, restaurantId: null, cartId: null, restaurants: [], addresses: [] };
+}
+
+async function loadSession(chatId) {
+  const id = String(chatId);
+  let session = cache.get(id);
+  if (!session) {
+    session = await (await getStore()).get(chatKey(chatId, 'session'));
+  }
+  if (!session || isExpired(session)) {
+    session = { state: emptySessionState(), history: [], updatedAt: Date.now() };
+  }
+  cache.set(id, session);
+  return session;
+}
+
+/**
+ * Persist the chat's session (call after a turn has updated its state).
+ */
+export async function saveSession(chatId) {
+  const session = cache.get(String(chatId));
+  if (!session) return;
+  session.updatedAt = Date.now();
+  await (await getStore()).set(chatKey(chatId, 'session'), session);
+}
+
+// Session state per chat: addressId, restaurantId, cartId from tool results
+// Avoids re-calling get_addresses, search_restaurants on every message
+export async function getSessionState(chatId) {
+  return (await loadSession(chatId)).state;
+}
+
+export async function getHistory(chatId) {
+  if (MAX_TURNS <= 0) return [];
+  const { history } = await loadSession(chatId);
+  // Each turn = 2 messages (user + assistant)
+  return history.slice(-MAX_TURNS * 2);
+}
+
+export async function pushHistory(chatId, role, content) {
+  if (MAX_TURNS <= 0) return;
+  const session = await loadSession(chatId);
+  session.history.push({ role, content });
+  const maxLen = MAX_TURNS * 2;
+  if (session.history.length > maxLen) session.history = session.history.slice(-maxLen);
+  await saveSession(chatId);
+}
+
+/**
+ * Reset session state (address, restaurant, cart) but keep the conversation history.
+ */
+export async function clearSessionState(chatId) {
+  const session = await loadSession(chatId);
+  session.state = emptySessionState();
+  await saveSession(chatId);
+}
+
+/**
+ * Drop the chat's session from memory (storage is cleared separately, e.g. by deleteChatData).
+ */
+export function evictSession(chatId) {
+  cache.delete(String(chatId));
+}
+
+/**
+ * Delete sessions idle past the TTL, from memory and from storage.
+ */
+export async function sweepExpiredSessions() {
+  if (!sessionTtlMs()) return 0;
+  const store = await getStore();
+  let removed = 0;
+  for (const key of await store.keys('chat:')) {
+    if (!key.endsWith(':session')) continue;
+    const session = await store.get(key);
+    if (session && !isExpired(session)) continue;
+    await store.delete(key);
+    cache.delete(key.slice('chat:'.length, -':session'.length));
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * Run sweepExpiredSessions periodically. The timer does not keep the process alive.
+ */
+export function startSessionSweeper() {
+  const timer = setInterval(() => {
+    sweepExpiredSessions().catch((err) => console.error('[Store] session sweep failed:', err?.message || err));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,163 @@
+/**
+ * Speech-to-text for Telegram voice notes. Backends (STT_BACKEND):
+ *   whisper-cpp    (default) local whisper.cpp CLI — WHISPER_CPP_BIN, WHISPER_MODEL, WHISPER_LANGUAGE, WHISPER_THREADS
+ *   whisper-server a running whisper.cpp server — WHISPER_SERVER_URL (POST /inference)
+ *   none           voice messages are declined
+ * Audio is converted to 16 kHz mono WAV with ffmpeg (FFMPEG_BIN) first; nothing leaves the machine
+ * unless WHISPER_SERVER_URL points elsewhere.
+ *
+ * A transcriber is { name, transcribe(audio: Buffer, { mimeType }) → Promise<string> }; setTranscriber()
+ * swaps in another one (tests, or a custom engine).
+ */
+
+import { execFile } from 'child_process';
+import { mkdtemp, writeFile, readFile, rm, access } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const log = {
+  stt: (msg, ...args) => console.log(`  \x1b[90m[STT]\x1b[0m ${msg}`, ...args),
+};
+
+// whisper.cpp writes these for silence and noise instead of words
+const NON_SPEECH = /\[(?:BLANK_AUDIO|MUSIC|NOISE|SILENCE|INAUDIBLE)\]|\((?:music|silence|noise|inaudible)\)/gi;
+
+function timeoutMs() {
+  return (Number(process.env.STT_TIMEOUT_SECONDS) || 60) * 1000;
+}
+
+/** Error meaning "voice is not set up here" rather than "this recording failed". */
+function unavailable(message) {
+  const err = new Error(message);
+  err.code = 'STT_UNAVAILABLE';
+  return err;
+}
+
+function run(bin, args, envVar) {
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout: timeoutMs() }, (err, stdout, stderr) => {
+      if (err?.code === 'ENOENT') return reject(unavailable(`"${bin}" not found — install it or set ${envVar}`));
+      if (err) return reject(new Error(`${bin} failed: ${(stderr || err.message).trim().split('\n').pop()}`));
+      resolve(stdout);
+    });
+  });
+}
+
+function extensionFor(mimeType = '') {
+  if (/mpeg|mp3/.test(mimeType)) return '.mp3';
+  if (/mp4|m4a|aac/.test(mimeType)) return '.m4a';
+  if (/wav/.test(mimeType)) return '.wav';
+  return '.ogg';
+}
+
+/** Write the audio to a temp dir and convert it to the 16 kHz mono WAV whisper.cpp expects. */
+async function withWav(audio, mimeType, fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'swiggy-tg-voice-'));
+  try {
+    const input = join(dir, `input${extensionFor(mimeType)}`);
+    const wav = join(dir, 'audio.wav');
+    await writeFile(input, audio);
+    const ffmpeg = process.env.FFMPEG_BIN || 'ffmpeg';
+    await run(ffmpeg, ['-hide_banner', '-loglevel', 'error', '-y', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], 'FFMPEG_BIN');
+    return await fn(wav, dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Local whisper.cpp CLI (whisper-cli, formerly main).
+ */
+export function createWhisperCppTranscriber({
+  bin = process.env.WHISPER_CPP_BIN || 'whisper-cli',
+  model = process.env.WHISPER_MODEL,
+  language = process.env.WHISPER_LANGUAGE || 'auto',
+  threads = process.env.WHISPER_THREADS,
+} = {}) {
+  return {
+    name: 'whisper-cpp',
+    async transcribe(audio, { mimeType } = {}) {
+      if (!model) throw unavailable('WHISPER_MODEL is not set (path to a ggml model, e.g. models/ggml-base.bin)');
+      await access(model).catch(() => {
+        throw unavailable(`whisper model ${model} not found`);
+      });
+      return withWav(audio, mimeType, async (wav, dir) => {
+        const base = join(dir, 'transcript');
+        const args = ['-m', model, '-f', wav, '-l', language, '-nt', '-np', '-otxt', '-of', base];
+        if (threads) args.push('-t', String(threads));
+        await run(bin, args, 'WHISPER_CPP_BIN');
+        return readFile(`${base}.txt`, 'utf8');
+      });
+    },
+  };
+}
+
+/**
+ * whisper.cpp's HTTP server (examples/server), e.g. WHISPER_SERVER_URL=http://127.0.0.1:8080.
+ */
+export function createWhisperServerTranscriber({
+  url = process.env.WHISPER_SERVER_URL,
+  language = process.env.WHISPER_LANGUAGE || 'auto',
+} = {}) {
+  return {
+    name: 'whisper-server',
+    async transcribe(audio, { mimeType } = {}) {
+      if (!url) throw unavailable('WHISPER_SERVER_URL is not set');
+      return withWav(audio, mimeType, async (wav) => {
+        const form = new FormData();
+        form.append('file', new Blob([await readFile(wav)], { type: 'audio/wav' }), 'audio.wav');
+        form.append('response_format', 'json');
+        form.append('language', language);
+        const res = await fetch(new URL('/inference', url), { method: 'POST', body: form, signal: AbortSignal.timeout(timeoutMs()) }).catch((err) => {
+          throw unavailable(`whisper server at ${url} is not reachable: ${err?.message || err}`);
+        });
+        if (!res.ok) throw new Error(`whisper server returned ${res.status}`);
+        return (await res.json()).text ?? '';
+      });
+    },
+  };
+}
+
+let transcriber = null;
+
+function createConfiguredTranscriber() {
+  const backend = (process.env.STT_BACKEND || 'whisper-cpp').toLowerCase();
+  if (backend === 'none') {
+    return { name: 'none', async transcribe() { throw unavailable('STT_BACKEND is none'); } };
+  }
+  if (backend === 'whisper-server') return createWhisperServerTranscriber();
+  if (backend !== 'whisper-cpp') throw unavailable(`Unknown STT_BACKEND "${backend}" (use whisper-cpp, whisper-server or none)`);
+  return createWhisperCppTranscriber();
+}
+
+/**
+ * The process-wide transcriber (created from env on first use).
+ */
+export function getTranscriber() {
+  if (!transcriber) transcriber = createConfiguredTranscriber();
+  return transcriber;
+}
+
+/**
+ * Replace the process-wide transcriber (tests, or a custom backend). null goes back to env config.
+ */
+export function setTranscriber(custom) {
+  transcriber = custom;
+}
+
+/** Whisper output → one clean line: non-speech markers dropped, whitespace collapsed. */
+export function cleanTranscript(text) {
+  return String(text || '').replace(NON_SPEECH, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Transcribe a voice note. Returns the cleaned text ('' when nothing was said).
+ * Errors with code STT_UNAVAILABLE mean voice input is not configured on this machine.
+ */
+export async function transcribeAudio(audio, { mimeType } = {}) {
+  const engine = getTranscriber();
+  const started = Date.now();
+  const text = cleanTranscript(await engine.transcribe(audio, { mimeType }));
+  log.stt(`${engine.name}: ${audio.length} bytes → ${text.length} chars in ${Date.now() - started} ms`);
+  return text;
+}
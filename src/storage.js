@@ -0,0 +1,187 @@
+/**
+ * Pluggable key-value storage for everything the bot keeps per chat
+ * (session state, history, Swiggy tokens, ...). Values are JSON-serialisable.
+ *
+ * Backend interface — every method is async:
+ *   get(key) → value | undefined
+ *   set(key, value)
+ *   delete(key)
+ *   keys(prefix) → string[]
+ *
+ * STORAGE_BACKEND selects the backend: 'json' (default, one file under DATA_DIR),
+ * 'memory' (lost on restart, for tests), or 'redis' (needs the `redis` package and REDIS_URL).
+ */
+
+import { mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { dirname, join } from 'path';
+
+const log = {
+  store: (msg, ...args) => console.log(`  \x1b[90m[Store]\x1b[0m ${msg}`, ...args),
+  storeErr: (msg, ...args) => console.error(`  \x1b[31m[Store]\x1b[0m ${msg}`, ...args),
+};
+
+// Coalesce bursts of writes (history + session on every turn) into one file write
+const JSON_WRITE_DELAY_MS = 200;
+
+/**
+ * In-memory backend. Also the base of the JSON-file backend. Values are copied on the way in
+ * and out, so changing an object you got back is only stored once you set() it again.
+ */
+export function createMemoryStore(initial = {}) {
+  const data = new Map(Object.entries(initial).map(([key, value]) => [key, structuredClone(value)]));
+  return {
+    async get(key) {
+      const value = data.get(key);
+      return value === undefined ? undefined : structuredClone(value);
+    },
+    async set(key, value) {
+      data.set(key, structuredClone(value));
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async keys(prefix = '') {
+      return [...data.keys()].filter((k) => k.startsWith(prefix));
+    },
+    snapshot() {
+      return Object.fromEntries(data);
+    },
+  };
+}
+
+/**
+ * JSON-file backend: whole store in memory, written atomically (tmp + rename) shortly after changes.
+ */
+export function createJsonFileStore(file) {
+  let initial = {};
+  try {
+    initial = JSON.parse(readFileSync(file, 'utf8'));
+  } catch {
+    // file missing or invalid JSON — start empty
+  }
+  const mem = createMemoryStore(initial);
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(`${file}.tmp`, JSON.stringify(mem.snapshot()), { mode: 0o600 });
+      renameSync(`${file}.tmp`, file);
+    } catch (err) {
+      log.storeErr('write failed', file, err?.message || String(err));
+    }
+  }
+
+  function scheduleFlush() {
+    if (!timer) timer = setTimeout(flush, JSON_WRITE_DELAY_MS);
+  }
+
+  // Pending writes must not be lost on a normal shutdown
+  process.on('exit', () => {
+    if (timer) flush();
+  });
+
+  return {
+    get: mem.get,
+    keys: mem.keys,
+    async set(key, value) {
+      await mem.set(key, value);
+      scheduleFlush();
+    },
+    async delete(key) {
+      await mem.delete(key);
+      scheduleFlush();
+    },
+    flush,
+  };
+}
+
+/**
+ * Redis backend over a connected node-redis v4 client. Keys are namespaced with `prefix`.
+ */
+export function createRedisStore(client, prefix = 'swiggy-tg-bot:') {
+  return {
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw == null ? undefined : JSON.parse(raw);
+    },
+    async set(key, value) {
+      await client.set(prefix + key, JSON.stringify(value));
+    },
+    async delete(key) {
+      await client.del(prefix + key);
+    },
+    async keys(p = '') {
+      const found = [];
+      for await (const k of client.scanIterator({ MATCH: `${prefix}${p}*` })) found.push(k.slice(prefix.length));
+      return found;
+    },
+  };
+}
+
+let store = null;
+
+async function createConfiguredStore() {
+  const backend = (process.env.STORAGE_BACKEND || 'json').toLowerCase();
+  if (backend === 'memory') return createMemoryStore();
+  if (backend === 'redis') {
+    let redis;
+    try {
+      redis = await import('redis');
+    } catch {
+      throw new Error('STORAGE_BACKEND=redis needs the `redis` package. Run: npm install redis');
+    }
+    const client = redis.createClient({ url: process.env.REDIS_URL });
+    await client.connect();
+    log.store('using redis', process.env.REDIS_URL || '(default url)');
+    return createRedisStore(client);
+  }
+  const file = process.env.STORAGE_FILE || join(process.env.DATA_DIR || 'data', 'store.json');
+  log.store('using json file', file);
+  return createJsonFileStore(file);
+}
+
+/**
+ * The process-wide store (created from env on first use). A failed setup (e.g. redis not
+ * reachable) is not cached, so the next call tries again.
+ */
+export async function getStore() {
+  if (!store) {
+    const pending = createConfiguredStore();
+    store = pending;
+    pending.catch(() => {
+      if (store === pending) store = null;
+    });
+  }
+  return store;
+}
+
+/**
+ * Replace the process-wide store (tests, or a custom backend).
+ */
+export function setStore(custom) {
+  store = Promise.resolve(custom);
+}
+
+/** Key for one kind of per-chat data, e.g. chatKey(42, 'session') → "chat:42:session". */
+export function chatKey(chatId, name) {
+  return `chat:${chatId}:${name}`;
+}
+
+/** Key for data that follows a person across chats, e.g. userKey(7, 'budget') → "user:7:budget". */
+export function userKey(userId, name) {
+  return `user:${userId}:${name}`;
+}
+
+/**
+ * Delete every key stored for a chat, except the names in keep (e.g. ['budget'] keeps
+ * chat:<id>:budget). Returns how many keys were removed.
+ */
+export async function deleteChatData(chatId, { keep = [] } = {}) {
+  const s = await getStore();
+  const keys = (await s.keys(`chat:${chatId}:`)).filter((key) => !keep.includes(key.slice(`chat:${chatId}:`.length)));
+  for (const key of keys) await s.delete(key);
+  return keys.length;
+}
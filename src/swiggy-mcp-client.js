@@ -1,20 +1,20 @@
 /**
- * MCP Streamable HTTP client for Swiggy MCP servers.
- * Initialize session, list tools, call tools. One session per base URL.
+ * MCP Streamable HTTP client for the servers in the MCP registry (Swiggy Food, Instamart, Dineout, …).
+ * Initialize session, list tools, call tools. One session per server URL and token.
+ * Every request has the server's timeoutMs. Timeouts, connection errors, 5xx and 429 are retried
+ * with jittered backoff for tools/list and read-only tools (never orders, bookings or cart changes),
+ * and count towards the server's circuit breaker (circuit-breaker.js).
  * @see https://modelcontextprotocol.io/specification (Streamable HTTP)
  */
 
-const SWIGGY_BASE_URLS = {
-  swiggy_food: 'https://mcp.swiggy.com/food',
-  swiggy_im: 'https://mcp.swiggy.com/im',
-  swiggy_dineout: 'https://mcp.swiggy.com/dineout',
-};
+import { getServer, getEnabledServers, serverForTool, tokenForServer } from './mcp-registry.js';
+import { sendJsonRpc, nextRequestId } from './mcp-transport.js';
+import { isCircuitOpen, recordFailure, recordSuccess, secondsUntilRetry } from './circuit-breaker.js';
+import { isReadOnlyTool } from './tool-kinds.js';
+import { setTimeout as sleep } from 'timers/promises';
 
-const SESSION_PREFIX = {
-  swiggy_food: 'swiggy_food__',
-  swiggy_im: 'swiggy_im__',
-  swiggy_dineout: 'swiggy_dineout__',
-};
+const MAX_TOOL_PAGES = 20;
+const MAX_BACKOFF_MS = 4000;
 
 const log = {
   mcp: (msg, ...args) => console.log(`  \x1b[90m[MCP]\x1b[0m ${msg}`, ...args),
@@ -22,6 +22,54 @@ const log = {
 };
 
 const connections = new Map();
+const toolsChangedListeners = new Set();
+
+/** err.code for Swiggy auth failures (missing, expired or revoked token). */
+export const SWIGGY_AUTH_ERROR = 'SWIGGY_AUTH_ERROR';
+/** err.code when a server's circuit breaker is open and the call was not attempted. */
+export const MCP_UNAVAILABLE = 'MCP_UNAVAILABLE';
+
+// Optional hook: async (oldToken) => newToken | null. Set by the bot to refresh per-chat tokens.
+let tokenRefresher = null;
+
+/**
+ * Register how to get a fresh access token when Swiggy rejects the current one.
+ */
+export function setTokenRefresher(fn) {
+  tokenRefresher = fn;
+}
+
+/**
+ * Be told when a server sends notifications/tools/list_changed: fn(token, serverKey).
+ */
+export function onToolsListChanged(fn) {
+  toolsChangedListeners.add(fn);
+}
+
+export function isSwiggyAuthError(err) {
+  return err?.code === SWIGGY_AUTH_ERROR;
+}
+
+/** Error with the HTTP status of the response that caused it (5xx and 429 are retried). */
+function httpError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function authError(message) {
+  const err = new Error(message);
+  err.code = SWIGGY_AUTH_ERROR;
+  return err;
+}
+
+/** 401/403, or a JSON-RPC error that says the token is bad. */
+function isAuthFailure(status, body) {
+  if (status === 401 || status === 403) return true;
+  const e = body?.error;
+  if (!e) return false;
+  return e.code === 401 || /unauthori[sz]ed|invalid[_ ]token|token.*expired|expired.*token/i.test(String(e.message ?? ''));
+}
 
 /**
  * Clear cached connections (call when token changes).
@@ -32,135 +80,328 @@ export function clearConnectionCache() {
 }
 
 /**
- * Swiggy MCP returns initialize result in body but no session id in headers (stateless HTTP).
- * We store { baseUrl, token, sessionId: null } and omit Mcp-Session-Id on tools/list and tools/call.
- * Cache key includes token so new token = fresh connections.
+ * Drop cached connections that use one token (e.g. after a chat logs out).
+ */
+export function clearConnectionsForToken(token) {
+  for (const [key, conn] of connections) {
+    if (conn.token === token) connections.delete(key);
+  }
+}
+
+/**
+ * Auth failure for a server: a Swiggy auth error (triggers refresh / re-login) for 'swiggy' servers,
+ * a plain error for servers with their own static token.
+ */
+function serverAuthError(server, message) {
+  return server.auth === 'swiggy' ? authError(message) : new Error(message);
+}
+
+/**
+ * initialize + notifications/initialized. Swiggy MCP currently sends no Mcp-Session-Id (stateless HTTP);
+ * then we store sessionId: null and omit the header on later requests.
+ * token is the chat's Swiggy token (cache key, so new token = fresh connections); bearer is what the server gets.
  */
-async function ensureConnection(baseUrl, token) {
-  const key = `${baseUrl}::${token ?? ''}`;
+async function ensureConnection(server, token) {
+  const key = `${server.url}::${token ?? ''}`;
   if (connections.get(key)) return connections.get(key);
-  if (!token) {
-    throw new Error('SWIGGY_AUTH_TOKEN is required. Add your Swiggy OAuth access_token to .env');
-  }
-  const res = await fetch(baseUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Accept: 'application/json, text/event-stream',
-      Authorization: `Bearer ${token}`,
-    },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      method: 'initialize',
-      params: {
-        protocolVersion: '2024-11-05',
-        capabilities: {},
-        clientInfo: { name: 'swiggy-tg-bot', version: '1.0.0' },
-      },
-      id: 1,
-    }),
+  const conn = await openConnection(server, token);
+  connections.set(key, conn);
+  return conn;
+}
+
+async function openConnection(server, token) {
+  const baseUrl = server.url;
+  const bearer = tokenForServer(server, token);
+  if (!bearer && server.auth === 'swiggy') {
+    throw authError('Swiggy login required. Send /login, or add SWIGGY_AUTH_TOKEN to .env');
+  }
+  if (!bearer && server.auth.startsWith('env:')) {
+    throw new Error(`${server.key}: ${server.auth.slice(4)} is not set`);
+  }
+  const conn = { sessionId: null, server, baseUrl, token, bearer };
+  const { status, headers, message: body, rawText } = await rpc(conn, 'initialize', {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'swiggy-tg-bot', version: '1.0.0' },
   });
-  const text = await res.text();
-  let body;
-  try {
-    body = text ? JSON.parse(text) : null;
-  } catch {
-    body = null;
+  if (isAuthFailure(status, body)) {
+    log.mcpErr('initialize rejected token', status, baseUrl);
+    throw serverAuthError(server, `MCP initialize HTTP ${status}: ${server.label} rejected the access token`);
   }
   if (body?.error) {
     log.mcpErr('initialize failed', baseUrl, body.error.message || JSON.stringify(body.error));
-    throw new Error(`MCP initialize failed: ${body.error.message || JSON.stringify(body.error)}`);
+    throw httpError(`MCP initialize failed: ${body.error.message || JSON.stringify(body.error)}`, status);
+  }
+  if (status < 200 || status >= 300) {
+    log.mcpErr('initialize HTTP', status, baseUrl, String(rawText ?? '').slice(0, 150));
+    throw httpError(`MCP initialize HTTP ${status}. ${String(rawText ?? '').slice(0, 200)}`, status);
+  }
+  conn.sessionId = headers.get('mcp-session-id') || null;
+  await sendJsonRpc(baseUrl, { jsonrpc: '2.0', method: 'notifications/initialized' }, {
+    headers: requestHeaders(conn),
+    timeoutMs: server.timeoutMs,
+  });
+  return conn;
+}
+
+/**
+ * Open a fresh, uncached session with one registry server (initialize only), for health checks.
+ * Throws like a tool call would when the server is down or rejects the token.
+ */
+export async function probeServer(serverKey, token) {
+  const server = getServer(serverKey);
+  if (!server) throw new Error(`Unknown MCP server: ${serverKey}`);
+  await openConnection(server, token);
+}
+
+/**
+ * One JSON-RPC request on a connection, with a fresh id. Server notifications go to handleServerMessage
+ * (and onNotification, e.g. for tools/call progress).
+ */
+function rpc(conn, method, params, onNotification, signal) {
+  const payload = { jsonrpc: '2.0', method, id: nextRequestId() };
+  if (params !== undefined) payload.params = params;
+  return sendJsonRpc(conn.baseUrl, payload, {
+    headers: requestHeaders(conn),
+    timeoutMs: conn.server.timeoutMs,
+    signal,
+    onServerMessage: (msg) => handleServerMessage(conn, msg, onNotification),
+  });
+}
+
+/**
+ * Notifications and server→client requests that arrive while we wait for a response.
+ * We offer no client capabilities, so requests other than ping get "method not found".
+ */
+function handleServerMessage(conn, msg, onNotification) {
+  if (msg.id !== undefined) {
+    const reply = msg.method === 'ping'
+      ? { jsonrpc: '2.0', id: msg.id, result: {} }
+      : { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Method not supported: ${msg.method}` } };
+    sendJsonRpc(conn.baseUrl, reply, { headers: requestHeaders(conn), timeoutMs: conn.server.timeoutMs })
+      .catch((err) => log.mcpErr(`reply to ${msg.method} failed`, err?.message || String(err)));
+    return;
   }
-  if (!res.ok) {
-    log.mcpErr('initialize HTTP', res.status, baseUrl, text.slice(0, 150));
-    throw new Error(`MCP initialize HTTP ${res.status}. ${text.slice(0, 200)}`);
+  if (msg.method === 'notifications/message') {
+    const { level, data } = msg.params || {};
+    log.mcp(`${conn.server.key} ${level || 'info'}:`, typeof data === 'string' ? data : JSON.stringify(data));
+  } else if (msg.method === 'notifications/tools/list_changed') {
+    for (const fn of toolsChangedListeners) fn(conn.token, conn.server.key);
   }
-  const sessionId = res.headers.get('mcp-session-id') || res.headers.get('Mcp-Session-Id');
-  if (sessionId) {
-    await fetch(baseUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Mcp-Session-Id': sessionId,
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
-    });
+  onNotification?.(msg);
+}
+
+function withBearer(headers, bearer) {
+  if (bearer) headers.Authorization = `Bearer ${bearer}`;
+  return headers;
+}
+
+/**
+ * Run fn(token); on an auth failure, ask the refresher for a new token, drop the
+ * cached connection for the old one and retry exactly once.
+ */
+async function withAuthRetry(token, fn) {
+  try {
+    return await fn(token);
+  } catch (err) {
+    if (!isSwiggyAuthError(err) || !token || !tokenRefresher) throw err;
+    let fresh = null;
+    try {
+      fresh = await tokenRefresher(token);
+    } catch (refreshErr) {
+      log.mcpErr('token refresh failed', refreshErr?.message || String(refreshErr));
+    }
+    if (!fresh || fresh === token) throw err;
+    clearConnectionsForToken(token);
+    log.mcp('access token refreshed, retrying');
+    return fn(fresh);
   }
-  connections.set(key, { sessionId: sessionId || null, baseUrl, token });
-  return connections.get(key);
 }
 
 function requestHeaders(conn) {
-  const h = {
-    'Content-Type': 'application/json',
-    Accept: 'application/json, text/event-stream',
-    Authorization: `Bearer ${conn.token}`,
-  };
+  const h = withBearer({}, conn.bearer);
   if (conn.sessionId) h['Mcp-Session-Id'] = conn.sessionId;
   return h;
 }
 
+/**
+ * Run fn(conn); if the server has forgotten our session (404 with Mcp-Session-Id), open a new one and retry once.
+ */
+async function withSession(server, token, fn) {
+  const conn = await ensureConnection(server, token);
+  const result = await fn(conn);
+  if (result.status !== 404 || !conn.sessionId) return result;
+  log.mcp(`${server.key} session expired, reconnecting`);
+  connections.delete(`${conn.baseUrl}::${token ?? ''}`);
+  return fn(await ensureConnection(server, token));
+}
+
+/**
+ * Auth, JSON and JSON-RPC error checks shared by tools/list and tools/call. Returns the result object.
+ */
+function checkResponse(server, token, what, { status, message, rawText }) {
+  if (isAuthFailure(status, message)) {
+    clearConnectionsForToken(token);
+    throw serverAuthError(server, `${what} HTTP ${status}: ${server.label} rejected the access token`);
+  }
+  if (message === undefined) {
+    throw httpError(`${what} invalid JSON: ${String(rawText ?? '').slice(0, 150)}`, status);
+  }
+  if (message?.error) {
+    log.mcpErr(what, '—', message.error.message);
+    throw httpError(message.error.message || JSON.stringify(message.error), status);
+  }
+  if (status < 200 || status >= 300) {
+    throw httpError(`${what} HTTP ${status}: ${String(rawText ?? '').slice(0, 150)}`, status);
+  }
+  return message?.result;
+}
+
+/**
+ * Registry entry and unprefixed MCP name for a Claude tool name, or null if no server owns the prefix.
+ */
 function getServerAndName(claudeToolName) {
-  for (const [server, prefix] of Object.entries(SESSION_PREFIX)) {
-    if (claudeToolName.startsWith(prefix)) {
-      const name = claudeToolName.slice(prefix.length);
-      return { server, name };
+  return serverForTool(claudeToolName);
+}
+
+/** Safe to send again after a timeout or 5xx: read-only tools, never orders, bookings or cart changes. */
+export function isRetryableTool(name) {
+  return isReadOnlyTool(name);
+}
+
+/** Timeouts, dropped connections, 5xx and 429: worth a retry, and a strike against the server. */
+function isTransient(err) {
+  if (err?.status >= 500 || err?.status === 429) return true;
+  if (err?.name === 'TimeoutError' || err?.transient) return true;
+  // fetch() itself failed: connection refused or reset, DNS
+  return err instanceof TypeError && /fetch failed/i.test(err.message);
+}
+
+/** A transient failure, worded for Claude and the logs. */
+function describeFailure(server, err) {
+  let message;
+  if (err?.name === 'TimeoutError') message = `${server.label} did not answer within ${server.timeoutMs / 1000}s`;
+  else if (err?.status) message = `${server.label} returned HTTP ${err.status}`;
+  else message = `${server.label} could not be reached (${err?.cause?.code || err?.message || err})`;
+  const failure = new Error(message);
+  failure.transient = true;
+  return failure;
+}
+
+function unavailableError(server) {
+  const err = new Error(`${server.label} is temporarily unavailable (not responding). Try again in about ${secondsUntilRetry(server.key)}s.`);
+  err.code = MCP_UNAVAILABLE;
+  return err;
+}
+
+function retryCount() {
+  const n = Number(process.env.MCP_RETRIES);
+  return Number.isInteger(n) && n >= 0 ? n : 2;
+}
+
+/** Full jitter: anywhere from 0 to base · 2^(attempt-1), capped. */
+function backoffMs(attempt) {
+  const base = Number(process.env.MCP_RETRY_BASE_MS) || 250;
+  return Math.round(Math.random() * Math.min(MAX_BACKOFF_MS, base * 2 ** (attempt - 1)));
+}
+
+/**
+ * Run fn() against a server through its circuit breaker: fail fast while it is open, count transient
+ * failures, and (options.retry) try again up to MCP_RETRIES times with backoff. options.signal
+ * (a cancelled turn) stops the retries and is never counted against the server.
+ */
+async function withResilience(server, { retry = false, signal } = {}, fn) {
+  if (isCircuitOpen(server.key)) throw unavailableError(server);
+  const attempts = retry ? retryCount() + 1 : 1;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fn();
+      recordSuccess(server.key);
+      return result;
+    } catch (err) {
+      if (signal?.aborted || !isTransient(err)) throw err;
+      recordFailure(server.key);
+      const failure = describeFailure(server, err);
+      if (attempt >= attempts) throw failure;
+      if (isCircuitOpen(server.key)) throw unavailableError(server);
+      const delay = backoffMs(attempt);
+      log.mcpErr(`${failure.message} — retry ${attempt}/${attempts - 1} in ${delay}ms`);
+      await sleep(delay, undefined, { signal });
     }
   }
-  return null;
 }
 
 /**
- * Call tools/list on one Swiggy MCP server and return tools with prefixed names.
+ * Only 'swiggy' servers get the refresh-and-retry; others have nothing to refresh.
+ */
+function runWithAuth(server, token, fn) {
+  return server.auth === 'swiggy' ? withAuthRetry(token, fn) : fn(token);
+}
+
+/**
+ * Call tools/list on one registry server and return tools with prefixed names.
  */
 export async function listToolsForServer(serverKey, token) {
-  const baseUrl = SWIGGY_BASE_URLS[serverKey];
-  if (!baseUrl) return [];
-  const conn = await ensureConnection(baseUrl, token);
-  const prefix = SESSION_PREFIX[serverKey];
-  const res = await fetch(conn.baseUrl, {
-    method: 'POST',
-    headers: requestHeaders(conn),
-    body: JSON.stringify({ jsonrpc: '2.0', method: 'tools/list', id: 2 }),
-  });
-  const rawText = await res.text();
-  let data;
-  try {
-    data = rawText ? JSON.parse(rawText) : null;
-  } catch {
-    throw new Error(`tools/list invalid JSON (${serverKey}): ${rawText.slice(0, 150)}`);
-  }
-  if (data?.error) {
-    throw new Error(`${serverKey} tools/list: ${data.error.message || JSON.stringify(data.error)}`);
+  const server = getServer(serverKey);
+  if (!server?.enabled) return [];
+  return withResilience(server, { retry: true }, () => runWithAuth(server, token, (t) => listToolsOnce(server, t)));
+}
+
+/** Enabled servers whose circuit breaker is open: { key, label, retryInSeconds }. */
+export function unavailableServers() {
+  return getEnabledServers()
+    .filter((s) => isCircuitOpen(s.key))
+    .map((s) => ({ key: s.key, label: s.label, retryInSeconds: secondsUntilRetry(s.key) }));
+}
+
+async function listToolsOnce(server, token) {
+  const tools = [];
+  const seen = new Set();
+  let cursor;
+  // Follow nextCursor; stop on a repeated cursor so a buggy server can't loop us forever
+  for (let page = 0; page < MAX_TOOL_PAGES; page++) {
+    const params = cursor ? { cursor } : undefined;
+    const response = await withSession(server, token, (conn) => rpc(conn, 'tools/list', params));
+    const result = checkResponse(server, token, `${server.key} tools/list`, response);
+    tools.push(...(Array.isArray(result?.tools) ? result.tools : Array.isArray(result) ? result : []));
+    cursor = result?.nextCursor;
+    if (!cursor || seen.has(cursor)) break;
+    seen.add(cursor);
   }
-  const result = data?.result;
-  const tools = Array.isArray(result?.tools) ? result.tools : Array.isArray(result) ? result : [];
   return tools.map((tool) => ({
     ...tool,
-    name: prefix + (tool.name || 'unknown'),
-    _server: serverKey,
+    name: server.prefix + (tool.name || 'unknown'),
+    _server: server.key,
     _originalName: tool.name,
   }));
 }
 
 /**
- * List all tools from Food, Instamart, and Dineout (with prefixed names).
+ * List all tools from every enabled registry server (with prefixed names).
+ * Without a Swiggy token, only servers that don't use Swiggy auth are asked.
+ * Servers whose circuit breaker is open are left out (see unavailableServers).
  */
 export async function listAllTools(token) {
-  if (!token || typeof token !== 'string' || !token.trim()) {
-    throw new Error('SWIGGY_AUTH_TOKEN is missing or empty. Set it in .env with your Swiggy OAuth access_token.');
+  const hasToken = typeof token === 'string' && token.trim() !== '';
+  const enabled = getEnabledServers();
+  const eligible = hasToken ? enabled : enabled.filter((s) => s.auth !== 'swiggy');
+  if (eligible.length === 0) {
+    if (enabled.length === 0) throw new Error('No MCP servers are enabled. Check config/mcp-servers.json and MCP_* env vars.');
+    throw authError('Not logged in to Swiggy. Send /login to connect your account, or set SWIGGY_AUTH_TOKEN in .env.');
+  }
+  const servers = eligible.filter((s) => !isCircuitOpen(s.key));
+  if (servers.length < eligible.length) {
+    log.mcpErr('leaving out tools from', eligible.filter((s) => isCircuitOpen(s.key)).map((s) => s.key).join(', '), '(circuit open)');
+  }
+  if (servers.length === 0) {
+    throw new Error(`${eligible.map((s) => s.label).join(', ')} ${eligible.length === 1 ? 'is' : 'are'} temporarily unavailable. Try again in a minute.`);
   }
   const errors = [];
-  const results = await Promise.allSettled([
-    listToolsForServer('swiggy_food', token),
-    listToolsForServer('swiggy_im', token),
-    listToolsForServer('swiggy_dineout', token),
-  ]);
+  const results = await Promise.allSettled(servers.map((s) => listToolsForServer(s.key, token)));
   const all = [];
   for (let i = 0; i < results.length; i++) {
     const r = results[i];
-    const name = ['swiggy_food', 'swiggy_im', 'swiggy_dineout'][i];
+    const name = servers[i].key;
     if (r.status === 'fulfilled') {
       all.push(...r.value);
     } else {
@@ -169,43 +410,41 @@ export async function listAllTools(token) {
   }
   if (all.length === 0 && errors.length > 0) {
     log.mcpErr('No tools loaded:', errors.join('; '));
-    throw new Error(`Could not load any Swiggy tools. ${errors.join('; ')}`);
+    const message = `Could not load any MCP tools. ${errors.join('; ')}`;
+    throw results.some((r) => isSwiggyAuthError(r.reason)) ? authError(message) : new Error(message);
   }
   return all;
 }
 
 /**
  * Call a single tool. claudeToolName must be prefixed (e.g. swiggy_food__search_restaurants).
+ * options.onProgress(params): notifications/progress for this call ({ progress, total, message }).
+ * options.signal: abort the call (the bot's /cancel).
  */
-export async function callTool(claudeToolName, arguments_, token) {
+export async function callTool(claudeToolName, arguments_, token, { onProgress, signal } = {}) {
   const parsed = getServerAndName(claudeToolName);
   if (!parsed) throw new Error(`Unknown tool server for: ${claudeToolName}`);
   const { server, name } = parsed;
-  const baseUrl = SWIGGY_BASE_URLS[server];
-  const conn = await ensureConnection(baseUrl, token);
-  const res = await fetch(conn.baseUrl, {
-    method: 'POST',
-    headers: requestHeaders(conn),
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      method: 'tools/call',
-      params: { name, arguments: arguments_ || {} },
-      id: 3,
-    }),
-  });
-  const rawText = await res.text();
-  let data;
-  try {
-    data = rawText ? JSON.parse(rawText) : null;
-  } catch {
-    throw new Error(`tools/call invalid JSON: ${rawText.slice(0, 150)}`);
-  }
-  if (data?.error) {
-    log.mcpErr(name, '—', data.error.message);
-    throw new Error(data.error.message || JSON.stringify(data.error));
+  if (!server.enabled) throw new Error(`MCP server ${server.key} is disabled`);
+  return withResilience(server, { retry: isRetryableTool(name), signal }, () =>
+    runWithAuth(server, token, (t) => callToolOnce(server, name, arguments_, t, onProgress, signal))
+  );
+}
+
+async function callToolOnce(server, name, arguments_, token, onProgress, signal) {
+  const params = { name, arguments: arguments_ || {} };
+  let progressToken;
+  if (onProgress) {
+    progressToken = `progress-${nextRequestId()}`;
+    params._meta = { progressToken };
   }
-  const content = data?.result?.content ?? [];
+  const onNotification = (msg) => {
+    if (msg.method === 'notifications/progress' && msg.params?.progressToken === progressToken) onProgress(msg.params);
+  };
+  const response = await withSession(server, token, (conn) => rpc(conn, 'tools/call', params, onNotification, signal));
+  const result = checkResponse(server, token, `tools/call ${name}`, response);
+  const content = result?.content ?? [];
   const textParts = content.filter((c) => c.type === 'text').map((c) => c.text);
-  const out = textParts.length ? textParts.join('\n') : JSON.stringify(data.result);
+  const out = textParts.length ? textParts.join('\n') : JSON.stringify(result);
   return out;
 }
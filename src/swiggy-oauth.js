@@ -0,0 +1,282 @@
+/**
+ * Per-chat Swiggy OAuth login (authorization code + PKCE).
+ * Metadata comes from the domain-root discovery document, not from /food etc.
+ * @see https://mcp.swiggy.com/.well-known/oauth-authorization-server
+ * @see https://datatracker.ietf.org/doc/html/rfc7636 (PKCE)
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { getStore, chatKey } from './storage.js';
+
+const log = {
+  auth: (msg, ...args) => console.log(`  \x1b[34m[Auth]\x1b[0m ${msg}`, ...args),
+  authErr: (msg, ...args) => console.error(`  \x1b[31m[Auth]\x1b[0m ${msg}`, ...args),
+};
+
+// Pending logins expire if the user never finishes the browser step
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+/** Config is read at call time so .env loaded after import still applies. */
+function getConfig() {
+  return {
+    issuer: (process.env.SWIGGY_AUTH_ISSUER || 'https://mcp.swiggy.com').replace(/\/+$/, ''),
+    clientId: process.env.SWIGGY_OAUTH_CLIENT_ID || '',
+    redirectUri: process.env.SWIGGY_OAUTH_REDIRECT_URI || 'http://localhost/callback',
+    scope: process.env.SWIGGY_OAUTH_SCOPE || '',
+  };
+}
+
+/** Whether /login is set up: a client ID or redirect URI in .env (the callback server needs one). */
+export function isLoginConfigured() {
+  return !!(process.env.SWIGGY_OAUTH_CLIENT_ID || process.env.SWIGGY_OAUTH_REDIRECT_URI);
+}
+
+let metadata = null;
+const pendingLogins = new Map();
+// chatId -> in-flight refresh promise, so parallel 401s share one refresh
+const refreshing = new Map();
+
+// Stored per chat under chat:<id>:swiggy-tokens →
+// { accessToken, refreshToken, expiresAt, scope, previousAccessToken }
+const TOKENS = 'swiggy-tokens';
+// Dynamically registered client: { client_id, redirect_uri }
+const CLIENT_KEY = 'oauth:client';
+
+async function getTokens(chatId) {
+  return (await getStore()).get(chatKey(chatId, TOKENS));
+}
+
+async function deleteTokens(chatId) {
+  await (await getStore()).delete(chatKey(chatId, TOKENS));
+}
+
+function base64url(buf) {
+  return buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Fetch and cache the authorization server metadata (RFC 8414).
+ */
+export async function getOAuthMetadata() {
+  if (metadata) return metadata;
+  const url = `${getConfig().issuer}/.well-known/oauth-authorization-server`;
+  const res = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!res.ok) {
+    throw new Error(`OAuth discovery failed: HTTP ${res.status} from ${url}`);
+  }
+  const body = await res.json();
+  if (!body?.authorization_endpoint || !body?.token_endpoint) {
+    throw new Error(`OAuth discovery at ${url} is missing authorization_endpoint or token_endpoint`);
+  }
+  metadata = body;
+  log.auth('discovered', body.issuer || url);
+  return metadata;
+}
+
+/**
+ * Client ID from SWIGGY_OAUTH_CLIENT_ID, otherwise registered once via dynamic
+ * client registration (RFC 7591) and remembered in storage.
+ */
+async function getClientId(meta) {
+  const { clientId, redirectUri } = getConfig();
+  if (clientId) return clientId;
+  const store = await getStore();
+  const registered = await store.get(CLIENT_KEY);
+  if (registered?.client_id && registered.redirect_uri === redirectUri) return registered.client_id;
+  if (!meta.registration_endpoint) {
+    throw new Error('SWIGGY_OAUTH_CLIENT_ID is not set and the authorization server does not support client registration.');
+  }
+  const res = await fetch(meta.registration_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify({
+      client_name: 'swiggy-tg-bot',
+      redirect_uris: [redirectUri],
+      grant_types: ['authorization_code', 'refresh_token'],
+      response_types: ['code'],
+      token_endpoint_auth_method: 'none',
+    }),
+  });
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body?.client_id) {
+    throw new Error(`OAuth client registration failed: HTTP ${res.status} ${body?.error_description || body?.error || ''}`.trim());
+  }
+  await store.set(CLIENT_KEY, { client_id: body.client_id, redirect_uri: redirectUri });
+  log.auth('registered client', body.client_id);
+  return body.client_id;
+}
+
+async function postTokenEndpoint(meta, params) {
+  const res = await fetch(meta.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams(params).toString(),
+  });
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body?.access_token) {
+    const reason = body?.error_description || body?.error || `HTTP ${res.status}`;
+    const err = new Error(`Swiggy token request failed: ${reason}`);
+    err.oauthError = body?.error || null;
+    throw err;
+  }
+  return body;
+}
+
+async function storeTokens(chatId, tokenResponse, previous = {}) {
+  await (await getStore()).set(chatKey(chatId, TOKENS), {
+    accessToken: tokenResponse.access_token,
+    // Servers may omit refresh_token on refresh — keep the old one then
+    refreshToken: tokenResponse.refresh_token || previous.refreshToken || null,
+    expiresAt: tokenResponse.expires_in ? Date.now() + tokenResponse.expires_in * 1000 : null,
+    scope: tokenResponse.scope || previous.scope || null,
+    // Requests already in flight may still carry the old token; map it to the new one
+    previousAccessToken: previous.accessToken || null,
+  });
+}
+
+function prunePendingLogins() {
+  const now = Date.now();
+  for (const [state, pending] of pendingLogins) {
+    if (now - pending.createdAt > PENDING_TTL_MS) pendingLogins.delete(state);
+  }
+}
+
+/**
+ * Start a login for a chat. Returns the authorization URL to send to the user.
+ */
+export async function startLogin(chatId) {
+  const meta = await getOAuthMetadata();
+  const clientId = await getClientId(meta);
+  const { redirectUri, scope } = getConfig();
+  prunePendingLogins();
+
+  const verifier = base64url(randomBytes(32));
+  const challenge = base64url(createHash('sha256').update(verifier).digest());
+  const state = base64url(randomBytes(16));
+  pendingLogins.set(state, { chatId, verifier, clientId, createdAt: Date.now() });
+
+  const url = new URL(meta.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('code_challenge', challenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  url.searchParams.set('state', state);
+  if (scope) url.searchParams.set('scope', scope);
+  return url.toString();
+}
+
+/**
+ * Finish a login from the OAuth callback (code + state). Returns the chat ID the tokens belong to.
+ */
+export async function completeLogin({ code, state }) {
+  prunePendingLogins();
+  const pending = state ? pendingLogins.get(state) : null;
+  if (!pending) throw new Error('Login link expired or already used. Send /login again.');
+  if (!code) throw new Error('Authorization code missing from callback.');
+  pendingLogins.delete(state);
+
+  const meta = await getOAuthMetadata();
+  const tokens = await postTokenEndpoint(meta, {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getConfig().redirectUri,
+    client_id: pending.clientId,
+    code_verifier: pending.verifier,
+  });
+  await storeTokens(pending.chatId, tokens);
+  log.auth('login complete for chat', pending.chatId);
+  return pending.chatId;
+}
+
+/**
+ * Access token stored for a chat, or undefined if the chat has not logged in.
+ */
+export async function getChatAccessToken(chatId) {
+  return (await getTokens(chatId))?.accessToken || undefined;
+}
+
+/**
+ * Exchange a chat's refresh token for a new access token.
+ * Returns the new access token, or null when the chat has to /login again
+ * (no refresh token, or the server rejected it — the stored tokens are dropped then).
+ */
+async function refreshChat(chatId) {
+  const entry = await getTokens(chatId);
+  if (!entry?.refreshToken) return null;
+  try {
+    const meta = await getOAuthMetadata();
+    const tokens = await postTokenEndpoint(meta, {
+      grant_type: 'refresh_token',
+      refresh_token: entry.refreshToken,
+      client_id: await getClientId(meta),
+    });
+    await storeTokens(chatId, tokens, entry);
+    log.auth('refreshed token for chat', chatId);
+    return tokens.access_token;
+  } catch (err) {
+    log.authErr('refresh failed for chat', chatId, err?.message || String(err));
+    // invalid_grant etc. means the refresh token is dead; network errors keep it for next time
+    if (err?.oauthError) await deleteTokens(chatId);
+    return null;
+  }
+}
+
+/**
+ * Token refresher for the MCP client: given an access token Swiggy rejected,
+ * return a working one for the same chat, or null if that token is not a /login token
+ * (e.g. the shared SWIGGY_AUTH_TOKEN) or the chat must log in again.
+ */
+export async function refreshAccessToken(rejectedToken) {
+  const store = await getStore();
+  for (const key of await store.keys('chat:')) {
+    if (!key.endsWith(`:${TOKENS}`)) continue;
+    const entry = await store.get(key);
+    if (!entry) continue;
+    const chatId = key.slice('chat:'.length, -`:${TOKENS}`.length);
+    // Already rotated by a parallel request — hand out the current token
+    if (entry.previousAccessToken === rejectedToken) return entry.accessToken;
+    if (entry.accessToken !== rejectedToken) continue;
+    if (!refreshing.has(chatId)) {
+      refreshing.set(chatId, refreshChat(chatId).finally(() => refreshing.delete(chatId)));
+    }
+    return refreshing.get(chatId);
+  }
+  return null;
+}
+
+/**
+ * Whether a chat has its own /login tokens stored.
+ */
+export async function isChatLoggedIn(chatId) {
+  return Boolean(await getTokens(chatId));
+}
+
+/**
+ * Revoke (when the server supports it) and forget a chat's tokens.
+ * Returns the access token that was removed, or null if the chat was not logged in.
+ */
+export async function logout(chatId) {
+  const entry = await getTokens(chatId);
+  if (!entry) return null;
+  await deleteTokens(chatId);
+  try {
+    const meta = await getOAuthMetadata();
+    if (meta.revocation_endpoint) {
+      const clientId = await getClientId(meta);
+      for (const [token, hint] of [[entry.refreshToken, 'refresh_token'], [entry.accessToken, 'access_token']]) {
+        if (!token) continue;
+        await fetch(meta.revocation_endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({ token, token_type_hint: hint, client_id: clientId }).toString(),
+        });
+      }
+    }
+  } catch (err) {
+    // Local tokens are already gone; a failed revoke only means the server keeps them until expiry
+    log.authErr('revoke failed', err?.message || String(err));
+  }
+  log.auth('logged out chat', chatId);
+  return entry.accessToken;
+}
@@ -0,0 +1,285 @@
+/**
+ * Claude's HTML → something Telegram will accept. sanitizeHtml keeps only the tags Telegram's
+ * HTML parse mode supports (b, i, u, s, a, code, pre, blockquote, spoilers, custom emoji),
+ * turns layout tags (br, p, li, headings) into line breaks, bullets and bold, escapes stray
+ * < > & and closes anything left open. splitMessage cuts a long reply into ≤ 4096-character
+ * messages at line boundaries, closing open tags at the end of a chunk and
+ * reopening them at the start of the next.
+ */
+
+export const TELEGRAM_MAX_CHARS = 4096;
+
+// Tags Telegram accepts, with their aliases
+const INLINE_TAGS = new Set(['b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'tg-spoiler', 'span', 'a', 'code', 'pre', 'blockquote', 'tg-emoji']);
+const ENTITY = /^&(?:lt|gt|amp|quot|#\d{1,7}|#x[0-9a-f]{1,6});/i;
+const TAG = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[a-zA-Z_:][-\w:.]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/;
+const ATTR = /([a-zA-Z_:][-\w:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
+
+function parseAttrs(source) {
+  const attrs = {};
+  for (const m of source.matchAll(ATTR)) attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? '';
+  return attrs;
+}
+
+/** The opening tag Telegram gets for an allowed tag, or null to drop it (its text is kept). */
+function openingTag(name, attrs) {
+  switch (name) {
+    case 'a': {
+      const href = (attrs.href || '').trim();
+      return /^(https?:|tg:|mailto:)/i.test(href) ? `<a href="${escapeAttr(href)}">` : null;
+    }
+    case 'span':
+      return attrs.class === 'tg-spoiler' ? '<span class="tg-spoiler">' : null;
+    case 'code':
+      return /^language-[\w+#-]+$/.test(attrs.class || '') ? `<code class="${attrs.class}">` : '<code>';
+    case 'blockquote':
+      return 'expandable' in attrs ? '<blockquote expandable>' : '<blockquote>';
+    case 'tg-emoji':
+      return /^\d+$/.test(attrs['emoji-id'] || '') ? `<tg-emoji emoji-id="${attrs['emoji-id']}">` : null;
+    default:
+      return `<${name}>`;
+  }
+}
+
+/** Text an HTML entity stands for when Telegram doesn't know it, e.g. &nbsp;. */
+function entityText(source) {
+  const m = /^&([a-z]+);/i.exec(source);
+  if (!m) return null;
+  const known = { nbsp: ' ', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', hellip: '…', mdash: '—', ndash: '–', bull: '•', rarr: '→', times: '×', middot: '·', apos: "'" };
+  return m[1].toLowerCase() in known ? { text: known[m[1].toLowerCase()], length: m[0].length } : null;
+}
+
+/**
+ * Clean Claude's HTML for Telegram's HTML parse mode. Never throws; the result always parses.
+ */
+export function sanitizeHtml(html) {
+  const source = String(html ?? '');
+  let out = '';
+  // Open allowed tags: { name, open } with the exact opening tag written
+  const stack = [];
+  const inside = (name) => stack.some((t) => t.name === name);
+  const closeTag = (t) => (t.dropped ? '' : `</${t.name}>`);
+  // Close stack[index] and everything opened after it, then reopen those
+  const closeTo = (index) => {
+    const reopen = stack.splice(index + 1);
+    for (const t of [...reopen].reverse()) out += closeTag(t);
+    out += closeTag(stack.pop());
+    for (const t of reopen) {
+      out += t.open;
+      stack.push(t);
+    }
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '&') {
+      const entity = ENTITY.exec(source.slice(i, i + 12));
+      if (entity) {
+        out += entity[0];
+        i += entity[0].length;
+        continue;
+      }
+      const named = entityText(source.slice(i, i + 12));
+      if (named) {
+        out += escapeText(named.text);
+        i += named.length;
+        continue;
+      }
+      out += '&amp;';
+      i += 1;
+      continue;
+    }
+    if (ch === '>') {
+      out += '&gt;';
+      i += 1;
+      continue;
+    }
+    if (ch !== '<') {
+      const next = source.slice(i).search(/[<>&]/);
+      const end = next === -1 ? source.length : i + next;
+      out += source.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    const tag = TAG.exec(source.slice(i));
+    if (!tag) {
+      out += '&lt;';
+      i += 1;
+      continue;
+    }
+    i += tag[0].length;
+    const closing = tag[1] === '/';
+    const name = tag[2].toLowerCase();
+    // Inside pre / code Telegram takes no other tags (except code directly in pre)
+    const rawText = inside('code') || (inside('pre') && !(name === 'code' && stack.at(-1)?.name === 'pre'));
+    if (rawText && !(closing && stack.at(-1)?.name === name)) continue;
+
+    if (!INLINE_TAGS.has(name)) {
+      // Layout tags become plain-text structure; anything else is dropped and its text kept
+      if (name === 'br') out += '\n';
+      else if (name === 'li' && !closing) out += `${out && !out.endsWith('\n') ? '\n' : ''}• `;
+      else if (/^(p|div|ul|ol|li|tr|table)$/.test(name) && closing) out += '\n';
+      else if (/^h[1-6]$/.test(name)) {
+        if (!closing && !inside('b')) {
+          out += '<b>';
+          stack.push({ name: 'b', open: '<b>', heading: name });
+        } else if (closing) {
+          const index = stack.findLastIndex((t) => t.heading === name);
+          if (index !== -1) closeTo(index);
+          out += '\n';
+        }
+      }
+      continue;
+    }
+
+    if (closing) {
+      const index = stack.findLastIndex((t) => t.name === name);
+      if (index === -1) continue;
+      // <b><i>x</b></i>: close i and b, then reopen i
+      closeTo(index);
+      continue;
+    }
+    if (tag[4] === '/' || (name === 'a' && inside('a'))) continue;
+    const open = openingTag(name, parseAttrs(tag[3]));
+    if (!open) {
+      // Keep the matching close tag from closing something else
+      stack.push({ name, open: '', dropped: true });
+      continue;
+    }
+    out += open;
+    stack.push({ name, open });
+  }
+  for (const t of stack.reverse()) out += closeTag(t);
+  return out
+    .replace(/<(\w[\w-]*)[^>]*><\/\1>/g, '')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/** Telegram HTML → plain text (for when HTML is not wanted at all). */
+export function stripHtml(html) {
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Sanitised HTML → tags and text
+function tokenize(html) {
+  return html.match(/<\/?[a-z][a-z0-9-]*(?:\s[^>]*)?>|[^<]+/gi) || [];
+}
+
+/** Where to cut text that alone is too long: a space, else any character not inside an entity or surrogate pair. */
+function hardCut(text, max) {
+  const space = text.lastIndexOf(' ', max);
+  if (space > max / 2) return space + 1;
+  let cut = max;
+  const amp = text.lastIndexOf('&', cut);
+  if (amp !== -1 && amp > cut - 10 && !text.slice(amp, cut).includes(';')) cut = amp;
+  if (/[\uD800-\uDBFF]/.test(text[cut - 1])) cut -= 1;
+  return Math.max(cut, 1);
+}
+
+/**
+ * Split sanitised HTML into messages of at most `limit` characters, cutting after the last full
+ * line that fits (one menu item or list entry per line), or at a space when a single line is too
+ * long. Each chunk is valid on its own: tags open at a cut are closed and reopened in the next chunk.
+ */
+export function splitMessage(html, limit = TELEGRAM_MAX_CHARS) {
+  if (html.length <= limit) return [html];
+  const chunks = [];
+  const stack = [];
+  let current = '';
+  // The last line break in current, and the tags open there
+  let lineBreak = null;
+  const closersOf = (tags) => [...tags].reverse().map((t) => `</${t.name}>`).join('');
+  const openersOf = (tags) => tags.map((t) => t.open).join('');
+  const hasText = (part) => part.replace(/<[^>]+>/g, '').trim() !== '';
+  const room = () => limit - current.length - closersOf(stack).length;
+
+  const append = (text) => {
+    current += text;
+    const nl = text.lastIndexOf('\n');
+    if (nl !== -1) lineBreak = { index: current.length - text.length + nl + 1, stack: [...stack] };
+  };
+  const emit = (body, tags) => {
+    const trimmed = body.replace(/\s+$/, '');
+    if (hasText(trimmed)) chunks.push(trimmed + closersOf(tags));
+  };
+  // End the chunk at the last line break when there is one, else right here
+  const cut = () => {
+    if (lineBreak && hasText(current.slice(0, lineBreak.index))) {
+      emit(current.slice(0, lineBreak.index), lineBreak.stack);
+      current = openersOf(lineBreak.stack) + current.slice(lineBreak.index);
+    } else {
+      emit(current, stack);
+      current = openersOf(stack);
+    }
+    lineBreak = null;
+  };
+
+  const placeText = (text) => {
+    let rest = text;
+    while (rest) {
+      if (rest.length <= room()) {
+        append(rest);
+        return;
+      }
+      const nl = rest.slice(0, Math.max(room(), 0)).lastIndexOf('\n');
+      if (nl !== -1) {
+        append(rest.slice(0, nl + 1));
+        rest = rest.slice(nl + 1);
+        cut();
+        continue;
+      }
+      if (hasText(current)) {
+        cut();
+        continue;
+      }
+      // One line longer than a whole message
+      const at = hardCut(rest, Math.max(room(), 1));
+      append(rest.slice(0, at));
+      rest = rest.slice(at);
+      cut();
+    }
+  };
+
+  for (const token of tokenize(html)) {
+    if (!token.startsWith('<')) {
+      placeText(token);
+    } else if (token.startsWith('</')) {
+      current += token;
+      stack.pop();
+    } else {
+      // An opening tag needs room for itself, its closer and some text
+      const name = /^<([a-z][a-z0-9-]*)/i.exec(token)[1].toLowerCase();
+      if (room() < token.length + name.length + 3 + 20) cut();
+      current += token;
+      stack.push({ name, open: token });
+    }
+  }
+  emit(current, stack);
+  return chunks;
+}
+
+/** sanitizeHtml then splitMessage: the messages to send for one reply (none if nothing is left). */
+export function formatForTelegram(html, limit = TELEGRAM_MAX_CHARS) {
+  const clean = sanitizeHtml(html);
+  return clean ? splitMessage(clean, limit) : [];
+}
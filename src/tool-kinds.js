@@ -0,0 +1,30 @@
+/**
+ * What a tool does, judged from its name. Every check that depends on it (the confirmation step,
+ * spending limits, browse-only roles, retries) asks here, so a tool is never an order for one check and not for another.
+ * Names may carry the server prefix, e.g. swiggy_food__place_food_order.
+ */
+
+// Places an order or books a table: the user confirms first and spending limits apply
+const ORDER_TOOL = /place_\w*order|checkout|confirm_order|book_table|reserve/i;
+
+/** Whether a tool places an order or makes a booking. */
+export function isOrderTool(name) {
+  return ORDER_TOOL.test(name);
+}
+
+// Reads or changes a cart; browse-only users get neither, along with the order tools
+const CART_TOOL = /cart/i;
+
+/** Whether a tool works on a cart (view, add, update or clear). */
+export function isCartTool(name) {
+  return CART_TOOL.test(name);
+}
+
+// Only tools that read can be sent twice; anything that places, books or changes something never is
+const READ_VERB = /(^|__)(search|get|list|fetch|find|track)_/i;
+const WRITE_VERB = /(^|_)(place|book|checkout|confirm|cancel|update|add|remove|clear|apply|pay|reserve)(_|$)/i;
+
+/** Whether a tool only reads, so sending it again after a timeout or 5xx cannot change anything. */
+export function isReadOnlyTool(name) {
+  return READ_VERB.test(name) && !WRITE_VERB.test(name) && !isOrderTool(name);
+}
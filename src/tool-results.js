@@ -0,0 +1,187 @@
+/**
+ * Between callTool and Claude: read-only results (searches, menus) are cached per chat for
+ * TOOL_CACHE_SECONDS (default 120), and large read-only payloads are shrunk to what Claude needs to
+ * answer — id, name, price, rating, availability — before they go into tool_result, where they are
+ * re-sent on every later round. The full payload is kept under a resultId so Claude can ask for the
+ * rest (variants, add-ons, descriptions) through bot__tool_result_details.
+ */
+
+import { isRetryableTool } from './swiggy-mcp-client.js';
+import { stripToolPrefix } from './mcp-registry.js';
+
+const log = {
+  results: (msg, ...args) => console.log(`  \x1b[90m[Results]\x1b[0m ${msg}`, ...args),
+};
+
+export const DETAILS_TOOL_NAME = 'bot__tool_result_details';
+
+// Read-only, but changes from one minute to the next: never served from the cache
+const VOLATILE_TOOL = /cart|order|track|slot|status|avail|wallet|coupon/i;
+// Fields kept on list entries (restaurants, menu items, products, addresses)
+const KEEP_FIELD = /^(id|\w*_id|\w*Id|name|title|\w*price|\w*Price|cost|rating|avgRating|\w*_rating|available|isAvailable|is_available|inStock|in_stock|isOpen|is_open|open|availability|addressLine)$/;
+const MAX_LIST_ENTRIES = 30;
+const MAX_STRING = 160;
+// Full payloads stay reachable for follow-up questions after the turn ends
+const FULL_RESULT_TTL_MS = 30 * 60 * 1000;
+const FULL_RESULTS_PER_SCOPE = 20;
+
+// scope (chat id) -> { cache: Map(key -> { content, at }), full: Map(resultId -> { content, at }) }
+const scopes = new Map();
+let nextResultId = 1;
+
+function cacheMs() {
+  const seconds = Number(process.env.TOOL_CACHE_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 120) * 1000;
+}
+
+function maxChars() {
+  const n = Number(process.env.TOOL_RESULT_MAX_CHARS);
+  return Number.isInteger(n) && n >= 0 ? n : 4000;
+}
+
+function scopeOf(scope) {
+  if (!scopes.has(scope)) scopes.set(scope, { cache: new Map(), full: new Map() });
+  return scopes.get(scope);
+}
+
+/** Drop expired entries everywhere, and scopes left empty. */
+function sweep(now) {
+  for (const [scope, s] of scopes) {
+    for (const [key, entry] of s.cache) if (now - entry.at >= cacheMs()) s.cache.delete(key);
+    for (const [id, entry] of s.full) if (now - entry.at >= FULL_RESULT_TTL_MS) s.full.delete(id);
+    if (s.cache.size === 0 && s.full.size === 0) scopes.delete(scope);
+  }
+}
+
+/** JSON with object keys sorted, so { a, b } and { b, a } hit the same cache entry. */
+function stableKey(value) {
+  if (Array.isArray(value)) return `[${value.map(stableKey).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableKey(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** Read-only tools whose results are worth caching (searches, menus, addresses). */
+export function isCacheableTool(toolName) {
+  const name = stripToolPrefix(toolName);
+  return isRetryableTool(name) && !VOLATILE_TOOL.test(name);
+}
+
+/**
+ * Run call() for a tool, or answer from the scope's cache when the same read-only call was made
+ * within TOOL_CACHE_SECONDS. Returns { content, cached }. Errors are never cached.
+ */
+export async function readThroughCache(scope, toolName, input, call, now = Date.now()) {
+  if (scope == null || cacheMs() === 0 || !isCacheableTool(toolName)) return { content: await call(), cached: false };
+  sweep(now);
+  const key = `${toolName}:${stableKey(input || {})}`;
+  const hit = scopes.get(scope)?.cache.get(key);
+  if (hit) {
+    log.results(`${stripToolPrefix(toolName)} answered from cache (${Math.round((now - hit.at) / 1000)}s old)`);
+    return { content: hit.content, cached: true };
+  }
+  const content = await call();
+  if (typeof content === 'string' && !content.startsWith('Error:')) scopeOf(scope).cache.set(key, { content, at: now });
+  return { content, cached: false };
+}
+
+const isEntity = (obj) =>
+  Object.keys(obj).some((k) => /^(id|\w*_id|\w*Id)$/.test(k)) && (obj.name != null || obj.title != null);
+
+/** Entries keep only KEEP_FIELD fields; long strings and lists are cut. */
+function compact(value, depth = 0) {
+  if (typeof value === 'string') return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING - 1)}…` : value;
+  if (!value || typeof value !== 'object' || depth > 10) return value;
+  if (Array.isArray(value)) {
+    const kept = value.slice(0, MAX_LIST_ENTRIES).map((v) => compact(v, depth + 1));
+    if (value.length > MAX_LIST_ENTRIES) kept.push(`…and ${value.length - MAX_LIST_ENTRIES} more`);
+    return kept;
+  }
+  const entries = isEntity(value)
+    ? Object.entries(value).filter(([k]) => KEEP_FIELD.test(k))
+    : Object.entries(value);
+  return Object.fromEntries(entries.map(([k, v]) => [k, compact(v, depth + 1)]));
+}
+
+/**
+ * What Claude sees for a tool result. Read-only results over TOOL_RESULT_MAX_CHARS (default 4000,
+ * 0 = never trim) are compacted and the full text is kept under a resultId for the details tool.
+ */
+export function forClaude(scope, toolName, content, now = Date.now()) {
+  const limit = maxChars();
+  if (limit === 0 || typeof content !== 'string' || content.length <= limit || content.startsWith('Error:')) return content;
+  if (!isRetryableTool(stripToolPrefix(toolName))) return content;
+  let short;
+  try {
+    short = JSON.stringify(compact(JSON.parse(content)));
+  } catch {
+    short = `${content.slice(0, limit)}…`;
+  }
+  if (short.length >= content.length) return content;
+
+  sweep(now);
+  const resultId = `r${nextResultId++}`;
+  const { full } = scopeOf(scope);
+  full.set(resultId, { content, at: now });
+  while (full.size > FULL_RESULTS_PER_SCOPE) full.delete(full.keys().next().value);
+  log.results(`${stripToolPrefix(toolName)} trimmed from ${content.length} to ${short.length} chars (${resultId})`);
+  return (
+    `${short}\n\n[Trimmed: only id, name, price, rating and availability are shown. For anything else (variants, add-ons, ` +
+    `descriptions, offers) call ${DETAILS_TOOL_NAME} with resultId "${resultId}" and the entry's id as itemId.]`
+  );
+}
+
+/** The first object under value whose id field equals id. */
+function findEntry(value, id, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 10) return null;
+  if (!Array.isArray(value)) {
+    const own = value.id ?? value.itemId ?? value.item_id ?? value.productId ?? value.product_id;
+    if (own != null && String(own) === String(id)) return value;
+  }
+  for (const v of Object.values(value)) {
+    const found = findEntry(v, id, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Local tool (see chatWithClaudeMcp localTools) that returns a trimmed result in full, or one entry of it.
+ */
+export function resultDetailsTool(scope) {
+  return {
+    name: DETAILS_TOOL_NAME,
+    description:
+      'Full details behind a trimmed tool result (marked [Trimmed: … resultId "r…"]). Pass itemId to get just one ' +
+      'restaurant, menu item or product with all its fields (variants, add-ons, description); omit it for the whole result.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        resultId: { type: 'string', description: 'The resultId from the trimmed result, e.g. "r12"' },
+        itemId: { type: 'string', description: 'Optional: id of one entry in that result' },
+      },
+      required: ['resultId'],
+    },
+    async run({ resultId, itemId } = {}) {
+      sweep(Date.now());
+      const entry = scopes.get(scope)?.full.get(String(resultId));
+      if (!entry) return `Error: result ${resultId} is no longer available — call the original tool again.`;
+      if (itemId == null || itemId === '') return entry.content;
+      let parsed;
+      try {
+        parsed = JSON.parse(entry.content);
+      } catch {
+        return entry.content;
+      }
+      const found = findEntry(parsed, itemId);
+      return found ? JSON.stringify(found) : `Error: no entry with id ${itemId} in result ${resultId}.`;
+    },
+  };
+}
+
+/** Forget cached and stored results for one scope (e.g. after /logout), or for every scope. */
+export function clearToolResults(scope) {
+  if (scope === undefined) scopes.clear();
+  else scopes.delete(scope);
+}
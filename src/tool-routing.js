@@ -0,0 +1,116 @@
+/**
+ * Tool routing: rather than every Food, Instamart and Dineout tool on every round, a request gets
+ * the tools of the service(s) it is about — food, grocery, dineout, or account (addresses, order
+ * tracking) — picked from keywords in the message, or from the chat's last route for follow-ups
+ * like "yes" or "the second one". Address and tracking tools are always included, since every
+ * service needs an address. Claude can widen the set with bot__load_tools, and calling a tool
+ * outside it widens it too. TOOL_ROUTING=off sends every tool.
+ */
+
+import { serverForTool, stripToolPrefix, getServer } from './mcp-registry.js';
+
+const log = {
+  route: (msg, ...args) => console.log(`  \x1b[90m[Route]\x1b[0m ${msg}`, ...args),
+};
+
+export const LOAD_TOOLS_NAME = 'bot__load_tools';
+
+// Checked in this order; a message can match several
+const INTENT_PATTERNS = {
+  food: /\b(food|restaurants?|menu|biryani|pizzas?|burgers?|dosa|idli|curry|noodles|momos|desserts?|cake|lunch|dinner|breakfast|hungry|takeaway|meals?|cuisine|dish(es)?|swiggy food)\b/i,
+  grocery: /\b(instamart|grocer(y|ies)|milk|eggs?|bread|butter|paneer|curd|vegetables?|veggies|fruits?|atta|flour|dal|detergent|shampoo|soap|toothpaste|diapers?|onions?|tomato(es)?|potato(es)?|essentials|household|shopping list)\b/i,
+  dineout: /\b(dineout|dine[- ]?(in|out)|table for|book (a )?table|reserv(e|ation)|booking|eat out)\b/i,
+  account: /\b(address(es)?|my orders?|order (status|history)|where('s| is) my (order|food|delivery)|track(ing)?|past orders?|refund)\b/i,
+};
+
+export const INTENTS = Object.keys(INTENT_PATTERNS);
+
+// Registry server key -> the intent it serves; servers not listed here are always included
+const SERVER_INTENTS = {
+  swiggy_food: 'food',
+  swiggy_im: 'grocery',
+  swiggy_dineout: 'dineout',
+};
+
+// Tools every route keeps (addresses, order status), whichever server they are on
+const ACCOUNT_TOOL = /address|track|(get|list)_\w*orders?$|order_(status|history|details)|profile|account/i;
+
+export function isToolRoutingOn() {
+  return (process.env.TOOL_ROUTING || 'on').toLowerCase() !== 'off';
+}
+
+/**
+ * Intents for a message: [food, grocery, dineout, account] in that order, or null for "send
+ * everything". Without a keyword, the chat's previous route (sessionState.toolRoute) carries
+ * over; a restaurant or cart in session means food.
+ */
+export function classifyIntent(text, sessionState = {}) {
+  const found = INTENTS.filter((intent) => INTENT_PATTERNS[intent].test(text || ''));
+  if (found.length > 0) return found;
+  if (sessionState.toolRoute?.length) return [...sessionState.toolRoute];
+  if (sessionState.restaurantId || sessionState.cartId || sessionState.menuItems?.length) return ['food'];
+  return null;
+}
+
+/** The intent a tool belongs to ('food', 'grocery', 'dineout'), or null for other servers. */
+export function intentForTool(claudeToolName) {
+  return SERVER_INTENTS[serverForTool(claudeToolName)?.server.key] ?? null;
+}
+
+/** tools narrowed to the route (null = all of them). */
+export function routeTools(tools, intents) {
+  if (!intents) return tools;
+  return tools.filter((t) => {
+    const intent = intentForTool(t.name);
+    return !intent || intents.includes(intent) || ACCOUNT_TOOL.test(stripToolPrefix(t.name));
+  });
+}
+
+/** "Swiggy Food and Dineout, plus addresses and order tracking" — what a route covers, for Claude and the logs. */
+export function describeRoute(intents) {
+  const labels = Object.entries(SERVER_INTENTS)
+    .filter(([, intent]) => intents.includes(intent))
+    .map(([key]) => getServer(key)?.label || key);
+  if (labels.length === 0) return 'addresses and order tracking only';
+  return `${labels.join(' and ')}, plus addresses and order tracking`;
+}
+
+/**
+ * System-prompt note for a narrowed route: which tools Claude has and how to get the others.
+ */
+export function routingNote(intents) {
+  const others = Object.values(SERVER_INTENTS).filter((intent) => !intents.includes(intent));
+  if (others.length === 0) return '';
+  return (
+    `TOOLS FOR THIS REQUEST: ${describeRoute(intents)}. If the user needs ${others.join(' or ')}, ` +
+    `call ${LOAD_TOOLS_NAME} with that service first; do not say you cannot help with it.`
+  );
+}
+
+/**
+ * Local tool (see chatWithClaudeMcp localTools) that adds services to the route.
+ * onLoad(intents) widens it and returns the names of the tools now available.
+ */
+export function loadToolsTool(onLoad) {
+  const services = Object.values(SERVER_INTENTS);
+  return {
+    name: LOAD_TOOLS_NAME,
+    description:
+      `Load the tools of another Swiggy service for this request (${services.join(', ')}). Only some services' tools are ` +
+      'attached, picked from the message; call this when the user asks for something the loaded tools cannot do.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        services: { type: 'array', items: { type: 'string', enum: services }, description: 'Services to add' },
+      },
+      required: ['services'],
+    },
+    async run({ services: wanted = [] } = {}) {
+      const valid = [].concat(wanted).filter((s) => services.includes(s));
+      if (valid.length === 0) return `Error: services must be some of: ${services.join(', ')}.`;
+      const added = onLoad(valid);
+      log.route(`Claude loaded ${valid.join(', ')}`);
+      return added.length ? `Loaded. New tools: ${added.join(', ')}` : 'No new tools: they were already loaded, or that service is unavailable right now.';
+    },
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Claude token usage and estimated cost, per chat and per day (and per user within the day),
+ * stored under chat:<id>:usage. Prices are USD per million tokens; the defaults can be
+ * overridden per model with USAGE_PRICES (JSON). USAGE_DAILY_TOKENS caps a chat's tokens per
+ * day (0 or unset: no cap), and admins can set a different cap for one chat with /usage limit.
+ * Days follow BUDGET_TIMEZONE, like /budget.
+ */
+
+import { getStore, chatKey } from './storage.js';
+import { zonedParts } from './cron.js';
+import { budgetTimeZone } from './budgets.js';
+
+// Days of history kept per chat (enough for this month and last)
+const KEEP_DAYS = 62;
+
+const DEFAULT_PRICES = {
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+};
+
+const log = {
+  usage: (msg, ...args) => console.log(`  \x1b[90m[Usage]\x1b[0m ${msg}`, ...args),
+  usageErr: (msg, ...args) => console.error(`  \x1b[31m[Usage]\x1b[0m ${msg}`, ...args),
+};
+
+/** Price table, defaults merged with USAGE_PRICES. */
+export function priceTable() {
+  let custom = {};
+  try {
+    custom = JSON.parse(process.env.USAGE_PRICES || '{}');
+  } catch (err) {
+    log.usageErr('USAGE_PRICES is not valid JSON, using the defaults', err?.message);
+  }
+  const table = { ...DEFAULT_PRICES };
+  for (const [model, prices] of Object.entries(custom)) table[model] = { ...table[model], ...prices };
+  return table;
+}
+
+/** Anthropic usage object → { input, output, cacheWrite, cacheRead }. */
+function counts(usage) {
+  return {
+    input: usage?.input_tokens || 0,
+    output: usage?.output_tokens || 0,
+    cacheWrite: usage?.cache_creation_input_tokens || 0,
+    cacheRead: usage?.cache_read_input_tokens || 0,
+  };
+}
+
+/** Every token Claude processed: fresh input, cache writes and reads, and output. */
+export function totalTokens(c) {
+  return (c.input || 0) + (c.output || 0) + (c.cacheWrite || 0) + (c.cacheRead || 0);
+}
+
+/** Estimated USD cost of token counts for a model (0 when the model has no price). */
+export function estimateCost(c, model) {
+  const p = priceTable()[model];
+  if (!p) return 0;
+  return ((c.input || 0) * (p.input || 0) + (c.output || 0) * (p.output || 0) + (c.cacheWrite || 0) * (p.cacheWrite || 0) + (c.cacheRead || 0) * (p.cacheRead || 0)) / 1e6;
+}
+
+function dayKey(now) {
+  const p = zonedParts(now, budgetTimeZone());
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function emptyCounts() {
+  return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, requests: 0, cost: 0 };
+}
+
+function add(target, c, cost) {
+  for (const key of ['input', 'output', 'cacheWrite', 'cacheRead']) target[key] += c[key];
+  target.requests += 1;
+  target.cost += cost;
+}
+
+export async function getUsage(chatId) {
+  return (await (await getStore()).get(chatKey(chatId, 'usage'))) || { days: {} };
+}
+
+/**
+ * Add one request's usage (as returned by chatWithClaudeMcp) to the chat's day and the user's share of it.
+ */
+export async function recordUsage(chatId, { userId, usage, model, now = new Date() }) {
+  const c = counts(usage);
+  if (!totalTokens(c)) return;
+  const store = await getStore();
+  const data = await getUsage(chatId);
+  const key = dayKey(now);
+  const day = (data.days[key] ||= { ...emptyCounts(), users: {} });
+  const cost = estimateCost(c, model);
+  add(day, c, cost);
+  if (userId != null) add((day.users[userId] ||= emptyCounts()), c, cost);
+  for (const old of Object.keys(data.days).sort().slice(0, -KEEP_DAYS)) delete data.days[old];
+  await store.set(chatKey(chatId, 'usage'), data);
+  log.usage(`chat ${chatId}: ${totalTokens(c)} tokens, ~$${cost.toFixed(4)}`);
+}
+
+/** The chat's daily token cap: its own /usage limit, else USAGE_DAILY_TOKENS. null = no cap. */
+export function dailyQuota(data) {
+  if (data.quota === null) return null;
+  const quota = data.quota ?? Number(process.env.USAGE_DAILY_TOKENS || 0);
+  return quota > 0 ? quota : null;
+}
+
+/** Set this chat's daily cap (a number), remove the cap (null) or go back to the default (undefined). */
+export async function setDailyQuota(chatId, quota) {
+  const data = await getUsage(chatId);
+  if (quota === undefined) delete data.quota;
+  else data.quota = quota;
+  await (await getStore()).set(chatKey(chatId, 'usage'), data);
+  log.usage(`chat ${chatId}: daily quota ${quota === undefined ? 'default' : quota ?? 'off'}`);
+}
+
+/**
+ * Checked before calling Anthropic. Returns the message to send when the chat has used up
+ * today's tokens, otherwise null.
+ */
+export async function checkQuota(chatId, now = new Date()) {
+  const data = await getUsage(chatId);
+  const quota = dailyQuota(data);
+  if (!quota) return null;
+  const used = totalTokens(data.days[dayKey(now)] || {});
+  if (used < quota) return null;
+  log.usage(`chat ${chatId} is over its daily quota (${used}/${quota})`);
+  return (
+    `Sorry — this chat has used today's assistant allowance (${used.toLocaleString('en-IN')} of ${quota.toLocaleString('en-IN')} tokens). ` +
+    `It resets at midnight (${budgetTimeZone()}). /track, /history and /budget still work; send /usage for details.`
+  );
+}
+
+function sumDays(days, since, userId) {
+  const total = emptyCounts();
+  for (const [key, day] of Object.entries(days)) {
+    if (key < since) continue;
+    const part = userId == null ? day : day.users?.[userId];
+    if (!part) continue;
+    for (const field of Object.keys(total)) total[field] += part[field] || 0;
+  }
+  return total;
+}
+
+function usageLine(label, c) {
+  const tokens = totalTokens(c).toLocaleString('en-IN');
+  const cache = c.cacheRead ? `, ${c.cacheRead.toLocaleString('en-IN')} from cache` : '';
+  return `• ${label}: ${tokens} tokens${cache} in ${c.requests} request${c.requests === 1 ? '' : 's'} — about $${c.cost.toFixed(c.cost < 1 ? 3 : 2)}`;
+}
+
+/**
+ * Telegram HTML for /usage: today and this month for the chat and for the caller, and the daily cap.
+ */
+export async function formatUsage(chatId, userId, now = new Date()) {
+  const data = await getUsage(chatId);
+  const today = dayKey(now);
+  const month = `${today.slice(0, 8)}01`;
+  const lines = ['<b>Assistant usage</b>', ''];
+  lines.push('<b>This chat</b>', usageLine('Today', sumDays(data.days, today)), usageLine('This month', sumDays(data.days, month)));
+  if (userId != null) {
+    lines.push('', '<b>You</b>', usageLine('Today', sumDays(data.days, today, userId)), usageLine('This month', sumDays(data.days, month, userId)));
+  }
+  const quota = dailyQuota(data);
+  lines.push('');
+  if (quota) {
+    const left = Math.max(quota - totalTokens(data.days[today] || {}), 0);
+    lines.push(`Daily limit for this chat: ${quota.toLocaleString('en-IN')} tokens — <b>${left.toLocaleString('en-IN')} left today</b>`);
+  } else {
+    lines.push('No daily token limit for this chat.');
+  }
+  lines.push(`<i>Costs are estimates in USD. Days run in ${budgetTimeZone()}. Admins: /usage limit &lt;tokens&gt;|off|default.</i>`);
+  return lines.join('\n');
+}
@@ -0,0 +1,110 @@
+/**
+ * HTTP server for container deployments: Telegram webhook updates plus /healthz and /readyz.
+ * Telegram sends the secret from setWebHook in X-Telegram-Bot-Api-Secret-Token; updates without
+ * it are refused. Updates are acknowledged straight away and handled in the background, so a slow
+ * Claude turn never makes Telegram time out and redeliver.
+ */
+
+import { createServer } from 'http';
+import { timingSafeEqual } from 'crypto';
+import { liveness, readiness } from './health.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const log = {
+  http: (msg, ...args) => console.log(`  \x1b[34m[HTTP]\x1b[0m ${msg}`, ...args),
+  httpErr: (msg, ...args) => console.error(`  \x1b[31m[HTTP]\x1b[0m ${msg}`, ...args),
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function secretMatches(header, secret) {
+  const given = Buffer.from(String(header ?? ''));
+  const expected = Buffer.from(secret);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start listening. options:
+ *   port          — 0 picks a free port (tests)
+ *   webhookPath   — where Telegram POSTs updates; omit to serve only the health endpoints (polling mode)
+ *   secretToken   — required with webhookPath
+ *   onUpdate(update) — e.g. bot.processUpdate
+ *   isDraining()  — true while shutting down: /readyz reports not ready (updates are still taken,
+ *                   so Confirm presses for in-flight orders arrive)
+ * Resolves with the http.Server once it is listening.
+ */
+export function startHttpServer({ port, webhookPath, secretToken, onUpdate, isDraining = () => false }) {
+  if (webhookPath && !secretToken) throw new Error('Webhook mode needs a secret token (WEBHOOK_SECRET)');
+
+  const server = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'GET' && pathname === '/healthz') {
+        sendJson(res, 200, liveness());
+        return;
+      }
+      if (req.method === 'GET' && pathname === '/readyz') {
+        const report = await readiness({ draining: isDraining() });
+        sendJson(res, report.ready ? 200 : 503, report);
+        return;
+      }
+      if (webhookPath && req.method === 'POST' && pathname === webhookPath) {
+        if (!secretMatches(req.headers['x-telegram-bot-api-secret-token'], secretToken)) {
+          log.httpErr('webhook call with a wrong or missing secret token from', req.socket.remoteAddress);
+          sendJson(res, 401, { error: 'unauthorized' });
+          return;
+        }
+        let update;
+        try {
+          update = JSON.parse(await readBody(req));
+        } catch (err) {
+          sendJson(res, err.status || 400, { error: err.status ? err.message : 'invalid JSON' });
+          return;
+        }
+        sendJson(res, 200, { ok: true });
+        try {
+          onUpdate(update);
+        } catch (err) {
+          log.httpErr('update handler failed', err?.message || String(err));
+        }
+        return;
+      }
+      sendJson(res, 404, { error: 'not found' });
+    } catch (err) {
+      log.httpErr(`${req.method} ${pathname} failed`, err?.message || String(err));
+      if (!res.headersSent) sendJson(res, 500, { error: 'internal error' });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      server.off('error', reject);
+      server.on('error', (err) => log.httpErr('server error', err.message));
+      log.http(`listening on :${server.address().port}${webhookPath ? ` (webhook ${webhookPath})` : ''}, /healthz, /readyz`);
+      resolve(server);
+    });
+  });
+}
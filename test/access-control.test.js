@@ -0,0 +1,156 @@
+/**
+ * Access control: the allowlist, roles, admin-only commands and browse-only tool filtering.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerBotHandlers } from '../src/bot.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { roleOf, isBotAdmin, hasAdmin, allowUser, revokeUser, canUseTool, parseUserRef } from '../src/access-control.js';
+import { isOrderTool } from '../src/tool-kinds.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply } from './support/fake-anthropic.js';
+import { createFakeTelegramBot } from './support/fake-telegram-bot.js';
+
+const alice = { id: 11, first_name: 'Alice', username: 'alice' };
+const bob = { id: 22, first_name: 'Bob', username: 'Bob_K' };
+const carol = { id: 33, first_name: 'Carol' };
+
+let mock;
+let anthropic;
+let bot;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  delete process.env.ACCESS_CONTROL;
+  process.env.BOT_ADMINS = '@alice';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+/** Text of the messages the bot sent to a user's private chat while running fn. */
+async function said(user, fn) {
+  const start = bot.sent.length;
+  await fn();
+  return bot.messagesTo(user.id, start).map((m) => m.text).join('\n');
+}
+
+test('user references and tool filtering', () => {
+  assert.deepEqual(parseUserRef('123'), { id: 123 });
+  assert.deepEqual(parseUserRef('@Bob_K'), { username: 'bob_k' });
+  assert.equal(parseUserRef('@x'), null);
+  assert.equal(canUseTool('browse', 'swiggy_food__search_restaurants'), true);
+  assert.equal(canUseTool('browse', 'swiggy_food__update_food_cart'), false);
+  assert.equal(canUseTool('browse', 'swiggy_food__place_food_order'), false);
+  assert.equal(canUseTool('browse', 'swiggy_dineout__book_table'), false);
+  assert.equal(canUseTool('orderer', 'swiggy_food__place_food_order'), true);
+  // Anything that needs the confirmation step is an order tool, and browse users never get it
+  for (const name of ['swiggy_im__checkout', 'swiggy_dineout__reserve_table', 'swiggy_im__place_instamart_order']) {
+    assert.equal(isOrderTool(name), true, name);
+    assert.equal(canUseTool('browse', name), false, name);
+  }
+});
+
+test('strangers are turned away with their Telegram ID', async () => {
+  const text = await said(carol, () => bot.sendText(carol.id, 'Find biryani near me', carol));
+  assert.match(text, /This bot is private/);
+  assert.match(text, /<code>33<\/code>/);
+  assert.equal(anthropic.requests.length, 0);
+
+  // In a group a stranger's chatter is ignored, only commands get the answer
+  const start = bot.sent.length;
+  await bot.sendText(-500, 'hello everyone', carol);
+  assert.equal(bot.messagesTo(-500, start).length, 0);
+});
+
+test('a BOT_ADMINS admin allows someone as browse-only by @username', async () => {
+  const text = await said(alice, () => bot.sendText(alice.id, '/allow @bob_k browse', alice));
+  assert.match(text, /@bob_k can now use the bot as <b>browse<\/b>/);
+  // The username entry is tied to Bob's ID the first time he shows up
+  assert.equal(await roleOf(bob), 'browse');
+  assert.equal(await roleOf({ id: bob.id }), 'browse');
+
+  const users = await said(alice, () => bot.sendText(alice.id, '/users', alice));
+  assert.match(users, /BOT_ADMINS<\/b>: @alice/);
+  assert.match(users, /<b>browse<\/b>: @bob_k \(22\)/);
+});
+
+test('browse-only users can search but Claude never sees cart or order tools', async () => {
+  anthropic.push(reply('Here are some biryani places.'));
+  await bot.sendText(bob.id, 'Find biryani near me', bob);
+  const tools = anthropic.requests.at(-1).tools.map((t) => t.name);
+  assert.ok(tools.some((n) => /search_restaurants/.test(n)));
+  assert.ok(!tools.some((n) => /cart|place_/.test(n)), `unexpected tools: ${tools.join(', ')}`);
+
+  // Even if Claude asks for one anyway, the call is refused without reaching Swiggy
+  anthropic.push(toolUse('swiggy_food__update_food_cart', { restaurantId: 'rest-1', cartItems: [] }), reply('Sorry, I cannot do that.'));
+  await bot.sendText(bob.id, 'Add a biryani to my cart', bob);
+  assert.ok(!mock.calls.some((c) => c.name === 'update_food_cart'));
+
+  const text = await said(bob, () => bot.sendText(bob.id, '/reorder 1', bob));
+  assert.match(text, /browse-only/);
+});
+
+test('browse-only users cannot log out, clear or forget a chat', async () => {
+  for (const command of ['/logout', '/clear', '/forget']) {
+    const start = bot.sent.length;
+    await bot.sendText(-500, command, bob);
+    assert.match(bot.messagesTo(-500, start).map((m) => m.text).join('\n'), /browse-only/, command);
+  }
+  bot.admins.add(bob.id);
+  const start = bot.sent.length;
+  await bot.sendText(-500, '/clear', bob);
+  assert.match(bot.messagesTo(-500, start).at(-1).text, /Session cleared/, 'a group admin can');
+  bot.admins.delete(bob.id);
+});
+
+test('admin commands are refused to everyone else', async () => {
+  assert.match(await said(bob, () => bot.sendText(bob.id, '/refresh', bob)), /Only bot admins can use \/refresh/);
+  assert.match(await said(bob, () => bot.sendText(bob.id, '/allow 33', bob)), /Only bot admins can manage users/);
+  assert.match(await said(alice, () => bot.sendText(alice.id, '/refresh', alice)), /Caches cleared/);
+  assert.match(await said(alice, () => bot.sendText(alice.id, '/allow @alice browse', alice)), /admin through BOT_ADMINS/);
+});
+
+test('/allow as a reply promotes that person; /revoke removes them', async () => {
+  await bot.sendText(-500, '/allow orderer', alice, { reply_to_message: { message_id: 1, from: bob } });
+  assert.equal(await roleOf(bob), 'orderer');
+
+  await bot.sendText(alice.id, '/revoke 22', alice);
+  assert.equal(await roleOf(bob), null);
+  assert.match(await said(bob, () => bot.sendText(bob.id, 'hi', bob)), /This bot is private/);
+});
+
+test('with access control off everyone gets in, but only BOT_ADMINS administer limits', async () => {
+  process.env.ACCESS_CONTROL = 'off';
+  try {
+    assert.equal(await roleOf(carol), 'admin');
+    assert.equal(await isBotAdmin(carol), false);
+    assert.equal(await isBotAdmin(alice), true);
+  } finally {
+    delete process.env.ACCESS_CONTROL;
+  }
+  assert.equal(await isBotAdmin(bob), false);
+});
+
+test('an admin must exist: BOT_ADMINS or an admin on the allowlist', async () => {
+  assert.equal(await hasAdmin(), true);
+  const admins = process.env.BOT_ADMINS;
+  delete process.env.BOT_ADMINS;
+  try {
+    assert.equal(await hasAdmin(), false);
+    await allowUser({ id: 44 }, 'admin', 'test');
+    assert.equal(await hasAdmin(), true);
+    await revokeUser({ id: 44 });
+  } finally {
+    process.env.BOT_ADMINS = admins;
+  }
+});
@@ -0,0 +1,96 @@
+/**
+ * Audit log: redaction, the JSONL trace of a request and /audit last.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { registerBotHandlers } from '../src/bot.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { redactArgs, previewResult, flushAudit } from '../src/audit-log.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply } from './support/fake-anthropic.js';
+import { createFakeTelegramBot, buttonData } from './support/fake-telegram-bot.js';
+
+const CHAT = 8181;
+
+let mock;
+let anthropic;
+let bot;
+let dir;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  dir = mkdtempSync(join(tmpdir(), 'audit-'));
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.ACCESS_CONTROL = 'off';
+  process.env.AUDIT_LOG_FILE = join(dir, 'audit.jsonl');
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+async function records() {
+  await flushAudit();
+  return readFileSync(process.env.AUDIT_LOG_FILE, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+test('tool arguments and results are redacted', () => {
+  assert.deepEqual(
+    redactArgs({ addressId: 'addr-1', phone: '9876543210', auth_token: 'abc', note: 'call 9876543210 or a@b.com', items: [{ id: 'item-1' }] }),
+    { addressId: 'addr-1', phone: '[redacted]', auth_token: '[redacted]', note: 'call [phone] or [email]', items: [{ id: 'item-1' }] }
+  );
+  assert.equal(previewResult('x'.repeat(400)).length, 301);
+});
+
+test('an order request is traced from message to verdict under one request ID', async () => {
+  anthropic.push(
+    toolUse('swiggy_food__update_food_cart', { restaurantId: 'rest-1', addressId: 'addr-1', cartItems: [{ menu_item_id: 'item-1', quantity: 2 }] }),
+    toolUse('swiggy_food__place_food_order', { restaurantId: 'rest-1', addressId: 'addr-1' })
+  );
+  const turn = bot.sendText(CHAT, 'Order two chicken biryanis from Meghana');
+  const confirmation = await bot.waitForMessage((m) => m.chat.id === CHAT && buttonData(m).some((d) => d.startsWith('ord:')));
+  anthropic.push(reply('🎉 Order placed! Order ID: ORD-98765'));
+  await bot.press(confirmation, buttonData(confirmation).find((d) => d.endsWith(':yes')));
+  await turn;
+
+  const trace = await records();
+  assert.equal(new Set(trace.map((r) => r.requestId)).size, 1);
+  assert.ok(trace.every((r) => r.chatId === CHAT && r.ts));
+  assert.deepEqual(
+    trace.map((r) => r.event),
+    ['request', 'claude_round', 'tool_call', 'claude_round', 'order_confirmation', 'tool_call', 'order_verdict', 'claude_round', 'reply', 'request_done']
+  );
+  const place = trace.find((r) => r.event === 'tool_call' && r.tool === 'swiggy_food__place_food_order');
+  assert.equal(place.ok, true);
+  assert.equal(typeof place.latencyMs, 'number');
+  // The arguments actually sent, after the session's cart ID was filled in
+  assert.deepEqual(place.args, { restaurantId: 'rest-1', addressId: 'addr-1', cartId: 'cart-77' });
+  assert.equal(trace.find((r) => r.event === 'order_verdict').success, true);
+  assert.equal(trace.find((r) => r.event === 'reply').overrideFired, false);
+});
+
+test('a claimed success without an order tool is recorded as an override; /audit last shows it', async () => {
+  anthropic.push(reply('Done! Your order has been placed, order ID 12345.'));
+  await bot.sendText(CHAT, 'yes');
+  const last = (await records()).filter((r) => r.event === 'reply').at(-1);
+  assert.equal(last.overrideFired, true);
+  assert.equal(last.orderToolCalled, false);
+
+  const start = bot.sent.length;
+  await bot.sendText(CHAT, '/audit last');
+  const [summary] = bot.messagesTo(CHAT, start);
+  assert.match(summary.text, /<b>Last request<\/b>/);
+  assert.match(summary.text, /From 8181 \(message\): <i>yes<\/i>/);
+  assert.match(summary.text, /Success override fired/);
+  assert.doesNotMatch(summary.text, /place_food_order/, 'only the most recent request is shown');
+});
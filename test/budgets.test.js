@@ -0,0 +1,154 @@
+/**
+ * Spending limits: parsing, the /budget command and refusals before an order tool is called.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerBotHandlers } from '../src/bot.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { parseLimitValue, setLimit, checkOrderAllowed } from '../src/budgets.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply } from './support/fake-anthropic.js';
+import { createFakeTelegramBot, buttonData } from './support/fake-telegram-bot.js';
+
+const CHAT = 7373;
+const GROUP = -100737;
+const alice = { id: 1, first_name: 'Alice' };
+const bob = { id: 2, first_name: 'Bob' };
+const carol = { id: 3, first_name: 'Carol' };
+
+let mock;
+let anthropic;
+let bot;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'on';
+  process.env.BOT_ADMINS = String(alice.id);
+  process.env.BUDGET_TIMEZONE = 'Asia/Kolkata';
+  setStore(
+    createMemoryStore({
+      'acl:users': [
+        { id: bob.id, username: null, name: 'Bob', role: 'orderer' },
+        { id: carol.id, username: null, name: 'Carol', role: 'orderer' },
+      ],
+    })
+  );
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+function placeCalls() {
+  return mock.calls.filter((c) => c.name === 'place_food_order').length;
+}
+
+/** One Claude turn that fills the cart (fixture total ₹702) and tries to place the order. */
+async function tryOrder(chatId, from) {
+  anthropic.push(
+    toolUse('swiggy_food__update_food_cart', { restaurantId: 'rest-1', addressId: 'addr-1', cartItems: [{ menu_item_id: 'item-1', quantity: 2 }] }),
+    toolUse('swiggy_food__place_food_order', { restaurantId: 'rest-1', addressId: 'addr-1' })
+  );
+  const start = bot.sent.length;
+  const turn = bot.sendText(chatId, 'Order two chicken biryanis from Meghana', from);
+  // A refused order ends the turn without a confirmation message
+  const confirmation = await Promise.race([
+    bot.waitForMessage((m) => bot.sent.indexOf(m) >= start && m.chat.id === chatId && buttonData(m).some((d) => d.startsWith('ord:'))),
+    turn.then(() => null),
+  ]);
+  if (confirmation) {
+    anthropic.push(reply('🎉 Order placed! Order ID: ORD-98765'));
+    await bot.press(confirmation, buttonData(confirmation).find((d) => d.endsWith(':yes')), from);
+  }
+  await turn;
+  return bot.messagesTo(chatId, start).map((m) => m.text);
+}
+
+test('limit values', () => {
+  assert.equal(parseLimitValue('daily', '₹1,500'), 1500);
+  assert.equal(parseLimitValue('order', 'off'), null);
+  assert.deepEqual(parseLimitValue('verticals', 'dineout, food'), ['dineout', 'food']);
+  assert.deepEqual(parseLimitValue('quiet', '23:00-7:00'), { start: '23:00', end: '07:00' });
+  assert.throws(() => parseLimitValue('verticals', 'pizza'), /Unknown service "pizza"/);
+  assert.throws(() => parseLimitValue('monthly', '-5'), /amount in rupees/);
+  assert.throws(() => parseLimitValue('tip', '10'), /Unknown setting/);
+});
+
+test('order and daily limits refuse before the order tool runs; /budget shows what is left', async () => {
+  await bot.sendText(CHAT, '/budget order 500', alice);
+  let texts = await tryOrder(CHAT, alice);
+  assert.ok(texts.some((t) => /🚫 This order \(₹702\) is over the ₹500 per-order limit for this chat/.test(t)));
+  assert.ok(!texts.some((t) => /Confirm/.test(t)), 'refused orders never reach the confirmation step');
+  assert.equal(placeCalls(), 0);
+
+  await bot.sendText(CHAT, '/budget order off', alice);
+  await bot.sendText(CHAT, '/budget daily 1000', alice);
+  texts = await tryOrder(CHAT, alice);
+  assert.equal(placeCalls(), 1);
+
+  texts = await tryOrder(CHAT, alice);
+  assert.ok(texts.some((t) => /would go over the daily limit of ₹1,000 for this chat — ₹298 left today/.test(t)));
+  assert.equal(placeCalls(), 1);
+
+  await bot.sendText(CHAT, '/budget', alice);
+  assert.match(bot.messagesTo(CHAT).at(-1).text, /Today: ₹702 of ₹1,000 — <b>₹298 left<\/b>/);
+});
+
+test('/forget keeps the limits and the spend already counted', async () => {
+  await bot.sendText(CHAT, '/forget', alice);
+  const texts = await tryOrder(CHAT, alice);
+  assert.ok(texts.some((t) => /would go over the daily limit of ₹1,000 for this chat — ₹298 left today/.test(t)));
+});
+
+test('only admins set limits, in a private chat too, and a reply sets a personal limit', async () => {
+  await bot.sendText(GROUP, '/budget verticals dineout', bob);
+  assert.match(bot.messagesTo(GROUP).at(-1).text, /Only bot admins \(or group admins, in a group\)/);
+  await bot.sendText(bob.id, '/budget order off', bob);
+  assert.match(bot.messagesTo(bob.id).at(-1).text, /Only bot admins/, 'an orderer is not an admin in their own DM');
+
+  await bot.sendText(GROUP, '/budget verticals dineout', alice, { reply_to_message: { message_id: 1, from: bob } });
+  assert.match(bot.messagesTo(GROUP).at(-1).text, /Set the allowed services limit for Bob/);
+
+  const texts = await tryOrder(GROUP, bob);
+  assert.ok(texts.some((t) => /Swiggy Food orders are not allowed for you \(allowed: Dineout\)/.test(t)));
+  assert.equal(await checkOrderAllowed(GROUP, { userId: alice.id, vertical: 'food', amount: 702 }), null, 'Alice is not limited');
+});
+
+test('personal limits and spend follow the person into their DM', async () => {
+  const start = placeCalls();
+  let texts = await tryOrder(bob.id, bob);
+  assert.ok(texts.some((t) => /Swiggy Food orders are not allowed for you/.test(t)), 'the limit set in the group applies in a DM');
+
+  const asAlice = { reply_to_message: { message_id: 1, from: bob } };
+  await bot.sendText(GROUP, '/budget verticals off', alice, asAlice);
+  await bot.sendText(GROUP, '/budget daily 1000', alice, asAlice);
+  await tryOrder(GROUP, bob);
+  assert.equal(placeCalls(), start + 1);
+
+  texts = await tryOrder(bob.id, bob);
+  assert.ok(texts.some((t) => /would go over the daily limit of ₹1,000 for you — ₹298 left today/.test(t)), 'spend in the group counts in the DM');
+  assert.equal(placeCalls(), start + 1);
+});
+
+test('group admins set their group\'s limits but not anyone\'s personal ones', async () => {
+  bot.admins.add(carol.id);
+  await bot.sendText(GROUP, '/budget daily off', carol, { reply_to_message: { message_id: 1, from: bob } });
+  assert.match(bot.messagesTo(GROUP).at(-1).text, /Only bot admins can set someone's personal limits/);
+  await bot.sendText(GROUP, '/budget order 5000', carol);
+  assert.match(bot.messagesTo(GROUP).at(-1).text, /Set the max order value limit\./);
+});
+
+test('quiet hours wrap past midnight in the budget time zone', async () => {
+  await setLimit(CHAT + 1, { field: 'quiet', value: { start: '23:00', end: '07:00' } });
+  const at = (iso) => checkOrderAllowed(CHAT + 1, { userId: alice.id, vertical: 'instamart', amount: 100, now: new Date(iso) });
+  assert.match(await at('2026-10-19T18:00:00Z'), /quiet hours \(23:00–07:00\)/); // 23:30 IST
+  assert.match(await at('2026-10-20T01:00:00Z'), /quiet hours/); // 06:30 IST
+  assert.equal(await at('2026-10-20T02:00:00Z'), null); // 07:30 IST
+});
@@ -0,0 +1,154 @@
+/**
+ * One turn at a time per chat: follow-ups wait (and merge), a global limit across chats, and /cancel.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerBotHandlers } from '../src/bot.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply, lastUserText } from './support/fake-anthropic.js';
+import { createFakeTelegramBot, buttonData } from './support/fake-telegram-bot.js';
+
+let mock;
+let anthropic;
+let bot;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'off';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+/**
+ * A Claude step that hangs until release() (then answers with response) or until the turn's
+ * signal aborts it, like the SDK does. started resolves when the request reaches it.
+ */
+function held(response) {
+  let release;
+  let markStarted;
+  const started = new Promise((resolve) => {
+    markStarted = resolve;
+  });
+  const step = (request, { signal } = {}) =>
+    new Promise((resolve, reject) => {
+      markStarted();
+      release = () => resolve(response);
+      signal?.addEventListener('abort', () => reject(Object.assign(new Error('Request was aborted.'), { name: 'AbortError' })));
+    });
+  return { step, started, release: () => release() };
+}
+
+const textsTo = (chatId, start) => bot.messagesTo(chatId, start).map((m) => m.text);
+
+test('messages sent while a turn runs wait, and quick follow-ups become one turn', async () => {
+  const chatId = 8101;
+  const first = held(reply('Meghana Foods and Paradise are open.'));
+  anthropic.push(first.step, reply('Pizza and dessert places near you.'));
+  const start = bot.sent.length;
+  const requests = anthropic.requests.length;
+
+  const turn = bot.sendText(chatId, 'Find biryani near me');
+  await first.started;
+  const second = bot.sendText(chatId, 'also pizza');
+  const third = bot.sendText(chatId, 'and dessert');
+  await bot.waitForMessage((m) => m.chat.id === chatId && /I've added this to the next one/.test(m.text));
+  assert.ok(textsTo(chatId, start).some((t) => /Still working on your previous request — this one is next/.test(t)));
+  assert.equal(anthropic.requests.length, requests + 1, 'the follow-up waits for the first turn');
+
+  first.release();
+  await Promise.all([turn, second, third]);
+  assert.equal(anthropic.requests.length, requests + 2, 'two follow-ups, one turn');
+  assert.match(lastUserText(anthropic.requests.at(-1)), /^also pizza\nand dessert/);
+  const texts = textsTo(chatId, start);
+  assert.ok(texts.indexOf('Meghana Foods and Paradise are open.') < texts.indexOf('Pizza and dessert places near you.'));
+});
+
+test('MAX_CONCURRENT_TURNS caps turns across chats', async () => {
+  process.env.MAX_CONCURRENT_TURNS = '1';
+  const busy = held(reply('First chat done.'));
+  anthropic.push(busy.step, reply('Second chat done.'));
+  const requests = anthropic.requests.length;
+
+  const turn = bot.sendText(8201, 'Find biryani near me');
+  await busy.started;
+  const start = bot.sent.length;
+  const other = bot.sendText(8202, 'Find pizza near me');
+  await bot.waitForMessage((m) => m.chat.id === 8202 && /Lots of requests right now/.test(m.text));
+  assert.equal(anthropic.requests.length, requests + 1);
+
+  busy.release();
+  await Promise.all([turn, other]);
+  assert.ok(textsTo(8202, start).includes('Second chat done.'));
+  delete process.env.MAX_CONCURRENT_TURNS;
+});
+
+test('/cancel aborts the Claude call in flight and drops queued requests', async () => {
+  const chatId = 8301;
+  const slow = held(reply('never sent'));
+  anthropic.push(slow.step);
+  const start = bot.sent.length;
+
+  const turn = bot.sendText(chatId, 'Find biryani near me');
+  await slow.started;
+  const queued = bot.sendText(chatId, 'and pizza');
+  await bot.waitForMessage((m) => m.chat.id === chatId && /this one is next/.test(m.text));
+  await bot.sendText(chatId, '/cancel');
+  await Promise.all([turn, queued]);
+
+  const texts = textsTo(chatId, start);
+  assert.ok(texts.includes('Dropped 1 waiting request.'), texts.join(' | '));
+  assert.ok(texts.some((t) => /^Stopped\. Nothing was ordered/.test(t)), texts.join(' | '));
+  assert.ok(!texts.includes('never sent'));
+  assert.equal(anthropic.remaining, 0);
+
+  const after = bot.sent.length;
+  await bot.sendText(chatId, '/cancel');
+  assert.deepEqual(textsTo(chatId, after), ['Nothing to cancel.']);
+});
+
+test('/cancel at the Confirm prompt places nothing', async () => {
+  const chatId = 8401;
+  const placed = () => mock.calls.filter((c) => c.name === 'place_food_order').length;
+  const before = placed();
+  anthropic.push(
+    toolUse('swiggy_food__update_food_cart', { restaurantId: 'rest-1', addressId: 'addr-1', cartItems: [{ menu_item_id: 'item-1', quantity: 1 }] }),
+    toolUse('swiggy_food__place_food_order', { restaurantId: 'rest-1', addressId: 'addr-1' })
+  );
+  const start = bot.sent.length;
+  const turn = bot.sendText(chatId, 'Order one chicken biryani');
+  const confirmation = await bot.waitForMessage((m) => m.chat.id === chatId && buttonData(m).some((d) => d.startsWith('ord:')));
+  await bot.sendText(chatId, '/cancel');
+  await turn;
+
+  assert.equal(placed(), before);
+  assert.ok(textsTo(chatId, start).some((t) => /^Stopped\. Nothing was ordered/.test(t)));
+  assert.ok(bot.edits.some((e) => e.message_id === confirmation.message_id && e.reply_markup?.inline_keyboard?.length === 0), 'buttons removed');
+});
+
+test('in a group only the person who asked can cancel', async () => {
+  const chatId = -8501;
+  const alice = { id: 51, first_name: 'Alice' };
+  const bob = { id: 52, first_name: 'Bob' };
+  const slow = held(reply('Biryani places near you.'));
+  anthropic.push(slow.step);
+  const start = bot.sent.length;
+
+  const turn = bot.sendText(chatId, 'Find biryani near me', alice);
+  await slow.started;
+  await bot.sendText(chatId, '/cancel', bob);
+  assert.match(textsTo(chatId, start).at(-1), /Only the person who asked/);
+  slow.release();
+  await turn;
+  assert.ok(textsTo(chatId, start).includes('Biryani places near you.'));
+});
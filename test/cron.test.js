@@ -0,0 +1,52 @@
+/**
+ * Cron parsing and next-run computation in a time zone, DST edges included.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextRun, parseLocalDateTime, zonedTimeToUtc } from '../src/cron.js';
+
+test('fields, names, steps and shortcuts', () => {
+  const cron = parseCron('*/15 8-10 * jan,MAR mon-fri');
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [8, 9, 10]);
+  assert.deepEqual([...cron.months], [1, 3]);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+  assert.deepEqual([...parseCron('@daily').hours], [0]);
+  assert.throws(() => parseCron('0 8 * *'), /5 fields/);
+  assert.throws(() => parseCron('0 25 * * *'), /hour 25 out of range/);
+});
+
+test('weekdays at 8:00 in Asia/Kolkata', () => {
+  // Friday 2026-10-23 09:00 IST → next is Monday 08:00 IST (02:30 UTC)
+  const from = new Date('2026-10-23T03:30:00Z');
+  assert.equal(nextRun('0 8 * * 1-5', from, 'Asia/Kolkata').toISOString(), '2026-10-26T02:30:00.000Z');
+  // Exactly at a run time, the next one is the day after
+  assert.equal(nextRun('0 8 * * *', new Date('2026-10-26T02:30:00Z'), 'Asia/Kolkata').toISOString(), '2026-10-27T02:30:00.000Z');
+});
+
+test('day of month and day of week match either when both are set', () => {
+  // 13th or any Friday, from Wednesday 2026-11-11
+  const next = nextRun('0 12 13 * 5', new Date('2026-11-11T00:00:00Z'), 'UTC');
+  assert.equal(next.toISOString(), '2026-11-13T12:00:00.000Z');
+  assert.equal(nextRun('0 12 12 * 5', new Date('2026-11-11T00:00:00Z'), 'UTC').toISOString(), '2026-11-12T12:00:00.000Z');
+});
+
+test('DST: skipped times move on, repeated times fire once', () => {
+  // Europe/London springs forward on 2026-03-29 01:00 → 02:00; 01:30 does not exist that day
+  assert.equal(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 1, minute: 30 }, 'Europe/London'), null);
+  assert.equal(nextRun('30 1 * * *', new Date('2026-03-28T12:00:00Z'), 'Europe/London').toISOString(), '2026-03-30T00:30:00.000Z');
+  // Falls back on 2026-10-25 02:00 → 01:00; 01:30 happens twice and fires at the first
+  assert.equal(nextRun('30 1 * * *', new Date('2026-10-24T12:00:00Z'), 'Europe/London').toISOString(), '2026-10-25T00:30:00.000Z');
+  // 8:00 keeps its wall-clock time across the change
+  assert.equal(nextRun('0 8 * * *', new Date('2026-10-25T00:00:00Z'), 'Europe/London').toISOString(), '2026-10-25T08:00:00.000Z');
+  assert.equal(nextRun('0 8 * * *', new Date('2026-10-24T00:00:00Z'), 'Europe/London').toISOString(), '2026-10-24T07:00:00.000Z');
+});
+
+test('local date-times', () => {
+  assert.equal(parseLocalDateTime('2026-10-23T20:00', 'Asia/Kolkata').toISOString(), '2026-10-23T14:30:00.000Z');
+  assert.equal(parseLocalDateTime('2026-10-23T20:00:00+05:30', 'UTC').toISOString(), '2026-10-23T14:30:00.000Z');
+  assert.equal(parseLocalDateTime('next friday', 'Asia/Kolkata'), null);
+  assert.equal(nextRun('0 0 30 2 *', new Date(), 'UTC'), null);
+});
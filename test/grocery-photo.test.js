@@ -0,0 +1,134 @@
+/**
+ * Photo grocery lists: matching rules, and a photo run through the bot — Claude reads the list,
+ * Instamart search matches it, the review marks substitutions and nothing reaches the cart before 🛒.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerBotHandlers } from '../src/bot.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { pickProduct, matchScore, getGroceryReview } from '../src/grocery-photo.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply, lastUserText } from './support/fake-anthropic.js';
+import { createFakeTelegramBot, buttonData } from './support/fake-telegram-bot.js';
+
+const CHAT = 6262;
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+
+const PRODUCTS = {
+  milk: [{ id: 'sku-milk', name: 'Nandini Toned Milk 500 ml', price: 27, inStock: true }],
+  bread: [
+    { id: 'sku-bread', name: 'Modern Whole Wheat Bread', price: 55, inStock: true },
+    { id: 'sku-hg', name: 'Harvest Gold Brown Bread', price: 50, inStock: false },
+  ],
+  eggs: [{ id: 'sku-eggs', name: 'Farm Eggs 6 pcs', price: 60, inStock: false }],
+};
+
+let mock;
+let anthropic;
+let bot;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'off';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+  mock.respond('im', 'search_products', ({ query }) => {
+    const key = Object.keys(PRODUCTS).find((k) => query.toLowerCase().includes(k));
+    return { success: true, data: { products: PRODUCTS[key] || [] } };
+  });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+test('matching: plurals and sizes match, missing words or brands are substitutions', () => {
+  assert.equal(matchScore('eggs', 'Farm Egg 6 pcs'), 1);
+  assert.equal(matchScore('1 kg atta', 'Aashirvaad Whole Wheat Atta 5 kg'), 1);
+  assert.equal(matchScore('brown bread', 'Modern Whole Wheat Bread'), 0.5);
+
+  const milk = pickProduct({ name: 'milk', quantity: 2 }, [{ id: 'a', name: 'Toned Milk', price: 27, available: true }]);
+  assert.equal(milk.status, 'match');
+  const bread = pickProduct({ name: 'bread', brand: 'Harvest Gold', quantity: 1 }, [
+    { id: 'a', name: 'Harvest Gold Bread', price: 50, available: false },
+    { id: 'b', name: 'Modern Bread', price: 55, available: true },
+  ]);
+  assert.deepEqual([bread.status, bread.product.id, bread.reason], ['substitute', 'b', 'no Harvest Gold']);
+  assert.equal(pickProduct({ name: 'eggs', quantity: 1 }, []).status, 'missing');
+});
+
+test('a photographed list becomes a review; only 🛒 adds the kept items to the cart', async () => {
+  anthropic.push(
+    (request) => {
+      const content = request.messages.at(-1).content;
+      assert.equal(content[0].type, 'image');
+      assert.equal(content[0].source.media_type, 'image/jpeg');
+      assert.equal(content[0].source.data, JPEG.toString('base64'));
+      assert.match(content[1].text, /The user wrote with the photo: "for the week"/);
+      assert.deepEqual(request.tools.map((t) => t.name), ['bot__grocery_list'], 'no Swiggy tools before the review');
+      return toolUse('bot__grocery_list', {
+        items: [
+          { name: 'milk', quantity: 2, size: '500 ml' },
+          { name: 'bread', quantity: 1, brand: 'Harvest Gold' },
+          { name: 'eggs', quantity: 12 },
+        ],
+      });
+    },
+    reply('Got your list!')
+  );
+
+  const start = bot.sent.length;
+  await bot.sendPhoto(CHAT, JPEG, { caption: 'for the week' });
+  const review = bot.messagesTo(CHAT, start).at(-1);
+  assert.match(review.text, /1\. ✅ 2 × Nandini Toned Milk 500 ml — ₹27/);
+  assert.match(review.text, /2\. 🔄 1 × <b>Modern Whole Wheat Bread<\/b> — ₹55\n.*substitution \(no Harvest Gold\) — you wrote: Harvest Gold bread/);
+  assert.match(review.text, /3\. ❌ 12 × eggs — <i>out of stock<\/i>/);
+  assert.deepEqual(buttonData(review), ['gl:skip:1', 'gl:skip:2', 'gl:add', 'gl:cancel']);
+  assert.equal(mock.calls.filter((c) => c.name === 'search_products').length, 3);
+  assert.ok(!mock.calls.some((c) => c.name === 'update_cart'), 'nothing added before review');
+
+  await bot.press(review, 'gl:skip:2', { id: 999 });
+  assert.match(bot.callbackAnswers.at(-1).text, /Only the person who sent the photo/);
+  await bot.press(review, 'gl:skip:2', { id: CHAT });
+  assert.match(bot.edits.at(-1).text, /2\. <s>1 × Harvest Gold bread<\/s> — skipped/);
+
+  anthropic.push(
+    (request) => {
+      const prompt = lastUserText(request);
+      assert.match(prompt, /2 × Nandini Toned Milk 500 ml \(product ID: sku-milk\)/);
+      assert.doesNotMatch(prompt, /sku-bread|sku-eggs/);
+      return toolUse('swiggy_im__update_cart', { items: [{ id: 'sku-milk', quantity: 2 }] });
+    },
+    reply('Added 2 × Nandini Toned Milk to your Instamart cart.')
+  );
+  await bot.press(review, 'gl:add', { id: CHAT });
+  assert.equal(mock.calls.filter((c) => c.name === 'update_cart').length, 1);
+  assert.equal(await getGroceryReview(CHAT), null);
+  assert.match(bot.messagesTo(CHAT).at(-1).text, /Added 2 × Nandini Toned Milk/);
+});
+
+test('a photo without a list gets Claude\'s answer and no review', async () => {
+  anthropic.push(reply("That looks like a cat, not a grocery list."));
+  const start = bot.sent.length;
+  await bot.sendPhoto(CHAT + 1, JPEG);
+  const texts = bot.messagesTo(CHAT + 1, start).map((m) => m.text);
+  assert.equal(texts.at(-1), 'That looks like a cat, not a grocery list.');
+  assert.equal(await getGroceryReview(CHAT + 1), null);
+});
+
+test('a photo turn cannot change the cart even if Claude asks to', async () => {
+  anthropic.push(
+    toolUse('swiggy_im__update_cart', { items: [{ id: 'sku-milk', quantity: 2 }] }),
+    reply("I can't add items from here.")
+  );
+  const before = mock.calls.length;
+  await bot.sendPhoto(CHAT + 2, JPEG);
+  assert.ok(!mock.calls.slice(before).some((c) => c.name === 'update_cart'));
+  assert.equal(await getGroceryReview(CHAT + 2), null);
+});
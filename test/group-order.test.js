@@ -0,0 +1,128 @@
+/**
+ * Group orders: parsing and bill splitting, plus a full group chat run through the bot handlers.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerBotHandlers } from '../src/bot.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { parseAddCommand, splitBill, getGroupOrder } from '../src/group-order.js';
+import { getOrders } from '../src/order-tracking.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic } from './support/fake-anthropic.js';
+import { createFakeTelegramBot, buttonData } from './support/fake-telegram-bot.js';
+
+const GROUP = -100123;
+const alice = { id: 1, first_name: 'Alice' };
+const bob = { id: 2, first_name: 'Bob' };
+
+let mock;
+let anthropic;
+let bot;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'off';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+test('add commands', () => {
+  assert.deepEqual(parseAddCommand('+2 Chicken Biryani'), { quantity: 2, query: 'Chicken Biryani' });
+  assert.deepEqual(parseAddCommand('+ paneer biryani'), { quantity: 1, query: 'paneer biryani' });
+  assert.deepEqual(parseAddCommand('/add 3x chicken 65'), { quantity: 3, query: 'chicken 65' });
+  assert.equal(parseAddCommand('hello'), null);
+});
+
+test('split bill shares taxes in proportion and always adds up', () => {
+  const order = {
+    members: {
+      1: { name: 'Alice', items: [{ id: 'a', name: 'A', price: 320, quantity: 1 }] },
+      2: { name: 'Bob', items: [{ id: 'b', name: 'B', price: 280, quantity: 1 }] },
+      3: { name: 'Cy', items: [{ id: 'b', name: 'B', price: 280, quantity: 1 }] },
+    },
+  };
+  const shares = splitBill(order, 1001);
+  assert.equal(shares.reduce((sum, m) => sum + m.share, 0), 1001);
+  assert.deepEqual(shares.map((m) => m.share), [364, 319, 318]);
+});
+
+test('members add their own items, the host closes and the group gets one order and a split bill', async () => {
+  const start = bot.sent.length;
+  await bot.sendText(GROUP, '/grouporder@SwiggyBot Meghana', alice);
+  const menuMsg = bot.messagesTo(GROUP, start).find((m) => /Group order from Meghana Foods/.test(m.text));
+  assert.ok(menuMsg, 'group order opened');
+  assert.ok(buttonData(menuMsg).includes('go:a:item-1'));
+
+  await bot.sendText(GROUP, '+1 chicken biryani', alice);
+  await bot.press(menuMsg, 'go:a:item-2', bob);
+  await bot.sendText(GROUP, '+1 paneer', bob);
+
+  const order = await getGroupOrder(GROUP);
+  assert.deepEqual(order.members[1].items.map((i) => [i.id, i.quantity]), [['item-1', 1]]);
+  assert.deepEqual(order.members[2].items.map((i) => [i.id, i.quantity]), [['item-2', 2]]);
+
+  await bot.sendText(GROUP, '/closeorder', bob);
+  assert.match(bot.messagesTo(GROUP).at(-1).text, /Only Alice \(the host\)/);
+
+  const closing = bot.sendText(GROUP, '/closeorder', alice);
+  const confirmation = await bot.waitForMessage((m) => m.chat.id === GROUP && buttonData(m).some((d) => d.startsWith('ord:')));
+  assert.match(confirmation.text, /Group:<\/b> 2 people/);
+  await bot.press(confirmation, buttonData(confirmation).find((d) => d.endsWith(':yes')), alice);
+  await closing;
+
+  const cartCall = mock.calls.find((c) => c.name === 'update_food_cart');
+  assert.deepEqual(cartCall.arguments.cartItems, [
+    { menu_item_id: 'item-1', quantity: 1 },
+    { menu_item_id: 'item-2', quantity: 2 },
+  ]);
+  assert.equal(mock.calls.filter((c) => c.name === 'place_food_order').length, 1);
+
+  // Fixture cart total is ₹702: Alice 320 / Bob 560 of 880 in menu prices
+  const bill = bot.messagesTo(GROUP).find((m) => /Split bill/.test(m.text));
+  assert.match(bill.text, /Alice<\/b>: ₹255/);
+  assert.match(bill.text, /Bob<\/b>: ₹447/);
+  assert.equal(await getGroupOrder(GROUP), null);
+  assert.equal((await getOrders(GROUP)).at(-1).orderId, 'ORD-98765');
+  assert.equal(anthropic.requests.length, 0, 'group orders never go through Claude');
+});
+
+test('when the order call fails after it was sent, the group order is not reopened for a second try', async () => {
+  mock.respond('food', 'place_food_order', { rpcError: { code: -32603, message: 'upstream timed out' } });
+  const placedBefore = mock.calls.filter((c) => c.name === 'place_food_order').length;
+  const before = bot.sent.length;
+  try {
+    await bot.sendText(GROUP, '/grouporder@SwiggyBot Meghana', alice);
+    await bot.sendText(GROUP, '+1 chicken biryani', alice);
+
+    const closing = bot.sendText(GROUP, '/closeorder', alice);
+    const confirmation = await bot.waitForMessage((m) => m.chat.id === GROUP && bot.sent.indexOf(m) >= before && buttonData(m).some((d) => d.startsWith('ord:')));
+    await bot.press(confirmation, buttonData(confirmation).find((d) => d.endsWith(':yes')), alice);
+    await closing;
+
+    const warning = bot.messagesTo(GROUP).at(-1);
+    assert.match(warning.text, /don't know whether the group order went through/);
+    assert.match(warning.text, /\/track or \/history/);
+    assert.equal((await getGroupOrder(GROUP)).status, 'unknown');
+
+    const start = bot.sent.length;
+    await bot.sendText(GROUP, '/closeorder', alice);
+    assert.match(bot.messagesTo(GROUP, start).at(-1).text, /may have gone through/);
+    assert.equal(mock.calls.filter((c) => c.name === 'place_food_order').length, placedBefore + 1, 'no second order');
+
+    await bot.press(warning, 'go:reopen', alice);
+    assert.equal((await getGroupOrder(GROUP)).status, 'open');
+  } finally {
+    mock.respond('food', 'place_food_order', mock.fixtures.food.responses.place_food_order);
+    await bot.sendText(GROUP, '/cancelgroup', alice);
+  }
+});
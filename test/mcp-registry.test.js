@@ -0,0 +1,60 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getServers, getEnabledServers, reloadRegistry, serverForTool, stripToolPrefix } from '../src/mcp-registry.js';
+import { listAllTools, clearConnectionCache } from '../src/swiggy-mcp-client.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+});
+
+after(async () => {
+  await mock.close();
+});
+
+afterEach(() => {
+  for (const name of ['MCP_SERVERS', 'MCP_SWIGGY_DINEOUT_ENABLED', 'MCP_SWIGGY_IM_URL', 'MCP_SWIGGY_FOOD_TIMEOUT_MS']) {
+    delete process.env[name];
+  }
+  clearConnectionCache();
+  reloadRegistry();
+});
+
+test('defaults come from config/mcp-servers.json with SWIGGY_MCP_ORIGIN applied', () => {
+  reloadRegistry();
+  const keys = getEnabledServers().map((s) => s.key).sort();
+  assert.deepEqual(keys, ['swiggy_dineout', 'swiggy_food', 'swiggy_im']);
+  const food = getServers().find((s) => s.key === 'swiggy_food');
+  assert.equal(food.url, `${mock.origin}/food`);
+  assert.equal(food.auth, 'swiggy');
+  assert.equal(food.timeoutMs, 30000);
+});
+
+test('per-server env overrides and extra servers from MCP_SERVERS', () => {
+  process.env.MCP_SWIGGY_DINEOUT_ENABLED = 'false';
+  process.env.MCP_SWIGGY_IM_URL = 'https://staging.example.com/im';
+  process.env.MCP_SWIGGY_FOOD_TIMEOUT_MS = '5000';
+  process.env.MCP_SERVERS = JSON.stringify({ maps: { url: 'https://maps.example.com/mcp', auth: 'none' } });
+  reloadRegistry();
+
+  const byKey = Object.fromEntries(getServers().map((s) => [s.key, s]));
+  assert.equal(byKey.swiggy_dineout.enabled, false);
+  assert.equal(byKey.swiggy_im.url, 'https://staging.example.com/im');
+  assert.equal(byKey.swiggy_food.timeoutMs, 5000);
+  assert.equal(byKey.maps.prefix, 'maps__');
+  assert.equal(serverForTool('maps__geocode').server.key, 'maps');
+  assert.equal(stripToolPrefix('swiggy_im__search_products'), 'search_products');
+  assert.equal(serverForTool('unknown__tool'), null);
+});
+
+test('listAllTools skips disabled servers', async () => {
+  process.env.MCP_SWIGGY_DINEOUT_ENABLED = 'false';
+  reloadRegistry();
+  const tools = await listAllTools('test-token');
+  assert.ok(tools.some((t) => t.name.startsWith('swiggy_food__')));
+  assert.ok(!tools.some((t) => t.name.startsWith('swiggy_dineout__')));
+  assert.ok(!mock.calls.some((c) => c.server === 'dineout'));
+});
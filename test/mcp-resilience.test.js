@@ -0,0 +1,123 @@
+/**
+ * MCP resilience: per-server timeouts, retries with backoff for read-only tools only, and the
+ * circuit breaker that takes a failing vertical out of Claude's tool list.
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { reloadRegistry } from '../src/mcp-registry.js';
+import { callTool, listAllTools, clearConnectionCache, isRetryableTool, unavailableServers, MCP_UNAVAILABLE } from '../src/swiggy-mcp-client.js';
+import { isCircuitOpen, recordFailure, recordSuccess, resetBreakers } from '../src/circuit-breaker.js';
+import { chatWithClaudeMcp, clearCaches } from '../src/claude-mcp.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, reply } from './support/fake-anthropic.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.AUDIT_LOG = 'off';
+  process.env.MCP_RETRY_BASE_MS = '1';
+});
+
+after(async () => {
+  await mock.close();
+});
+
+afterEach(() => {
+  for (const name of ['MCP_SWIGGY_FOOD_TIMEOUT_MS', 'MCP_BREAKER_FAILURES', 'MCP_BREAKER_COOLDOWN_SECONDS']) delete process.env[name];
+  mock.reset();
+  clearCaches();
+});
+
+const callsTo = (server, name) => mock.calls.filter((c) => c.server === server && (name ? c.name === name : true)).length;
+
+test('only read-only tools are retried', () => {
+  for (const name of ['search_restaurants', 'get_restaurant_menu', 'get_addresses', 'track_food_order', 'search_restaurants_dineout', 'swiggy_food__get_addresses']) {
+    assert.equal(isRetryableTool(name), true, name);
+  }
+  for (const name of ['place_food_order', 'update_food_cart', 'book_table', 'checkout', 'get_cart_and_checkout', 'add_to_cart', 'get_slots_and_reserve']) {
+    assert.equal(isRetryableTool(name), false, name);
+  }
+});
+
+test('a read-only tool is retried through 5xx errors', async () => {
+  let failures = 2;
+  mock.respond('food', 'search_restaurants', () => (failures-- > 0 ? { httpStatus: 503 } : { restaurants: [{ id: 'rest-1', name: 'Meghana Foods' }] }));
+  const result = await callTool('swiggy_food__search_restaurants', { query: 'biryani' }, 'test-token');
+  assert.match(result, /Meghana Foods/);
+  assert.equal(callsTo('food', 'search_restaurants'), 3);
+});
+
+test('an order tool is never retried', async () => {
+  mock.respond('food', 'place_food_order', { httpStatus: 502 });
+  await assert.rejects(callTool('swiggy_food__place_food_order', { addressId: 'addr-1' }, 'test-token'), /Swiggy Food returned HTTP 502/);
+  assert.equal(callsTo('food', 'place_food_order'), 1);
+});
+
+test('a hung server times out after its timeoutMs', async () => {
+  process.env.MCP_SWIGGY_FOOD_TIMEOUT_MS = '100';
+  reloadRegistry();
+  mock.respond('food', 'get_addresses', async () => {
+    await sleep(400);
+    return { data: { addresses: [] } };
+  });
+  const started = Date.now();
+  await assert.rejects(callTool('swiggy_food__get_addresses', {}, 'test-token'), /Swiggy Food did not answer within 0.1s/);
+  assert.equal(callsTo('food', 'get_addresses'), 3, 'retried twice');
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('the breaker opens after repeated failures and closes after a success', () => {
+  process.env.MCP_BREAKER_FAILURES = '3';
+  const t0 = 1_000_000;
+  recordFailure('swiggy_im', t0);
+  recordFailure('swiggy_im', t0);
+  assert.equal(isCircuitOpen('swiggy_im', t0), false);
+  recordFailure('swiggy_im', t0);
+  assert.equal(isCircuitOpen('swiggy_im', t0 + 1000), true);
+  assert.equal(isCircuitOpen('swiggy_im', t0 + 61_000), false, 'calls are let through after the cooldown');
+  recordFailure('swiggy_im', t0 + 61_000);
+  assert.equal(isCircuitOpen('swiggy_im', t0 + 62_000), true, 'one more failure reopens it');
+  recordSuccess('swiggy_im');
+  assert.equal(isCircuitOpen('swiggy_im', t0 + 62_000), false);
+  resetBreakers();
+});
+
+test('a tripped vertical is left out of the tools and Claude is told it is down', async () => {
+  process.env.MCP_BREAKER_FAILURES = '2';
+  mock.configure({ down: ['dineout'] });
+  const tools = await listAllTools('test-token');
+  assert.ok(tools.some((t) => t.name.startsWith('swiggy_food__')));
+  assert.ok(!tools.some((t) => t.name.startsWith('swiggy_dineout__')));
+  assert.deepEqual(unavailableServers().map((s) => s.key), ['swiggy_dineout']);
+
+  // While open nothing is sent to it
+  const before = callsTo('dineout');
+  await listAllTools('test-token');
+  await assert.rejects(callTool('swiggy_dineout__search_restaurants_dineout', {}, 'test-token'), (err) => err.code === MCP_UNAVAILABLE);
+  assert.equal(callsTo('dineout'), before);
+
+  const anthropic = createFakeAnthropic([reply('Dineout is down right now — try again in a few minutes.')]);
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Book a table for 2 tonight', swiggyAuthToken: 'test-token' });
+  const [request] = anthropic.requests;
+  assert.match(request.system.map((b) => b.text).join('\n'), /TEMPORARILY UNAVAILABLE: Dineout/);
+  assert.ok(!request.tools.some((t) => t.name.startsWith('swiggy_dineout__')));
+  assert.ok(request.tools.some((t) => t.name.startsWith('swiggy_food__')));
+});
+
+test('tools come back once the breaker closes', async () => {
+  process.env.MCP_BREAKER_FAILURES = '1';
+  process.env.MCP_BREAKER_COOLDOWN_SECONDS = '0.2';
+  mock.configure({ down: ['dineout'] });
+  await listAllTools('test-token');
+  assert.deepEqual(unavailableServers().map((s) => s.key), ['swiggy_dineout']);
+  mock.configure({ down: [] });
+  clearConnectionCache();
+  await sleep(250);
+  const tools = await listAllTools('test-token');
+  assert.ok(tools.some((t) => t.name.startsWith('swiggy_dineout__')));
+  assert.deepEqual(unavailableServers(), []);
+});
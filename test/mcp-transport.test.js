@@ -0,0 +1,113 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { readSseEvents, sendJsonRpc } from '../src/mcp-transport.js';
+import { listAllTools, callTool, clearConnectionCache } from '../src/swiggy-mcp-client.js';
+import { reloadRegistry } from '../src/mcp-registry.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  reloadRegistry();
+});
+
+after(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  clearConnectionCache();
+});
+
+async function collect(chunks) {
+  const encoder = new TextEncoder();
+  async function* body() {
+    for (const c of chunks) yield encoder.encode(c);
+  }
+  const events = [];
+  for await (const ev of readSseEvents(body())) events.push(ev);
+  return events;
+}
+
+test('SSE parser handles comments, multi-line data, CRLF and chunk boundaries', async () => {
+  const events = await collect([': keep-alive\r\n\r\nid: 7\r', '\nevent: message\r\ndata: {"a":\r\nda', 'ta: 1}\r\n\r\n', 'retry: 50\n\ndata: x\n']);
+  assert.deepEqual(events, [
+    { event: 'message', data: '{"a":\n1}', id: '7', retry: undefined },
+    // The trailing "data: x" has no blank line after it, so it is never dispatched
+  ]);
+});
+
+test('SSE responses with notifications are matched to the request', async () => {
+  mock.configure({ sse: true });
+  const progress = [];
+  const text = await callTool('swiggy_food__get_addresses', {}, 'test-token', { onProgress: (p) => progress.push(p) });
+  assert.match(text, /addr-1/);
+  assert.equal(progress.length, 1);
+  assert.equal(progress[0].message, 'working');
+});
+
+test('every request gets its own JSON-RPC id', async () => {
+  await callTool('swiggy_food__get_addresses', {}, 'test-token');
+  await callTool('swiggy_food__get_addresses', {}, 'test-token');
+  const ids = mock.calls.filter((c) => c.id !== undefined).map((c) => c.id);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('tools/list follows nextCursor', async () => {
+  mock.configure({ pageSize: 2 });
+  const tools = await listAllTools('test-token');
+  const food = tools.filter((t) => t._server === 'swiggy_food');
+  assert.equal(food.length, mock.fixtures.food.tools.length);
+  const cursors = mock.calls.filter((c) => c.server === 'food' && c.method === 'tools/list').map((c) => c.cursor);
+  assert.deepEqual(cursors.slice(0, 2), [undefined, '2']);
+});
+
+test('a dropped stream is resumed with Last-Event-ID', async () => {
+  mock.configure({ sse: true, dropStreams: true });
+  const text = await callTool('swiggy_food__get_addresses', {}, 'test-token');
+  assert.match(text, /addr-1/);
+  const resume = mock.calls.find((c) => c.method === 'GET');
+  assert.ok(resume?.lastEventId, 'client reconnected with Last-Event-ID');
+});
+
+test('an expired session is re-initialized once', async () => {
+  mock.configure({ sessions: true });
+  await callTool('swiggy_food__get_addresses', {}, 'test-token');
+  mock.expireSessions();
+  const text = await callTool('swiggy_food__get_addresses', {}, 'test-token');
+  assert.match(text, /addr-1/);
+  const inits = mock.calls.filter((c) => c.server === 'food' && c.method === 'initialize');
+  assert.equal(inits.length, 2);
+  assert.ok(mock.calls.filter((c) => c.method === 'tools/call').every((c) => c.session));
+});
+
+test('batched JSON replies are routed by id', async () => {
+  const seen = [];
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => (raw += c));
+    req.on('end', () => {
+      const { id } = JSON.parse(raw);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify([
+        { jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'hi' } },
+        { jsonrpc: '2.0', id: id + 100, result: { wrong: true } },
+        { jsonrpc: '2.0', id, result: { ok: true } },
+      ]));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const { message } = await sendJsonRpc(`http://127.0.0.1:${server.address().port}/`, { jsonrpc: '2.0', id: 5, method: 'ping' }, {
+      onServerMessage: (m) => seen.push(m.method),
+    });
+    assert.deepEqual(message.result, { ok: true });
+    assert.deepEqual(seen, ['notifications/message']);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
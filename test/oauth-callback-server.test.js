@@ -0,0 +1,40 @@
+/**
+ * OAuth callback server: only listens when /login is configured, and never on a default port.
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startOAuthCallbackServer } from '../src/oauth-callback-server.js';
+
+afterEach(() => {
+  delete process.env.SWIGGY_OAUTH_REDIRECT_URI;
+  delete process.env.SWIGGY_OAUTH_CLIENT_ID;
+  delete process.env.OAUTH_CALLBACK_PORT;
+});
+
+test('nothing listens when /login is not configured', () => {
+  assert.equal(startOAuthCallbackServer(), null);
+});
+
+test('a redirect URI without a port and no OAUTH_CALLBACK_PORT does not fall back to port 80', () => {
+  process.env.SWIGGY_OAUTH_REDIRECT_URI = 'https://bot.example.com/callback';
+  assert.equal(startOAuthCallbackServer(), null);
+  process.env.SWIGGY_OAUTH_REDIRECT_URI = '';
+  process.env.SWIGGY_OAUTH_CLIENT_ID = 'client-1';
+  assert.equal(startOAuthCallbackServer(), null, 'the default redirect URI has no port either');
+});
+
+test('listens on OAUTH_CALLBACK_PORT and serves only the callback path', async () => {
+  process.env.SWIGGY_OAUTH_REDIRECT_URI = 'https://bot.example.com/swiggy/callback';
+  process.env.OAUTH_CALLBACK_PORT = '38765';
+  const server = startOAuthCallbackServer();
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    assert.equal((await fetch('http://127.0.0.1:38765/other')).status, 404);
+    const res = await fetch('http://127.0.0.1:38765/swiggy/callback?error=access_denied');
+    assert.equal(res.status, 400);
+    assert.match(await res.text(), /Login cancelled/);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
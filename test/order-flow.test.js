@@ -0,0 +1,250 @@
+/**
+ * End-to-end: Telegram message → bot handlers → scripted Claude → mock Swiggy MCP → reply.
+ * No network: the MCP server is local and the Anthropic client is a fake.
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerBotHandlers } from '../src/bot.js';
+import { clearCaches, getClaudeTools } from '../src/claude-mcp.js';
+import { pollAllOrders, getActiveOrders } from '../src/order-tracking.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply, lastUserText } from './support/fake-anthropic.js';
+import { createFakeTelegramBot, buttonData } from './support/fake-telegram-bot.js';
+
+let mock;
+let anthropic;
+let bot;
+let chatId = 1000;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'off';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  clearCaches();
+  // Fresh chat per test so session state and history never leak between tests
+  chatId += 1;
+});
+
+function toolCalls(name) {
+  return mock.calls.filter((c) => c.method === 'tools/call' && c.name === name);
+}
+
+function isConfirmation(m) {
+  return buttonData(m).some((d) => d.startsWith('ord:'));
+}
+
+/** Drive one order turn, pressing Confirm (`yes`) or Cancel (`no`) on the summary. */
+async function placeOrder(text, answer) {
+  const turn = bot.sendText(chatId, text);
+  const confirmation = await bot.waitForMessage((m) => m.chat.id === chatId && isConfirmation(m));
+  const data = buttonData(confirmation).find((d) => d.endsWith(`:${answer}`));
+  await bot.press(confirmation, data);
+  await turn;
+  return confirmation;
+}
+
+/** Put restaurant, address and cart into session through a normal turn. */
+async function fillCart() {
+  anthropic.push(
+    toolUse('swiggy_food__get_addresses'),
+    toolUse('swiggy_food__update_food_cart', {
+      restaurantId: 'rest-1',
+      addressId: 'addr-1',
+      cartItems: [{ menu_item_id: 'item-1', quantity: 2 }],
+    }),
+    reply('<b>Cart ready:</b> 2 × Chicken Biryani. Shall I place the order?')
+  );
+  await bot.sendText(chatId, 'Add two chicken biryanis from Meghana to my cart');
+}
+
+test('search shows restaurants as buttons and a tap opens the menu with the exact ID', async () => {
+  anthropic.push(
+    toolUse('swiggy_food__get_addresses'),
+    toolUse('swiggy_food__search_restaurants', { query: 'biryani', addressId: 'addr-1' }),
+    reply('<b>Biryani near you:</b>\n• <b>1. Meghana Foods</b> (ID: rest-1)\n• <b>2. Paradise Biryani</b> (ID: rest-2)')
+  );
+  const start = bot.sent.length;
+  await bot.sendText(chatId, 'Find biryani near me');
+
+  const msgs = bot.messagesTo(chatId, start);
+  assert.ok(msgs.some((m) => m.text.includes('Meghana Foods</b> (ID: rest-1)')));
+  const keyboard = msgs.find((m) => buttonData(m).includes('sel:r:rest-1'));
+  assert.ok(keyboard, 'restaurant buttons are sent');
+
+  anthropic.push(
+    (request) => {
+      assert.match(lastUserText(request), /restaurantId: rest-1/);
+      return toolUse('swiggy_food__get_restaurant_menu', { restaurantId: 'rest-1', addressId: 'addr-1' });
+    },
+    reply('<b>Meghana Foods menu</b>\n• Chicken Biryani — ₹320')
+  );
+  await bot.press(keyboard, 'sel:r:rest-1');
+
+  assert.deepEqual(toolCalls('get_restaurant_menu')[0].arguments, { restaurantId: 'rest-1', addressId: 'addr-1' });
+  assert.ok(bot.messagesTo(chatId, start).some((m) => buttonData(m).includes('sel:m:item-1')), 'menu item buttons are sent');
+});
+
+test('confirmed order goes out with IDs from session state', async () => {
+  await fillCart();
+  anthropic.push(toolUse('swiggy_food__place_food_order', {}), reply('🎉 Order placed! Order ID: ORD-98765'));
+  const start = bot.sent.length;
+  const confirmation = await placeOrder('Place the order', 'yes');
+
+  assert.match(confirmation.text, /2 × Chicken Biryani/);
+  assert.match(confirmation.text, /Total:<\/b> ₹702/);
+  assert.match(confirmation.text, /12 MG Road/);
+  assert.deepEqual(toolCalls('place_food_order')[0].arguments, {
+    addressId: 'addr-1',
+    restaurantId: 'rest-1',
+    cartId: 'cart-77',
+  });
+  assert.ok(bot.messagesTo(chatId, start).some((m) => m.text.includes('ORD-98765')));
+});
+
+test('cancel at the confirmation step never calls the order tool', async () => {
+  await fillCart();
+  anthropic.push(toolUse('swiggy_food__place_food_order', {}));
+  const start = bot.sent.length;
+  await placeOrder('Place the order', 'no');
+
+  assert.equal(toolCalls('place_food_order').length, 0);
+  assert.ok(bot.messagesTo(chatId, start).some((m) => /Order cancelled/.test(m.text)));
+});
+
+test('hallucinated success is overridden when data.successful is false', async () => {
+  await fillCart();
+  mock.useScenario('food', 'place_food_order', 'place_food_order_not_accepting');
+  anthropic.push(toolUse('swiggy_food__place_food_order', {}), reply('🎉 Your order has been placed successfully!'));
+  const start = bot.sent.length;
+  await placeOrder('Place the order', 'yes');
+
+  const texts = bot.messagesTo(chatId, start).map((m) => m.text);
+  assert.ok(texts.some((t) => t.includes("I couldn't complete the order. Restaurant is not accepting orders right now")));
+  assert.ok(!texts.some((t) => t.includes('placed successfully')));
+});
+
+test('success claimed without calling the order tool is rejected', async () => {
+  await fillCart();
+  anthropic.push(reply('Order placed! It will arrive in 30 minutes.'));
+  const start = bot.sent.length;
+  await bot.sendText(chatId, 'yes');
+
+  assert.equal(toolCalls('place_food_order').length, 0);
+  assert.ok(bot.messagesTo(chatId, start).some((m) => m.text.includes("The order tool wasn't called")));
+});
+
+test('rejected Swiggy token asks the chat to log in again', async () => {
+  process.env.SWIGGY_AUTH_TOKEN = 'expired-token';
+  try {
+    const start = bot.sent.length;
+    const claudeCalls = anthropic.requests.length;
+    await bot.sendText(chatId, 'Find pizza');
+    assert.ok(bot.messagesTo(chatId, start).some((m) => /\/login/.test(m.text)));
+    assert.equal(anthropic.requests.length, claudeCalls, 'Claude is not called without working Swiggy tools');
+  } finally {
+    process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  }
+});
+
+test('placed order is tracked: /track shows it and the poller pushes stage changes once', async () => {
+  await fillCart();
+  anthropic.push(toolUse('swiggy_food__place_food_order', {}), reply('🎉 Order placed! Order ID: ORD-98765'));
+  const start = bot.sent.length;
+  await placeOrder('Place the order', 'yes');
+  assert.ok(bot.messagesTo(chatId, start).some((m) => m.text.includes('/track')));
+
+  await bot.sendText(chatId, '/track');
+  const status = bot.messagesTo(chatId, start).at(-1);
+  assert.match(status.text, /ORD-98765/);
+  assert.match(status.text, /Being prepared/);
+  assert.match(status.text, /ETA: 25 mins/);
+
+  const pushed = [];
+  const poll = () => pollAllOrders({ getToken: async () => 'test-token', getTools: getClaudeTools, notify: (o) => pushed.push(o) });
+  mock.useScenario('food', 'track_food_order', 'track_food_order_out_for_delivery');
+  await poll();
+  await poll();
+  const mine = () => pushed.filter((o) => o.chatId === chatId).map((o) => o.stage);
+  assert.deepEqual(mine(), ['out_for_delivery']);
+
+  mock.useScenario('food', 'track_food_order', 'track_food_order_delivered');
+  await poll();
+  assert.deepEqual(mine(), ['out_for_delivery', 'delivered']);
+  assert.equal((await getActiveOrders(chatId)).length, 0);
+  assert.deepEqual(toolCalls('track_food_order').at(-1).arguments, { orderId: 'ORD-98765' });
+});
+
+/** Place the standard 2 × Chicken Biryani order so the chat has history. */
+async function placeBiryaniOrder() {
+  await fillCart();
+  anthropic.push(toolUse('swiggy_food__place_food_order', {}), reply('🎉 Order placed! Order ID: ORD-98765'));
+  await placeOrder('Place the order', 'yes');
+}
+
+function menuWith(item) {
+  return { success: true, data: { menu: { categories: [{ title: 'Biryani', items: [item] }] } } };
+}
+
+test('/history lists the order and 🔁 rebuilds it, flagging a price change, through confirmation', async () => {
+  await placeBiryaniOrder();
+  let start = bot.sent.length;
+  await bot.sendText(chatId, '/history');
+  const history = bot.messagesTo(chatId, start).at(-1);
+  assert.match(history.text, /2 × Chicken Biryani/);
+  assert.match(history.text, /₹702/);
+  const button = buttonData(history).find((d) => d.startsWith('ro:'));
+  assert.ok(button, 'reorder button is sent');
+
+  mock.respond('food', 'get_restaurant_menu', menuWith({ id: 'item-1', name: 'Chicken Biryani', price: 340, inStock: true }));
+  anthropic.push(
+    (request) => {
+      const prompt = lastUserText(request);
+      assert.match(prompt, /2 × Chicken Biryani \(item ID: item-1\)/);
+      assert.match(prompt, /restaurantId rest-1/);
+      assert.match(prompt, /addressId addr-1/);
+      return toolUse('swiggy_food__update_food_cart', {
+        restaurantId: 'rest-1',
+        addressId: 'addr-1',
+        cartItems: [{ menu_item_id: 'item-1', quantity: 2 }],
+      });
+    },
+    toolUse('swiggy_food__place_food_order', {}),
+    reply('🎉 Order placed! Order ID: ORD-98765')
+  );
+  start = bot.sent.length;
+  const turn = bot.press(history, button);
+  const confirmation = await bot.waitForMessage((m) => bot.sent.indexOf(m) >= start && m.chat.id === chatId && isConfirmation(m));
+  const texts = bot.messagesTo(chatId, start).map((m) => m.text);
+  assert.ok(texts.some((t) => /Price changed:<\/b> Chicken Biryani ₹320 → ₹340/.test(t)));
+  await bot.press(confirmation, buttonData(confirmation).find((d) => d.endsWith(':yes')));
+  await turn;
+  assert.equal(toolCalls('place_food_order').length, 2);
+});
+
+test('/reorder skips Claude when nothing from the order is available', async () => {
+  await placeBiryaniOrder();
+  mock.respond('food', 'get_restaurant_menu', menuWith({ id: 'item-1', name: 'Chicken Biryani', price: 320, inStock: false }));
+  const claudeCalls = anthropic.requests.length;
+  const start = bot.sent.length;
+  await bot.sendText(chatId, '/reorder 1');
+  const texts = bot.messagesTo(chatId, start).map((m) => m.text);
+  assert.ok(texts.some((t) => /No longer available:<\/b> 2 × Chicken Biryani/.test(t)));
+  assert.ok(texts.some((t) => /nothing to reorder/.test(t)));
+  assert.equal(anthropic.requests.length, claudeCalls);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractOrderId, extractOrderStatus, findTrackingTool, stageOf } from '../src/order-tracking.js';
+import { loadFixtures } from './support/mock-swiggy-mcp.js';
+
+const fixtures = loadFixtures();
+
+test('order and booking IDs are found in order tool results', () => {
+  assert.equal(extractOrderId(fixtures.food.responses.place_food_order), 'ORD-98765');
+  assert.equal(extractOrderId(fixtures.im.responses.checkout), 'IM-4321');
+  assert.equal(extractOrderId(fixtures.dineout.responses.book_table), 'BK-100');
+  assert.equal(extractOrderId({ message: 'ok' }), undefined);
+});
+
+test('raw statuses map to stages, out for delivery before delivered', () => {
+  assert.equal(stageOf('FOOD_PREPARING'), 'preparing');
+  assert.equal(stageOf('OUT_FOR_DELIVERY'), 'out_for_delivery');
+  assert.equal(stageOf('Out for delivery'), 'out_for_delivery');
+  assert.equal(stageOf('DELIVERED'), 'delivered');
+  assert.equal(stageOf('ORDER_CONFIRMED'), 'accepted');
+  assert.equal(stageOf('CANCELLED_BY_RESTAURANT'), 'cancelled');
+  assert.equal(stageOf('SOMETHING_NEW'), null);
+});
+
+test('nested status wins over the root message wrapper', () => {
+  const status = extractOrderStatus(fixtures.food.responses.track_food_order, 'ORD-98765');
+  assert.equal(status.stage, 'preparing');
+  assert.equal(status.eta, '25 mins');
+  assert.match(status.message, /preparing your order/);
+});
+
+test('the matching order is picked from a list of orders', () => {
+  const status = extractOrderStatus({
+    data: { orders: [{ orderId: 'A', status: 'DELIVERED' }, { orderId: 'B', status: 'OUT_FOR_DELIVERY' }] },
+  }, 'B');
+  assert.equal(status.stage, 'out_for_delivery');
+});
+
+test('tracking tool is looked up on the order tool\'s server', () => {
+  const tools = [{ name: 'swiggy_im__search_products' }, { name: 'swiggy_food__track_food_order' }];
+  assert.equal(findTrackingTool('swiggy_food__place_food_order', tools).name, 'swiggy_food__track_food_order');
+  assert.equal(findTrackingTool('swiggy_im__checkout', tools), undefined);
+});
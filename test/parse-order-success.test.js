@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOrderSuccess, parseOrderSuccessFromText } from '../src/claude-mcp.js';
+import { loadFixtures } from './support/mock-swiggy-mcp.js';
+
+const fixtures = loadFixtures();
+
+test('successful food order with an order ID', () => {
+  assert.equal(parseOrderSuccess(fixtures.food.responses.place_food_order), true);
+});
+
+test('root success:true but data.successful:false is a failure', () => {
+  const payload = fixtures.food.scenarios.place_food_order_not_accepting;
+  assert.equal(payload.success, true);
+  assert.equal(parseOrderSuccess(payload), false);
+});
+
+test('error statusMessage wins over an order-looking payload', () => {
+  assert.equal(parseOrderSuccess({ data: { orderId: 'X1', statusMessage: 'Unable to place order' } }), false);
+});
+
+test('root error message is a failure', () => {
+  assert.equal(parseOrderSuccess({ message: 'Order failed: cart expired' }), false);
+});
+
+test('booking ID counts as success', () => {
+  assert.equal(parseOrderSuccess(fixtures.dineout.responses.book_table), true);
+});
+
+test('nested status "placed" counts as success', () => {
+  assert.equal(parseOrderSuccess({ result: { order: { status: 'PLACED' } } }), true);
+});
+
+test('payload without IDs or status is not a success', () => {
+  assert.equal(parseOrderSuccess({ message: 'ok' }), false);
+  assert.equal(parseOrderSuccess(null), false);
+});
+
+test('plain-text results', () => {
+  assert.equal(parseOrderSuccessFromText('Order placed. Order ID 123'), true);
+  assert.equal(parseOrderSuccessFromText('Error: restaurant closed'), false);
+  assert.equal(parseOrderSuccessFromText('Cart updated'), false);
+});
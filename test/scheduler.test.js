@@ -0,0 +1,160 @@
+/**
+ * Scheduled orders: Claude creates a job through bot__create_schedule, /schedules pauses and
+ * deletes it, and a due job rebuilds the cart and stops at the confirmation buttons.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerBotHandlers, startScheduling } from '../src/bot.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { createSchedule, listSchedules, deleteSchedule, runDueJobs, stopScheduler } from '../src/scheduler.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply, lastUserText } from './support/fake-anthropic.js';
+import { createFakeTelegramBot, buttonData } from './support/fake-telegram-bot.js';
+
+const CHAT = 4242;
+const user = { id: 7, first_name: 'Asha' };
+
+let mock;
+let anthropic;
+let bot;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'off';
+  process.env.SCHEDULE_TIMEZONE = 'Asia/Kolkata';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+test('invalid schedules are rejected with a readable reason', async () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  await assert.rejects(createSchedule(CHAT, { action: 'order', instructions: 'x', cron: '0 8 * *' }, now), /5 fields/);
+  await assert.rejects(createSchedule(CHAT, { action: 'order', instructions: 'x', at: '2026-10-01T08:00' }, now), /in the past/);
+  await assert.rejects(createSchedule(CHAT, { action: 'order', instructions: 'x' }, now), /exactly one of cron/);
+  await assert.rejects(createSchedule(CHAT, { action: 'order', instructions: 'x', cron: '@daily', timezone: 'Mars/Base' }, now), /Unknown time zone/);
+});
+
+test('Claude schedules a recurring order and /schedules pauses, resumes and deletes it', async () => {
+  anthropic.push(
+    (request) => {
+      assert.ok(request.tools.some((t) => t.name === 'bot__create_schedule'));
+      return toolUse('bot__create_schedule', {
+        description: 'Weekday breakfast',
+        action: 'order',
+        instructions: 'Add 2 × Amul Milk 500ml (item ID: im-1) to my Instamart cart and place the order.',
+        cron: '0 8 * * 1-5',
+      });
+    },
+    (request) => {
+      assert.match(lastUserText(request), /"created":true/);
+      return reply('Done — every weekday at 8:00 I will build your cart and ask you to confirm.');
+    }
+  );
+  await bot.sendText(CHAT, 'Order my usual breakfast from Instamart every weekday at 8am', user);
+
+  const [job] = await listSchedules(CHAT);
+  assert.equal(job.cron, '0 8 * * 1-5');
+  assert.equal(job.userId, user.id);
+  assert.ok(!mock.calls.some((c) => c.method === 'tools/call'), 'scheduling calls no Swiggy tool');
+
+  const start = bot.sent.length;
+  await bot.sendText(CHAT, '/schedules', user);
+  const list = bot.messagesTo(CHAT, start).at(-1);
+  assert.match(list.text, /Weekday breakfast/);
+  assert.match(list.text, /0 8 \* \* 1-5/);
+
+  await bot.press(list, `sch:p:${job.id}`, user);
+  assert.equal((await listSchedules(CHAT))[0].paused, true);
+  await bot.press(list, `sch:r:${job.id}`, user);
+  assert.equal((await listSchedules(CHAT))[0].paused, false);
+  await bot.press(list, `sch:d:${job.id}`, user);
+  assert.deepEqual(await listSchedules(CHAT), []);
+});
+
+test('missed runs are skipped and one-off jobs are removed once fired', async () => {
+  const created = new Date('2026-10-19T10:00:00Z');
+  const once = await createSchedule(CHAT, { action: 'reminder', instructions: 'Call mum', at: '2026-10-23T20:00' }, created);
+  assert.equal(new Date(once.nextRunAt).toISOString(), '2026-10-23T14:30:00.000Z');
+  const daily = await createSchedule(CHAT, { action: 'reminder', instructions: 'Water plants', cron: '0 7 * * *' }, created);
+
+  // Bot was down from before 07:00 IST on the 20th until 10:30: that run is skipped, not fired late
+  let fired = await runDueJobs({ onFire: () => assert.fail('missed run fired'), now: new Date('2026-10-20T05:00:00Z') });
+  assert.deepEqual(fired, []);
+  assert.equal(new Date((await listSchedules(CHAT)).find((j) => j.id === daily.id).nextRunAt).toISOString(), '2026-10-21T01:30:00.000Z');
+
+  fired = await runDueJobs({ onFire: () => {}, now: new Date('2026-10-23T14:30:10Z') });
+  assert.deepEqual(fired.map((j) => j.id), [once.id]);
+  assert.deepEqual((await listSchedules(CHAT)).map((j) => j.id), [daily.id]);
+  await deleteSchedule(CHAT, daily.id);
+});
+
+test('a due order job rebuilds the cart and nothing is placed until Confirm', async () => {
+  const job = await createSchedule(CHAT, {
+    userId: user.id,
+    description: 'Friday biryani',
+    action: 'order',
+    instructions: 'Add 1 × Chicken Biryani (item ID: item-1) from restaurantId rest-1 to my cart and place the order.',
+    at: '2026-10-30T20:00',
+  }, new Date('2026-10-19T10:00:00Z'));
+
+  anthropic.push(
+    (request) => {
+      assert.match(lastUserText(request), /Chicken Biryani \(item ID: item-1\)/);
+      assert.ok(!request.tools.some((t) => t.name === 'bot__create_schedule'), 'no scheduling from a scheduled run');
+      return toolUse('swiggy_food__get_addresses');
+    },
+    toolUse('swiggy_food__update_food_cart', { restaurantId: 'rest-1', addressId: 'addr-1', cartItems: [{ menu_item_id: 'item-1', quantity: 1 }] }),
+    toolUse('swiggy_food__place_food_order', {}),
+    reply('🎉 Order placed! Order ID: ORD-98765')
+  );
+  const start = bot.sent.length;
+  startScheduling();
+  await runDueJobs({ now: new Date('2026-10-30T14:30:05Z') });
+  stopScheduler();
+
+  const confirmation = await bot.waitForMessage((m) => m.chat.id === CHAT && buttonData(m).some((d) => d.startsWith('ord:')));
+  assert.ok(bot.messagesTo(CHAT, start).some((m) => /Scheduled order:<\/b> Friday biryani/.test(m.text)));
+  assert.equal(mock.calls.filter((c) => c.name === 'place_food_order').length, 0, 'nothing placed before Confirm');
+  await bot.press(confirmation, buttonData(confirmation).find((d) => d.endsWith(':yes')), user);
+  await bot.waitForMessage((m) => m.chat.id === CHAT && /ORD-98765/.test(m.text));
+  assert.equal(mock.calls.filter((c) => c.name === 'place_food_order').length, 1);
+  assert.ok(!(await listSchedules(CHAT)).some((j) => j.id === job.id));
+});
+
+test('an unanswered confirmation times out with one message and places nothing', async () => {
+  process.env.SCHEDULE_CONFIRM_MINUTES = '0.002';
+  try {
+    await createSchedule(CHAT, {
+      userId: user.id,
+      description: 'Saturday biryani',
+      action: 'order',
+      instructions: 'Add 1 × Chicken Biryani (item ID: item-1) from restaurantId rest-1 to my cart and place the order.',
+      at: '2026-10-31T20:00',
+    }, new Date('2026-10-19T10:00:00Z'));
+    anthropic.push(
+      toolUse('swiggy_food__update_food_cart', { restaurantId: 'rest-1', addressId: 'addr-1', cartItems: [{ menu_item_id: 'item-1', quantity: 1 }] }),
+      toolUse('swiggy_food__place_food_order', {})
+    );
+    const placed = mock.calls.filter((c) => c.name === 'place_food_order').length;
+    const start = bot.sent.length;
+    await runDueJobs({ now: new Date('2026-10-31T14:30:05Z') });
+
+    await bot.waitForMessage((m) => bot.sent.indexOf(m) >= start && m.chat.id === CHAT && /timed out/.test(m.text));
+    const notPlaced = bot.messagesTo(CHAT, start).filter((m) => /nothing was placed/.test(m.text));
+    assert.equal(notPlaced.length, 1);
+    assert.match(notPlaced[0].text, /^Order confirmation timed out — nothing was placed\. Your cart is still there/);
+    assert.equal(mock.calls.filter((c) => c.name === 'place_food_order').length, placed);
+  } finally {
+    delete process.env.SCHEDULE_CONFIRM_MINUTES;
+  }
+});
@@ -0,0 +1,28 @@
+/**
+ * Storage: values are copies, and a backend that fails to start is retried on the next call.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore, getStore } from '../src/storage.js';
+
+test('changing a value read from the store does not store it', async () => {
+  const store = createMemoryStore({ 'chat:1:session': { state: { addressId: 'addr-1' } } });
+  const session = await store.get('chat:1:session');
+  session.state.addressId = 'addr-2';
+  assert.equal((await store.get('chat:1:session')).state.addressId, 'addr-1');
+
+  await store.set('chat:1:session', session);
+  session.state.addressId = 'addr-3';
+  assert.equal((await store.get('chat:1:session')).state.addressId, 'addr-2');
+});
+
+test('a failed backend setup is not cached', async () => {
+  process.env.STORAGE_BACKEND = 'redis';
+  await assert.rejects(getStore(), /needs the `redis` package/);
+  process.env.STORAGE_BACKEND = 'memory';
+  const store = await getStore();
+  await store.set('k', 1);
+  assert.equal(await store.get('k'), 1);
+  delete process.env.STORAGE_BACKEND;
+});
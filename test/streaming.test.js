@@ -0,0 +1,125 @@
+/**
+ * Live progress: step labels from tool names, throttled edits of the placeholder and the streamed reply.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { registerBotHandlers } from '../src/bot.js';
+import { progressLabel } from '../src/claude-mcp.js';
+import { createLiveMessage } from '../src/live-message.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply } from './support/fake-anthropic.js';
+import { createFakeTelegramBot, buttonData } from './support/fake-telegram-bot.js';
+
+let chatId = 6000;
+
+let mock;
+let anthropic;
+let bot;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'off';
+  process.env.STREAM_EDIT_INTERVAL_MS = '1';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+test('progress labels come from tool names', () => {
+  assert.equal(progressLabel('swiggy_food__search_restaurants'), 'Searching restaurants…');
+  assert.equal(progressLabel('swiggy_food__get_restaurant_menu'), 'Loading menu…');
+  assert.equal(progressLabel('swiggy_food__update_food_cart'), 'Updating cart…');
+  assert.equal(progressLabel('swiggy_food__place_food_order'), 'Placing your order…');
+  assert.equal(progressLabel('swiggy_im__checkout'), 'Placing your order…');
+  assert.equal(progressLabel('swiggy_dineout__reserve_table'), 'Booking your table…');
+  assert.equal(progressLabel('swiggy_im__search_products'), 'Searching products…');
+  assert.equal(progressLabel('swiggy_food__rate_delivery'), 'Working on it (rate delivery)…');
+});
+
+test('edits are throttled to the latest text and wait out a 429', async () => {
+  const edits = [];
+  let failOnce = true;
+  const fakeBot = {
+    async editMessageText(text) {
+      if (failOnce && edits.length === 1) {
+        failOnce = false;
+        throw Object.assign(new Error('ETELEGRAM: 429 Too Many Requests'), { response: { body: { parameters: { retry_after: 0.1 } } } });
+      }
+      edits.push(text);
+    },
+  };
+  const live = createLiveMessage(fakeBot, { chatId: 1, messageId: 1, intervalMs: 40 });
+  for (const text of ['a', 'ab', 'abc', 'abcd']) live.update(text);
+  await sleep(10);
+  assert.deepEqual(edits, ['abcd']);
+
+  live.update('abcde');
+  live.update('abcdef');
+  await sleep(60);
+  assert.deepEqual(edits, ['abcd'], 'the 429 pauses edits');
+  await sleep(120);
+  assert.deepEqual(edits, ['abcd', 'abcdef']);
+
+  live.update('never shown');
+  await live.stop();
+  await sleep(60);
+  assert.equal(edits.at(-1), 'abcdef');
+});
+
+test('the placeholder shows each step, then becomes the reply', async () => {
+  chatId += 1;
+  anthropic.push(
+    toolUse('swiggy_food__get_addresses'),
+    toolUse('swiggy_food__search_restaurants', { query: 'biryani', addressId: 'addr-1' }),
+    reply('<b>Biryani near you:</b> Meghana Foods and Paradise Biryani are both open and deliver in about 30 minutes.')
+  );
+  const start = bot.sent.length;
+  await bot.sendText(chatId, 'Find biryani near me');
+
+  const placeholder = bot.messagesTo(chatId, start)[0];
+  const steps = bot.edits.filter((e) => e.chat_id === chatId).map((e) => e.text);
+  assert.ok(steps.includes('⏳ Getting your addresses…'), steps.join(' | '));
+  assert.ok(steps.includes('⏳ Searching restaurants…'), steps.join(' | '));
+  assert.equal(placeholder.text, '<b>Biryani near you:</b> Meghana Foods and Paradise Biryani are both open and deliver in about 30 minutes.');
+  assert.equal(placeholder.options.parse_mode, 'HTML');
+  assert.ok(!bot.deleted.some((d) => d.messageId === placeholder.message_id));
+});
+
+test('a claimed order that never happened is not streamed', async () => {
+  chatId += 1;
+  anthropic.push(reply('Great news — your order has been placed! Order ID 55555.'));
+  const start = bot.sent.length;
+  await bot.sendText(chatId, 'yes');
+  assert.ok(!bot.edits.some((e) => e.chat_id === chatId && /placed!/.test(e.text)));
+  assert.match(bot.messagesTo(chatId, start)[0].text, /I wasn't able to complete the order/);
+});
+
+test('after a Confirm prompt the reply arrives as a new message below it', async () => {
+  chatId += 1;
+  anthropic.push(
+    toolUse('swiggy_food__update_food_cart', { restaurantId: 'rest-1', addressId: 'addr-1', cartItems: [{ menu_item_id: 'item-1', quantity: 2 }] }),
+    toolUse('swiggy_food__place_food_order', { restaurantId: 'rest-1', addressId: 'addr-1' })
+  );
+  const start = bot.sent.length;
+  const turn = bot.sendText(chatId, 'Order two chicken biryanis from Meghana');
+  const confirmation = await bot.waitForMessage((m) => m.chat.id === chatId && buttonData(m).some((d) => d.startsWith('ord:')));
+  anthropic.push(reply('🎉 Order placed! Order ID: ORD-98765'));
+  await bot.press(confirmation, buttonData(confirmation).find((d) => d.endsWith(':yes')));
+  await turn;
+
+  const [placeholder] = bot.messagesTo(chatId, start);
+  assert.ok(bot.deleted.some((d) => d.messageId === placeholder.message_id));
+  const texts = bot.messagesTo(chatId, bot.sent.indexOf(confirmation) + 1).map((m) => m.text);
+  assert.match(texts[0], /Order placed! Order ID: ORD-98765/);
+});
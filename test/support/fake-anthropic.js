@@ -0,0 +1,87 @@
+/**
+ * Scripted stand-in for the Anthropic client: messages.create() returns the next step of a script.
+ * A step is a response object or a function (request, options) => response, so tests can assert on what
+ * Claude would have been sent before answering (options.signal is the turn's AbortSignal, if any).
+ */
+
+const USAGE = { input_tokens: 100, output_tokens: 20 };
+let nextToolUseId = 1;
+
+/**
+ * Response where Claude calls one or more tools: toolUse('swiggy_food__get_addresses', {}).
+ * Pass several [name, input] pairs to call tools in parallel.
+ */
+export function toolUse(name, input = {}, ...more) {
+  const calls = [[name, input], ...more];
+  return {
+    role: 'assistant',
+    stop_reason: 'tool_use',
+    content: calls.map(([n, i]) => ({ type: 'tool_use', id: `toolu_${nextToolUseId++}`, name: n, input: i })),
+    usage: { ...USAGE },
+  };
+}
+
+/** Final text response. */
+export function reply(text) {
+  return {
+    role: 'assistant',
+    stop_reason: 'end_turn',
+    content: [{ type: 'text', text }],
+    usage: { ...USAGE },
+  };
+}
+
+/**
+ * Fake client. script: steps consumed in order across all calls; add more with push().
+ * requests: every request body messages.create() received.
+ */
+export function createFakeAnthropic(script = []) {
+  const queue = [...script];
+  const requests = [];
+  return {
+    requests,
+    push(...steps) {
+      queue.push(...steps);
+    },
+    get remaining() {
+      return queue.length;
+    },
+    messages: {
+      async create(request, options = {}) {
+        requests.push(structuredClone(request));
+        const step = queue.shift();
+        if (!step) throw new Error('fake Anthropic: script exhausted');
+        return typeof step === 'function' ? step(request, options) : step;
+      },
+      /** Streaming: the same script step, with each text block fed to 'text' listeners in chunks. */
+      stream(request, options) {
+        const listeners = [];
+        const client = this;
+        return {
+          on(event, fn) {
+            if (event === 'text') listeners.push(fn);
+            return this;
+          },
+          async finalMessage() {
+            const message = await client.create(request, options);
+            for (const block of message.content.filter((b) => b.type === 'text')) {
+              let snapshot = '';
+              for (const delta of block.text.match(/[\s\S]{1,16}/g) || []) {
+                snapshot += delta;
+                for (const fn of listeners) fn(delta, snapshot);
+              }
+            }
+            return message;
+          },
+        };
+      },
+    },
+  };
+}
+
+/** Text of the last user message in a request (string content, or the tool results joined). */
+export function lastUserText(request) {
+  const last = request.messages[request.messages.length - 1];
+  if (typeof last.content === 'string') return last.content;
+  return last.content.map((b) => b.text ?? b.content ?? '').join('\n');
+}
@@ -0,0 +1,161 @@
+/**
+ * Minimal in-memory TelegramBot for driving registerBotHandlers() in tests.
+ * Records everything the bot sends (edits update the sent message); sendText() / sendVoiceNote() / sendPhoto() / press() feed updates in and wait
+ * for the handlers.
+ */
+
+import { Readable } from 'stream';
+
+export function createFakeTelegramBot() {
+  const listeners = new Map();
+  const waiters = [];
+  let nextMessageId = 1;
+  let nextCallbackId = 1;
+  // Files users sent, by file_id, for getFileStream()
+  const files = new Map();
+
+  function notify(message) {
+    for (const w of [...waiters]) {
+      if (w.predicate(message)) {
+        waiters.splice(waiters.indexOf(w), 1);
+        w.resolve(message);
+      }
+    }
+  }
+
+  const bot = {
+    sent: [],
+    deleted: [],
+    edits: [],
+    callbackAnswers: [],
+    // User ids getChatMember() reports as group administrators
+    admins: new Set(),
+
+    on(event, fn) {
+      if (!listeners.has(event)) listeners.set(event, []);
+      listeners.get(event).push(fn);
+    },
+
+    async sendMessage(chatId, text, options = {}) {
+      const message = { message_id: nextMessageId++, chat: { id: chatId }, text, options };
+      bot.sent.push(message);
+      notify(message);
+      return message;
+    },
+    async deleteMessage(chatId, messageId) {
+      bot.deleted.push({ chatId, messageId });
+      return true;
+    },
+    /** Edits are recorded and also change the sent message, like Telegram does. */
+    async editMessageText(text, options = {}) {
+      bot.edits.push({ text, ...options });
+      const message = bot.sent.find((m) => m.chat.id === options.chat_id && m.message_id === options.message_id);
+      if (message) {
+        if (message.text === text && !options.reply_markup) throw new Error('ETELEGRAM: 400 Bad Request: message is not modified');
+        const { chat_id, message_id, ...rest } = options;
+        message.text = text;
+        message.options = rest;
+        notify(message);
+      }
+      return true;
+    },
+    async editMessageReplyMarkup(replyMarkup, options = {}) {
+      bot.edits.push({ reply_markup: replyMarkup, ...options });
+      return true;
+    },
+    async answerCallbackQuery(id, options = {}) {
+      bot.callbackAnswers.push({ id, ...options });
+      return true;
+    },
+    async getChatMember(chatId, userId) {
+      return { user: { id: userId }, status: bot.admins.has(userId) ? 'administrator' : 'member' };
+    },
+    getFileStream(fileId) {
+      if (!files.has(fileId)) throw new Error(`fake Telegram: no file ${fileId}`);
+      return Readable.from([files.get(fileId)]);
+    },
+
+    /** Run every listener for an event and wait for all of them. */
+    async dispatch(event, payload) {
+      await Promise.all((listeners.get(event) || []).map((fn) => fn(payload)));
+    },
+
+    /** A user types a message (negative chat ids are groups). extra is merged in, e.g. { reply_to_message }. */
+    sendText(chatId, text, from = { id: chatId, username: `user${chatId}` }, extra = {}) {
+      return bot.dispatch('message', {
+        message_id: nextMessageId++,
+        chat: { id: chatId, type: chatId < 0 ? 'group' : 'private' },
+        from,
+        date: Math.floor(Date.now() / 1000),
+        text,
+        ...extra,
+      });
+    },
+
+    /** A user sends a voice note (audio is a Buffer the bot can download). */
+    sendVoiceNote(chatId, audio, { duration = 3, from = { id: chatId, username: `user${chatId}` } } = {}) {
+      const fileId = `voice-${files.size + 1}`;
+      files.set(fileId, audio);
+      return bot.dispatch('message', {
+        message_id: nextMessageId++,
+        chat: { id: chatId, type: 'private' },
+        from,
+        date: Math.floor(Date.now() / 1000),
+        voice: { file_id: fileId, duration, mime_type: 'audio/ogg', file_size: audio.length },
+      });
+    },
+
+    /** A user sends a photo (image is a Buffer), optionally with a caption. */
+    sendPhoto(chatId, image, { caption, from = { id: chatId, username: `user${chatId}` } } = {}) {
+      const fileId = `photo-${files.size + 1}`;
+      files.set(fileId, image);
+      return bot.dispatch('message', {
+        message_id: nextMessageId++,
+        chat: { id: chatId, type: 'private' },
+        from,
+        date: Math.floor(Date.now() / 1000),
+        caption,
+        photo: [
+          { file_id: `${fileId}-thumb`, width: 90, height: 120, file_size: 1000 },
+          { file_id: fileId, width: 960, height: 1280, file_size: image.length },
+        ],
+      });
+    },
+
+    /** A user presses an inline button on a message the bot sent. */
+    press(message, callbackData, from = { id: message.chat.id }) {
+      return bot.dispatch('callback_query', {
+        id: String(nextCallbackId++),
+        from,
+        message: { message_id: message.message_id, chat: message.chat },
+        data: callbackData,
+      });
+    },
+
+    /** Resolve with the first sent message (already sent or future) matching predicate. */
+    waitForMessage(predicate, timeoutMs = 2000) {
+      const existing = bot.sent.find(predicate);
+      if (existing) return Promise.resolve(existing);
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiters.push(waiter);
+        setTimeout(() => {
+          if (!waiters.includes(waiter)) return;
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error('fake Telegram: expected message was never sent'));
+        }, timeoutMs).unref();
+      });
+    },
+
+    /** Messages sent to a chat, optionally only those after index `from`. */
+    messagesTo(chatId, from = 0) {
+      return bot.sent.slice(from).filter((m) => m.chat.id === chatId);
+    },
+  };
+  return bot;
+}
+
+/** callback_data values of every button on a message. */
+export function buttonData(message) {
+  return (message.options?.reply_markup?.inline_keyboard || []).flat().map((b) => b.callback_data).filter(Boolean);
+}
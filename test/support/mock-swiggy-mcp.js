@@ -0,0 +1,225 @@
+/**
+ * Offline stand-in for mcp.swiggy.com/{food,im,dineout}: Streamable HTTP JSON-RPC
+ * (initialize, notifications/initialized, tools/list, tools/call) answered from test/fixtures.
+ * configure() switches on SSE responses, session ids, tools/list paging and dropped streams
+ * so the client's transport can be tested against the less friendly parts of the spec.
+ *
+ * Run it on its own for manual testing:
+ *   node test/support/mock-swiggy-mcp.js    then SWIGGY_MCP_ORIGIN=http://localhost:8931
+ */
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+
+const FIXTURES = {
+  food: 'swiggy-food.json',
+  im: 'swiggy-im.json',
+  dineout: 'swiggy-dineout.json',
+};
+
+/**
+ * Fresh copy of the fixtures: { food: { tools, responses, scenarios }, im: …, dineout: … }.
+ */
+export function loadFixtures() {
+  const out = {};
+  for (const [server, file] of Object.entries(FIXTURES)) {
+    out[server] = JSON.parse(readFileSync(new URL(`../fixtures/${file}`, import.meta.url), 'utf8'));
+  }
+  return out;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body == null ? '' : JSON.stringify(body));
+}
+
+const DEFAULT_OPTIONS = {
+  sse: false, // answer requests as text/event-stream
+  sessions: false, // hand out Mcp-Session-Id and 404 unknown sessions
+  pageSize: 0, // tools/list page size (0 = everything in one page)
+  dropStreams: false, // SSE: close the stream before the response; it must be resumed with Last-Event-ID
+  down: [], // verticals that answer every request with 503, like an outage
+};
+
+/**
+ * Start the mock on a random port (or options.port).
+ * options.token: Bearer token the mock accepts (null = accept anything).
+ * Returns { origin, calls, fixtures, respond(server, tool, payload), useScenario(server, tool, scenario),
+ *           configure(options), expireSessions(), reset(), close() }.
+ * A response may be a payload object, a (possibly async) function (args) => payload,
+ * { rpcError: { code, message } } or { httpStatus } for a bare HTTP error such as 503.
+ */
+export async function startMockSwiggyMcp({ token = 'test-token', port = 0 } = {}) {
+  let fixtures = loadFixtures();
+  const overrides = new Map();
+  const calls = [];
+  let options = { ...DEFAULT_OPTIONS };
+  const sessions = new Set();
+  // Events held back from dropped streams, by the id of the last event that was sent
+  const heldEvents = new Map();
+  let nextSession = 1;
+  let nextStream = 1;
+
+  /** Write events to an SSE response; with dropStreams, only the first one before closing. */
+  function sendEvents(res, messages) {
+    const stream = nextStream++;
+    const events = messages.map((m, i) => ({ id: `${stream}-${i + 1}`, data: JSON.stringify(m) }));
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    res.write(': mock stream\n\nretry: 10\n\n');
+    const now = options.dropStreams && events.length > 1 ? events.slice(0, 1) : events;
+    for (const ev of now) res.write(`id: ${ev.id}\ndata: ${ev.data}\n\n`);
+    if (now.length < events.length) heldEvents.set(now[now.length - 1].id, events.slice(now.length));
+    res.end();
+  }
+
+  /** JSON-RPC answer plus the notifications a real server might send before it. */
+  function answer(res, msg, result, extra = []) {
+    const response = { jsonrpc: '2.0', id: msg.id, ...result };
+    if (!options.sse) return send(res, 200, response);
+    const progressToken = msg.params?._meta?.progressToken;
+    const notes = [
+      { jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: `mock: ${msg.method}` } },
+      ...extra,
+    ];
+    if (progressToken !== undefined) {
+      notes.push({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken, progress: 1, total: 2, message: 'working' } });
+    }
+    return sendEvents(res, [...notes, response]);
+  }
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', async () => {
+      const vertical = req.url.replace(/^\/+|\/+$/g, '');
+      const fixture = fixtures[vertical];
+      if (!fixture || !['POST', 'GET'].includes(req.method)) return send(res, 404, { error: 'not found' });
+      if (options.down.includes(vertical)) {
+        calls.push({ server: vertical, method: 'down' });
+        return send(res, 503, { error: 'service unavailable' });
+      }
+      if (token && req.headers.authorization !== `Bearer ${token}`) {
+        return send(res, 401, { error: 'unauthorized', error_description: 'invalid_token' });
+      }
+      if (req.method === 'GET') {
+        const lastEventId = req.headers['last-event-id'];
+        calls.push({ server: vertical, method: 'GET', lastEventId });
+        const held = heldEvents.get(lastEventId);
+        if (!held) return send(res, 405, null);
+        heldEvents.delete(lastEventId);
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const ev of held) res.write(`id: ${ev.id}\ndata: ${ev.data}\n\n`);
+        return res.end();
+      }
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch {
+        return send(res, 400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      }
+      calls.push({
+        server: vertical,
+        method: msg.method,
+        id: msg.id,
+        name: msg.params?.name,
+        arguments: msg.params?.arguments,
+        cursor: msg.params?.cursor,
+        session: req.headers['mcp-session-id'],
+      });
+
+      if (options.sessions && msg.method !== 'initialize' && !sessions.has(req.headers['mcp-session-id'])) {
+        return send(res, 404, { jsonrpc: '2.0', id: msg.id ?? null, error: { code: -32001, message: 'Session not found' } });
+      }
+
+      switch (msg.method) {
+        case 'initialize': {
+          const headers = {};
+          if (options.sessions) {
+            headers['Mcp-Session-Id'] = `mock-session-${nextSession++}`;
+            sessions.add(headers['Mcp-Session-Id']);
+          }
+          return send(res, 200, {
+            jsonrpc: '2.0',
+            id: msg.id,
+            result: {
+              protocolVersion: '2025-03-26',
+              capabilities: { tools: {} },
+              serverInfo: { name: `mock-swiggy-${vertical}`, version: '0.0.0' },
+            },
+          }, headers);
+        }
+        case 'notifications/initialized':
+          return send(res, 202, null);
+        case 'tools/list': {
+          if (!options.pageSize) return answer(res, msg, { result: { tools: fixture.tools } });
+          const start = Number(msg.params?.cursor || 0);
+          const end = start + options.pageSize;
+          const result = { tools: fixture.tools.slice(start, end) };
+          if (end < fixture.tools.length) result.nextCursor = String(end);
+          return answer(res, msg, { result });
+        }
+        case 'tools/call': {
+          const name = msg.params?.name;
+          const key = `${vertical}/${name}`;
+          let response = overrides.has(key) ? overrides.get(key) : fixture.responses[name];
+          if (response === undefined) {
+            return answer(res, msg, { error: { code: -32602, message: `Unknown tool: ${name}` } });
+          }
+          if (typeof response === 'function') response = await response(msg.params?.arguments || {});
+          if (response?.rpcError) return answer(res, msg, { error: response.rpcError });
+          if (response?.httpStatus) return send(res, response.httpStatus, { error: `mock HTTP ${response.httpStatus}` });
+          return answer(res, msg, { result: { content: [{ type: 'text', text: JSON.stringify(response) }] } });
+        }
+        default:
+          // Responses to requests the server sent (e.g. ping) are acknowledged like notifications
+          if (msg.method === undefined) return send(res, 202, null);
+          return send(res, 200, { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Method not found: ${msg.method}` } });
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin,
+    calls,
+    get fixtures() {
+      return fixtures;
+    },
+    respond(vertical, tool, response) {
+      overrides.set(`${vertical}/${tool}`, response);
+    },
+    useScenario(vertical, tool, scenario) {
+      overrides.set(`${vertical}/${tool}`, fixtures[vertical].scenarios[scenario]);
+    },
+    configure(next) {
+      options = { ...options, ...next };
+    },
+    /** Forget every session id, as a restarted server would. */
+    expireSessions() {
+      sessions.clear();
+    },
+    reset() {
+      fixtures = loadFixtures();
+      overrides.clear();
+      calls.length = 0;
+      options = { ...DEFAULT_OPTIONS };
+      sessions.clear();
+      heldEvents.clear();
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const mock = await startMockSwiggyMcp({
+    token: process.env.MOCK_MCP_TOKEN || null,
+    port: Number(process.env.MOCK_MCP_PORT) || 8931,
+  });
+  console.log(`Mock Swiggy MCP listening on ${mock.origin} (/food, /im, /dineout)`);
+}
@@ -0,0 +1,100 @@
+/**
+ * Telegram output: the HTML sanitiser, the 4096-character splitter and long replies end to end.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerBotHandlers } from '../src/bot.js';
+import { sanitizeHtml, splitMessage, stripHtml, TELEGRAM_MAX_CHARS } from '../src/telegram-html.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, reply } from './support/fake-anthropic.js';
+import { createFakeTelegramBot } from './support/fake-telegram-bot.js';
+
+const CHAT = 4242;
+
+let mock;
+let anthropic;
+let bot;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'off';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+/** Tags open at the end of html, or null when a close tag doesn't match. */
+function unbalanced(html) {
+  const stack = [];
+  for (const [, slash, name] of html.matchAll(/<(\/?)([a-z][a-z0-9-]*)[^>]*>/gi)) {
+    if (!slash) stack.push(name);
+    else if (stack.pop() !== name) return null;
+  }
+  return stack;
+}
+
+test('only tags Telegram allows are kept, and stray characters are escaped', () => {
+  assert.equal(sanitizeHtml('<b>Paneer</b> & <em>naan</em> for 2 < 3 people'), '<b>Paneer</b> &amp; <em>naan</em> for 2 &lt; 3 people');
+  assert.equal(sanitizeHtml('<h3>Menu</h3><ul><li>Dal</li><li>Roti</li></ul>'), '<b>Menu</b>\n• Dal\n• Roti');
+  assert.equal(sanitizeHtml('Line one<br>Line two<br/>'), 'Line one\nLine two');
+  assert.equal(sanitizeHtml('<div class="x"><span style="color:red">Red</span> <font>text</font></div>'), 'Red text');
+  assert.equal(sanitizeHtml('<a href="javascript:alert(1)">x</a> <a href="https://swiggy.com/?a=1&b=2">Swiggy</a>'), 'x <a href="https://swiggy.com/?a=1&amp;b=2">Swiggy</a>');
+  assert.equal(sanitizeHtml('<code>a <b>b</b></code>'), '<code>a b</code>');
+  assert.equal(sanitizeHtml('Total&nbsp;&#8377;702 &amp; tax'), 'Total &#8377;702 &amp; tax');
+});
+
+test('unbalanced tags are closed, reordered or dropped', () => {
+  assert.equal(sanitizeHtml('<b>Cart: <i>2 items'), '<b>Cart: <i>2 items</i></b>');
+  assert.equal(sanitizeHtml('<b>bold <i>both</b> italic</i>'), '<b>bold <i>both</i></b><i> italic</i>');
+  assert.equal(sanitizeHtml('done</b></i>'), 'done');
+  assert.equal(sanitizeHtml('<b></b>empty'), 'empty');
+});
+
+test('long messages split on line boundaries, each chunk valid and within the limit', () => {
+  const lines = Array.from({ length: 200 }, (_, i) => `• <b>Item ${i + 1}</b> — ₹${100 + i} <i>(veg)</i>`);
+  const html = sanitizeHtml(`<b>Menu</b>\n\n${lines.join('\n')}`);
+  const chunks = splitMessage(html, 1000);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 1000, `chunk of ${chunk.length}`);
+    assert.deepEqual(unbalanced(chunk), []);
+    assert.match(chunk, /\(veg\)<\/i>$/, 'chunks end at the end of an item');
+  }
+  assert.equal(chunks.map(stripHtml).join('\n'), stripHtml(html));
+
+  // One tag around more text than fits: closed at each cut and reopened in the next chunk
+  const wide = splitMessage(`<i>${'word '.repeat(600).trim()}</i>`, 1000);
+  assert.ok(wide.length >= 3);
+  for (const chunk of wide) {
+    assert.ok(chunk.length <= 1000);
+    assert.match(chunk, /^<i>.*<\/i>$/s);
+  }
+  assert.deepEqual(splitMessage('short'), ['short']);
+});
+
+test('a reply longer than Telegram allows arrives in several messages', async () => {
+  const items = Array.from({ length: 150 }, (_, i) => `<b>${i + 1}. Chicken Biryani Family Pack</b> — ₹${400 + i}<br>`).join('');
+  anthropic.push(reply(`<h2>Meghana Foods menu</h2>${items}<p>Tell me what to add`));
+  const start = bot.sent.length;
+  await bot.sendText(CHAT, 'Show me the full menu');
+
+  const messages = bot.messagesTo(CHAT, start);
+  assert.ok(messages.length >= 2, `${messages.length} messages`);
+  for (const m of messages) {
+    assert.ok(m.text.length <= TELEGRAM_MAX_CHARS);
+    assert.deepEqual(unbalanced(m.text), []);
+    assert.equal(m.options.parse_mode, 'HTML');
+  }
+  assert.match(messages[0].text, /^<b>Meghana Foods menu<\/b>/, 'the first part replaces the placeholder');
+  assert.match(messages.at(-1).text, /Tell me what to add$/);
+});
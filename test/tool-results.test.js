@@ -0,0 +1,139 @@
+/**
+ * Tool results between MCP and Claude: per-chat cache of read-only calls, trimmed payloads with the
+ * full one behind bot__tool_result_details, and prompt-cache breakpoints on the system prompt and tools.
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { chatWithClaudeMcp, clearCaches } from '../src/claude-mcp.js';
+import { isCacheableTool, DETAILS_TOOL_NAME } from '../src/tool-results.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply } from './support/fake-anthropic.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.AUDIT_LOG = 'off';
+});
+
+after(async () => {
+  await mock.close();
+});
+
+afterEach(() => {
+  delete process.env.TOOL_CACHE_SECONDS;
+  mock.reset();
+  clearCaches();
+});
+
+const callsTo = (name) => mock.calls.filter((c) => c.name === name).length;
+const lastToolResult = (request) => request.messages.at(-1).content.find((b) => b.type === 'tool_result').content;
+
+// A menu big enough to be trimmed: long descriptions, images and variants on every item
+const bigMenu = () => ({
+  success: true,
+  data: {
+    menu: {
+      categories: [
+        {
+          name: 'Biryani',
+          items: Array.from({ length: 40 }, (_, i) => ({
+            id: `item-${i + 1}`,
+            name: `Biryani ${i + 1}`,
+            price: 250 + i,
+            inStock: i % 7 !== 0,
+            description: 'Slow-cooked basmati rice layered with spiced meat, saffron and fried onions. '.repeat(3),
+            imageUrl: `https://media.example.com/biryani-${i + 1}.jpg`,
+            variants: [{ id: `v-${i + 1}-half`, name: 'Half', price: 180 }, { id: `v-${i + 1}-full`, name: 'Full', price: 250 + i }],
+          })),
+        },
+      ],
+    },
+  },
+});
+
+test('only searches, menus and addresses are cached', () => {
+  for (const name of ['swiggy_food__search_restaurants', 'swiggy_food__get_restaurant_menu', 'swiggy_im__search_products', 'swiggy_food__get_addresses']) {
+    assert.equal(isCacheableTool(name), true, name);
+  }
+  for (const name of ['swiggy_food__get_food_cart', 'swiggy_food__update_food_cart', 'swiggy_food__track_food_order', 'swiggy_dineout__get_available_slots']) {
+    assert.equal(isCacheableTool(name), false, name);
+  }
+});
+
+test('the same search in the same chat is answered from the cache', async () => {
+  const search = () => toolUse('swiggy_food__search_restaurants', { query: 'biryani', addressId: 'addr-1' });
+  const anthropic = createFakeAnthropic([search(), reply('Found some.'), search(), reply('Same ones.'), search(), reply('Another chat.')]);
+  const before = callsTo('search_restaurants');
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Find biryani', swiggyAuthToken: 'test-token', chatId: 9101 });
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Find biryani again', swiggyAuthToken: 'test-token', chatId: 9101 });
+  assert.equal(callsTo('search_restaurants'), before + 1);
+  assert.equal(lastToolResult(anthropic.requests[3]), lastToolResult(anthropic.requests[1]));
+
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Find biryani', swiggyAuthToken: 'test-token', chatId: 9102 });
+  assert.equal(callsTo('search_restaurants'), before + 2, 'other chats have their own cache');
+
+  process.env.TOOL_CACHE_SECONDS = '0';
+  anthropic.push(search(), reply('Fresh.'));
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Find biryani', swiggyAuthToken: 'test-token', chatId: 9101 });
+  assert.equal(callsTo('search_restaurants'), before + 3, 'TOOL_CACHE_SECONDS=0 turns it off');
+});
+
+test('a large menu reaches Claude trimmed, session state still gets every item', async () => {
+  mock.respond('food', 'get_restaurant_menu', bigMenu());
+  const anthropic = createFakeAnthropic([toolUse('swiggy_food__get_restaurant_menu', { restaurantId: 'rest-1', addressId: 'addr-1' }), reply('Here is the menu.')]);
+  const sessionState = {};
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Show the menu', swiggyAuthToken: 'test-token', sessionState, chatId: 9201 });
+
+  const seen = lastToolResult(anthropic.requests[1]);
+  const full = JSON.stringify(bigMenu());
+  assert.ok(seen.length < full.length / 2, `${seen.length} vs ${full.length}`);
+  assert.match(seen, /"id":"item-1","name":"Biryani 1","price":250,"inStock":false/);
+  assert.doesNotMatch(seen, /Slow-cooked|imageUrl|v-1-half/);
+  assert.match(seen, /…and 10 more/);
+  assert.match(seen, new RegExp(`call ${DETAILS_TOOL_NAME} with resultId "r\\d+"`));
+  assert.equal(sessionState.menuItems.length, 40);
+});
+
+test('the full payload is available through the details tool in a later turn', async () => {
+  mock.respond('food', 'get_restaurant_menu', bigMenu());
+  let resultId;
+  const anthropic = createFakeAnthropic([
+    toolUse('swiggy_food__get_restaurant_menu', { restaurantId: 'rest-1', addressId: 'addr-1' }),
+    (request) => {
+      [, resultId] = lastToolResult(request).match(/resultId "(r\d+)"/);
+      return reply('Here is the menu.');
+    },
+  ]);
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Show the menu', swiggyAuthToken: 'test-token', chatId: 9301 });
+  assert.ok(anthropic.requests[0].tools.some((t) => t.name === DETAILS_TOOL_NAME));
+
+  anthropic.push(
+    toolUse(DETAILS_TOOL_NAME, { resultId, itemId: 'item-12' }),
+    toolUse(DETAILS_TOOL_NAME, { resultId }),
+    reply('Half or full?')
+  );
+  await chatWithClaudeMcp({ anthropic, userMessage: 'What sizes does Biryani 12 come in?', swiggyAuthToken: 'test-token', chatId: 9301 });
+  const [one, all] = anthropic.requests.slice(-2).map(lastToolResult);
+  assert.equal(JSON.parse(one).id, 'item-12');
+  assert.deepEqual(JSON.parse(one).variants.map((v) => v.id), ['v-12-half', 'v-12-full']);
+  assert.equal(all, JSON.stringify(bigMenu()));
+
+  anthropic.push(toolUse(DETAILS_TOOL_NAME, { resultId }), reply('Gone.'));
+  await chatWithClaudeMcp({ anthropic, userMessage: 'And the rest?', swiggyAuthToken: 'test-token', chatId: 9302 });
+  assert.match(lastToolResult(anthropic.requests.at(-1)), /^Error: result r\d+ is no longer available/, 'not visible from another chat');
+});
+
+test('the system prompt and the MCP tool definitions are marked for prompt caching', async () => {
+  const anthropic = createFakeAnthropic([reply('Hi!')]);
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Hi', swiggyAuthToken: 'test-token', chatId: 9401 });
+  const [request] = anthropic.requests;
+  assert.deepEqual(request.system[0].cache_control, { type: 'ephemeral' });
+  assert.match(request.system[0].text, /helpful Swiggy assistant/);
+  const marked = request.tools.filter((t) => t.cache_control);
+  assert.equal(marked.length, 1);
+  assert.ok(marked[0].name.startsWith('swiggy_'), 'after the last MCP tool, before bot-side tools');
+  assert.equal(request.tools.at(-1).name, DETAILS_TOOL_NAME);
+});
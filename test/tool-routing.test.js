@@ -0,0 +1,101 @@
+/**
+ * Tool routing: each request gets the tools of the service it is about, and the set widens when
+ * Claude needs another one (bot__load_tools, or calling a tool outside the route).
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { chatWithClaudeMcp, clearCaches } from '../src/claude-mcp.js';
+import { classifyIntent, LOAD_TOOLS_NAME } from '../src/tool-routing.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply } from './support/fake-anthropic.js';
+
+let mock;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.AUDIT_LOG = 'off';
+});
+
+after(async () => {
+  await mock.close();
+});
+
+afterEach(() => {
+  delete process.env.TOOL_ROUTING;
+  mock.reset();
+  clearCaches();
+});
+
+const toolNames = (request) => request.tools.map((t) => t.name);
+const servers = (request) => [...new Set(toolNames(request).map((n) => n.split('__')[0]))].sort();
+const systemText = (request) => request.system.map((b) => b.text).join('\n');
+
+test('intent comes from the message, then from the session', () => {
+  assert.deepEqual(classifyIntent('Find biryani near me'), ['food']);
+  assert.deepEqual(classifyIntent('Get milk and 6 eggs from Instamart'), ['grocery']);
+  assert.deepEqual(classifyIntent('Book a table for 4 tonight at 8'), ['dineout']);
+  assert.deepEqual(classifyIntent('Where is my order?'), ['account']);
+  assert.deepEqual(classifyIntent('Order pizza and some milk'), ['food', 'grocery']);
+  assert.deepEqual(classifyIntent('yes', { toolRoute: ['grocery'] }), ['grocery'], 'follow-ups keep the last route');
+  assert.deepEqual(classifyIntent('the second one', { restaurantId: 'rest-1' }), ['food']);
+  assert.equal(classifyIntent('hi'), null, 'nothing to go on: every tool');
+});
+
+test('a food request gets food tools plus addresses and tracking, not Instamart or Dineout', async () => {
+  const anthropic = createFakeAnthropic([reply('Meghana Foods is open.')]);
+  const sessionState = {};
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Find biryani near me', swiggyAuthToken: 'test-token', sessionState });
+  const [request] = anthropic.requests;
+  assert.deepEqual(servers(request), ['bot', 'swiggy_food']);
+  assert.ok(toolNames(request).includes(LOAD_TOOLS_NAME));
+  assert.match(systemText(request), /TOOLS FOR THIS REQUEST: Swiggy Food, plus addresses and order tracking\. If the user needs grocery or dineout/);
+  assert.deepEqual(sessionState.toolRoute, ['food']);
+});
+
+test('a tracking question gets only the account tools', async () => {
+  const anthropic = createFakeAnthropic([reply('It is on the way.')]);
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Where is my order?', swiggyAuthToken: 'test-token' });
+  const mcpTools = toolNames(anthropic.requests[0]).filter((n) => !n.startsWith('bot__'));
+  assert.deepEqual(mcpTools.sort(), ['swiggy_food__get_addresses', 'swiggy_food__track_food_order']);
+});
+
+test('Claude widens the route with bot__load_tools', async () => {
+  const anthropic = createFakeAnthropic([
+    toolUse(LOAD_TOOLS_NAME, { services: ['grocery'] }),
+    toolUse('swiggy_im__search_products', { query: 'milk' }),
+    reply('Amul Taaza is ₹56.'),
+  ]);
+  const sessionState = {};
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Find biryani, and is there anything to drink with it?', swiggyAuthToken: 'test-token', sessionState });
+  const [first, second] = anthropic.requests;
+  assert.ok(!servers(first).includes('swiggy_im'));
+  assert.match(second.messages.at(-1).content[0].content, /^Loaded\. New tools: .*swiggy_im__search_products/);
+  assert.ok(servers(second).includes('swiggy_im'));
+  assert.doesNotMatch(systemText(second), /If the user needs grocery/);
+  assert.ok(mock.calls.some((c) => c.server === 'im' && c.name === 'search_products'));
+  assert.deepEqual(sessionState.toolRoute, ['food', 'grocery'], 'the wider route carries over to follow-ups');
+});
+
+test('calling a tool outside the route runs it and adds its service', async () => {
+  const anthropic = createFakeAnthropic([
+    toolUse('swiggy_dineout__search_restaurants_dineout', { query: 'Truffles' }),
+    reply('Truffles has tables tonight.'),
+  ]);
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Is Truffles any good for biryani?', swiggyAuthToken: 'test-token' });
+  assert.ok(!servers(anthropic.requests[0]).includes('swiggy_dineout'));
+  assert.ok(mock.calls.some((c) => c.name === 'search_restaurants_dineout'));
+  assert.ok(servers(anthropic.requests[1]).includes('swiggy_dineout'));
+});
+
+test('no intent, or TOOL_ROUTING=off, sends every tool', async () => {
+  const anthropic = createFakeAnthropic([reply('Hi!'), reply('Here you go.')]);
+  await chatWithClaudeMcp({ anthropic, userMessage: 'hi', swiggyAuthToken: 'test-token' });
+  process.env.TOOL_ROUTING = 'off';
+  await chatWithClaudeMcp({ anthropic, userMessage: 'Find biryani near me', swiggyAuthToken: 'test-token' });
+  for (const request of anthropic.requests) {
+    assert.deepEqual(servers(request), ['bot', 'swiggy_dineout', 'swiggy_food', 'swiggy_im']);
+    assert.ok(!toolNames(request).includes(LOAD_TOOLS_NAME));
+  }
+});
@@ -0,0 +1,85 @@
+/**
+ * Token usage: summed over every tool-loop round, priced, shown by /usage and capped per day.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerBotHandlers } from '../src/bot.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { estimateCost, getUsage } from '../src/usage.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply } from './support/fake-anthropic.js';
+import { createFakeTelegramBot } from './support/fake-telegram-bot.js';
+
+const CHAT = 9191;
+const alice = { id: 5, first_name: 'Alice' };
+
+let mock;
+let anthropic;
+let bot;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'off';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+async function lastText(chatId, fn) {
+  const start = bot.sent.length;
+  await fn();
+  return bot.messagesTo(chatId, start).at(-1).text;
+}
+
+test('cost estimates use the price table, overridable per model', () => {
+  const counts = { input: 1_000_000, output: 100_000, cacheWrite: 0, cacheRead: 1_000_000 };
+  assert.equal(estimateCost(counts, 'claude-haiku-4-5'), 1 + 0.5 + 0.1);
+  assert.equal(estimateCost(counts, 'unknown-model'), 0);
+  process.env.USAGE_PRICES = JSON.stringify({ 'claude-haiku-4-5': { output: 10 } });
+  assert.equal(estimateCost(counts, 'claude-haiku-4-5'), 1 + 1 + 0.1);
+  delete process.env.USAGE_PRICES;
+});
+
+test('usage from every round is added up, cache tokens included, and shown by /usage', async () => {
+  const cached = reply('Here is Meghana Foods.');
+  cached.usage = { input_tokens: 50, output_tokens: 30, cache_creation_input_tokens: 0, cache_read_input_tokens: 400 };
+  // Two tool rounds at 120 tokens each, then the final answer
+  anthropic.push(toolUse('swiggy_food__get_addresses'), toolUse('swiggy_food__search_restaurants', { query: 'biryani' }), cached);
+  await bot.sendText(CHAT, 'Find biryani near me', alice);
+
+  const [day] = Object.values((await getUsage(CHAT)).days);
+  assert.deepEqual(
+    { input: day.input, output: day.output, cacheRead: day.cacheRead, requests: day.requests },
+    { input: 250, output: 70, cacheRead: 400, requests: 1 }
+  );
+  assert.equal(day.users[alice.id].requests, 1);
+
+  const text = await lastText(CHAT, () => bot.sendText(CHAT, '/usage', alice));
+  assert.match(text, /Today: 720 tokens, 400 from cache in 1 request — about \$0\.001/);
+  assert.match(text, /No daily token limit/);
+});
+
+test('over the daily quota the bot says so instead of calling Anthropic', async () => {
+  assert.match(await lastText(CHAT, () => bot.sendText(CHAT, '/usage limit 700', alice)), /700 tokens — <b>0 left today<\/b>/);
+  const calls = anthropic.requests.length;
+  const text = await lastText(CHAT, () => bot.sendText(CHAT, 'Find pizza near me', alice));
+  assert.match(text, /used today's assistant allowance \(720 of 700 tokens\)/);
+  assert.equal(anthropic.requests.length, calls);
+
+  await bot.sendText(CHAT, '/forget', alice);
+  assert.match(await lastText(CHAT, () => bot.sendText(CHAT, 'Find pizza near me', alice)), /used today's assistant allowance/, '/forget does not reset the quota');
+  assert.equal(anthropic.requests.length, calls);
+
+  await bot.sendText(CHAT, '/usage limit off', alice);
+  anthropic.push(reply('Pizza places near you.'));
+  assert.equal(await lastText(CHAT, () => bot.sendText(CHAT, 'Find pizza near me', alice)), 'Pizza places near you.');
+});
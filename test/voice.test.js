@@ -0,0 +1,108 @@
+/**
+ * Voice notes: download → transcriber → "I heard: …" → the same Claude turn as typed text.
+ * The whisper.cpp backend is exercised with stand-in ffmpeg / whisper-cli scripts.
+ */
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, chmod, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { registerBotHandlers } from '../src/bot.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { setTranscriber, createWhisperCppTranscriber, cleanTranscript } from '../src/speech-to-text.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, reply, lastUserText } from './support/fake-anthropic.js';
+import { createFakeTelegramBot } from './support/fake-telegram-bot.js';
+
+const CHAT = 5151;
+const OGG = Buffer.from('OggS fake opus data');
+
+let mock;
+let anthropic;
+let bot;
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'off';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+afterEach(() => setTranscriber(null));
+
+test('a voice note is echoed back and handled like typed text', async () => {
+  const heard = [];
+  setTranscriber({
+    name: 'fake',
+    async transcribe(audio, options) {
+      heard.push({ audio, options });
+      return ' [BLANK_AUDIO] Add two Amul milk   to my Instamart cart ';
+    },
+  });
+  anthropic.push((request) => {
+    assert.equal(lastUserText(request).split('\n').pop(), 'Add two Amul milk to my Instamart cart');
+    return reply('Added 2 × Amul Milk.');
+  });
+
+  const start = bot.sent.length;
+  await bot.sendVoiceNote(CHAT, OGG);
+  const texts = bot.messagesTo(CHAT, start).map((m) => m.text);
+  assert.deepEqual(heard[0].audio, OGG);
+  assert.equal(heard[0].options.mimeType, 'audio/ogg');
+  assert.ok(texts.includes('🎙 I heard: <i>Add two Amul milk to my Instamart cart</i>'));
+  assert.equal(texts.at(-1), 'Added 2 × Amul Milk.');
+});
+
+test('silence, missing setup and long notes never reach Claude', async () => {
+  const requests = anthropic.requests.length;
+  setTranscriber({ name: 'fake', transcribe: async () => '[BLANK_AUDIO]' });
+  await bot.sendVoiceNote(CHAT, OGG);
+  assert.match(bot.messagesTo(CHAT).at(-1).text, /couldn't make out any words/);
+
+  setTranscriber(createWhisperCppTranscriber({ model: undefined }));
+  await bot.sendVoiceNote(CHAT, OGG);
+  assert.match(bot.messagesTo(CHAT).at(-1).text, /aren't set up/);
+
+  await bot.sendVoiceNote(CHAT, OGG, { duration: 600 });
+  assert.match(bot.messagesTo(CHAT).at(-1).text, /too long/);
+  assert.equal(anthropic.requests.length, requests);
+});
+
+test('whisper.cpp backend converts with ffmpeg and reads the text output', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'stt-test-'));
+  try {
+    const ffmpeg = join(dir, 'ffmpeg');
+    const whisper = join(dir, 'whisper-cli');
+    const model = join(dir, 'ggml-tiny.bin');
+    // ffmpeg: the output path is the last argument
+    await writeFile(ffmpeg, '#!/bin/sh\nfor a; do last=$a; done\nprintf RIFF > "$last"\n');
+    // whisper-cli: check it got the WAV and model, write <of>.txt
+    await writeFile(
+      whisper,
+      '#!/bin/sh\nwhile [ $# -gt 0 ]; do case $1 in -of) of=$2; shift;; -f) f=$2; shift;; -l) l=$2; shift;; esac; shift; done\n' +
+        '[ "$(cat "$f")" = RIFF ] || exit 3\nprintf " Book a table for two [MUSIC] (%s)\\n" "$l" > "$of.txt"\n'
+    );
+    await writeFile(model, 'model');
+    await chmod(ffmpeg, 0o755);
+    await chmod(whisper, 0o755);
+    process.env.FFMPEG_BIN = ffmpeg;
+    const stt = createWhisperCppTranscriber({ bin: whisper, model, language: 'en' });
+    assert.equal(cleanTranscript(await stt.transcribe(OGG, { mimeType: 'audio/ogg' })), 'Book a table for two (en)');
+
+    const missing = createWhisperCppTranscriber({ bin: join(dir, 'nope'), model });
+    await assert.rejects(missing.transcribe(OGG), (err) => err.code === 'STT_UNAVAILABLE');
+  } finally {
+    delete process.env.FFMPEG_BIN;
+    await rm(dir, { recursive: true, force: true });
+  }
+});
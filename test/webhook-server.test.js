@@ -0,0 +1,128 @@
+/**
+ * Webhook mode: the secret-token check, /healthz and /readyz, and draining in-flight orders on shutdown.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerBotHandlers, drainBot, isDraining } from '../src/bot.js';
+import { startHttpServer } from '../src/webhook-server.js';
+import { setStore, createMemoryStore } from '../src/storage.js';
+import { startMockSwiggyMcp } from './support/mock-swiggy-mcp.js';
+import { createFakeAnthropic, toolUse, reply } from './support/fake-anthropic.js';
+import { createFakeTelegramBot, buttonData } from './support/fake-telegram-bot.js';
+
+const SECRET = 'webhook-secret_123';
+
+let mock;
+let anthropic;
+let bot;
+let server;
+let base;
+const updates = [];
+
+before(async () => {
+  mock = await startMockSwiggyMcp({ token: 'test-token' });
+  process.env.SWIGGY_MCP_ORIGIN = mock.origin;
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+  process.env.TELEGRAM_BOT_TOKEN = 'telegram-token';
+  process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+  process.env.READY_CACHE_SECONDS = '0';
+  process.env.AUDIT_LOG = 'off';
+  process.env.ACCESS_CONTROL = 'off';
+  setStore(createMemoryStore());
+  anthropic = createFakeAnthropic();
+  bot = createFakeTelegramBot();
+  registerBotHandlers(bot, { anthropic });
+  server = await startHttpServer({ port: 0, webhookPath: '/telegram', secretToken: SECRET, onUpdate: (u) => updates.push(u), isDraining });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await mock.close();
+});
+
+function postUpdate(body, secret = SECRET) {
+  return fetch(`${base}/telegram`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(secret && { 'X-Telegram-Bot-Api-Secret-Token': secret }) },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+}
+
+test('updates are only accepted with the secret token', async () => {
+  assert.equal((await postUpdate({ update_id: 1 }, null)).status, 401);
+  assert.equal((await postUpdate({ update_id: 2 }, 'wrong')).status, 401);
+  assert.equal((await postUpdate('{not json')).status, 400);
+  assert.deepEqual(updates, []);
+
+  const res = await postUpdate({ update_id: 3, message: { text: 'hi' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(updates, [{ update_id: 3, message: { text: 'hi' } }]);
+  assert.equal((await fetch(`${base}/telegram`)).status, 404);
+});
+
+test('/healthz is always up; /readyz checks keys and every MCP server', async () => {
+  const health = await fetch(`${base}/healthz`);
+  assert.equal(health.status, 200);
+  assert.equal((await health.json()).ok, true);
+
+  const ready = await fetch(`${base}/readyz`);
+  const report = await ready.json();
+  assert.equal(ready.status, 200, JSON.stringify(report));
+  assert.equal(report.checks.anthropic.ok, true);
+  assert.equal(report.checks.mcp.swiggy_food.ok, true);
+
+  delete process.env.ANTHROPIC_API_KEY;
+  process.env.SWIGGY_AUTH_TOKEN = 'revoked-token';
+  const notReady = await fetch(`${base}/readyz`);
+  const failed = await notReady.json();
+  assert.equal(notReady.status, 503);
+  assert.match(failed.checks.anthropic.error, /ANTHROPIC_API_KEY/);
+  assert.equal(failed.checks.mcp.swiggy_food.ok, false);
+  process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+  process.env.SWIGGY_AUTH_TOKEN = 'test-token';
+});
+
+function orderTools(quantity) {
+  return [
+    toolUse('swiggy_food__update_food_cart', { restaurantId: 'rest-1', addressId: 'addr-1', cartItems: [{ menu_item_id: 'item-1', quantity }] }),
+    toolUse('swiggy_food__place_food_order', { restaurantId: 'rest-1', addressId: 'addr-1' }),
+  ];
+}
+
+async function startOrder(chatId, text, quantity) {
+  anthropic.push(...orderTools(quantity));
+  const turn = bot.sendText(chatId, text);
+  const confirmation = await bot.waitForMessage((m) => m.chat.id === chatId && buttonData(m).some((d) => d.startsWith('ord:')));
+  return { turn, confirmation };
+}
+
+test('on shutdown in-flight orders finish, unanswered confirmations are cancelled and new requests turned away', async () => {
+  const confirmed = await startOrder(7101, 'Order two chicken biryanis from Meghana', 2);
+  const abandoned = await startOrder(7102, 'Order one chicken biryani', 1);
+  const placed = () => mock.calls.filter((c) => c.name === 'place_food_order').length;
+
+  anthropic.push(reply('🎉 Order placed! Order ID: ORD-98765'));
+  const drained = drainBot({ timeoutMs: 300 });
+  const ready = await fetch(`${base}/readyz`);
+  assert.equal(ready.status, 503);
+  assert.equal((await ready.json()).draining, true);
+
+  let start = bot.sent.length;
+  await bot.sendText(7103, 'Find me some pizza');
+  assert.match(bot.messagesTo(7103, start).at(-1).text, /restarting/);
+
+  // Confirm still works while draining
+  await bot.press(confirmed.confirmation, buttonData(confirmed.confirmation).find((d) => d.endsWith(':yes')));
+  await confirmed.turn;
+  assert.equal(placed(), 1);
+
+  // The other one is never answered: cancelled at the deadline
+  anthropic.push(reply('Okay, nothing was ordered.'));
+  start = bot.sent.length;
+  assert.equal(await drained, 0);
+  await abandoned.turn;
+  assert.match(bot.messagesTo(7102, start).map((m) => m.text).join('\n'), /restarting, so this order was cancelled — nothing was placed/);
+  assert.equal(placed(), 1);
+});